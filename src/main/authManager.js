@@ -0,0 +1,160 @@
+import { randomBytes, randomInt, randomUUID, createHash } from 'crypto';
+
+export const AUTH_ROLES = ['viewer', 'controller'];
+
+const PIN_LENGTH = 6;
+const PIN_TTL_MS = 5 * 60 * 1000;
+const MAX_PIN_ATTEMPTS = 5; // Wrong guesses before the PIN is thrown away
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * AuthManager - Pairing PINs and access tokens for the remote control server
+ *
+ * Viewer tokens may only receive visuals; controller tokens may also drive windows, presets etc.
+ * Only token hashes are persisted, so a leaked settings file can't be replayed.
+ */
+export class AuthManager {
+  constructor(settingsManager) {
+    this.settingsManager = settingsManager;
+    this.pairing = null; // { pin, role, expiresAt, attempts }
+    this.onChangeCallback = null;
+    this.onTokenRevokedCallback = null;
+  }
+
+  /**
+   * Set callback for when the pairing PIN or token list changes
+   */
+  setOnChange(callback) {
+    this.onChangeCallback = callback;
+  }
+
+  /**
+   * Set callback for when a token is revoked (to drop its live connections)
+   */
+  setOnTokenRevoked(callback) {
+    this.onTokenRevokedCallback = callback;
+  }
+
+  notifyChange() {
+    if (this.onChangeCallback) {
+      this.onChangeCallback();
+    }
+  }
+
+  /**
+   * Generate a new pairing PIN for the given role (replaces any previous PIN)
+   */
+  createPairingPin(role = 'viewer') {
+    if (!AUTH_ROLES.includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    this.pairing = {
+      pin: String(randomInt(0, 10 ** PIN_LENGTH)).padStart(PIN_LENGTH, '0'),
+      role,
+      expiresAt: Date.now() + PIN_TTL_MS,
+      attempts: 0,
+    };
+
+    console.log(`🔑 New ${role} pairing PIN issued`);
+    this.notifyChange();
+    return this.getPairingInfo();
+  }
+
+  /**
+   * Get the active pairing PIN (null when none or expired)
+   */
+  getPairingInfo() {
+    if (!this.pairing || Date.now() > this.pairing.expiresAt) {
+      this.pairing = null;
+      return null;
+    }
+
+    const { pin, role, expiresAt } = this.pairing;
+    return { pin, role, expiresAt };
+  }
+
+  /**
+   * Clear the active pairing PIN
+   */
+  cancelPairing() {
+    this.pairing = null;
+    this.notifyChange();
+  }
+
+  /**
+   * Exchange a pairing PIN for a token - the PIN stays valid until it expires so several
+   * screens can pair from one QR code
+   */
+  pair(pin, name) {
+    const pairing = this.getPairingInfo();
+    if (!pairing) {
+      throw new Error('No pairing PIN is active');
+    }
+
+    if (String(pin) !== pairing.pin) {
+      this.pairing.attempts++;
+      if (this.pairing.attempts >= MAX_PIN_ATTEMPTS) {
+        console.warn('⚠️ Too many wrong pairing attempts, PIN revoked');
+        this.cancelPairing();
+      }
+      throw new Error('Invalid pairing PIN');
+    }
+
+    const token = randomBytes(32).toString('base64url');
+    const record = {
+      id: randomUUID(),
+      name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 64) : 'Unnamed device',
+      role: pairing.role,
+      tokenHash: hashToken(token),
+      createdAt: new Date().toISOString(),
+    };
+
+    this.settingsManager.set('authTokens', [...this.getTokenRecords(), record]);
+    console.log(`🔐 Paired "${record.name}" as ${record.role}`);
+    this.notifyChange();
+
+    return { token, id: record.id, role: record.role };
+  }
+
+  /**
+   * Resolve a token to its client ({ id, name, role }) or null
+   */
+  authenticate(token) {
+    if (typeof token !== 'string' || !token) return null;
+
+    const tokenHash = hashToken(token);
+    const record = this.getTokenRecords().find((r) => r.tokenHash === tokenHash);
+    return record ? { id: record.id, name: record.name, role: record.role } : null;
+  }
+
+  /**
+   * List issued tokens (without hashes)
+   */
+  getTokens() {
+    return this.getTokenRecords().map(({ id, name, role, createdAt }) => ({ id, name, role, createdAt }));
+  }
+
+  getTokenRecords() {
+    return this.settingsManager.get('authTokens', []);
+  }
+
+  /**
+   * Revoke a token and disconnect anything using it
+   */
+  revokeToken(tokenId) {
+    const records = this.getTokenRecords();
+    const remaining = records.filter((r) => r.id !== tokenId);
+    if (remaining.length === records.length) return false;
+
+    this.settingsManager.set('authTokens', remaining);
+    console.log(`🚫 Token ${tokenId} revoked`);
+
+    if (this.onTokenRevokedCallback) {
+      this.onTokenRevokedCallback(tokenId);
+    }
+    this.notifyChange();
+    return true;
+  }
+}
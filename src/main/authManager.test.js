@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { AuthManager } from './authManager.js';
+import { ExpressServer } from './expressServer.js';
+
+// In-memory stand-in for SettingsManager's get/set
+const createSettings = () => {
+  const values = {};
+  return {
+    values,
+    get: (key, fallback) => (key in values ? values[key] : fallback),
+    set: (key, value) => {
+      values[key] = value;
+    },
+  };
+};
+
+describe('AuthManager', () => {
+  let settings;
+  let auth;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    settings = createSettings();
+    auth = new AuthManager(settings);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('issues 6-digit PINs for known roles only', () => {
+    const { pin, role } = auth.createPairingPin('controller');
+    expect(pin).toMatch(/^\d{6}$/);
+    expect(role).toBe('controller');
+    expect(() => auth.createPairingPin('admin')).toThrow('Unknown role');
+  });
+
+  it('expires the PIN after 5 minutes', () => {
+    const { pin } = auth.createPairingPin();
+    vi.advanceTimersByTime(5 * 60 * 1000 - 1);
+    expect(auth.getPairingInfo()).not.toBeNull();
+
+    vi.advanceTimersByTime(2);
+    expect(auth.getPairingInfo()).toBeNull();
+    expect(() => auth.pair(pin, 'Late')).toThrow('No pairing PIN is active');
+  });
+
+  it('keeps the PIN valid for several devices until it expires', () => {
+    const { pin } = auth.createPairingPin();
+    auth.pair(pin, 'One');
+    auth.pair(pin, 'Two');
+    expect(auth.getTokens().map(({ name }) => name)).toEqual(['One', 'Two']);
+  });
+
+  it('revokes the PIN after 5 wrong guesses', () => {
+    const { pin } = auth.createPairingPin();
+    const wrong = pin === '000000' ? '111111' : '000000';
+
+    for (let i = 0; i < 4; i++) {
+      expect(() => auth.pair(wrong)).toThrow('Invalid pairing PIN');
+    }
+    expect(auth.getPairingInfo()).not.toBeNull();
+
+    expect(() => auth.pair(wrong)).toThrow('Invalid pairing PIN');
+    expect(auth.getPairingInfo()).toBeNull();
+    expect(() => auth.pair(pin)).toThrow('No pairing PIN is active');
+  });
+
+  it('resets the attempt count with a new PIN', () => {
+    const first = auth.createPairingPin();
+    const wrong = first.pin === '000000' ? '111111' : '000000';
+    for (let i = 0; i < 4; i++) {
+      expect(() => auth.pair(wrong)).toThrow();
+    }
+
+    const { pin } = auth.createPairingPin();
+    const guess = pin === '000000' ? '111111' : '000000';
+    expect(() => auth.pair(guess)).toThrow('Invalid pairing PIN');
+    expect(auth.getPairingInfo()).not.toBeNull();
+  });
+
+  it('stores only a hash of the token', () => {
+    const { pin } = auth.createPairingPin('controller');
+    const { token, id } = auth.pair(pin, '  Lighting desk  ');
+
+    const [record] = settings.values.authTokens;
+    expect(record).toMatchObject({ id, role: 'controller', name: 'Lighting desk' });
+    expect(record.tokenHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(JSON.stringify(settings.values)).not.toContain(token);
+    expect(auth.getTokens()[0]).not.toHaveProperty('tokenHash');
+  });
+
+  it('authenticates issued tokens and nothing else', () => {
+    const { pin } = auth.createPairingPin('viewer');
+    const { token, id } = auth.pair(pin, 'Projector');
+
+    expect(auth.authenticate(token)).toEqual({ id, name: 'Projector', role: 'viewer' });
+    expect(auth.authenticate(`${token}x`)).toBeNull();
+    expect(auth.authenticate('')).toBeNull();
+    expect(auth.authenticate(undefined)).toBeNull();
+  });
+
+  it('stops authenticating revoked tokens and reports the revocation', () => {
+    const revoked = vi.fn();
+    auth.setOnTokenRevoked(revoked);
+    const { pin } = auth.createPairingPin();
+    const { token, id } = auth.pair(pin);
+
+    expect(auth.revokeToken(id)).toBe(true);
+    expect(revoked).toHaveBeenCalledWith(id);
+    expect(auth.authenticate(token)).toBeNull();
+    expect(auth.revokeToken(id)).toBe(false);
+  });
+});
+
+describe('ExpressServer role checks', () => {
+  const { hasRole, requireRole } = ExpressServer.prototype;
+
+  // Just enough of ExpressServer for requireRole, with tokens mapped straight to clients
+  const server = {
+    hasRole,
+    authenticate: (token) => ({ viewer: { role: 'viewer' }, controller: { role: 'controller' } })[token] || null,
+  };
+
+  const run = (role, token) => {
+    const req = { get: () => (token ? `Bearer ${token}` : undefined) };
+    const res = { status: vi.fn(() => res), json: vi.fn() };
+    const next = vi.fn();
+    requireRole.call(server, role)(req, res, next);
+    return { status: res.status.mock.calls[0]?.[0] ?? null, next: next.mock.calls.length === 1, req };
+  };
+
+  it('lets controllers do everything viewers can, but not the other way round', () => {
+    expect(hasRole({ role: 'viewer' }, 'viewer')).toBe(true);
+    expect(hasRole({ role: 'viewer' }, 'controller')).toBe(false);
+    expect(hasRole({ role: 'controller' }, 'viewer')).toBe(true);
+    expect(hasRole(null, 'viewer')).toBe(false);
+  });
+
+  it('answers 401 without a valid token and 403 without the role', () => {
+    expect(run('viewer', null)).toMatchObject({ status: 401, next: false });
+    expect(run('viewer', 'unknown')).toMatchObject({ status: 401, next: false });
+    expect(run('controller', 'viewer')).toMatchObject({ status: 403, next: false });
+
+    const allowed = run('controller', 'controller');
+    expect(allowed).toMatchObject({ status: null, next: true });
+    expect(allowed.req.client).toEqual({ role: 'controller' });
+  });
+});
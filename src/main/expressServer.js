@@ -4,10 +4,31 @@ import { Server as SocketIOServer } from 'socket.io';
 import cors from 'cors';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { TRANSITION_MODES } from '../shared/transitionOptions.js';
+import { CLIENT_RECONNECT_GRACE_MS } from '../shared/connectionRecovery.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+export const PLAYLIST_ACTIONS = ['start', 'stop', 'pause', 'resume', 'skip'];
+const STEP_DIRECTIONS = { next: 1, previous: -1 };
+
+// Electron popups use numeric IDs, browser clients use UUIDs
+export const parseWindowId = (id) => (/^\d+$/.test(id) ? parseInt(id) : id);
+const isWindowId = (id) => Number.isInteger(id) || (typeof id === 'string' && id !== '');
+
+// Socket.IO payloads come straight from the client - anything but an object reads as empty
+const fields = (payload) => (payload && typeof payload === 'object' ? payload : {});
+
+// Transition mode is optional, but a misspelled one is an error rather than the window default
+const validTransitionMode = (mode) => mode === undefined || mode === null || !!TRANSITION_MODES[mode];
+
+// Tokens come from the Authorization header ("Bearer <token>")
+const getBearerToken = (req) => {
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
 /**
  * ExpressServer - Built-in web server for remote control
  */
@@ -22,6 +43,10 @@ export class ExpressServer {
     this.isRunning = false;
     this.eventHandlers = new Map();
     this.audioDataClients = new Map(); // clientId -> socket
+    this.clientCloseTimers = new Map(); // clientId -> timeout - dropped sockets get a while to come back
+    this.remoteState = null; // { windows, micEnabled, sourceType } as last reported by the dashboard
+    this.presetCatalog = []; // Preset metadata reported by the dashboard
+    this.diagnostics = null; // { updatedAt, windows } as last reported by the dashboard
 
     this.setupMiddleware();
     this.setupRoutes();
@@ -29,10 +54,44 @@ export class ExpressServer {
   }
 
   setupMiddleware() {
+    // Any origin may call the API, but every call needs a bearer token (no cookies to ride on)
     this.app.use(cors());
     this.app.use(express.json());
   }
 
+  /**
+   * Resolve a token to a paired client via the main process (null when unknown)
+   */
+  authenticate(token) {
+    return token ? this.emit('auth:authenticate', token) : null;
+  }
+
+  /**
+   * Express middleware - reject requests without a token for the given role
+   */
+  requireRole(role) {
+    return (req, res, next) => {
+      const client = this.authenticate(getBearerToken(req));
+      if (!client) {
+        res.status(401).json({ success: false, error: 'Authentication required' });
+        return;
+      }
+      if (!this.hasRole(client, role)) {
+        res.status(403).json({ success: false, error: `Requires ${role} access` });
+        return;
+      }
+      req.client = client;
+      next();
+    };
+  }
+
+  /**
+   * Whether a client may act with a role (controllers can do everything viewers can)
+   */
+  hasRole(client, role) {
+    return !!client && (client.role === 'controller' || client.role === role);
+  }
+
   setupRoutes() {
     // Serve built files (same in dev and production)
     this.app.get('/renderer/', (req, res) => {
@@ -43,12 +102,17 @@ export class ExpressServer {
       res.sendFile(join(__dirname, '../popup/dist/popup.html'));
     });
 
-    // Serve /assets from both renderer and popup (try both, first one wins)
-    // This works because renderer and popup have different bundle names
+    this.app.get('/remote', (req, res) => {
+      res.sendFile(join(__dirname, '../remote/dist/remote.html'));
+    });
+
+    // Serve /assets from renderer, popup and remote (try each, first one wins)
+    // This works because each bundle has a different name
     this.app.use(
       '/assets',
       express.static(join(__dirname, '../renderer/dist/assets')),
-      express.static(join(__dirname, '../popup/dist/assets'))
+      express.static(join(__dirname, '../popup/dist/assets')),
+      express.static(join(__dirname, '../remote/dist/assets'))
     );
 
     // Serve butterchurn libs at root (shared by both renderer and popup)
@@ -59,104 +123,443 @@ export class ExpressServer {
       res.sendFile(join(__dirname, '../renderer/dist/butterchurnPresets.min.js'));
     });
 
+    // User presets - imported or from watched folders (popups fetch these by name - no token, like the bundled presets above)
+    this.app.get('/presets/user/:name', (req, res) => {
+      const preset = this.emit('presets:user-requested', req.params.name);
+      if (!preset) {
+        res.status(404).json({ success: false, error: 'Preset not found' });
+        return;
+      }
+      res.json(preset);
+    });
+
     // Serve static assets at root (shared by both renderer and popup)
     this.app.use('/butterchurn-screenshots', express.static(join(__dirname, '../../static/images/butterchurn-screenshots')));
     this.app.use('/fonts', express.static(join(__dirname, '../../static/fonts')));
 
+    // Pairing - the only API route that doesn't need a token
+    this.app.post('/api/pair', (req, res) => {
+      try {
+        const { pin, name } = req.body || {};
+        const result = this.emit('auth:pair-requested', { pin, name });
+        if (!result) {
+          res.status(503).json({ success: false, error: 'Pairing unavailable' });
+          return;
+        }
+        res.json({ success: true, ...result });
+      } catch (error) {
+        res.status(401).json({ success: false, error: error.message });
+      }
+    });
+
+    // Everything else under /api needs at least a viewer token
+    const viewer = this.requireRole('viewer');
+    const controller = this.requireRole('controller');
+    this.app.use('/api', viewer);
+
+    this.app.get('/api/whoami', (req, res) => {
+      res.json({ id: req.client.id, name: req.client.name, role: req.client.role });
+    });
+
     this.app.get('/api/status', (req, res) => {
       const status = this.emit('get-status');
       res.json(status || { error: 'No status handler' });
     });
 
-    this.app.post('/api/microphone/toggle', (req, res) => {
+    this.app.get('/api/diagnostics', (req, res) => {
+      res.json({
+        ...(this.diagnostics || { updatedAt: null, windows: [] }),
+        turn: this.emit('turn:status-requested') || null,
+      });
+    });
+
+    this.app.post('/api/microphone/toggle', controller, (req, res) => {
       const { enabled } = req.body;
       this.emit('microphone:toggle', enabled);
       res.json({ success: true, enabled });
     });
 
-    this.app.post('/api/windows/create', (req, res) => {
+    this.app.post('/api/windows/create', controller, (req, res) => {
       const result = this.emit('window:create-requested');
       res.json(result || { success: true });
     });
 
-    this.app.post('/api/windows/:id/close', (req, res) => {
+    this.app.post('/api/windows/:id/close', controller, (req, res) => {
       const windowId = parseInt(req.params.id);
       this.emit('window:close-requested', windowId);
       res.json({ success: true });
     });
 
-    this.app.post('/api/windows/:id/preset', (req, res) => {
-      const windowId = parseInt(req.params.id);
-      const { preset } = req.body;
-      this.emit('preset:set-requested', { windowId, preset });
+    // Optional transitionTime (seconds) and transitionMode override the window's default transition
+    this.app.post('/api/windows/:id/preset', controller, (req, res) => {
+      const windowId = parseWindowId(req.params.id);
+      const { preset, transitionTime, transitionMode } = req.body;
+      if (!validTransitionMode(transitionMode)) {
+        res.status(400).json({ success: false, error: `Unknown transition mode: ${transitionMode}` });
+        return;
+      }
+      this.emit('preset:set-requested', { windowId, preset, transitionTime, transitionMode });
+      res.json({ success: true });
+    });
+
+    this.app.post('/api/presets/set-all', controller, (req, res) => {
+      const { preset, transitionTime, transitionMode } = req.body;
+      if (!validTransitionMode(transitionMode)) {
+        res.status(400).json({ success: false, error: `Unknown transition mode: ${transitionMode}` });
+        return;
+      }
+      this.emit('preset:set-all-requested', { preset, transitionTime, transitionMode });
       res.json({ success: true });
     });
 
-    this.app.post('/api/presets/set-all', (req, res) => {
-      const { preset } = req.body;
-      this.emit('preset:set-all-requested', preset);
+    // Default transition for presets sent to this window without one
+    this.app.put('/api/windows/:id/transition', controller, (req, res) => {
+      const { transitionTime, transitionMode } = req.body;
+      if (!validTransitionMode(transitionMode)) {
+        res.status(400).json({ success: false, error: `Unknown transition mode: ${transitionMode}` });
+        return;
+      }
+      this.emit('window:transition-requested', { windowId: parseWindowId(req.params.id), transitionTime, transitionMode });
+      res.json({ success: true });
+    });
+
+    this.app.post('/api/windows/:id/preset/:direction', controller, (req, res) => {
+      const direction = STEP_DIRECTIONS[req.params.direction];
+      if (!direction) {
+        res.status(400).json({ success: false, error: `Unknown direction: ${req.params.direction}` });
+        return;
+      }
+      this.emit('preset:step-requested', { windowId: parseWindowId(req.params.id), direction });
       res.json({ success: true });
     });
 
     this.app.get('/api/presets', (req, res) => {
-      const presets = this.emit('get-presets');
-      res.json({ presets: presets || [] });
+      res.json({ presets: this.presetCatalog });
+    });
+
+    // Favorites, ratings, tags and disabled state of every curated preset
+    this.app.get('/api/presets/metadata', (req, res) => {
+      res.json(this.emit('presets:metadata-requested'));
+    });
+
+    // Favorites
+    this.app.get('/api/favorites', (req, res) => {
+      const favorites = this.emit('favorites:list-requested');
+      res.json({ favorites: favorites || [] });
+    });
+
+    this.app.post('/api/favorites/toggle', controller, (req, res) => {
+      try {
+        const favorites = this.emit('favorite:toggle-requested', req.body?.preset);
+        res.json({ success: true, favorites });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    // Playlists
+    this.app.get('/api/playlists', (req, res) => {
+      const playlists = this.emit('playlist:list-requested');
+      res.json({ playlists: playlists || [] });
+    });
+
+    this.app.post('/api/playlists', controller, (req, res) => {
+      try {
+        const playlist = this.emit('playlist:save-requested', req.body);
+        res.json({ success: true, playlist });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.put('/api/playlists/:id', controller, (req, res) => {
+      try {
+        const playlist = this.emit('playlist:save-requested', { ...req.body, id: req.params.id });
+        res.json({ success: true, playlist });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.delete('/api/playlists/:id', controller, (req, res) => {
+      const deleted = this.emit('playlist:delete-requested', req.params.id);
+      res.status(deleted ? 200 : 404).json({ success: !!deleted });
+    });
+
+    // Preset blocklist profiles
+    this.app.get('/api/preset-profiles', (req, res) => {
+      res.json(this.emit('preset-profiles:list-requested'));
+    });
+
+    this.app.post('/api/preset-profiles/:id/activate', controller, (req, res) => {
+      try {
+        this.emit('preset-profile:activate-requested', req.params.id);
+        res.json({ success: true });
+      } catch (error) {
+        res.status(404).json({ success: false, error: error.message });
+      }
+    });
+
+    // Layouts (scenes)
+    this.app.get('/api/layouts', (req, res) => {
+      const layouts = this.emit('layout:list-requested');
+      res.json({ layouts: layouts || [] });
+    });
+
+    this.app.post('/api/layouts', controller, (req, res) => {
+      try {
+        const { name, id } = req.body || {};
+        const layout = this.emit('layout:save-requested', { name, id });
+        res.json({ success: true, layout });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/api/layouts/:id/restore', controller, (req, res) => {
+      try {
+        const { closeExisting = true } = req.body || {};
+        const windows = this.emit('layout:restore-requested', { layoutId: req.params.id, closeExisting });
+        res.json({ success: true, windows });
+      } catch (error) {
+        res.status(404).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.delete('/api/layouts/:id', controller, (req, res) => {
+      const deleted = this.emit('layout:delete-requested', req.params.id);
+      res.status(deleted ? 200 : 404).json({ success: !!deleted });
+    });
+
+    // Video wall
+    this.app.get('/api/wall', (req, res) => {
+      res.json(this.emit('wall:get-requested'));
+    });
+
+    this.app.put('/api/wall', controller, (req, res) => {
+      const wall = this.emit('wall:config-requested', req.body || {});
+      res.json({ success: true, wall });
+    });
+
+    // { row, column } puts the window on a tile, { tile: null } takes it off the wall
+    this.app.put('/api/windows/:id/wall-tile', controller, (req, res) => {
+      try {
+        const { row, column, tile } = req.body || {};
+        const wall = this.emit('wall:tile-requested', {
+          windowId: parseWindowId(req.params.id),
+          tile: tile === null ? null : { row, column },
+        });
+        res.json({ success: true, wall });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/api/windows/:id/playlist/:action', controller, (req, res) => {
+      const { action } = req.params;
+      if (!PLAYLIST_ACTIONS.includes(action)) {
+        res.status(400).json({ success: false, error: `Unknown playlist action: ${action}` });
+        return;
+      }
+
+      const windowId = parseWindowId(req.params.id);
+      const { playlistId } = req.body || {};
+      if (action === 'start' && !playlistId) {
+        res.status(400).json({ success: false, error: 'playlistId is required' });
+        return;
+      }
+
+      this.emit('playlist:command-requested', { windowId, action, playlistId });
+      res.json({ success: true });
+    });
+
+    // Recording (Electron popup windows only)
+    this.app.get('/api/recordings', (req, res) => {
+      const recordings = this.emit('recording:list-requested');
+      res.json({ recordings: recordings || [] });
+    });
+
+    this.app.post('/api/windows/:id/recording/start', controller, async (req, res) => {
+      try {
+        const { resolution, bitrate, audio } = req.body || {};
+        const recording = await this.emit('recording:start-requested', {
+          windowId: parseWindowId(req.params.id),
+          options: { resolution, bitrate, audio },
+        });
+        res.json({ success: true, recording });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/api/windows/:id/recording/stop', controller, (req, res) => {
+      try {
+        const recording = this.emit('recording:stop-requested', parseWindowId(req.params.id));
+        res.json({ success: true, recording });
+      } catch (error) {
+        res.status(404).json({ success: false, error: error.message });
+      }
     });
   }
 
   setupSocketIO() {
+    // Reject sockets without a valid token in the handshake ({ auth: { token } })
+    this.io.use((socket, next) => {
+      const client = this.authenticate(socket.handshake.auth?.token);
+      if (!client) {
+        next(new Error('Unauthorized'));
+        return;
+      }
+      socket.data.client = client;
+      next();
+    });
+
     this.io.on('connection', (socket) => {
-      console.log('Client connected:', socket.id);
+      console.log(`Client connected: ${socket.id} (${socket.data.client.name}, ${socket.data.client.role})`);
+
+      // Register a handler that only controller clients may trigger - a failing command is
+      // reported back to the client rather than thrown inside the listener
+      const onControl = (event, handler) => {
+        socket.on(event, (...args) => {
+          if (!this.hasRole(socket.data.client, 'controller')) {
+            socket.emit('auth:error', { event, error: 'Requires controller access' });
+            return;
+          }
+          try {
+            handler(...args);
+          } catch (error) {
+            socket.emit('command:error', { event, error: error.message });
+          }
+        });
+      };
 
       // Send current state
       const status = this.emit('get-status');
       socket.emit('status:update', status);
+      if (this.remoteState) {
+        socket.emit('remote:state', this.remoteState);
+      }
+
+      // Request/response lookups for the web remote (Socket.IO acknowledgements)
+      const onRequest = (event, getResult) => {
+        socket.on(event, (callback) => {
+          if (typeof callback === 'function') {
+            callback(getResult());
+          }
+        });
+      };
+
+      onRequest('presets:get', () => this.presetCatalog);
+      onRequest('playlists:get', () => this.emit('playlist:list-requested') || []);
+      onRequest('favorites:get', () => this.emit('favorites:list-requested') || []);
+      onRequest('remote:state:get', () => this.remoteState);
+
+      // Handle browser visualization clients ready for WebRTC - also sent again after a reconnect
+      // (connected says whether its WebRTC connection survived the socket dropping)
+      socket.on('visualization:ready', (payload) => {
+        const { clientId, connected = false } = fields(payload);
+        if (typeof clientId !== 'string' || !clientId) return;
+
+        // A duplicated browser tab brings the same stored ID - it has to pick a new one
+        const existing = this.audioDataClients.get(clientId);
+        if (existing && existing !== socket && existing.connected) {
+          socket.emit('visualization:id-taken');
+          return;
+        }
 
-      // Handle browser visualization clients ready for WebRTC
-      socket.on('visualization:ready', ({ clientId }) => {
         console.log(`Browser visualization client ready: ${clientId}`);
+        clearTimeout(this.clientCloseTimers.get(clientId));
+        this.clientCloseTimers.delete(clientId);
         this.audioDataClients.set(clientId, socket);
+        this.sendIceServers(socket);
+
+        // Notify main app to create (or recover) the WebRTC connection for this browser client
+        this.emit('browser-client:ready', { clientId, connected: !!connected });
+      });
 
-        // Notify main app to create WebRTC connection for this browser client
-        this.emit('browser-client:ready', clientId);
+      // Events about a browser client are only taken from the socket holding its ID
+      const ownsClient = (clientId) => this.audioDataClients.get(clientId) === socket;
+
+      // Control messages from a browser client relayed over Socket.IO
+      socket.on('relay:control', (payload) => {
+        const { clientId, message } = fields(payload);
+        if (!ownsClient(clientId)) return;
+        this.emit('browser-client:relay-control', { clientId, message });
       });
 
       // Relay WebRTC signaling: answer from browser to dashboard
-      socket.on('webrtc:answer', ({ clientId, answer }) => {
+      socket.on('webrtc:answer', (payload) => {
+        const { clientId, answer } = fields(payload);
+        if (!ownsClient(clientId)) return;
         console.log(`WebRTC answer from browser client ${clientId}`);
         // Emit to main process to relay to dashboard
         this.emit('browser-client:answer', { clientId, answer });
       });
 
       // Relay WebRTC signaling: ICE candidate from browser to dashboard
-      socket.on('webrtc:ice-candidate', ({ clientId, candidate }) => {
+      socket.on('webrtc:ice-candidate', (payload) => {
+        const { clientId, candidate } = fields(payload);
+        if (!ownsClient(clientId)) return;
         console.log(`ICE candidate from browser client ${clientId}`);
         // Emit to main process to relay to dashboard
         this.emit('browser-client:ice', { clientId, candidate });
       });
 
       // Handle events
-      socket.on('window:create', () => {
+      onControl('window:create', () => {
         this.emit('window:create-requested');
       });
 
-      socket.on('window:close', (windowId) => {
+      onControl('window:close', (windowId) => {
+        if (!isWindowId(windowId)) {
+          throw new Error(`Invalid window ID: ${windowId}`);
+        }
         this.emit('window:close-requested', windowId);
       });
 
-      socket.on('preset:set', ({ windowId, preset }) => {
-        this.emit('preset:set-requested', { windowId, preset });
+      onControl('preset:set', (payload) => {
+        const { windowId, preset, transitionTime, transitionMode } = fields(payload);
+        if (!isWindowId(windowId)) {
+          throw new Error(`Invalid window ID: ${windowId}`);
+        }
+        this.emit('preset:set-requested', { windowId, preset, transitionTime, transitionMode });
       });
 
-      socket.on('preset:set-all', (preset) => {
-        this.emit('preset:set-all-requested', preset);
+      // A preset name, or { preset, transitionTime, transitionMode }
+      onControl('preset:set-all', (request) => {
+        this.emit('preset:set-all-requested', request);
       });
 
-      socket.on('microphone:toggle', (enabled) => {
+      onControl('microphone:toggle', (enabled) => {
         this.emit('microphone:toggle', enabled);
       });
 
-      socket.on('preset:loaded', ({ clientId, preset }) => {
+      onControl('preset:step', (payload) => {
+        const { windowId, direction } = fields(payload);
+        if (!isWindowId(windowId)) {
+          throw new Error(`Invalid window ID: ${windowId}`);
+        }
+        this.emit('preset:step-requested', { windowId, direction: direction < 0 ? -1 : 1 });
+      });
+
+      onControl('favorite:toggle', (preset) => {
+        this.emit('favorite:toggle-requested', preset);
+      });
+
+      onControl('playlist:command', (payload) => {
+        const { windowId, action, playlistId } = fields(payload);
+        if (!isWindowId(windowId)) {
+          throw new Error(`Invalid window ID: ${windowId}`);
+        }
+        if (!PLAYLIST_ACTIONS.includes(action) || (action === 'start' && !playlistId)) {
+          throw new Error(`Invalid playlist command: ${action}`);
+        }
+        this.emit('playlist:command-requested', { windowId, action, playlistId });
+      });
+
+      socket.on('preset:loaded', (payload) => {
+        const { clientId, preset } = fields(payload);
+        if (!ownsClient(clientId)) return;
         console.log(`Browser client ${clientId} loaded preset: ${preset}`);
         // Emit to main process to relay to dashboard
         this.emit('browser-client:preset-loaded', { clientId, preset });
@@ -164,17 +567,23 @@ export class ExpressServer {
 
       socket.on('disconnect', () => {
         console.log('Client disconnected:', socket.id);
-        // Clean up audio data client if it was registered
+        // Clean up audio data client if it was registered - unless it reconnects in time
         for (const [clientId, clientSocket] of this.audioDataClients.entries()) {
           if (clientSocket === socket) {
-            this.audioDataClients.delete(clientId);
-            console.log(`Visualization client left: ${clientId}`);
+            const timer = setTimeout(() => {
+              this.clientCloseTimers.delete(clientId);
+              if (this.audioDataClients.get(clientId) !== socket) return; // Came back on a new socket
 
-            // Notify main process so it can broadcast to renderer
-            this.emit('browser-client:closed', clientId);
+              this.audioDataClients.delete(clientId);
+              console.log(`Visualization client left: ${clientId}`);
 
-            // Also broadcast via Socket.IO for other connected clients
-            this.io.emit('window:closed', { windowId: clientId });
+              // Notify main process so it can broadcast to renderer
+              this.emit('browser-client:closed', clientId);
+
+              // Also broadcast via Socket.IO for other connected clients
+              this.io.emit('window:closed', { windowId: clientId });
+            }, CLIENT_RECONNECT_GRACE_MS);
+            this.clientCloseTimers.set(clientId, timer);
             break;
           }
         }
@@ -200,6 +609,47 @@ export class ExpressServer {
     return null;
   }
 
+  /**
+   * Disconnect every socket using a (revoked) token
+   */
+  disconnectClient(tokenId) {
+    this.io.sockets.sockets.forEach((socket) => {
+      if (socket.data.client?.id === tokenId) {
+        socket.emit('auth:revoked');
+        socket.disconnect(true);
+      }
+    });
+  }
+
+  /**
+   * Publish the dashboard's window/mic/rotation state to remotes
+   */
+  setRemoteState(state) {
+    this.remoteState = state;
+    this.io.emit('remote:state', state);
+  }
+
+  /**
+   * Store the preset catalog reported by the dashboard
+   */
+  setPresetCatalog(presets) {
+    this.presetCatalog = Array.isArray(presets) ? presets : [];
+  }
+
+  /**
+   * Store the connection diagnostics reported by the dashboard
+   */
+  setDiagnostics(diagnostics) {
+    this.diagnostics = diagnostics;
+  }
+
+  /**
+   * Broadcast the favorite preset list
+   */
+  broadcastFavorites(favorites) {
+    this.io.emit('favorites:updated', { favorites });
+  }
+
   /**
    * Broadcast status update to all connected clients
    */
@@ -251,6 +701,58 @@ export class ExpressServer {
     }
   }
 
+  /**
+   * Send a browser client its ICE servers - the built-in TURN server is addressed by the host
+   * the client loaded the page from, which it can evidently reach
+   */
+  sendIceServers(socket) {
+    let host = null;
+    try {
+      host = new URL(`http://${socket.handshake.headers.host}`).hostname;
+    } catch {
+      // No usable Host header - the TURN server falls back to its relay address
+    }
+    socket.emit('webrtc:config', { iceServers: this.emit('ice:servers-requested', host) || [] });
+  }
+
+  /**
+   * Resend every browser client its ICE servers (after the ICE settings change)
+   */
+  broadcastIceServers() {
+    this.audioDataClients.forEach((socket) => this.sendIceServers(socket));
+  }
+
+  /**
+   * Switch a browser client to (or off) receiving audio and control messages over Socket.IO
+   */
+  setBrowserClientRelay(clientId, active) {
+    const socket = this.audioDataClients.get(clientId);
+    if (socket) {
+      socket.emit(active ? 'relay:start' : 'relay:stop');
+    }
+  }
+
+  /**
+   * Relay an audio frame to a browser client - volatile, so frames are dropped rather than
+   * queued behind a slow connection (like the unreliable audio DataChannel)
+   */
+  sendRelayAudio(clientId, frame) {
+    const socket = this.audioDataClients.get(clientId);
+    if (socket) {
+      socket.volatile.emit('relay:audio', Buffer.from(frame));
+    }
+  }
+
+  /**
+   * Relay a control message to a browser client
+   */
+  sendRelayControl(clientId, message) {
+    const socket = this.audioDataClients.get(clientId);
+    if (socket) {
+      socket.emit('relay:control', message);
+    }
+  }
+
   /**
    * Get list of connected browser clients
    */
@@ -294,6 +796,8 @@ export class ExpressServer {
    * Stop the server
    */
   stop() {
+    this.clientCloseTimers.forEach((timer) => clearTimeout(timer));
+    this.clientCloseTimers.clear();
     return new Promise((resolve) => {
       if (this.isRunning) {
         this.httpServer.close(() => {
@@ -1,11 +1,28 @@
-import { ipcMain } from 'electron';
+import { ipcMain, dialog } from 'electron';
+import fs from 'fs/promises';
 import { networkInterfaces } from 'os';
 import { IPC_CHANNELS } from '../shared/ipcChannels.js';
+import { normalizeTransitionOptions } from '../shared/transitionOptions.js';
+import { OscServer } from './oscServer.js';
+import { TurnServer } from './turnServer.js';
+import { PRESET_FILE_EXTENSIONS } from './presetConverter.js';
 
 /**
  * Setup IPC handlers for main process communication
  */
-export function setupIpcHandlers(windowManager, expressServer, settingsManager, mainWindow) {
+export function setupIpcHandlers(
+  windowManager,
+  expressServer,
+  settingsManager,
+  mainWindow,
+  layoutManager,
+  authManager,
+  oscServer,
+  turnServer,
+  recordingManager,
+  presetLibrary,
+  presetFolderWatcher
+) {
   // Window Management
   ipcMain.handle(IPC_CHANNELS.WINDOW_CREATE, async () => {
     const { windowId } = windowManager.createPopupWindow();
@@ -45,14 +62,16 @@ export function setupIpcHandlers(windowManager, expressServer, settingsManager,
   });
 
   // Preset Management
-  ipcMain.handle(IPC_CHANNELS.PRESET_SET, async (event, { windowId, preset }) => {
-    windowManager.sendToWindow(windowId, IPC_CHANNELS.PRESET_CHANGED, { preset });
+  ipcMain.handle(IPC_CHANNELS.PRESET_SET, async (event, { windowId, preset, ...transition }) => {
+    windowManager.sendToWindow(windowId, IPC_CHANNELS.PRESET_CHANGED, { preset, ...normalizeTransitionOptions(transition) });
+    windowManager.setWindowMeta(windowId, { preset });
     expressServer.broadcastPresetChanged(windowId, preset);
     return { success: true };
   });
 
-  ipcMain.handle(IPC_CHANNELS.PRESET_SET_ALL, async (event, { preset }) => {
-    windowManager.sendToAllWindows(IPC_CHANNELS.PRESET_CHANGED, { preset });
+  ipcMain.handle(IPC_CHANNELS.PRESET_SET_ALL, async (event, { preset, ...transition }) => {
+    windowManager.sendToAllWindows(IPC_CHANNELS.PRESET_CHANGED, { preset, ...normalizeTransitionOptions(transition) });
+    windowManager.getAllWindowIds().forEach((windowId) => windowManager.setWindowMeta(windowId, { preset }));
     return { success: true };
   });
 
@@ -61,6 +80,7 @@ export function setupIpcHandlers(windowManager, expressServer, settingsManager,
     // Determine which window sent this
     const windowId = windowManager.getWindowIdBySender(event.sender);
     console.log(`Popup window ${windowId} loaded preset: ${preset}`);
+    windowManager.setWindowMeta(windowId, { preset });
 
     // Notify main window
     if (mainWindow && !mainWindow.isDestroyed()) {
@@ -68,6 +88,118 @@ export function setupIpcHandlers(windowManager, expressServer, settingsManager,
     }
   });
 
+  // Imported presets
+  ipcMain.handle(IPC_CHANNELS.PRESET_GET_IMPORTED, async () => {
+    return presetLibrary.getPresetNames();
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PRESET_IMPORT, async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Import presets',
+      filters: [{ name: 'MilkDrop / butterchurn presets', extensions: PRESET_FILE_EXTENSIONS }],
+      properties: ['openFile', 'multiSelections'],
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { imported: [], errors: [] };
+    }
+    return presetLibrary.importFiles(result.filePaths);
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PRESET_GET_USER, async (event, name) => {
+    return presetLibrary.getPreset(name) || presetFolderWatcher.getPreset(name);
+  });
+
+  // Presets saved from the editor are stored with the imported ones
+  ipcMain.handle(IPC_CHANNELS.PRESET_SAVE_USER, async (event, { name, preset }) => {
+    try {
+      return { success: true, name: await presetLibrary.savePreset(name, preset) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PRESET_DELETE_IMPORTED, async (event, name) => {
+    try {
+      await presetLibrary.deletePreset(name);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Watched preset folders - changes arrive as PRESET_FOLDERS_UPDATED
+  const getPresetFolderState = () => ({
+    folders: presetFolderWatcher.getFolders(),
+    presets: presetFolderWatcher.getPresetNames(),
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PRESET_FOLDERS_GET, async () => {
+    return getPresetFolderState();
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PRESET_FOLDERS_ADD, async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Watch preset folder',
+      properties: ['openDirectory'],
+    });
+    if (!result.canceled && result.filePaths.length > 0) {
+      await presetFolderWatcher.addFolder(result.filePaths[0]);
+    }
+    return getPresetFolderState();
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PRESET_FOLDERS_REMOVE, async (event, folder) => {
+    await presetFolderWatcher.removeFolder(folder);
+    return getPresetFolderState();
+  });
+
+  // Preset favorites, ratings and tags - all return the full metadata
+  const updatePresetMetadata = (update) => {
+    try {
+      update();
+      return { success: true, metadata: settingsManager.getPresetMetadata() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  };
+
+  ipcMain.handle(IPC_CHANNELS.PRESET_META_GET, async () => {
+    return settingsManager.getPresetMetadata();
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PRESET_META_TOGGLE_FAVORITE, async (event, name) => {
+    return updatePresetMetadata(() => {
+      // Favorites are shared with the web remote
+      expressServer.broadcastFavorites(settingsManager.toggleFavoritePreset(name));
+    });
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PRESET_META_SET_RATING, async (event, { name, rating }) => {
+    return updatePresetMetadata(() => settingsManager.setPresetRating(name, rating));
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PRESET_META_SET_TAGS, async (event, { name, tags }) => {
+    return updatePresetMetadata(() => settingsManager.setPresetTags(name, tags));
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PRESET_META_EXPORT, async () => {
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export preset ratings and tags',
+      defaultPath: 'preset-metadata.json',
+      filters: [{ name: 'JSON', extensions: ['json'] }],
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
+    }
+
+    try {
+      await fs.writeFile(result.filePath, JSON.stringify(settingsManager.exportPresetMetadata(), null, 2));
+      return { success: true, filePath: result.filePath };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
   // WebRTC Signaling
   ipcMain.on(IPC_CHANNELS.WEBRTC_OFFER, (event, { windowId, offer }) => {
     const popup = windowManager.getWindow(windowId);
@@ -175,9 +307,323 @@ export function setupIpcHandlers(windowManager, expressServer, settingsManager,
 
   ipcMain.handle(IPC_CHANNELS.SETTINGS_TOGGLE_PRESET, async (event, presetName) => {
     const disabledPresets = settingsManager.togglePresetEnabled(presetName);
+    notifyPresetProfiles();
     return { disabledPresets };
   });
 
+  ipcMain.handle(IPC_CHANNELS.SETTINGS_DISABLE_PRESET, async (event, presetName) => {
+    const disabledPresets = settingsManager.disablePreset(presetName);
+    notifyPresetProfiles();
+    return { disabledPresets };
+  });
+
+  // Preset blocklist profiles - every change is pushed to the dashboard, which re-applies
+  // the active profile's disabled list
+  const getPresetProfileState = () => ({
+    profiles: settingsManager.getPresetProfiles(),
+    activeId: settingsManager.getActivePresetProfile().id,
+  });
+
+  const notifyPresetProfiles = () => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send(IPC_CHANNELS.PRESET_PROFILE_UPDATED, getPresetProfileState());
+    }
+  };
+
+  const updatePresetProfiles = (update) => {
+    try {
+      update();
+      notifyPresetProfiles();
+      return { success: true, ...getPresetProfileState() };
+    } catch (error) {
+      return { success: false, error: error.message, ...getPresetProfileState() };
+    }
+  };
+
+  ipcMain.handle(IPC_CHANNELS.PRESET_PROFILE_GET_ALL, async () => {
+    return getPresetProfileState();
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PRESET_PROFILE_SAVE, async (event, profile) => {
+    return updatePresetProfiles(() => settingsManager.savePresetProfile(profile));
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PRESET_PROFILE_DELETE, async (event, profileId) => {
+    return updatePresetProfiles(() => settingsManager.deletePresetProfile(profileId));
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PRESET_PROFILE_ACTIVATE, async (event, profileId) => {
+    return updatePresetProfiles(() => settingsManager.setActivePresetProfile(profileId));
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PRESET_PROFILE_IMPORT, async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Import blocklist profiles',
+      filters: [{ name: 'JSON', extensions: ['json'] }],
+      properties: ['openFile'],
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, canceled: true, ...getPresetProfileState() };
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(result.filePaths[0], 'utf8'));
+      const imported = settingsManager.importPresetProfiles(data);
+      notifyPresetProfiles();
+      return { success: true, imported: imported.map((profile) => profile.name), ...getPresetProfileState() };
+    } catch (error) {
+      return { success: false, error: error.message, ...getPresetProfileState() };
+    }
+  });
+
+  // Exports the given profiles (all of them without IDs)
+  ipcMain.handle(IPC_CHANNELS.PRESET_PROFILE_EXPORT, async (event, profileIds) => {
+    const data = settingsManager.exportPresetProfiles(profileIds);
+    const result = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export blocklist profiles',
+      defaultPath: data.profiles.length === 1 ? `${data.profiles[0].name}.json` : 'blocklist-profiles.json',
+      filters: [{ name: 'JSON', extensions: ['json'] }],
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
+    }
+
+    try {
+      await fs.writeFile(result.filePath, JSON.stringify(data, null, 2));
+      return { success: true, filePath: result.filePath };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Playlists
+  ipcMain.handle(IPC_CHANNELS.PLAYLIST_GET_ALL, async () => {
+    return settingsManager.getPlaylists();
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PLAYLIST_SAVE, async (event, playlist) => {
+    try {
+      const saved = settingsManager.savePlaylist(playlist);
+      return { success: true, playlist: saved, playlists: settingsManager.getPlaylists() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.PLAYLIST_DELETE, async (event, playlistId) => {
+    const deleted = settingsManager.deletePlaylist(playlistId);
+    return { success: deleted, playlists: settingsManager.getPlaylists() };
+  });
+
+  // Dashboard reports playlist rotation per window (captured in layouts)
+  ipcMain.on(IPC_CHANNELS.PLAYLIST_ROTATION_CHANGED, (event, { windowId, playlistId }) => {
+    windowManager.setWindowMeta(windowId, { playlistId });
+  });
+
+  // Layouts (scenes)
+  ipcMain.handle(IPC_CHANNELS.LAYOUT_GET_ALL, async () => {
+    return layoutManager.getLayouts();
+  });
+
+  ipcMain.handle(IPC_CHANNELS.LAYOUT_SAVE, async (event, { name, id }) => {
+    try {
+      const layout = layoutManager.saveLayout({ name, id });
+      return { success: true, layout, layouts: layoutManager.getLayouts() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.LAYOUT_RESTORE, async (event, { layoutId, closeExisting }) => {
+    try {
+      const windows = layoutManager.restoreLayout(layoutId, { closeExisting });
+      return { success: true, windows };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.LAYOUT_DELETE, async (event, layoutId) => {
+    const deleted = layoutManager.deleteLayout(layoutId);
+    return { success: deleted, layouts: layoutManager.getLayouts() };
+  });
+
+  // Video wall - main.js relays every change to the dashboard, which configures the tiles
+  ipcMain.handle(IPC_CHANNELS.WALL_GET, async () => {
+    return windowManager.getWall();
+  });
+
+  ipcMain.handle(IPC_CHANNELS.WALL_SET_CONFIG, async (event, changes) => {
+    return { success: true, wall: windowManager.setWallConfig(changes) };
+  });
+
+  ipcMain.handle(IPC_CHANNELS.WALL_ASSIGN_TILE, async (event, { windowId, tile }) => {
+    try {
+      return { success: true, wall: windowManager.assignWallTile(windowId, tile) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Remote access (pairing and tokens)
+  const getAuthState = () => ({ pairing: authManager.getPairingInfo(), tokens: authManager.getTokens() });
+
+  ipcMain.handle(IPC_CHANNELS.AUTH_GET_STATE, async () => {
+    return getAuthState();
+  });
+
+  ipcMain.handle(IPC_CHANNELS.AUTH_CREATE_PIN, async (event, role) => {
+    try {
+      authManager.createPairingPin(role);
+      return { success: true, ...getAuthState() };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.AUTH_CANCEL_PIN, async () => {
+    authManager.cancelPairing();
+    return { success: true };
+  });
+
+  ipcMain.handle(IPC_CHANNELS.AUTH_REVOKE_TOKEN, async (event, tokenId) => {
+    return { success: authManager.revokeToken(tokenId) };
+  });
+
+  // Web remote - the dashboard owns window/mic/rotation state, the server publishes it
+  ipcMain.on(IPC_CHANNELS.REMOTE_STATE, (event, state) => {
+    expressServer.setRemoteState(state);
+  });
+
+  ipcMain.on(IPC_CHANNELS.PRESET_CATALOG, (event, presets) => {
+    expressServer.setPresetCatalog(presets);
+  });
+
+  // Connection diagnostics - the dashboard polls its connections, the server publishes them
+  ipcMain.on(IPC_CHANNELS.DIAGNOSTICS_REPORT, (event, diagnostics) => {
+    expressServer.setDiagnostics(diagnostics);
+  });
+
+  // OSC control input and audio feature output
+  const getOscState = () => ({ config: oscServer.config, status: oscServer.getStatus() });
+
+  ipcMain.handle(IPC_CHANNELS.OSC_GET_CONFIG, async () => {
+    return getOscState();
+  });
+
+  ipcMain.handle(IPC_CHANNELS.OSC_SET_CONFIG, async (event, config) => {
+    let normalized;
+    try {
+      normalized = OscServer.normalizeConfig(config); // Reject bad mapping tables before saving them
+    } catch (error) {
+      return { success: false, error: error.message, ...getOscState() };
+    }
+
+    settingsManager.set('osc', normalized);
+    try {
+      await oscServer.configure(normalized);
+      return { success: true, ...getOscState() };
+    } catch (error) {
+      // Saved anyway - e.g. the port may be free next time
+      return { success: false, error: error.message, ...getOscState() };
+    } finally {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send(IPC_CHANNELS.OSC_UPDATED, getOscState());
+      }
+    }
+  });
+
+  // ICE servers for browser clients and the built-in STUN/TURN server
+  // iceServers is what the dashboard itself uses (it reaches the built-in server locally)
+  const getIceState = () => ({
+    config: turnServer.config,
+    status: turnServer.getStatus(),
+    iceServers: turnServer.getIceServers('127.0.0.1'),
+  });
+
+  ipcMain.handle(IPC_CHANNELS.ICE_GET_CONFIG, async () => {
+    return getIceState();
+  });
+
+  ipcMain.handle(IPC_CHANNELS.ICE_SET_CONFIG, async (event, config) => {
+    let normalized;
+    try {
+      normalized = TurnServer.normalizeConfig(config);
+    } catch (error) {
+      return { success: false, error: error.message, ...getIceState() };
+    }
+
+    settingsManager.set('ice', normalized);
+    try {
+      await turnServer.configure(normalized);
+      return { success: true, ...getIceState() };
+    } catch (error) {
+      // Saved anyway - e.g. the port may be free next time
+      return { success: false, error: error.message, ...getIceState() };
+    } finally {
+      expressServer.broadcastIceServers();
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send(IPC_CHANNELS.ICE_UPDATED, getIceState());
+      }
+    }
+  });
+
+  ipcMain.on(IPC_CHANNELS.OSC_FEATURES, (event, features) => {
+    oscServer.sendFeatures(features);
+  });
+
+  ipcMain.on(IPC_CHANNELS.OSC_BEAT, (event, beat) => {
+    oscServer.sendBeat(beat);
+  });
+
+  // Recording
+  const getRecordingState = () => ({
+    recordings: recordingManager.getRecordings(),
+    folder: recordingManager.getFolder(),
+  });
+
+  ipcMain.handle(IPC_CHANNELS.RECORDING_GET_STATE, async () => {
+    return getRecordingState();
+  });
+
+  ipcMain.handle(IPC_CHANNELS.RECORDING_START, async (event, { windowId, options }) => {
+    try {
+      const recording = await recordingManager.start(windowId, options);
+      return { success: true, recording };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.RECORDING_STOP, async (event, windowId) => {
+    try {
+      return { success: true, recording: recordingManager.stop(windowId) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle(IPC_CHANNELS.RECORDING_CHOOSE_FOLDER, async () => {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Recording folder',
+      defaultPath: recordingManager.getFolder(),
+      properties: ['openDirectory', 'createDirectory'],
+    });
+    if (!result.canceled && result.filePaths.length > 0) {
+      recordingManager.setFolder(result.filePaths[0]);
+    }
+    return getRecordingState();
+  });
+
+  // Popups stream their recording back in chunks
+  ipcMain.on(IPC_CHANNELS.RECORDING_CHUNK, (event, { recordingId, data }) => {
+    recordingManager.writeChunk(windowManager.getWindowIdBySender(event.sender), recordingId, data);
+  });
+
+  ipcMain.on(IPC_CHANNELS.RECORDING_STOPPED, (event, { recordingId, error }) => {
+    recordingManager.finish(windowManager.getWindowIdBySender(event.sender), recordingId, error);
+  });
+
   // Browser Client WebRTC Signaling (via Socket.IO)
   ipcMain.on(IPC_CHANNELS.BROWSER_CLIENT_OFFER, (event, { clientId, offer }) => {
     console.log('IPC: Sending offer to browser client:', clientId);
@@ -188,4 +634,18 @@ export function setupIpcHandlers(windowManager, expressServer, settingsManager,
     console.log('IPC: Sending ICE candidate to browser client:', clientId);
     expressServer.sendIceCandidateToBrowserClient(clientId, candidate);
   });
+
+  // Browser Client Socket.IO relay - audio and control for clients whose WebRTC isn't up
+  ipcMain.on(IPC_CHANNELS.BROWSER_CLIENT_RELAY, (event, { clientId, active }) => {
+    console.log(`IPC: ${active ? 'Starting' : 'Stopping'} relay for browser client:`, clientId);
+    expressServer.setBrowserClientRelay(clientId, active);
+  });
+
+  ipcMain.on(IPC_CHANNELS.BROWSER_CLIENT_RELAY_AUDIO, (event, { clientId, frame }) => {
+    expressServer.sendRelayAudio(clientId, frame);
+  });
+
+  ipcMain.on(IPC_CHANNELS.BROWSER_CLIENT_RELAY_CONTROL, (event, { clientId, message }) => {
+    expressServer.sendRelayControl(clientId, message);
+  });
 }
@@ -0,0 +1,155 @@
+import { screen } from 'electron';
+import { randomUUID } from 'crypto';
+
+/**
+ * LayoutManager - Saves and restores popup window layouts (scenes)
+ */
+export class LayoutManager {
+  constructor(windowManager, settingsManager) {
+    this.windowManager = windowManager;
+    this.settingsManager = settingsManager;
+    this.onWindowCreatedCallback = null;
+  }
+
+  /**
+   * Set callback for when restoring a layout creates a window
+   */
+  setOnWindowCreated(callback) {
+    this.onWindowCreatedCallback = callback;
+  }
+
+  /**
+   * Get all saved layouts
+   */
+  getLayouts() {
+    return this.settingsManager.get('layouts', []);
+  }
+
+  /**
+   * Get a layout by ID
+   */
+  getLayout(layoutId) {
+    return this.getLayouts().find((layout) => layout.id === layoutId) || null;
+  }
+
+  /**
+   * Capture the current popup windows into a named layout
+   * Saving with an existing layout's ID overwrites it
+   */
+  saveLayout({ name, id = null }) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('Layout name is required');
+    }
+
+    const layouts = this.getLayouts();
+    const existing = id ? layouts.find((layout) => layout.id === id) : null;
+
+    const layout = {
+      id: existing ? existing.id : randomUUID(),
+      name: name.trim(),
+      savedAt: new Date().toISOString(),
+      windows: this.captureWindows(),
+    };
+
+    this.settingsManager.set(
+      'layouts',
+      existing ? layouts.map((l) => (l.id === layout.id ? layout : l)) : [...layouts, layout]
+    );
+
+    console.log(`💾 Layout "${layout.name}" saved with ${layout.windows.length} window(s)`);
+    return layout;
+  }
+
+  /**
+   * Delete a layout
+   */
+  deleteLayout(layoutId) {
+    const layouts = this.getLayouts();
+    const remaining = layouts.filter((layout) => layout.id !== layoutId);
+    this.settingsManager.set('layouts', remaining);
+    return remaining.length !== layouts.length;
+  }
+
+  /**
+   * Reopen and reposition every window in a layout
+   * Returns the created windows: [{ windowId, preset, playlistId }]
+   */
+  restoreLayout(layoutId, { closeExisting = true } = {}) {
+    const layout = this.getLayout(layoutId);
+    if (!layout) {
+      throw new Error(`Layout not found: ${layoutId}`);
+    }
+
+    if (closeExisting) {
+      this.windowManager.closeAllWindows();
+    }
+
+    const created = layout.windows.map((entry) => {
+      const { windowId } = this.windowManager.createPopupWindow({
+        bounds: this.fitToDisplay(entry),
+        fullscreen: entry.fullscreen,
+        preset: entry.preset,
+      });
+
+      const result = { windowId, preset: entry.preset, playlistId: entry.playlistId };
+      if (this.onWindowCreatedCallback) {
+        this.onWindowCreatedCallback(result);
+      }
+      return result;
+    });
+
+    console.log(`📐 Layout "${layout.name}" restored (${created.length} window(s))`);
+    return created;
+  }
+
+  /**
+   * Snapshot bounds, display, fullscreen state and content of every popup
+   */
+  captureWindows() {
+    return this.windowManager
+      .getAllWindowIds()
+      .map((windowId) => {
+        const window = this.windowManager.getWindow(windowId);
+        if (!window || window.isDestroyed()) return null;
+
+        const fullscreen = window.isFullScreen();
+        const display = screen.getDisplayMatching(window.getBounds());
+        const meta = this.windowManager.getWindowMeta(windowId) || {};
+
+        return {
+          // Normal bounds so un-fullscreening after restore lands in the right place
+          bounds: fullscreen ? window.getNormalBounds() : window.getBounds(),
+          displayId: display.id,
+          displayBounds: display.bounds,
+          fullscreen,
+          preset: meta.preset || null,
+          playlistId: meta.playlistId || null,
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Work out where a saved window should go on the current displays.
+   * If its display is gone, keep the same relative position on the primary display.
+   */
+  fitToDisplay(entry) {
+    const savedDisplay = screen.getAllDisplays().find((display) => display.id === entry.displayId);
+    const display = savedDisplay || screen.getPrimaryDisplay();
+    const area = display.workArea;
+
+    let { x, y, width, height } = entry.bounds;
+    if (!savedDisplay && entry.displayBounds) {
+      x = x - entry.displayBounds.x + display.bounds.x;
+      y = y - entry.displayBounds.y + display.bounds.y;
+    }
+
+    // Keep the window fully on screen
+    width = Math.min(width, area.width);
+    height = Math.min(height, area.height);
+    x = Math.min(Math.max(x, area.x), area.x + area.width - width);
+    y = Math.min(Math.max(y, area.y), area.y + area.height - height);
+
+    return { x, y, width, height };
+  }
+}
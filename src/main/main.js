@@ -3,9 +3,17 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { WindowManager } from './windowManager.js';
 import { ExpressServer } from './expressServer.js';
+import { LayoutManager } from './layoutManager.js';
+import { AuthManager } from './authManager.js';
+import { OscServer } from './oscServer.js';
+import { TurnServer } from './turnServer.js';
+import { RecordingManager } from './recordingManager.js';
+import { PresetLibrary } from './presetLibrary.js';
+import { PresetFolderWatcher } from './presetFolderWatcher.js';
 import { setupIpcHandlers } from './ipcHandlers.js';
 import SettingsManager from './settingsManager.js';
 import { SERVER_PORT } from '../shared/config.js';
+import { normalizeTransitionOptions } from '../shared/transitionOptions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -19,15 +27,40 @@ class ButterVisualizerApp {
     this.windowManager = new WindowManager();
     this.expressServer = new ExpressServer(SERVER_PORT);
     this.settingsManager = new SettingsManager();
+    this.layoutManager = new LayoutManager(this.windowManager, this.settingsManager);
+    this.authManager = new AuthManager(this.settingsManager);
+    this.oscServer = new OscServer(this.expressServer);
+    this.turnServer = new TurnServer();
+    this.recordingManager = new RecordingManager(this.windowManager, this.settingsManager);
+    this.presetLibrary = new PresetLibrary();
+    this.presetFolderWatcher = new PresetFolderWatcher(this.settingsManager);
   }
 
   async initialize() {
     // Load settings
     await this.settingsManager.load();
 
+    // Load imported user presets and start watching preset folders
+    try {
+      await this.presetLibrary.load();
+    } catch (error) {
+      console.error('Failed to load imported presets:', error);
+    }
+    await this.presetFolderWatcher.start();
+
+    // Video wall - saved layout, and changes from the dashboard or REST go to the dashboard and disk
+    this.windowManager.loadWall(this.settingsManager.get('videoWall'));
+    this.windowManager.setOnWallChange((wall) => {
+      this.settingsManager.set('videoWall', { ...wall, epoch: undefined }); // The epoch is per run
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('wall:updated', wall);
+      }
+    });
+
     // Setup window close callback
     this.windowManager.setOnWindowClosed((windowId) => {
       console.log('Window closed:', windowId);
+      this.recordingManager.handleWindowClosed(windowId);
 
       // Notify main window
       if (this.mainWindow && !this.mainWindow.isDestroyed()) {
@@ -38,6 +71,63 @@ class ButterVisualizerApp {
       this.expressServer.broadcastWindowClosed(windowId);
     });
 
+    // Windows opened by restoring a layout - dashboard applies the saved playlist once they're up
+    this.layoutManager.setOnWindowCreated(({ windowId, preset, playlistId }) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('window:created', { windowId, preset, playlistId });
+      }
+      this.expressServer.broadcastWindowCreated(windowId);
+    });
+
+    this.recordingManager.setOnChange((finished) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('recording:updated', {
+          recordings: this.recordingManager.getRecordings(),
+          folder: this.recordingManager.getFolder(),
+          finished,
+        });
+      }
+    });
+
+    // User preset changes go to the dashboard, which relays them to every popup
+    this.presetLibrary.setOnChange((presets, changes) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('preset:imported-updated', { presets, ...changes });
+      }
+    });
+
+    this.presetFolderWatcher.setOnChange((presets, changes) => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('preset:folders-updated', {
+          presets,
+          folders: this.presetFolderWatcher.getFolders(),
+          ...changes,
+        });
+      }
+    });
+
+    // Remote access - revoked tokens lose their live connections straight away
+    this.authManager.setOnTokenRevoked((tokenId) => {
+      this.expressServer.disconnectClient(tokenId);
+    });
+
+    this.authManager.setOnChange(() => {
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('auth:updated', {
+          pairing: this.authManager.getPairingInfo(),
+          tokens: this.authManager.getTokens(),
+        });
+      }
+    });
+
+    this.expressServer.on('auth:authenticate', (token) => {
+      return this.authManager.authenticate(token);
+    });
+
+    this.expressServer.on('auth:pair-requested', ({ pin, name }) => {
+      return this.authManager.pair(pin, name);
+    });
+
     // Setup express server event handlers
     this.expressServer.on('window:create-requested', () => {
       return this.windowManager.createPopupWindow();
@@ -47,18 +137,138 @@ class ButterVisualizerApp {
       this.windowManager.closeWindow(windowId);
     });
 
-    this.expressServer.on('preset:set-requested', ({ windowId, preset }) => {
-      this.windowManager.sendToWindow(windowId, 'preset:changed', { preset });
+    // Preset and mic commands go through the dashboard - it reaches browser clients over
+    // WebRTC and keeps its window list in step
+    this.expressServer.on('preset:set-requested', ({ windowId, preset, ...transition }) => {
+      this.sendRemoteCommand({ action: 'preset-set', windowId, preset, ...normalizeTransitionOptions(transition) });
+    });
+
+    // Older clients (and saved OSC mappings) send just the preset name
+    this.expressServer.on('preset:set-all-requested', (request) => {
+      const { preset, ...transition } = typeof request === 'string' ? { preset: request } : request || {};
+      this.sendRemoteCommand({ action: 'preset-set-all', preset, ...normalizeTransitionOptions(transition) });
+    });
+
+    this.expressServer.on('window:transition-requested', ({ windowId, ...transition }) => {
+      this.sendRemoteCommand({ action: 'transition-set', windowId, ...normalizeTransitionOptions(transition) });
+    });
+
+    this.expressServer.on('preset:step-requested', ({ windowId, direction }) => {
+      this.sendRemoteCommand({ action: 'preset-step', windowId, direction });
+    });
+
+    this.expressServer.on('microphone:toggle', (enabled) => {
+      this.sendRemoteCommand({ action: 'microphone-toggle', enabled });
+    });
+
+    this.expressServer.on('microphone:gain-requested', (gain) => {
+      if (Number.isFinite(gain)) {
+        this.sendRemoteCommand({ action: 'microphone-gain', gain });
+      }
+    });
+
+    this.expressServer.on('favorites:list-requested', () => {
+      return this.settingsManager.getFavoritePresets();
+    });
+
+    this.expressServer.on('favorite:toggle-requested', (preset) => {
+      const favorites = this.settingsManager.toggleFavoritePreset(preset);
+      this.expressServer.broadcastFavorites(favorites);
+      this.notifyPresetMetadataUpdated();
+      return favorites;
     });
 
-    this.expressServer.on('preset:set-all-requested', (preset) => {
-      this.windowManager.sendToAllWindows('preset:changed', { preset });
+    this.expressServer.on('presets:metadata-requested', () => {
+      return this.settingsManager.exportPresetMetadata();
+    });
+
+    this.expressServer.on('preset-profiles:list-requested', () => {
+      return {
+        profiles: this.settingsManager.getPresetProfiles(),
+        activeId: this.settingsManager.getActivePresetProfile().id,
+      };
     });
 
-    this.expressServer.on('browser-client:ready', (clientId) => {
-      // Notify dashboard that a browser client is ready for WebRTC
+    this.expressServer.on('preset-profile:activate-requested', (profileId) => {
+      this.settingsManager.setActivePresetProfile(profileId);
+      this.notifyPresetProfilesUpdated();
+    });
+
+    this.expressServer.on('layout:list-requested', () => {
+      return this.layoutManager.getLayouts();
+    });
+
+    this.expressServer.on('layout:save-requested', ({ name, id }) => {
+      const layout = this.layoutManager.saveLayout({ name, id });
+      this.notifyLayoutsUpdated();
+      return layout;
+    });
+
+    this.expressServer.on('layout:restore-requested', ({ layoutId, closeExisting }) => {
+      return this.layoutManager.restoreLayout(layoutId, { closeExisting });
+    });
+
+    this.expressServer.on('layout:delete-requested', (layoutId) => {
+      const deleted = this.layoutManager.deleteLayout(layoutId);
+      this.notifyLayoutsUpdated();
+      return deleted;
+    });
+
+    this.expressServer.on('wall:get-requested', () => {
+      return this.windowManager.getWall();
+    });
+
+    this.expressServer.on('wall:config-requested', (changes) => {
+      return this.windowManager.setWallConfig(changes);
+    });
+
+    this.expressServer.on('wall:tile-requested', ({ windowId, tile }) => {
+      return this.windowManager.assignWallTile(windowId, tile);
+    });
+
+    this.expressServer.on('playlist:list-requested', () => {
+      return this.settingsManager.getPlaylists();
+    });
+
+    this.expressServer.on('playlist:save-requested', (playlist) => {
+      const saved = this.settingsManager.savePlaylist(playlist);
+      this.notifyPlaylistsUpdated();
+      return saved;
+    });
+
+    this.expressServer.on('playlist:delete-requested', (playlistId) => {
+      const deleted = this.settingsManager.deletePlaylist(playlistId);
+      this.notifyPlaylistsUpdated();
+      return deleted;
+    });
+
+    this.expressServer.on('playlist:command-requested', (command) => {
+      // Rotation timers live in the dashboard
       if (this.mainWindow && !this.mainWindow.isDestroyed()) {
-        this.mainWindow.webContents.send('browser-client:ready', { clientId });
+        this.mainWindow.webContents.send('playlist:command', command);
+      }
+    });
+
+    this.expressServer.on('recording:list-requested', () => {
+      return this.recordingManager.getRecordings();
+    });
+
+    this.expressServer.on('recording:start-requested', ({ windowId, options }) => {
+      return this.recordingManager.start(windowId, options);
+    });
+
+    this.expressServer.on('recording:stop-requested', (windowId) => {
+      return this.recordingManager.stop(windowId);
+    });
+
+    this.expressServer.on('presets:user-requested', (name) => {
+      return this.presetLibrary.getPreset(name) || this.presetFolderWatcher.getPreset(name);
+    });
+
+    this.expressServer.on('browser-client:ready', ({ clientId, connected }) => {
+      // Notify dashboard that a browser client is ready for WebRTC (new, or back after a reconnect)
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('browser-client:ready', { clientId, connected });
       }
     });
 
@@ -76,6 +286,13 @@ class ButterVisualizerApp {
       }
     });
 
+    this.expressServer.on('browser-client:relay-control', ({ clientId, message }) => {
+      // Relay control message from a browser client without WebRTC to dashboard
+      if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+        this.mainWindow.webContents.send('browser-client:relay-control-from-browser', { clientId, message });
+      }
+    });
+
     this.expressServer.on('browser-client:preset-loaded', ({ clientId, preset }) => {
       // Relay preset loaded from browser client to dashboard
       if (this.mainWindow && !this.mainWindow.isDestroyed()) {
@@ -91,6 +308,15 @@ class ButterVisualizerApp {
       }
     });
 
+    // ICE servers for a browser client, by the host it loaded the page from
+    this.expressServer.on('ice:servers-requested', (host) => {
+      return this.turnServer.getIceServers(host);
+    });
+
+    this.expressServer.on('turn:status-requested', () => {
+      return this.turnServer.getStatus();
+    });
+
     this.expressServer.on('get-status', () => {
       return {
         windowCount: this.windowManager.getAllWindowIds().length,
@@ -106,11 +332,69 @@ class ButterVisualizerApp {
       console.error('Failed to start server:', error);
     }
 
+    // OSC shares the server's event handlers, so start it once they're all registered
+    try {
+      await this.oscServer.configure(this.settingsManager.get('osc'));
+    } catch (error) {
+      console.error('Failed to start OSC server:', error);
+    }
+
+    try {
+      await this.turnServer.configure(this.settingsManager.get('ice'));
+    } catch (error) {
+      console.error('Failed to start STUN/TURN server:', error);
+    }
+
     // Create main window
     this.createMainWindow();
 
     // Setup IPC handlers after window is created
-    setupIpcHandlers(this.windowManager, this.expressServer, this.settingsManager, this.mainWindow);
+    setupIpcHandlers(
+      this.windowManager,
+      this.expressServer,
+      this.settingsManager,
+      this.mainWindow,
+      this.layoutManager,
+      this.authManager,
+      this.oscServer,
+      this.turnServer,
+      this.recordingManager,
+      this.presetLibrary,
+      this.presetFolderWatcher
+    );
+  }
+
+  sendRemoteCommand(command) {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('remote:command', command);
+    }
+  }
+
+  notifyPlaylistsUpdated() {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('playlist:updated', { playlists: this.settingsManager.getPlaylists() });
+    }
+  }
+
+  notifyPresetMetadataUpdated() {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('preset:metadata-updated', this.settingsManager.getPresetMetadata());
+    }
+  }
+
+  notifyPresetProfilesUpdated() {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('preset-profile:updated', {
+        profiles: this.settingsManager.getPresetProfiles(),
+        activeId: this.settingsManager.getActivePresetProfile().id,
+      });
+    }
+  }
+
+  notifyLayoutsUpdated() {
+    if (this.mainWindow && !this.mainWindow.isDestroyed()) {
+      this.mainWindow.webContents.send('layout:updated', { layouts: this.layoutManager.getLayouts() });
+    }
   }
 
   createMainWindow() {
@@ -145,10 +429,16 @@ class ButterVisualizerApp {
     // Save settings immediately
     await this.settingsManager.saveNow();
 
+    // Keep whatever has been recorded so far
+    this.recordingManager.stopAll();
+
     // Close all popup windows
     this.windowManager.closeAllWindows();
 
-    // Stop express server
+    // Stop servers
+    this.presetFolderWatcher.stop();
+    await this.oscServer.stop();
+    await this.turnServer.stop();
     await this.expressServer.stop();
   }
 }
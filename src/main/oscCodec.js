@@ -0,0 +1,194 @@
+/**
+ * Minimal OSC 1.0 encoder/decoder (messages and bundles over UDP)
+ *
+ * Decoded arguments are plain JS values: i/f/d/h → number, s/S → string, b → Buffer,
+ * T/F → boolean, N/I → null/Infinity. Timetags on bundles are ignored (everything runs immediately).
+ */
+
+const BUNDLE_TAG = '#bundle';
+
+// OSC strings and blobs are padded with NULs to a multiple of 4 bytes
+const padded = (length) => (length + 4) & ~3;
+
+const readString = (buffer, offset) => {
+  const end = buffer.indexOf(0, offset);
+  if (end === -1) {
+    throw new Error('Unterminated OSC string');
+  }
+  return { value: buffer.toString('utf8', offset, end), offset: offset + padded(end - offset) };
+};
+
+// Packets come straight off the network - never read past the end of one
+const ensureAvailable = (buffer, offset, size) => {
+  if (offset + size > buffer.length) {
+    throw new Error('Truncated OSC packet');
+  }
+};
+
+const ARGUMENT_SIZES = { i: 4, f: 4, d: 8, h: 8, b: 4 };
+
+const readArgument = (type, buffer, offset) => {
+  ensureAvailable(buffer, offset, ARGUMENT_SIZES[type] || 0);
+  switch (type) {
+    case 'i':
+      return { value: buffer.readInt32BE(offset), offset: offset + 4 };
+    case 'f':
+      return { value: buffer.readFloatBE(offset), offset: offset + 4 };
+    case 'd':
+      return { value: buffer.readDoubleBE(offset), offset: offset + 8 };
+    case 'h':
+      return { value: Number(buffer.readBigInt64BE(offset)), offset: offset + 8 };
+    case 's':
+    case 'S':
+      return readString(buffer, offset);
+    case 'b': {
+      const size = buffer.readInt32BE(offset);
+      const start = offset + 4;
+      if (size < 0) {
+        throw new Error('Invalid OSC blob size');
+      }
+      ensureAvailable(buffer, start, size);
+      return { value: buffer.subarray(start, start + size), offset: start + ((size + 3) & ~3) };
+    }
+    case 'T':
+      return { value: true, offset };
+    case 'F':
+      return { value: false, offset };
+    case 'N':
+      return { value: null, offset };
+    case 'I':
+      return { value: Infinity, offset };
+    default:
+      throw new Error(`Unsupported OSC type tag: ${type}`);
+  }
+};
+
+const decodeMessage = (buffer) => {
+  const { value: address, offset: afterAddress } = readString(buffer, 0);
+  if (!address.startsWith('/')) {
+    throw new Error(`Invalid OSC address: ${address}`);
+  }
+
+  // Type tags are optional in very old senders - treat a missing string as "no arguments"
+  if (afterAddress >= buffer.length) {
+    return { address, args: [] };
+  }
+
+  const { value: tags, offset: afterTags } = readString(buffer, afterAddress);
+  if (!tags.startsWith(',')) {
+    throw new Error('Missing OSC type tag string');
+  }
+
+  const args = [];
+  let offset = afterTags;
+  for (const type of tags.slice(1)) {
+    // Array brackets only group arguments - flatten them
+    if (type === '[' || type === ']') continue;
+    const result = readArgument(type, buffer, offset);
+    args.push(result.value);
+    offset = result.offset;
+  }
+
+  return { address, args };
+};
+
+/**
+ * Decode a UDP datagram into a flat list of messages ({ address, args })
+ */
+export function decodeOscPacket(buffer) {
+  if (buffer.length === 0 || buffer.length % 4 !== 0) {
+    throw new Error('OSC packets must be a non-empty multiple of 4 bytes');
+  }
+
+  if (buffer[0] !== 0x23) {
+    return [decodeMessage(buffer)];
+  }
+
+  const { value: tag, offset: afterTag } = readString(buffer, 0);
+  if (tag !== BUNDLE_TAG) {
+    throw new Error(`Invalid OSC bundle tag: ${tag}`);
+  }
+
+  // Skip the 8-byte timetag, then read size-prefixed elements (which may be bundles themselves)
+  ensureAvailable(buffer, afterTag, 8);
+  const messages = [];
+  let offset = afterTag + 8;
+  while (offset < buffer.length) {
+    const size = buffer.readInt32BE(offset);
+    const start = offset + 4;
+    if (size <= 0 || start + size > buffer.length) {
+      throw new Error('Invalid OSC bundle element size');
+    }
+    messages.push(...decodeOscPacket(buffer.subarray(start, start + size)));
+    offset = start + size;
+  }
+  return messages;
+}
+
+const encodeString = (value) => {
+  const bytes = Buffer.from(value, 'utf8');
+  const buffer = Buffer.alloc(padded(bytes.length));
+  bytes.copy(buffer);
+  return buffer;
+};
+
+const inferType = (value) => {
+  if (typeof value === 'number') return 'f';
+  if (typeof value === 'string') return 's';
+  if (typeof value === 'boolean') return value ? 'T' : 'F';
+  if (value === null || value === undefined) return 'N';
+  if (Buffer.isBuffer(value)) return 'b';
+  throw new Error(`Cannot encode ${typeof value} as an OSC argument`);
+};
+
+const encodeArgument = (arg) => {
+  // Explicit { type, value } wins; otherwise infer (numbers are sent as floats)
+  const { type, value } =
+    arg !== null && typeof arg === 'object' && !Buffer.isBuffer(arg) ? arg : { type: inferType(arg), value: arg };
+
+  switch (type) {
+    case 'i': {
+      const buffer = Buffer.alloc(4);
+      buffer.writeInt32BE(Math.round(value));
+      return { type, data: buffer };
+    }
+    case 'f': {
+      const buffer = Buffer.alloc(4);
+      buffer.writeFloatBE(value);
+      return { type, data: buffer };
+    }
+    case 'd': {
+      const buffer = Buffer.alloc(8);
+      buffer.writeDoubleBE(value);
+      return { type, data: buffer };
+    }
+    case 's':
+      return { type, data: encodeString(String(value)) };
+    case 'b': {
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(value.length);
+      const data = Buffer.alloc((value.length + 3) & ~3);
+      value.copy(data);
+      return { type, data: Buffer.concat([size, data]) };
+    }
+    case 'T':
+    case 'F':
+    case 'N':
+    case 'I':
+      return { type, data: Buffer.alloc(0) };
+    default:
+      throw new Error(`Unsupported OSC type tag: ${type}`);
+  }
+};
+
+/**
+ * Encode a single OSC message - args are JS values or explicit { type, value } pairs
+ */
+export function encodeOscMessage(address, args = []) {
+  const encoded = args.map(encodeArgument);
+  return Buffer.concat([
+    encodeString(address),
+    encodeString(',' + encoded.map(({ type }) => type).join('')),
+    ...encoded.map(({ data }) => data),
+  ]);
+}
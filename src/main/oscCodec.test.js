@@ -0,0 +1,120 @@
+import { describe, it, expect, vi } from 'vitest';
+import { decodeOscPacket, encodeOscMessage } from './oscCodec.js';
+import { OscServer } from './oscServer.js';
+
+// A bundle of size-prefixed elements (timetag 1 = "immediately")
+const encodeBundle = (elements) =>
+  Buffer.concat([
+    Buffer.from('#bundle\0'),
+    Buffer.from([0, 0, 0, 0, 0, 0, 0, 1]),
+    ...elements.flatMap((element) => {
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(element.length);
+      return [size, element];
+    }),
+  ]);
+
+describe('oscCodec', () => {
+  it('pads the address and type tag strings to 4 bytes', () => {
+    // "/abc" needs a whole word of NULs, ",f" two
+    const encoded = encodeOscMessage('/abc', [1]);
+    expect(encoded.length).toBe(8 + 4 + 4);
+    expect(encoded.subarray(0, 8)).toEqual(Buffer.from('/abc\0\0\0\0'));
+    expect(encoded.subarray(8, 12)).toEqual(Buffer.from(',f\0\0'));
+  });
+
+  it('round-trips every supported type tag', () => {
+    const blob = Buffer.from([1, 2, 3, 4, 5]);
+    const encoded = encodeOscMessage('/butter/test', [
+      { type: 'i', value: -42 },
+      0.5,
+      { type: 'd', value: 1 / 3 },
+      'hello',
+      blob,
+      true,
+      false,
+      null,
+      { type: 'I' },
+    ]);
+    expect(encoded.length % 4).toBe(0);
+
+    const [message] = decodeOscPacket(encoded);
+    expect(message.address).toBe('/butter/test');
+    expect(message.args).toEqual([-42, 0.5, 1 / 3, 'hello', blob, true, false, null, Infinity]);
+  });
+
+  it('decodes int64 arguments and flattens arrays', () => {
+    const packet = Buffer.concat([
+      Buffer.from('/x\0\0'),
+      Buffer.from(',[h]\0\0\0\0'),
+      Buffer.from([0, 0, 0, 0, 0, 0, 0, 7]),
+    ]);
+    expect(decodeOscPacket(packet)).toEqual([{ address: '/x', args: [7] }]);
+  });
+
+  it('treats a message without a type tag string as having no arguments', () => {
+    expect(decodeOscPacket(Buffer.from('/old\0\0\0\0'))).toEqual([{ address: '/old', args: [] }]);
+  });
+
+  it('flattens bundles, including nested ones', () => {
+    const first = encodeOscMessage('/one', [1]);
+    const second = encodeOscMessage('/two', ['x']);
+    const third = encodeOscMessage('/three', []);
+    const packet = encodeBundle([first, encodeBundle([second, third])]);
+
+    expect(decodeOscPacket(packet).map(({ address }) => address)).toEqual(['/one', '/two', '/three']);
+  });
+
+  it('rejects packets that are empty or not a multiple of 4 bytes', () => {
+    expect(() => decodeOscPacket(Buffer.alloc(0))).toThrow('multiple of 4');
+    expect(() => decodeOscPacket(Buffer.from('/abc\0\0'))).toThrow('multiple of 4');
+  });
+
+  it('rejects malformed messages', () => {
+    expect(() => decodeOscPacket(Buffer.from('/abc'))).toThrow('Unterminated OSC string');
+    expect(() => decodeOscPacket(Buffer.from('abc\0'))).toThrow('Invalid OSC address');
+    expect(() => decodeOscPacket(Buffer.from('/abc\0\0\0\0xyz\0'))).toThrow('Missing OSC type tag string');
+    expect(() => decodeOscPacket(Buffer.from('/abc\0\0\0\0,q\0\0'))).toThrow('Unsupported OSC type tag');
+  });
+
+  it('rejects arguments that run past the end of the packet', () => {
+    const truncated = encodeOscMessage('/abc', [{ type: 'd', value: 1 }]).subarray(0, 16);
+    expect(() => decodeOscPacket(truncated)).toThrow('Truncated OSC packet');
+
+    // Blob claiming 64 bytes with only 4 present
+    const blob = Buffer.concat([Buffer.from('/abc\0\0\0\0,b\0\0'), Buffer.from([0, 0, 0, 64, 1, 2, 3, 4])]);
+    expect(() => decodeOscPacket(blob)).toThrow('Truncated OSC packet');
+
+    const negativeBlob = Buffer.concat([Buffer.from('/abc\0\0\0\0,b\0\0'), Buffer.from([0xff, 0xff, 0xff, 0xfc])]);
+    expect(() => decodeOscPacket(negativeBlob)).toThrow('Invalid OSC blob size');
+  });
+
+  it('rejects malformed bundles', () => {
+    expect(() => decodeOscPacket(Buffer.from('#bundle\0'))).toThrow('Truncated OSC packet');
+    expect(() => decodeOscPacket(Buffer.from('#bundlx\0\0\0\0\0\0\0\0\0'))).toThrow('Invalid OSC bundle tag');
+
+    const oversized = encodeBundle([encodeOscMessage('/one', [])]);
+    oversized.writeInt32BE(1000, 16);
+    expect(() => decodeOscPacket(oversized)).toThrow('Invalid OSC bundle element size');
+
+    const empty = encodeBundle([encodeOscMessage('/one', [])]);
+    empty.writeInt32BE(0, 16);
+    expect(() => decodeOscPacket(empty)).toThrow('Invalid OSC bundle element size');
+  });
+
+  it('drops malformed packets in the socket handler without throwing', () => {
+    const emit = vi.fn();
+    const server = new OscServer({ emit });
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const remote = { address: '127.0.0.1', port: 9999 };
+
+    [Buffer.alloc(0), Buffer.from('/abc'), Buffer.from('#bundle\0'), Buffer.from('/abc\0\0\0\0,b\0\0\0\0\0\x40')].forEach(
+      (packet) => expect(() => server.handlePacket(packet, remote)).not.toThrow()
+    );
+    expect(emit).not.toHaveBeenCalled();
+
+    server.handlePacket(encodeOscMessage('/butter/window/create'), remote);
+    expect(emit).toHaveBeenCalledWith('window:create-requested', {});
+    warn.mockRestore();
+  });
+});
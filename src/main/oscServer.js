@@ -0,0 +1,392 @@
+import dgram from 'dgram';
+import net from 'net';
+import { decodeOscPacket, encodeOscMessage } from './oscCodec.js';
+import { PLAYLIST_ACTIONS, parseWindowId } from './expressServer.js';
+
+/**
+ * Incoming address → ExpressServer event. `{name}` segments become payload fields, `args` names
+ * the OSC arguments in order ("name:type", "?" suffix = optional), `data` adds constant fields
+ * and `value` sends a single field instead of the whole object.
+ */
+export const DEFAULT_OSC_MAPPINGS = [
+  {
+    address: '/butter/window/{windowId}/preset',
+    event: 'preset:set-requested',
+    args: ['preset:string', 'transitionTime:number?', 'transitionMode:string?'],
+  },
+  {
+    address: '/butter/all/preset',
+    event: 'preset:set-all-requested',
+    args: ['preset:string', 'transitionTime:number?', 'transitionMode:string?'],
+  },
+  { address: '/butter/window/{windowId}/next', event: 'preset:step-requested', data: { direction: 1 } },
+  { address: '/butter/window/{windowId}/previous', event: 'preset:step-requested', data: { direction: -1 } },
+  { address: '/butter/all/next', event: 'preset:step-requested', data: { windowId: 'all', direction: 1 } },
+  { address: '/butter/all/previous', event: 'preset:step-requested', data: { windowId: 'all', direction: -1 } },
+  {
+    address: '/butter/window/{windowId}/playlist/{action}',
+    event: 'playlist:command-requested',
+    args: ['playlistId:string?'],
+  },
+  { address: '/butter/window/create', event: 'window:create-requested' },
+  { address: '/butter/window/{windowId}/close', event: 'window:close-requested', value: 'windowId' },
+  { address: '/butter/mic/toggle', event: 'microphone:toggle', args: ['enabled:boolean?'], value: 'enabled' },
+  { address: '/butter/mic/gain', event: 'microphone:gain-requested', args: ['gain:number'], value: 'gain' },
+  { address: '/butter/layout/{layoutId}/restore', event: 'layout:restore-requested' },
+];
+
+/**
+ * Outgoing audio features → OSC address (empty string disables that feature)
+ */
+export const DEFAULT_OSC_OUTPUT_MAPPINGS = {
+  level: '/butter/audio/level',
+  bass: '/butter/audio/bass',
+  mid: '/butter/audio/mid',
+  treble: '/butter/audio/treble',
+  beat: '/butter/audio/beat',
+};
+
+export const DEFAULT_OSC_CONFIG = {
+  enabled: false,
+  host: '127.0.0.1', // Local tools only - listening on the network needs an explicit host
+  port: 9000,
+  allowedSenders: [], // IP addresses control messages are accepted from - empty accepts any sender
+  outputEnabled: false,
+  outputHost: '127.0.0.1',
+  outputPort: 9001,
+  outputRate: 30, // Feature messages per second
+  mappings: DEFAULT_OSC_MAPPINGS,
+  outputMappings: DEFAULT_OSC_OUTPUT_MAPPINGS,
+};
+
+const toPort = (value, fallback) => {
+  const port = Number(value);
+  return Number.isInteger(port) && port > 0 && port < 65536 ? port : fallback;
+};
+
+// IPv4 senders show up as IPv4-mapped IPv6 addresses on some sockets
+const normalizeAddress = (address) => address.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+/**
+ * Validate the allowed sender list - an array or a comma/space separated string of IP addresses
+ */
+export function normalizeAllowedSenders(senders) {
+  const list = typeof senders === 'string' ? senders.split(/[\s,]+/) : senders || [];
+  if (!Array.isArray(list)) {
+    throw new Error('OSC allowed senders must be a list of IP addresses');
+  }
+
+  return list
+    .map((address) => String(address).trim())
+    .filter(Boolean)
+    .map((address) => {
+      if (!net.isIP(address)) {
+        throw new Error(`Invalid OSC allowed sender: ${address}`);
+      }
+      return normalizeAddress(address);
+    });
+}
+
+/**
+ * Check an event payload the way the REST routes do (returns an error message, or null)
+ */
+function validatePayload(event, payload) {
+  if (event === 'playlist:command-requested') {
+    const { action, playlistId } = payload || {};
+    if (!PLAYLIST_ACTIONS.includes(action) || (action === 'start' && !playlistId)) {
+      return `Invalid playlist command: ${action}`;
+    }
+  }
+  return null;
+}
+
+const coerceArgument = (value, type) => {
+  switch (type) {
+    case 'string':
+      return String(value);
+    case 'number':
+      return Number(value);
+    case 'int':
+      return Math.round(Number(value));
+    case 'boolean':
+      // Buttons and faders send 1/0 floats, some tools send "true"/"false"
+      if (typeof value === 'string') return value === 'true' || value === '1';
+      return Boolean(value);
+    default:
+      return value;
+  }
+};
+
+/**
+ * Validate a mapping table and compile its addresses for matching
+ */
+export function compileOscMappings(mappings) {
+  if (!Array.isArray(mappings)) {
+    throw new Error('OSC mappings must be an array');
+  }
+
+  return mappings.map((mapping) => {
+    if (!mapping || typeof mapping.address !== 'string' || !mapping.address.startsWith('/')) {
+      throw new Error(`Invalid OSC address in mapping: ${JSON.stringify(mapping?.address)}`);
+    }
+    if (typeof mapping.event !== 'string' || !mapping.event) {
+      throw new Error(`OSC mapping for ${mapping.address} needs an event`);
+    }
+
+    const args = (mapping.args || []).map((spec) => {
+      if (typeof spec !== 'string' || !spec) {
+        throw new Error(`OSC mapping for ${mapping.address} has an invalid argument name`);
+      }
+      const optional = spec.endsWith('?');
+      const [name, type] = (optional ? spec.slice(0, -1) : spec).split(':');
+      return { name, type, optional };
+    });
+
+    return {
+      ...mapping,
+      segments: mapping.address.split('/').slice(1),
+      args,
+    };
+  });
+}
+
+/**
+ * OscServer - OSC-over-UDP control input and audio feature output for show-control tools
+ *
+ * Incoming messages are mapped onto the same ExpressServer events main.js handles for REST and
+ * Socket.IO, so OSC can do anything the remote API can. OSC has no authentication, so the
+ * listener binds to 127.0.0.1 unless configured otherwise and can be limited to known senders.
+ */
+export class OscServer {
+  constructor(expressServer) {
+    this.expressServer = expressServer;
+    this.config = { ...DEFAULT_OSC_CONFIG };
+    this.routes = compileOscMappings(DEFAULT_OSC_MAPPINGS);
+    this.socket = null;
+    this.isListening = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Merge stored settings with defaults (throws on an invalid mapping table)
+   */
+  static normalizeConfig(config = {}) {
+    const merged = { ...DEFAULT_OSC_CONFIG, ...(config || {}) };
+    const mappings = merged.mappings ?? DEFAULT_OSC_MAPPINGS; // null resets to the defaults
+    compileOscMappings(mappings);
+
+    return {
+      ...merged,
+      mappings,
+      enabled: Boolean(merged.enabled),
+      host: typeof merged.host === 'string' && merged.host ? merged.host : DEFAULT_OSC_CONFIG.host,
+      port: toPort(merged.port, DEFAULT_OSC_CONFIG.port),
+      allowedSenders: normalizeAllowedSenders(merged.allowedSenders),
+      outputEnabled: Boolean(merged.outputEnabled),
+      outputHost:
+        typeof merged.outputHost === 'string' && merged.outputHost ? merged.outputHost : DEFAULT_OSC_CONFIG.outputHost,
+      outputPort: toPort(merged.outputPort, DEFAULT_OSC_CONFIG.outputPort),
+      outputRate: Math.min(120, Math.max(1, Number(merged.outputRate) || DEFAULT_OSC_CONFIG.outputRate)),
+      outputMappings: { ...DEFAULT_OSC_OUTPUT_MAPPINGS, ...(merged.outputMappings || {}) },
+    };
+  }
+
+  /**
+   * Apply a new configuration, restarting the socket as needed
+   */
+  async configure(config) {
+    this.config = OscServer.normalizeConfig(config);
+    this.routes = compileOscMappings(this.config.mappings);
+
+    await this.stop();
+    if (this.config.enabled || this.config.outputEnabled) {
+      await this.start();
+    }
+    return this.config;
+  }
+
+  /**
+   * Open the UDP socket - bound to the input port when listening, otherwise send-only
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      this.socket = socket;
+      this.lastError = null;
+
+      socket.on('error', (error) => {
+        console.error('OSC socket error:', error);
+        this.lastError = error.message;
+      });
+
+      if (!this.config.enabled) {
+        resolve();
+        return;
+      }
+
+      socket.on('message', (buffer, remote) => this.handlePacket(buffer, remote));
+
+      const onBindError = (error) => {
+        this.socket = null;
+        socket.close();
+        reject(error);
+      };
+      socket.once('error', onBindError);
+
+      socket.bind(this.config.port, this.config.host, () => {
+        socket.off('error', onBindError);
+        this.isListening = true;
+        console.log(`🎛️ OSC listening on udp://${this.config.host}:${this.config.port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Close the UDP socket
+   */
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.socket) {
+        resolve();
+        return;
+      }
+
+      const socket = this.socket;
+      this.socket = null;
+      this.isListening = false;
+      socket.close(() => resolve());
+    });
+  }
+
+  handlePacket(buffer, remote) {
+    const { allowedSenders } = this.config;
+    if (allowedSenders.length > 0 && !allowedSenders.includes(normalizeAddress(remote.address))) {
+      console.warn(`Ignoring OSC packet from ${remote.address} (not an allowed sender)`);
+      return;
+    }
+
+    let messages;
+    try {
+      messages = decodeOscPacket(buffer);
+    } catch (error) {
+      console.warn(`Ignoring malformed OSC packet from ${remote.address}:`, error.message);
+      return;
+    }
+
+    messages.forEach((message) => this.handleMessage(message));
+  }
+
+  /**
+   * Dispatch one decoded message - returns whether a mapping handled it
+   */
+  handleMessage({ address, args }) {
+    const segments = address.split('/').slice(1);
+
+    for (const route of this.routes) {
+      const payload = this.matchRoute(route, segments, args);
+      if (payload === undefined) continue;
+
+      const error = validatePayload(route.event, payload);
+      if (error) {
+        console.warn(`OSC ${address} rejected:`, error);
+        return true;
+      }
+
+      try {
+        this.expressServer.emit(route.event, route.value ? payload[route.value] : payload);
+      } catch (error) {
+        console.warn(`OSC ${address} failed:`, error.message);
+      }
+      return true;
+    }
+
+    console.warn('Unmapped OSC address:', address);
+    return false;
+  }
+
+  /**
+   * Build the event payload when an address matches a route (undefined when it doesn't)
+   */
+  matchRoute(route, segments, args) {
+    if (route.segments.length !== segments.length) return undefined;
+
+    const payload = { ...route.data };
+    for (let i = 0; i < segments.length; i++) {
+      const pattern = route.segments[i];
+      if (pattern.startsWith('{') && pattern.endsWith('}')) {
+        payload[pattern.slice(1, -1)] = segments[i];
+      } else if (pattern !== segments[i]) {
+        return undefined;
+      }
+    }
+
+    for (let i = 0; i < route.args.length; i++) {
+      const { name, type, optional } = route.args[i];
+      if (i >= args.length) {
+        if (optional) continue;
+        console.warn(`OSC ${route.address} is missing argument "${name}"`);
+        return undefined;
+      }
+      payload[name] = coerceArgument(args[i], type);
+    }
+
+    // Window IDs may arrive as address segments, strings or (float) numbers
+    if (payload.windowId !== undefined && payload.windowId !== 'all') {
+      payload.windowId =
+        typeof payload.windowId === 'number' ? Math.round(payload.windowId) : parseWindowId(String(payload.windowId));
+    }
+
+    return payload;
+  }
+
+  /**
+   * Send a message to the configured output target
+   */
+  send(address, args) {
+    if (!this.socket || !this.config.outputEnabled || !address) return;
+
+    const message = encodeOscMessage(address, args);
+    this.socket.send(message, this.config.outputPort, this.config.outputHost, (error) => {
+      if (error) {
+        this.lastError = error.message;
+      }
+    });
+  }
+
+  /**
+   * Send audio features reported by the dashboard ({ level, bass, mid, treble }, each 0-1)
+   */
+  sendFeatures(features) {
+    const { outputMappings } = this.config;
+    ['level', 'bass', 'mid', 'treble'].forEach((feature) => {
+      if (typeof features?.[feature] === 'number') {
+        this.send(outputMappings[feature], [features[feature]]);
+      }
+    });
+  }
+
+  /**
+   * Send a beat (beat in bar, bar in phrase, phrase, bpm)
+   */
+  sendBeat({ beat, bar, phrase, bpm }) {
+    this.send(this.config.outputMappings.beat, [
+      { type: 'i', value: beat },
+      { type: 'i', value: bar },
+      { type: 'i', value: phrase },
+      bpm || 0,
+    ]);
+  }
+
+  /**
+   * Get listener status
+   */
+  getStatus() {
+    return {
+      listening: this.isListening,
+      port: this.config.port,
+      outputEnabled: this.config.outputEnabled && Boolean(this.socket),
+      error: this.lastError,
+    };
+  }
+}
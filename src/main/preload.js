@@ -24,6 +24,37 @@ const IPC_CHANNELS = {
   PRESET_CHANGED: 'preset:changed',
   PRESET_LOADED: 'preset:loaded',
 
+  // Imported user presets (.milk / butterchurn JSON)
+  PRESET_GET_IMPORTED: 'preset:get-imported',
+  PRESET_IMPORT: 'preset:import',
+  PRESET_DELETE_IMPORTED: 'preset:delete-imported',
+  PRESET_IMPORTED_UPDATED: 'preset:imported-updated',
+  PRESET_GET_USER: 'preset:get-user',
+  PRESET_SAVE_USER: 'preset:save-user',
+
+  // Watched preset folders (hot reloaded)
+  PRESET_FOLDERS_GET: 'preset:folders-get',
+  PRESET_FOLDERS_ADD: 'preset:folders-add',
+  PRESET_FOLDERS_REMOVE: 'preset:folders-remove',
+  PRESET_FOLDERS_UPDATED: 'preset:folders-updated',
+
+  // Favorites, star ratings and tags
+  PRESET_META_GET: 'preset:metadata-get',
+  PRESET_META_TOGGLE_FAVORITE: 'preset:metadata-toggle-favorite',
+  PRESET_META_SET_RATING: 'preset:metadata-set-rating',
+  PRESET_META_SET_TAGS: 'preset:metadata-set-tags',
+  PRESET_META_EXPORT: 'preset:metadata-export',
+  PRESET_META_UPDATED: 'preset:metadata-updated',
+
+  // Preset blocklist profiles (named disabled-preset lists)
+  PRESET_PROFILE_GET_ALL: 'preset-profile:get-all',
+  PRESET_PROFILE_SAVE: 'preset-profile:save',
+  PRESET_PROFILE_DELETE: 'preset-profile:delete',
+  PRESET_PROFILE_ACTIVATE: 'preset-profile:activate',
+  PRESET_PROFILE_IMPORT: 'preset-profile:import',
+  PRESET_PROFILE_EXPORT: 'preset-profile:export',
+  PRESET_PROFILE_UPDATED: 'preset-profile:updated',
+
   // WebRTC Signaling
   WEBRTC_CREATE: 'webrtc:create-connection',
   WEBRTC_OFFER: 'webrtc:offer',
@@ -41,6 +72,65 @@ const IPC_CHANNELS = {
   SETTINGS_SET: 'settings:set',
   SETTINGS_GET_ALL: 'settings:get-all',
   SETTINGS_TOGGLE_PRESET: 'settings:toggle-preset',
+  SETTINGS_DISABLE_PRESET: 'settings:disable-preset',
+
+  // Playlists
+  PLAYLIST_GET_ALL: 'playlist:get-all',
+  PLAYLIST_SAVE: 'playlist:save',
+  PLAYLIST_DELETE: 'playlist:delete',
+  PLAYLIST_UPDATED: 'playlist:updated',
+  PLAYLIST_COMMAND: 'playlist:command',
+  PLAYLIST_ROTATION_CHANGED: 'playlist:rotation-changed',
+
+  // Layouts (scenes)
+  LAYOUT_GET_ALL: 'layout:get-all',
+  LAYOUT_SAVE: 'layout:save',
+  LAYOUT_RESTORE: 'layout:restore',
+  LAYOUT_DELETE: 'layout:delete',
+  LAYOUT_UPDATED: 'layout:updated',
+
+  // Video wall (one visualization across several windows)
+  WALL_GET: 'wall:get',
+  WALL_SET_CONFIG: 'wall:set-config',
+  WALL_ASSIGN_TILE: 'wall:assign-tile',
+  WALL_UPDATED: 'wall:updated',
+
+  // Remote access (pairing and tokens)
+  AUTH_GET_STATE: 'auth:get-state',
+  AUTH_CREATE_PIN: 'auth:create-pin',
+  AUTH_CANCEL_PIN: 'auth:cancel-pin',
+  AUTH_REVOKE_TOKEN: 'auth:revoke-token',
+  AUTH_UPDATED: 'auth:updated',
+
+  // Web remote (/remote) - commands relayed to the dashboard, dashboard state published back
+  REMOTE_COMMAND: 'remote:command',
+  REMOTE_STATE: 'remote:state',
+  PRESET_CATALOG: 'preset:catalog',
+
+  // Connection diagnostics - gathered by the dashboard, served at /api/diagnostics
+  DIAGNOSTICS_REPORT: 'diagnostics:report',
+
+  // OSC control input and audio feature output
+  OSC_GET_CONFIG: 'osc:get-config',
+  OSC_SET_CONFIG: 'osc:set-config',
+  OSC_UPDATED: 'osc:updated',
+  OSC_FEATURES: 'osc:features',
+  OSC_BEAT: 'osc:beat',
+
+  // ICE servers and the built-in STUN/TURN server
+  ICE_GET_CONFIG: 'ice:get-config',
+  ICE_SET_CONFIG: 'ice:set-config',
+  ICE_UPDATED: 'ice:updated',
+
+  // Recording (popup canvas → WebM file)
+  RECORDING_START: 'recording:start',
+  RECORDING_STOP: 'recording:stop',
+  RECORDING_GET_STATE: 'recording:get-state',
+  RECORDING_CHOOSE_FOLDER: 'recording:choose-folder',
+  RECORDING_UPDATED: 'recording:updated',
+  RECORDING_COMMAND: 'recording:command',
+  RECORDING_CHUNK: 'recording:chunk',
+  RECORDING_STOPPED: 'recording:stopped',
 
   // Browser Clients (Socket.IO WebRTC signaling)
   BROWSER_CLIENT_READY: 'browser-client:ready',
@@ -48,6 +138,10 @@ const IPC_CHANNELS = {
   BROWSER_CLIENT_ICE: 'browser-client:ice',
   BROWSER_CLIENT_ANSWER: 'browser-client:answer-from-browser',
   BROWSER_CLIENT_ICE_FROM_BROWSER: 'browser-client:ice-from-browser',
+  BROWSER_CLIENT_RELAY: 'browser-client:relay',
+  BROWSER_CLIENT_RELAY_AUDIO: 'browser-client:relay-audio',
+  BROWSER_CLIENT_RELAY_CONTROL: 'browser-client:relay-control',
+  BROWSER_CLIENT_RELAY_CONTROL_FROM_BROWSER: 'browser-client:relay-control-from-browser',
 };
 
 /**
@@ -61,14 +155,60 @@ contextBridge.exposeInMainWorld('electronAPI', {
   closeWindow: (windowId) => ipcRenderer.invoke(IPC_CHANNELS.WINDOW_CLOSE, windowId),
   closeAllWindows: () => ipcRenderer.invoke(IPC_CHANNELS.WINDOW_CLOSE_ALL),
   getWindows: () => ipcRenderer.invoke(IPC_CHANNELS.WINDOW_LIST),
-  notifyWindowClosed: (windowId) => ipcRenderer.send(IPC_CHANNELS.WINDOW_CLOSED, { windowId }),
 
   // Preset Management
-  setPreset: (windowId, preset) =>
-    ipcRenderer.invoke(IPC_CHANNELS.PRESET_SET, { windowId, preset }),
-  setAllPresets: (preset) => ipcRenderer.invoke(IPC_CHANNELS.PRESET_SET_ALL, { preset }),
+  setPreset: (windowId, preset, options = {}) =>
+    ipcRenderer.invoke(IPC_CHANNELS.PRESET_SET, { windowId, preset, ...options }),
+  setAllPresets: (preset, options = {}) => ipcRenderer.invoke(IPC_CHANNELS.PRESET_SET_ALL, { preset, ...options }),
   notifyPresetLoaded: (preset) => ipcRenderer.send(IPC_CHANNELS.PRESET_LOADED, { preset }),
 
+  // Imported presets
+  getImportedPresets: () => ipcRenderer.invoke(IPC_CHANNELS.PRESET_GET_IMPORTED),
+  importPresets: () => ipcRenderer.invoke(IPC_CHANNELS.PRESET_IMPORT),
+  deleteImportedPreset: (name) => ipcRenderer.invoke(IPC_CHANNELS.PRESET_DELETE_IMPORTED, name),
+  getUserPreset: (name) => ipcRenderer.invoke(IPC_CHANNELS.PRESET_GET_USER, name),
+  saveUserPreset: (name, preset) => ipcRenderer.invoke(IPC_CHANNELS.PRESET_SAVE_USER, { name, preset }),
+  onImportedPresetsUpdated: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on(IPC_CHANNELS.PRESET_IMPORTED_UPDATED, listener);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.PRESET_IMPORTED_UPDATED, listener);
+  },
+
+  // Watched preset folders
+  getPresetFolders: () => ipcRenderer.invoke(IPC_CHANNELS.PRESET_FOLDERS_GET),
+  addPresetFolder: () => ipcRenderer.invoke(IPC_CHANNELS.PRESET_FOLDERS_ADD),
+  removePresetFolder: (folder) => ipcRenderer.invoke(IPC_CHANNELS.PRESET_FOLDERS_REMOVE, folder),
+  onPresetFoldersUpdated: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on(IPC_CHANNELS.PRESET_FOLDERS_UPDATED, listener);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.PRESET_FOLDERS_UPDATED, listener);
+  },
+
+  // Preset Favorites, Ratings and Tags
+  getPresetMetadata: () => ipcRenderer.invoke(IPC_CHANNELS.PRESET_META_GET),
+  togglePresetFavorite: (name) => ipcRenderer.invoke(IPC_CHANNELS.PRESET_META_TOGGLE_FAVORITE, name),
+  setPresetRating: (name, rating) => ipcRenderer.invoke(IPC_CHANNELS.PRESET_META_SET_RATING, { name, rating }),
+  setPresetTags: (name, tags) => ipcRenderer.invoke(IPC_CHANNELS.PRESET_META_SET_TAGS, { name, tags }),
+  exportPresetMetadata: () => ipcRenderer.invoke(IPC_CHANNELS.PRESET_META_EXPORT),
+  onPresetMetadataUpdated: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on(IPC_CHANNELS.PRESET_META_UPDATED, listener);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.PRESET_META_UPDATED, listener);
+  },
+
+  // Preset Blocklist Profiles
+  getPresetProfiles: () => ipcRenderer.invoke(IPC_CHANNELS.PRESET_PROFILE_GET_ALL),
+  savePresetProfile: (profile) => ipcRenderer.invoke(IPC_CHANNELS.PRESET_PROFILE_SAVE, profile),
+  deletePresetProfile: (profileId) => ipcRenderer.invoke(IPC_CHANNELS.PRESET_PROFILE_DELETE, profileId),
+  activatePresetProfile: (profileId) => ipcRenderer.invoke(IPC_CHANNELS.PRESET_PROFILE_ACTIVATE, profileId),
+  importPresetProfiles: () => ipcRenderer.invoke(IPC_CHANNELS.PRESET_PROFILE_IMPORT),
+  exportPresetProfiles: (profileIds) => ipcRenderer.invoke(IPC_CHANNELS.PRESET_PROFILE_EXPORT, profileIds),
+  onPresetProfilesUpdated: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on(IPC_CHANNELS.PRESET_PROFILE_UPDATED, listener);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.PRESET_PROFILE_UPDATED, listener);
+  },
+
   // Server Management
   getServerStatus: () => ipcRenderer.invoke(IPC_CHANNELS.SERVER_STATUS),
   startServer: () => ipcRenderer.invoke(IPC_CHANNELS.SERVER_START),
@@ -80,6 +220,110 @@ contextBridge.exposeInMainWorld('electronAPI', {
   settingsSet: (key, value) => ipcRenderer.invoke(IPC_CHANNELS.SETTINGS_SET, { key, value }),
   settingsGetAll: () => ipcRenderer.invoke(IPC_CHANNELS.SETTINGS_GET_ALL),
   settingsTogglePreset: (presetName) => ipcRenderer.invoke(IPC_CHANNELS.SETTINGS_TOGGLE_PRESET, presetName),
+  settingsDisablePreset: (presetName) => ipcRenderer.invoke(IPC_CHANNELS.SETTINGS_DISABLE_PRESET, presetName),
+
+  // Playlists
+  getPlaylists: () => ipcRenderer.invoke(IPC_CHANNELS.PLAYLIST_GET_ALL),
+  savePlaylist: (playlist) => ipcRenderer.invoke(IPC_CHANNELS.PLAYLIST_SAVE, playlist),
+  deletePlaylist: (playlistId) => ipcRenderer.invoke(IPC_CHANNELS.PLAYLIST_DELETE, playlistId),
+  onPlaylistsUpdated: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on(IPC_CHANNELS.PLAYLIST_UPDATED, listener);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.PLAYLIST_UPDATED, listener);
+  },
+  onPlaylistCommand: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on(IPC_CHANNELS.PLAYLIST_COMMAND, listener);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.PLAYLIST_COMMAND, listener);
+  },
+  notifyRotationChanged: (windowId, playlistId) =>
+    ipcRenderer.send(IPC_CHANNELS.PLAYLIST_ROTATION_CHANGED, { windowId, playlistId }),
+
+  // Layouts (scenes)
+  getLayouts: () => ipcRenderer.invoke(IPC_CHANNELS.LAYOUT_GET_ALL),
+  saveLayout: (name, id) => ipcRenderer.invoke(IPC_CHANNELS.LAYOUT_SAVE, { name, id }),
+  restoreLayout: (layoutId, options = {}) =>
+    ipcRenderer.invoke(IPC_CHANNELS.LAYOUT_RESTORE, { layoutId, ...options }),
+  deleteLayout: (layoutId) => ipcRenderer.invoke(IPC_CHANNELS.LAYOUT_DELETE, layoutId),
+  onLayoutsUpdated: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on(IPC_CHANNELS.LAYOUT_UPDATED, listener);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.LAYOUT_UPDATED, listener);
+  },
+
+  // Video wall
+  getVideoWall: () => ipcRenderer.invoke(IPC_CHANNELS.WALL_GET),
+  setVideoWallConfig: (changes) => ipcRenderer.invoke(IPC_CHANNELS.WALL_SET_CONFIG, changes),
+  assignWallTile: (windowId, tile) => ipcRenderer.invoke(IPC_CHANNELS.WALL_ASSIGN_TILE, { windowId, tile }),
+  onVideoWallUpdated: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on(IPC_CHANNELS.WALL_UPDATED, listener);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.WALL_UPDATED, listener);
+  },
+
+  // Remote access (pairing and tokens)
+  getAuthState: () => ipcRenderer.invoke(IPC_CHANNELS.AUTH_GET_STATE),
+  createPairingPin: (role) => ipcRenderer.invoke(IPC_CHANNELS.AUTH_CREATE_PIN, role),
+  cancelPairingPin: () => ipcRenderer.invoke(IPC_CHANNELS.AUTH_CANCEL_PIN),
+  revokeToken: (tokenId) => ipcRenderer.invoke(IPC_CHANNELS.AUTH_REVOKE_TOKEN, tokenId),
+  onAuthUpdated: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on(IPC_CHANNELS.AUTH_UPDATED, listener);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.AUTH_UPDATED, listener);
+  },
+
+  // Web remote
+  onRemoteCommand: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on(IPC_CHANNELS.REMOTE_COMMAND, listener);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.REMOTE_COMMAND, listener);
+  },
+  reportRemoteState: (state) => ipcRenderer.send(IPC_CHANNELS.REMOTE_STATE, state),
+  reportPresetCatalog: (presets) => ipcRenderer.send(IPC_CHANNELS.PRESET_CATALOG, presets),
+
+  // Connection diagnostics
+  reportDiagnostics: (diagnostics) => ipcRenderer.send(IPC_CHANNELS.DIAGNOSTICS_REPORT, diagnostics),
+
+  // OSC
+  getOscConfig: () => ipcRenderer.invoke(IPC_CHANNELS.OSC_GET_CONFIG),
+  setOscConfig: (config) => ipcRenderer.invoke(IPC_CHANNELS.OSC_SET_CONFIG, config),
+  onOscUpdated: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on(IPC_CHANNELS.OSC_UPDATED, listener);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.OSC_UPDATED, listener);
+  },
+  sendOscFeatures: (features) => ipcRenderer.send(IPC_CHANNELS.OSC_FEATURES, features),
+  sendOscBeat: (beat) => ipcRenderer.send(IPC_CHANNELS.OSC_BEAT, beat),
+
+  // ICE servers / STUN/TURN
+  getIceConfig: () => ipcRenderer.invoke(IPC_CHANNELS.ICE_GET_CONFIG),
+  setIceConfig: (config) => ipcRenderer.invoke(IPC_CHANNELS.ICE_SET_CONFIG, config),
+  onIceUpdated: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on(IPC_CHANNELS.ICE_UPDATED, listener);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.ICE_UPDATED, listener);
+  },
+
+  // Recording - dashboard side
+  startRecording: (windowId, options = {}) => ipcRenderer.invoke(IPC_CHANNELS.RECORDING_START, { windowId, options }),
+  stopRecording: (windowId) => ipcRenderer.invoke(IPC_CHANNELS.RECORDING_STOP, windowId),
+  getRecordingState: () => ipcRenderer.invoke(IPC_CHANNELS.RECORDING_GET_STATE),
+  chooseRecordingFolder: () => ipcRenderer.invoke(IPC_CHANNELS.RECORDING_CHOOSE_FOLDER),
+  onRecordingUpdated: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on(IPC_CHANNELS.RECORDING_UPDATED, listener);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.RECORDING_UPDATED, listener);
+  },
+
+  // Recording - popup side
+  onRecordingCommand: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on(IPC_CHANNELS.RECORDING_COMMAND, listener);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.RECORDING_COMMAND, listener);
+  },
+  sendRecordingChunk: (recordingId, data) => ipcRenderer.send(IPC_CHANNELS.RECORDING_CHUNK, { recordingId, data }),
+  notifyRecordingStopped: (recordingId, error = null) =>
+    ipcRenderer.send(IPC_CHANNELS.RECORDING_STOPPED, { recordingId, error }),
 
   // WebRTC Signaling
   sendOffer: (windowId, offer) =>
@@ -147,6 +391,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return () => ipcRenderer.removeListener(IPC_CHANNELS.BROWSER_CLIENT_ICE_FROM_BROWSER, listener);
   },
 
+  // Browser Client Socket.IO relay (when WebRTC doesn't connect)
+  setBrowserClientRelay: (clientId, active) =>
+    ipcRenderer.send(IPC_CHANNELS.BROWSER_CLIENT_RELAY, { clientId, active }),
+  sendRelayAudio: (clientId, frame) => ipcRenderer.send(IPC_CHANNELS.BROWSER_CLIENT_RELAY_AUDIO, { clientId, frame }),
+  sendRelayControl: (clientId, message) =>
+    ipcRenderer.send(IPC_CHANNELS.BROWSER_CLIENT_RELAY_CONTROL, { clientId, message }),
+  onBrowserRelayControl: (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on(IPC_CHANNELS.BROWSER_CLIENT_RELAY_CONTROL_FROM_BROWSER, listener);
+    return () => ipcRenderer.removeListener(IPC_CHANNELS.BROWSER_CLIENT_RELAY_CONTROL_FROM_BROWSER, listener);
+  },
+
   // Remove listeners
   removeListener: (channel, callback) => ipcRenderer.removeListener(channel, callback),
   removeAllListeners: (channel) => ipcRenderer.removeAllListeners(channel),
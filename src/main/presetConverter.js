@@ -0,0 +1,93 @@
+import fs from 'fs/promises';
+import path from 'path';
+import mdparser from 'milkdrop-eel-parser';
+import presetUtils from 'milkdrop-preset-utils';
+
+export const PRESET_FILE_EXTENSIONS = ['milk', 'json'];
+
+/**
+ * Convert MilkDrop .milk preset text to a butterchurn preset
+ *
+ * Equations are translated from EEL to JavaScript. HLSL warp/comp shaders can only be converted
+ * with native shader compilers, so they're dropped and butterchurn uses its default shaders.
+ */
+export function convertMilkPreset(text) {
+  if (!/^\s*\[preset\d+\]/im.test(text)) {
+    throw new Error('Not a MilkDrop preset (no [preset00] section)');
+  }
+
+  const parts = presetUtils.splitPreset(text);
+  const version = parts.presetVersion;
+
+  const main = mdparser.convert_basic_preset(version, parts.presetInit, parts.perFrame, parts.perVertex);
+
+  // Disabled waves/shapes keep their base values but skip conversion (their equations never run)
+  const convertEquations = ({ baseVals, init_eqs_str, frame_eqs_str, point_eqs_str = '' }) => {
+    if (!baseVals.enabled) {
+      return { init: '', frame: '', point: '' };
+    }
+    const converted = mdparser.convert_preset_wave_and_shape(version, init_eqs_str, frame_eqs_str, point_eqs_str);
+    return {
+      init: converted.perFrameInitEQs || '',
+      frame: converted.perFrameEQs || '',
+      point: converted.perPixelEQs || '',
+    };
+  };
+
+  return {
+    baseVals: parts.baseVals,
+    init_eqs_str: main.perFrameInitEQs || '',
+    frame_eqs_str: main.perFrameEQs || '',
+    pixel_eqs_str: main.perPixelEQs || '',
+    warp: '',
+    comp: '',
+    shapes: parts.shapes.map((shape) => {
+      const { init, frame } = convertEquations(shape);
+      return { baseVals: shape.baseVals, init_eqs_str: init, frame_eqs_str: frame };
+    }),
+    waves: parts.waves.map((wave) => {
+      const { init, frame, point } = convertEquations(wave);
+      return { baseVals: wave.baseVals, init_eqs_str: init, frame_eqs_str: frame, point_eqs_str: point };
+    }),
+  };
+}
+
+/**
+ * Check a butterchurn JSON preset (as exported by butterchurn's converter) has what loadPreset needs
+ */
+export function validateButterchurnPreset(preset) {
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+    throw new Error('Preset must be a JSON object');
+  }
+  if (!preset.baseVals || typeof preset.baseVals !== 'object') {
+    throw new Error('Preset has no baseVals');
+  }
+  if (!Array.isArray(preset.shapes) || !Array.isArray(preset.waves)) {
+    throw new Error('Preset needs shapes and waves arrays');
+  }
+  for (const field of ['init_eqs_str', 'frame_eqs_str']) {
+    if (typeof preset[field] !== 'string') {
+      throw new Error(`Preset has no ${field} (compiled presets can't be imported)`);
+    }
+  }
+
+  return {
+    ...preset,
+    pixel_eqs_str: preset.pixel_eqs_str || '',
+    warp: preset.warp || '',
+    comp: preset.comp || '',
+  };
+}
+
+/**
+ * Read a .milk or butterchurn .json preset file as a butterchurn preset
+ */
+export async function readPresetFile(filePath) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  if (!PRESET_FILE_EXTENSIONS.includes(extension)) {
+    throw new Error(`Unsupported file type (expected ${PRESET_FILE_EXTENSIONS.join(' or ')})`);
+  }
+
+  const text = await fs.readFile(filePath, 'utf8');
+  return extension === 'milk' ? convertMilkPreset(text) : validateButterchurnPreset(JSON.parse(text));
+}
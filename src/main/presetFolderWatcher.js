@@ -0,0 +1,223 @@
+import { watch } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { PRESET_FILE_EXTENSIONS, readPresetFile } from './presetConverter.js';
+
+const RESCAN_DELAY_MS = 300; // Saves and copies fire bursts of events - rescan once they settle
+
+/**
+ * PresetFolderWatcher - Loads .milk / butterchurn JSON presets from user folders and hot-reloads them
+ *
+ * Presets are read in place (nothing is copied). Any change in a folder triggers a debounced
+ * rescan that only re-converts files whose mtime changed, then reports added/changed/removed
+ * preset names. If two files share a name, the one in the earlier folder wins.
+ */
+export class PresetFolderWatcher {
+  constructor(settingsManager) {
+    this.settingsManager = settingsManager;
+    this.folders = new Map(); // folder -> { watcher, files: Map(filePath -> { name, mtimeMs, preset, error }), error, timer }
+    this.index = new Map(); // name -> file entry (first folder wins)
+    this.updates = Promise.resolve(); // Every update waits for the previous one, so diffs never interleave
+    this.onChangeCallback = null;
+  }
+
+  /**
+   * Set callback for preset changes - receives (names, { added, changed, removed })
+   */
+  setOnChange(callback) {
+    this.onChangeCallback = callback;
+  }
+
+  notifyChange(changes) {
+    if (this.onChangeCallback) {
+      this.onChangeCallback(this.getPresetNames(), changes);
+    }
+  }
+
+  /**
+   * Watch every folder saved in settings (call once at startup)
+   */
+  async start() {
+    for (const folder of this.settingsManager.get('presetFolders', [])) {
+      await this.watchFolder(folder);
+    }
+    this.rebuildIndex();
+    console.log(`📂 Watching ${this.folders.size} preset folder(s) with ${this.index.size} preset(s)`);
+  }
+
+  /**
+   * Stop all watchers (app quit)
+   */
+  stop() {
+    Array.from(this.folders.keys()).forEach((folder) => this.unwatchFolder(folder));
+  }
+
+  async addFolder(folder) {
+    const folders = this.settingsManager.get('presetFolders', []);
+    if (folders.includes(folder)) return;
+
+    this.settingsManager.set('presetFolders', [...folders, folder]);
+    await this.updatePresets(() => this.watchFolder(folder));
+  }
+
+  async removeFolder(folder) {
+    const folders = this.settingsManager.get('presetFolders', []);
+    this.settingsManager.set('presetFolders', folders.filter((f) => f !== folder));
+    await this.updatePresets(() => this.unwatchFolder(folder));
+  }
+
+  async watchFolder(folder) {
+    const state = { watcher: null, files: new Map(), error: null, timer: null };
+    this.folders.set(folder, state);
+
+    try {
+      state.watcher = watch(folder, { recursive: true }, () => this.scheduleRescan(folder));
+      state.watcher.on('error', (error) => {
+        console.error(`Preset folder watcher error (${folder}):`, error.message);
+        this.scheduleRescan(folder);
+      });
+    } catch (error) {
+      console.error(`❌ Can't watch preset folder ${folder}:`, error.message);
+      state.error = error.message;
+      return;
+    }
+
+    await this.scanFolder(folder, state);
+  }
+
+  unwatchFolder(folder) {
+    const state = this.folders.get(folder);
+    if (!state) return;
+
+    state.watcher?.close();
+    clearTimeout(state.timer);
+    this.folders.delete(folder);
+  }
+
+  scheduleRescan(folder) {
+    const state = this.folders.get(folder);
+    if (!state) return;
+
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      this.updatePresets(() => this.scanFolder(folder, state)).catch((error) => {
+        console.error(`❌ Preset folder rescan failed (${folder}):`, error.message);
+      });
+    }, RESCAN_DELAY_MS);
+  }
+
+  /**
+   * Read a folder's preset files, re-converting only files that changed since the last scan
+   */
+  async scanFolder(folder, state) {
+    const files = new Map();
+    let error = null;
+
+    try {
+      const entries = await fs.readdir(folder, { recursive: true });
+      for (const entry of entries) {
+        const extension = path.extname(entry).slice(1).toLowerCase();
+        if (!PRESET_FILE_EXTENSIONS.includes(extension)) continue;
+
+        const filePath = path.join(folder, entry);
+        const stats = await fs.stat(filePath).catch(() => null); // Deleted mid-scan
+        if (!stats || !stats.isFile()) continue;
+
+        const previous = state.files.get(filePath);
+        if (previous && previous.mtimeMs === stats.mtimeMs) {
+          files.set(filePath, previous);
+          continue;
+        }
+
+        const name = path.basename(entry, path.extname(entry));
+        const file = { name, mtimeMs: stats.mtimeMs, preset: null, error: null };
+        try {
+          file.preset = await readPresetFile(filePath);
+        } catch (readError) {
+          console.error(`Skipping preset ${filePath}:`, readError.message);
+          file.error = readError.message;
+        }
+        files.set(filePath, file);
+      }
+    } catch (readError) {
+      console.error(`❌ Can't read preset folder ${folder}:`, readError.message);
+      error = readError.message;
+    }
+
+    // The folder may have been removed while we were reading it
+    if (this.folders.get(folder) === state) {
+      state.files = files;
+      state.error = error;
+    }
+  }
+
+  /**
+   * Queue an update (rescans, folders added or removed) behind any still running, then report
+   * which preset names it added, changed or removed
+   */
+  updatePresets(update) {
+    const run = this.updates.then(() => this.applyUpdate(update));
+    this.updates = run.catch(() => {}); // A failed update mustn't hold up the next one
+    return run;
+  }
+
+  async applyUpdate(update) {
+    const before = this.snapshot();
+    await update();
+    this.rebuildIndex();
+    const after = this.snapshot();
+
+    const added = [...after.keys()].filter((name) => !before.has(name));
+    const removed = [...before.keys()].filter((name) => !after.has(name));
+    const changed = [...after.keys()].filter((name) => before.has(name) && before.get(name) !== after.get(name));
+
+    if (added.length || changed.length || removed.length) {
+      console.log(`📂 Preset folders: ${added.length} added, ${changed.length} changed, ${removed.length} removed`);
+    }
+    // Always notify so folder status (counts, errors) stays current
+    this.notifyChange({ added, changed, removed });
+  }
+
+  rebuildIndex() {
+    this.index = new Map();
+    this.folders.forEach((state) => {
+      state.files.forEach((file, filePath) => {
+        if (file.preset && !this.index.has(file.name)) {
+          this.index.set(file.name, { ...file, filePath });
+        }
+      });
+    });
+  }
+
+  // name -> version key, for diffing
+  snapshot() {
+    return new Map(Array.from(this.index, ([name, file]) => [name, `${file.filePath}:${file.mtimeMs}`]));
+  }
+
+  /**
+   * Get a preset by name (null if no watched folder has it)
+   */
+  getPreset(name) {
+    return this.index.get(name)?.preset || null;
+  }
+
+  getPresetNames() {
+    return Array.from(this.index.keys()).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Watched folders with their preset counts and any read error
+   */
+  getFolders() {
+    return Array.from(this.folders, ([folder, state]) => {
+      const files = Array.from(state.files.values());
+      return {
+        path: folder,
+        presetCount: files.filter((file) => file.preset).length,
+        failedCount: files.filter((file) => file.error).length,
+        error: state.error,
+      };
+    });
+  }
+}
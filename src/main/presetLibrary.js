@@ -0,0 +1,125 @@
+import { app } from 'electron';
+import fs from 'fs/promises';
+import path from 'path';
+import { readPresetFile, validateButterchurnPreset } from './presetConverter.js';
+
+/**
+ * PresetLibrary - User presets imported from .milk / butterchurn JSON files
+ *
+ * Imports are converted to butterchurn's format and stored as <name>.json in userData/presets.
+ * The dashboard merges the names into its preset list; popups fetch the presets over HTTP.
+ */
+export class PresetLibrary {
+  constructor() {
+    this.folder = path.join(app.getPath('userData'), 'presets');
+    this.presets = new Map(); // name -> butterchurn preset
+    this.onChangeCallback = null;
+  }
+
+  /**
+   * Set callback for when presets are imported or deleted - receives (names, { changed, removed })
+   */
+  setOnChange(callback) {
+    this.onChangeCallback = callback;
+  }
+
+  notifyChange(changes) {
+    if (this.onChangeCallback) {
+      this.onChangeCallback(this.getPresetNames(), changes);
+    }
+  }
+
+  /**
+   * Load every stored preset (call once at startup)
+   */
+  async load() {
+    await fs.mkdir(this.folder, { recursive: true });
+    const files = (await fs.readdir(this.folder)).filter((file) => file.endsWith('.json'));
+
+    for (const file of files) {
+      try {
+        const preset = JSON.parse(await fs.readFile(path.join(this.folder, file), 'utf8'));
+        this.presets.set(path.basename(file, '.json'), validateButterchurnPreset(preset));
+      } catch (error) {
+        console.error(`Skipping unreadable imported preset ${file}:`, error.message);
+      }
+    }
+
+    console.log(`🎨 Loaded ${this.presets.size} imported preset(s) from ${this.folder}`);
+  }
+
+  /**
+   * Import preset files - the file name (without extension) becomes the preset name,
+   * re-importing a name replaces it. Returns { imported: [names], errors: [{ file, error }] }
+   */
+  async importFiles(filePaths) {
+    const imported = [];
+    const errors = [];
+
+    for (const filePath of filePaths) {
+      const file = path.basename(filePath);
+      try {
+        const preset = await readPresetFile(filePath);
+        imported.push(await this.storePreset(path.basename(file, path.extname(file)), preset));
+      } catch (error) {
+        console.error(`❌ Failed to import preset ${file}:`, error.message);
+        errors.push({ file, error: error.message });
+      }
+    }
+
+    if (imported.length > 0) {
+      console.log(`🎨 Imported ${imported.length} preset(s)`);
+      // Re-imported names count as changed, so popups showing them reload
+      this.notifyChange({ changed: imported, removed: [] });
+    }
+    return { imported, errors };
+  }
+
+  /**
+   * Save a preset from the editor - an existing user preset with the same name is replaced
+   */
+  async savePreset(name, preset) {
+    const saved = await this.storePreset(name, validateButterchurnPreset(preset));
+    console.log(`🎨 Saved preset ${saved}`);
+    this.notifyChange({ changed: [saved], removed: [] });
+    return saved;
+  }
+
+  async storePreset(name, preset) {
+    const trimmed = String(name ?? '').trim();
+    if (!trimmed) {
+      throw new Error('Preset name is empty');
+    }
+    if (/[\\/]/.test(trimmed)) {
+      throw new Error('Preset name cannot contain / or \\');
+    }
+
+    await fs.writeFile(path.join(this.folder, `${trimmed}.json`), JSON.stringify(preset));
+    this.presets.set(trimmed, preset);
+    return trimmed;
+  }
+
+  /**
+   * Delete an imported preset
+   */
+  async deletePreset(name) {
+    if (!this.presets.has(name)) {
+      throw new Error(`Imported preset "${name}" not found`);
+    }
+
+    await fs.rm(path.join(this.folder, `${name}.json`), { force: true });
+    this.presets.delete(name);
+    this.notifyChange({ changed: [], removed: [name] });
+  }
+
+  /**
+   * Get an imported preset by name (null if there isn't one)
+   */
+  getPreset(name) {
+    return this.presets.get(name) || null;
+  }
+
+  getPresetNames() {
+    return Array.from(this.presets.keys()).sort((a, b) => a.localeCompare(b));
+  }
+}
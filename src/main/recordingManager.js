@@ -0,0 +1,188 @@
+import { app } from 'electron';
+import { createWriteStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import {
+  RECORDING_RESOLUTIONS,
+  RECORDING_FRAME_RATE,
+  normalizeRecordingOptions,
+} from '../shared/recordingOptions.js';
+
+// File-name safe local timestamp, e.g. 2025-01-31_21-04-05
+const timestamp = () => {
+  const now = new Date();
+  const pad = (value) => String(value).padStart(2, '0');
+  return (
+    `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}_` +
+    `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`
+  );
+};
+
+/**
+ * RecordingManager - Writes popup canvas recordings (WebM) to the recording folder
+ *
+ * The popup runs MediaRecorder and streams chunks over IPC; this appends them to the file so
+ * long recordings never sit in memory. Only Electron popups can record (browser clients have no IPC).
+ */
+export class RecordingManager {
+  constructor(windowManager, settingsManager) {
+    this.windowManager = windowManager;
+    this.settingsManager = settingsManager;
+    this.recordings = new Map(); // windowId -> { id, windowId, filePath, options, startedAt, bytes, stopping, stream }
+    this.onChangeCallback = null;
+  }
+
+  /**
+   * Set callback for when recordings start, stop or fail ({ windowId, filePath, error } when one ends)
+   */
+  setOnChange(callback) {
+    this.onChangeCallback = callback;
+  }
+
+  notifyChange(finished = null) {
+    if (this.onChangeCallback) {
+      this.onChangeCallback(finished);
+    }
+  }
+
+  /**
+   * Folder recordings are saved to (defaults to the OS videos folder)
+   */
+  getFolder() {
+    return this.settingsManager.get('recordingFolder') || app.getPath('videos');
+  }
+
+  setFolder(folder) {
+    this.settingsManager.set('recordingFolder', folder);
+    this.notifyChange();
+  }
+
+  /**
+   * Start recording a popup window - returns the recording info
+   */
+  async start(windowId, options = {}) {
+    if (!this.windowManager.getWindow(windowId)) {
+      throw new Error(`Window ${windowId} is not a popup window that can record`);
+    }
+
+    const normalized = normalizeRecordingOptions(options);
+    const folder = this.getFolder();
+    await fs.mkdir(folder, { recursive: true });
+
+    if (this.recordings.has(windowId)) {
+      throw new Error(`Window ${windowId} is already recording`);
+    }
+
+    const filePath = path.join(folder, `butter-window-${windowId}_${timestamp()}.webm`);
+    const recording = {
+      id: randomUUID(),
+      windowId,
+      filePath,
+      options: normalized,
+      startedAt: Date.now(),
+      bytes: 0,
+      stopping: false,
+      stream: createWriteStream(filePath),
+    };
+    recording.stream.on('error', (error) => this.finish(windowId, recording.id, error.message));
+    this.recordings.set(windowId, recording);
+
+    const { width, height } = RECORDING_RESOLUTIONS[normalized.resolution];
+    this.windowManager.sendToWindow(windowId, 'recording:command', {
+      action: 'start',
+      recordingId: recording.id,
+      width,
+      height,
+      videoBitsPerSecond: normalized.bitrate * 1_000_000,
+      frameRate: RECORDING_FRAME_RATE,
+      audio: normalized.audio,
+    });
+
+    console.log(`⏺️ Recording window ${windowId} to ${filePath}`);
+    this.notifyChange();
+    return this.getRecordingInfo(recording);
+  }
+
+  /**
+   * Ask a popup to stop recording - the file is closed once its last chunk arrives
+   */
+  stop(windowId) {
+    const recording = this.recordings.get(windowId);
+    if (!recording) {
+      throw new Error(`Window ${windowId} is not recording`);
+    }
+
+    recording.stopping = true;
+    this.windowManager.sendToWindow(windowId, 'recording:command', { action: 'stop', recordingId: recording.id });
+    this.notifyChange();
+    return this.getRecordingInfo(recording);
+  }
+
+  /**
+   * Append a chunk sent by a popup (ignored unless it's that window's current recording)
+   */
+  writeChunk(windowId, recordingId, data) {
+    const recording = this.recordings.get(windowId);
+    if (!recording || recording.id !== recordingId) return;
+
+    const buffer = Buffer.from(data);
+    recording.bytes += buffer.length;
+    recording.stream.write(buffer);
+  }
+
+  /**
+   * Close a recording's file - called when the popup reports it stopped (or failed)
+   */
+  finish(windowId, recordingId, error = null) {
+    const recording = this.recordings.get(windowId);
+    if (!recording || recording.id !== recordingId) return;
+
+    this.recordings.delete(windowId);
+    recording.stream.end(() => {
+      // Nothing was captured - don't leave an empty file behind
+      if (recording.bytes === 0) {
+        fs.unlink(recording.filePath).catch(() => {});
+      }
+    });
+
+    if (error) {
+      console.error(`❌ Recording of window ${windowId} failed:`, error);
+    } else {
+      console.log(`💾 Recording saved: ${recording.filePath}`);
+    }
+    this.notifyChange({
+      windowId,
+      filePath: recording.bytes > 0 ? recording.filePath : null,
+      error: error || (recording.bytes === 0 ? 'Nothing was recorded' : null),
+    });
+  }
+
+  /**
+   * A closed window can't send its remaining chunks - keep what was written so far
+   */
+  handleWindowClosed(windowId) {
+    const recording = this.recordings.get(windowId);
+    if (recording) {
+      this.finish(windowId, recording.id);
+    }
+  }
+
+  /**
+   * Stop every recording (app quit)
+   */
+  stopAll() {
+    this.recordings.forEach((recording) => this.finish(recording.windowId, recording.id));
+  }
+
+  getRecordingInfo({ id, windowId, filePath, options, startedAt, bytes, stopping }) {
+    return { id, windowId, filePath, options, startedAt, bytes, stopping };
+  }
+
+  /**
+   * List active recordings
+   */
+  getRecordings() {
+    return Array.from(this.recordings.values()).map((recording) => this.getRecordingInfo(recording));
+  }
+}
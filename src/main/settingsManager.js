@@ -1,6 +1,28 @@
 import { app } from 'electron';
 import path from 'path';
 import fs from 'fs/promises';
+import { randomUUID } from 'crypto';
+
+const PLAYLIST_ORDERS = ['ordered', 'shuffle'];
+
+// Coerce a user-supplied number, falling back to a default and clamping to a minimum
+const toNumber = (value, fallback, min) => {
+  const number = Number(value);
+  return Number.isFinite(number) && value !== null && value !== '' ? Math.max(min, number) : fallback;
+};
+
+// Throw unless a blocklist profile has a name and, if it has a disabled list, one of preset names
+const validatePresetProfile = (profile) => {
+  if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) {
+    throw new Error('Profile name is required');
+  }
+  if (
+    profile.disabledPresets !== undefined &&
+    (!Array.isArray(profile.disabledPresets) || profile.disabledPresets.some((name) => typeof name !== 'string'))
+  ) {
+    throw new Error('Profile disabledPresets must be an array of preset names');
+  }
+};
 
 /**
  * SettingsManager - Manages persistent app settings
@@ -33,14 +55,33 @@ class SettingsManager {
         this.settings = {
           microphoneDeviceId: 'default',
           microphoneGain: 5.0,
-          disabledPresets: [],
+          audioSourceType: 'microphone',
+          favoritePresets: [],
+          presetRatings: {},
+          presetTags: {},
+          playlists: [],
         };
         console.log('✅ Using default settings');
       }
     }
+    this.migratePresetProfiles();
     return this.settings;
   }
 
+  /**
+   * Move the old single disabledPresets list into a "Default" blocklist profile
+   */
+  migratePresetProfiles() {
+    if (Array.isArray(this.settings.presetProfiles) && this.settings.presetProfiles.length > 0) {
+      return;
+    }
+
+    const profile = { id: randomUUID(), name: 'Default', disabledPresets: this.settings.disabledPresets || [] };
+    delete this.settings.disabledPresets;
+    this.set('presetProfiles', [profile]);
+    this.set('activePresetProfileId', profile.id);
+  }
+
   async save() {
     if (!this.isDirty) {
       return; // No changes since last save
@@ -129,34 +170,313 @@ class SettingsManager {
     this.set('microphoneGain', gain);
   }
 
+  /**
+   * Disabled presets of the active blocklist profile
+   */
   getDisabledPresets() {
-    return this.get('disabledPresets', []);
+    return this.getActivePresetProfile().disabledPresets;
   }
 
   setDisabledPresets(presets) {
-    this.set('disabledPresets', presets);
+    const activeId = this.getActivePresetProfile().id;
+    this.setPresetProfiles(
+      this.getPresetProfiles().map((profile) =>
+        profile.id === activeId ? { ...profile, disabledPresets: presets } : profile
+      )
+    );
   }
 
   togglePresetEnabled(presetName) {
     const disabled = this.getDisabledPresets();
-    const index = disabled.indexOf(presetName);
+    const updated = disabled.includes(presetName)
+      ? disabled.filter((name) => name !== presetName) // Already disabled, enable it
+      : [...disabled, presetName];
+
+    this.setDisabledPresets(updated);
+    return updated;
+  }
 
-    if (index === -1) {
-      // Not disabled, add to disabled list
-      disabled.push(presetName);
-    } else {
-      // Already disabled, remove from list
-      disabled.splice(index, 1);
+  /**
+   * Disable a preset in the active profile - unlike toggling, repeating it changes nothing
+   */
+  disablePreset(presetName) {
+    const disabled = this.getDisabledPresets();
+    if (disabled.includes(presetName)) {
+      return disabled;
     }
 
-    this.setDisabledPresets(disabled);
-    return disabled;
+    const updated = [...disabled, presetName];
+    this.setDisabledPresets(updated);
+    return updated;
   }
 
   isPresetDisabled(presetName) {
     const disabled = this.getDisabledPresets();
     return disabled.includes(presetName);
   }
+
+  getFavoritePresets() {
+    return this.get('favoritePresets', []);
+  }
+
+  toggleFavoritePreset(presetName) {
+    if (typeof presetName !== 'string' || !presetName) {
+      throw new Error('Preset name is required');
+    }
+
+    const favorites = this.getFavoritePresets();
+    const updated = favorites.includes(presetName)
+      ? favorites.filter((name) => name !== presetName)
+      : [...favorites, presetName];
+
+    this.set('favoritePresets', updated);
+    return updated;
+  }
+
+  getPresetRatings() {
+    return this.get('presetRatings', {});
+  }
+
+  /**
+   * Set a preset's star rating (1-5) - 0 or null clears it
+   */
+  setPresetRating(presetName, rating) {
+    if (typeof presetName !== 'string' || !presetName) {
+      throw new Error('Preset name is required');
+    }
+
+    const ratings = { ...this.getPresetRatings() };
+    delete ratings[presetName];
+    if (rating) {
+      const stars = Math.round(Number(rating));
+      if (!(stars >= 1 && stars <= 5)) {
+        throw new Error('Rating must be between 1 and 5 stars');
+      }
+      ratings[presetName] = stars;
+    }
+
+    this.set('presetRatings', ratings);
+    return ratings;
+  }
+
+  getPresetTags() {
+    return this.get('presetTags', {});
+  }
+
+  /**
+   * Replace a preset's tags - tags are trimmed, lowercased and de-duplicated, an empty list clears them
+   */
+  setPresetTags(presetName, tags) {
+    if (typeof presetName !== 'string' || !presetName) {
+      throw new Error('Preset name is required');
+    }
+    if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+      throw new Error('Tags must be an array of strings');
+    }
+
+    const allTags = { ...this.getPresetTags() };
+    delete allTags[presetName];
+    const cleaned = [...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean))];
+    if (cleaned.length > 0) {
+      allTags[presetName] = cleaned;
+    }
+
+    this.set('presetTags', allTags);
+    return allTags;
+  }
+
+  /**
+   * Favorites, ratings and tags together (what the dashboard's preset browser uses)
+   */
+  getPresetMetadata() {
+    return {
+      favorites: this.getFavoritePresets(),
+      ratings: this.getPresetRatings(),
+      tags: this.getPresetTags(),
+    };
+  }
+
+  /**
+   * Per-preset curation data for export - one entry for every preset that has any
+   */
+  exportPresetMetadata() {
+    const { favorites, ratings, tags } = this.getPresetMetadata();
+    const disabled = this.getDisabledPresets();
+    const names = new Set([...favorites, ...disabled, ...Object.keys(ratings), ...Object.keys(tags)]);
+
+    return {
+      exportedAt: new Date().toISOString(),
+      presets: Array.from(names)
+        .sort((a, b) => a.localeCompare(b))
+        .map((name) => ({
+          name,
+          favorite: favorites.includes(name),
+          rating: ratings[name] || null,
+          tags: tags[name] || [],
+          disabled: disabled.includes(name),
+        })),
+    };
+  }
+
+  getPresetProfiles() {
+    return this.get('presetProfiles', []);
+  }
+
+  setPresetProfiles(profiles) {
+    this.set('presetProfiles', profiles);
+  }
+
+  /**
+   * The profile whose disabled list is in effect (the first one if the saved ID is gone)
+   */
+  getActivePresetProfile() {
+    const profiles = this.getPresetProfiles();
+    const activeId = this.get('activePresetProfileId');
+    return profiles.find((profile) => profile.id === activeId) || profiles[0];
+  }
+
+  setActivePresetProfile(profileId) {
+    if (!this.getPresetProfiles().some((profile) => profile.id === profileId)) {
+      throw new Error('Profile not found');
+    }
+    this.set('activePresetProfileId', profileId);
+  }
+
+  /**
+   * Create or rename a blocklist profile (matched by id) - new profiles start as a copy of
+   * the active one unless disabledPresets is given. Returns the stored profile
+   */
+  savePresetProfile(profile) {
+    validatePresetProfile(profile);
+
+    const profiles = this.getPresetProfiles();
+    const existing = profiles.find((p) => p.id === profile.id);
+
+    const saved = {
+      id: existing ? existing.id : randomUUID(),
+      name: profile.name.trim(),
+      disabledPresets: [
+        ...new Set(profile.disabledPresets || (existing || this.getActivePresetProfile()).disabledPresets),
+      ],
+    };
+
+    this.setPresetProfiles(existing ? profiles.map((p) => (p.id === saved.id ? saved : p)) : [...profiles, saved]);
+    return saved;
+  }
+
+  /**
+   * Delete a blocklist profile - the last one can't be deleted. Deleting the active profile
+   * activates the first remaining one
+   */
+  deletePresetProfile(profileId) {
+    const profiles = this.getPresetProfiles();
+    if (profiles.length <= 1) {
+      throw new Error("The last profile can't be deleted");
+    }
+
+    const remaining = profiles.filter((profile) => profile.id !== profileId);
+    this.setPresetProfiles(remaining);
+    if (this.get('activePresetProfileId') === profileId) {
+      this.set('activePresetProfileId', remaining[0].id);
+    }
+    return remaining.length !== profiles.length;
+  }
+
+  /**
+   * Export profiles as JSON-ready data (all of them if no IDs are given)
+   */
+  exportPresetProfiles(profileIds = null) {
+    const profiles = this.getPresetProfiles().filter((profile) => !profileIds || profileIds.includes(profile.id));
+    return {
+      exportedAt: new Date().toISOString(),
+      profiles: profiles.map(({ name, disabledPresets }) => ({ name, disabledPresets })),
+    };
+  }
+
+  /**
+   * Import exported profiles - a profile with the same name as an existing one replaces its list.
+   * Every profile in the file is checked before any is saved, so a bad file changes nothing.
+   * Returns the imported profiles
+   */
+  importPresetProfiles(data) {
+    const incoming = Array.isArray(data?.profiles) ? data.profiles : [data];
+    if (incoming.length === 0) {
+      throw new Error('No profiles found in file');
+    }
+    incoming.forEach((profile, index) => {
+      try {
+        validatePresetProfile(profile);
+      } catch (error) {
+        throw new Error(`Profile ${index + 1} in file: ${error.message}`);
+      }
+    });
+
+    const profiles = [...this.getPresetProfiles()];
+    const imported = incoming.map((profile) => {
+      const name = profile.name.trim();
+      const index = profiles.findIndex((p) => p.name === name);
+      const saved = {
+        id: index === -1 ? randomUUID() : profiles[index].id,
+        name,
+        disabledPresets: [...new Set(profile.disabledPresets || [])],
+      };
+      if (index === -1) {
+        profiles.push(saved);
+      } else {
+        profiles[index] = saved;
+      }
+      return saved;
+    });
+
+    this.setPresetProfiles(profiles);
+    return imported;
+  }
+
+  getPlaylists() {
+    return this.get('playlists', []);
+  }
+
+  getPlaylist(playlistId) {
+    return this.getPlaylists().find((playlist) => playlist.id === playlistId) || null;
+  }
+
+  /**
+   * Create or update a playlist (matched by id) - returns the stored playlist
+   */
+  savePlaylist(playlist) {
+    if (!playlist || typeof playlist.name !== 'string' || !playlist.name.trim()) {
+      throw new Error('Playlist name is required');
+    }
+    if (!Array.isArray(playlist.presets) || playlist.presets.some((name) => typeof name !== 'string')) {
+      throw new Error('Playlist presets must be an array of preset names');
+    }
+
+    const playlists = this.getPlaylists();
+    const existing = playlists.find((p) => p.id === playlist.id);
+
+    const saved = {
+      id: existing ? existing.id : randomUUID(),
+      name: playlist.name.trim(),
+      presets: [...new Set(playlist.presets)],
+      order: PLAYLIST_ORDERS.includes(playlist.order) ? playlist.order : 'ordered',
+      dwellTime: toNumber(playlist.dwellTime, 30, 1), // seconds per preset
+      transitionTime: toNumber(playlist.transitionTime, 2, 0), // seconds of blend
+    };
+
+    this.setPlaylists(existing ? playlists.map((p) => (p.id === saved.id ? saved : p)) : [...playlists, saved]);
+    return saved;
+  }
+
+  deletePlaylist(playlistId) {
+    const playlists = this.getPlaylists();
+    const remaining = playlists.filter((playlist) => playlist.id !== playlistId);
+    this.setPlaylists(remaining);
+    return remaining.length !== playlists.length;
+  }
+
+  setPlaylists(playlists) {
+    this.set('playlists', playlists);
+  }
 }
 
 export default SettingsManager;
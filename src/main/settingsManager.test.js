@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import SettingsManager from './settingsManager.js';
+
+vi.mock('electron', () => ({ app: { getPath: () => '/nonexistent' } }));
+
+describe('SettingsManager blocklist profiles', () => {
+  let settings;
+
+  beforeEach(() => {
+    vi.useFakeTimers(); // Debounced saves never reach the disk
+    settings = new SettingsManager();
+    settings.settings = { disabledPresets: ['Noisy'] };
+    settings.migratePresetProfiles();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const names = () => settings.getPresetProfiles().map(({ name }) => name);
+
+  it('activates the first remaining profile when the active one is deleted', () => {
+    const strict = settings.savePresetProfile({ name: 'Strict', disabledPresets: ['Noisy', 'Strobe'] });
+    settings.setActivePresetProfile(strict.id);
+
+    expect(settings.deletePresetProfile(strict.id)).toBe(true);
+    const [first] = settings.getPresetProfiles();
+    expect(settings.get('activePresetProfileId')).toBe(first.id);
+    expect(settings.getDisabledPresets()).toEqual(['Noisy']);
+  });
+
+  it('keeps the active profile when another one is deleted', () => {
+    const active = settings.getActivePresetProfile();
+    const other = settings.savePresetProfile({ name: 'Other' });
+
+    settings.deletePresetProfile(other.id);
+    expect(settings.get('activePresetProfileId')).toBe(active.id);
+    expect(() => settings.deletePresetProfile(active.id)).toThrow("The last profile can't be deleted");
+  });
+
+  it('disables a preset idempotently, unlike toggling', () => {
+    expect(settings.disablePreset('Strobe')).toEqual(['Noisy', 'Strobe']);
+    expect(settings.disablePreset('Strobe')).toEqual(['Noisy', 'Strobe']);
+    expect(settings.isPresetDisabled('Strobe')).toBe(true);
+
+    settings.togglePresetEnabled('Strobe');
+    expect(settings.isPresetDisabled('Strobe')).toBe(false);
+  });
+
+  it('imports new profiles and replaces ones with the same name', () => {
+    const [defaultProfile] = settings.getPresetProfiles();
+    const imported = settings.importPresetProfiles({
+      profiles: [
+        { name: ' Default ', disabledPresets: ['Strobe', 'Strobe'] },
+        { name: 'Party', disabledPresets: [] },
+      ],
+    });
+
+    expect(imported.map(({ name }) => name)).toEqual(['Default', 'Party']);
+    expect(names()).toEqual(['Default', 'Party']);
+    expect(settings.getPresetProfiles()[0]).toEqual({ id: defaultProfile.id, name: 'Default', disabledPresets: ['Strobe'] });
+  });
+
+  it('imports a single exported profile', () => {
+    settings.importPresetProfiles({ name: 'Solo', disabledPresets: ['Noisy'] });
+    expect(names()).toEqual(['Default', 'Solo']);
+  });
+
+  it('saves nothing when any profile in the file is invalid', () => {
+    const before = settings.getPresetProfiles();
+    const bad = [
+      { profiles: [{ name: 'Good' }, { name: '' }] },
+      { profiles: [{ name: 'Good' }, { name: 'Bad', disabledPresets: 'Noisy' }] },
+      { profiles: [{ name: 'Good' }, null] },
+      { profiles: [] },
+      null,
+    ];
+
+    bad.forEach((data) => expect(() => settings.importPresetProfiles(data)).toThrow());
+    expect(() => settings.importPresetProfiles(bad[1])).toThrow('Profile 2 in file');
+    expect(settings.getPresetProfiles()).toBe(before);
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * Minimal STUN/TURN message encoder/decoder (RFC 5389 / RFC 5766, IPv4 over UDP)
+ *
+ * Covers what browsers use against a TURN server: Binding, Allocate, Refresh, CreatePermission,
+ * ChannelBind, Send/Data indications and ChannelData framing, with long-term credentials
+ * (MESSAGE-INTEGRITY) and FINGERPRINT.
+ */
+import crypto from 'crypto';
+import { crc32 } from 'zlib';
+
+export const MAGIC_COOKIE = 0x2112a442;
+const HEADER_SIZE = 20;
+const FINGERPRINT_XOR = 0x5354554e;
+
+export const STUN_METHODS = {
+  BINDING: 0x001,
+  ALLOCATE: 0x003,
+  REFRESH: 0x004,
+  SEND: 0x006,
+  DATA: 0x007,
+  CREATE_PERMISSION: 0x008,
+  CHANNEL_BIND: 0x009,
+};
+
+export const STUN_CLASSES = {
+  REQUEST: 0x000,
+  INDICATION: 0x010,
+  SUCCESS: 0x100,
+  ERROR: 0x110,
+};
+
+export const STUN_ATTRIBUTES = {
+  MAPPED_ADDRESS: 0x0001,
+  USERNAME: 0x0006,
+  MESSAGE_INTEGRITY: 0x0008,
+  ERROR_CODE: 0x0009,
+  CHANNEL_NUMBER: 0x000c,
+  LIFETIME: 0x000d,
+  XOR_PEER_ADDRESS: 0x0012,
+  DATA: 0x0013,
+  REALM: 0x0014,
+  NONCE: 0x0015,
+  XOR_RELAYED_ADDRESS: 0x0016,
+  REQUESTED_TRANSPORT: 0x0019,
+  XOR_MAPPED_ADDRESS: 0x0020,
+  SOFTWARE: 0x8022,
+  FINGERPRINT: 0x8028,
+};
+
+// Attribute values are padded to a multiple of 4 bytes
+const padded = (length) => (length + 3) & ~3;
+
+/**
+ * Whether a datagram is a STUN message (as opposed to ChannelData)
+ */
+export function isStunMessage(buffer) {
+  return buffer.length >= HEADER_SIZE && (buffer[0] & 0xc0) === 0 && buffer.readUInt32BE(4) === MAGIC_COOKIE;
+}
+
+/**
+ * Whether a datagram is TURN ChannelData (channel numbers 0x4000-0x7FFF)
+ */
+export function isChannelData(buffer) {
+  return buffer.length >= 4 && (buffer[0] & 0xc0) === 0x40;
+}
+
+/**
+ * Decode a STUN message - attributes keep their offset, which MESSAGE-INTEGRITY checks need
+ */
+export function decodeStunMessage(buffer) {
+  if (!isStunMessage(buffer)) {
+    throw new Error('Not a STUN message');
+  }
+
+  const type = buffer.readUInt16BE(0);
+  const length = buffer.readUInt16BE(2);
+  if (length % 4 !== 0 || HEADER_SIZE + length > buffer.length) {
+    throw new Error(`Bad STUN message length: ${length}`);
+  }
+
+  const attributes = [];
+  let offset = HEADER_SIZE;
+  while (offset + 4 <= HEADER_SIZE + length) {
+    const attributeType = buffer.readUInt16BE(offset);
+    const attributeLength = buffer.readUInt16BE(offset + 2);
+    const start = offset + 4;
+    if (start + attributeLength > HEADER_SIZE + length) {
+      throw new Error(`STUN attribute 0x${attributeType.toString(16)} overruns the message`);
+    }
+    attributes.push({ type: attributeType, value: buffer.subarray(start, start + attributeLength), offset });
+    offset = start + padded(attributeLength);
+  }
+
+  return {
+    method: type & 0x3eef,
+    messageClass: type & 0x0110,
+    transactionId: buffer.subarray(8, HEADER_SIZE),
+    attributes,
+  };
+}
+
+/**
+ * First attribute of a type (undefined when missing)
+ */
+export function getAttribute(message, type) {
+  return message.attributes.find((attribute) => attribute.type === type);
+}
+
+/**
+ * Encode a STUN message - with a key, MESSAGE-INTEGRITY is added before the FINGERPRINT
+ */
+export function encodeStunMessage({ method, messageClass, transactionId, attributes = [] }, { key = null } = {}) {
+  const parts = [];
+  for (const { type, value } of attributes) {
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(type, 0);
+    header.writeUInt16BE(value.length, 2);
+    parts.push(header, value, Buffer.alloc(padded(value.length) - value.length));
+  }
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.writeUInt16BE(method | messageClass, 0);
+  header.writeUInt32BE(MAGIC_COOKIE, 4);
+  transactionId.copy(header, 8);
+
+  let message = Buffer.concat([header, ...parts]);
+
+  // Each trailer is computed with the length field already counting it
+  const appendTrailer = (type, computeValue) => {
+    const valueLength = type === STUN_ATTRIBUTES.MESSAGE_INTEGRITY ? 20 : 4;
+    message.writeUInt16BE(message.length - HEADER_SIZE + 4 + valueLength, 2);
+    const trailer = Buffer.alloc(4);
+    trailer.writeUInt16BE(type, 0);
+    trailer.writeUInt16BE(valueLength, 2);
+    message = Buffer.concat([message, trailer, computeValue(message)]);
+  };
+
+  if (key) {
+    appendTrailer(STUN_ATTRIBUTES.MESSAGE_INTEGRITY, (body) => crypto.createHmac('sha1', key).update(body).digest());
+  }
+  appendTrailer(STUN_ATTRIBUTES.FINGERPRINT, (body) => {
+    const value = Buffer.alloc(4);
+    value.writeUInt32BE((crc32(body) ^ FINGERPRINT_XOR) >>> 0, 0);
+    return value;
+  });
+
+  return message;
+}
+
+/**
+ * Long-term credential key - MD5(username:realm:password)
+ */
+export function longTermKey(username, realm, password) {
+  return crypto.createHash('md5').update(`${username}:${realm}:${password}`).digest();
+}
+
+/**
+ * Check a received message's MESSAGE-INTEGRITY against a key
+ */
+export function verifyMessageIntegrity(buffer, message, key) {
+  const integrity = getAttribute(message, STUN_ATTRIBUTES.MESSAGE_INTEGRITY);
+  if (!integrity || integrity.value.length !== 20) return false;
+
+  // HMAC over everything before the attribute, with the length field ending at it
+  const body = Buffer.from(buffer.subarray(0, integrity.offset));
+  body.writeUInt16BE(integrity.offset - HEADER_SIZE + 24, 2);
+  const expected = crypto.createHmac('sha1', key).update(body).digest();
+  return crypto.timingSafeEqual(expected, integrity.value);
+}
+
+/**
+ * Decode an XOR-*-ADDRESS value (IPv4 only - null for anything else)
+ */
+export function decodeXorAddress(value) {
+  if (!value || value.length < 8 || value[1] !== 0x01) return null;
+
+  const port = value.readUInt16BE(2) ^ (MAGIC_COOKIE >>> 16);
+  const address = (value.readUInt32BE(4) ^ MAGIC_COOKIE) >>> 0;
+  return {
+    address: [24, 16, 8, 0].map((shift) => (address >>> shift) & 0xff).join('.'),
+    port,
+  };
+}
+
+/**
+ * Encode an IPv4 address/port as an XOR-*-ADDRESS value
+ */
+export function encodeXorAddress({ address, port }) {
+  const value = Buffer.alloc(8);
+  value[1] = 0x01;
+  value.writeUInt16BE(port ^ (MAGIC_COOKIE >>> 16), 2);
+  const numeric = address.split('.').reduce((total, octet) => total * 256 + Number(octet), 0);
+  value.writeUInt32BE((numeric ^ MAGIC_COOKIE) >>> 0, 4);
+  return value;
+}
+
+export function encodeErrorCode(code, reason) {
+  const text = Buffer.from(reason, 'utf8');
+  const value = Buffer.alloc(4 + text.length);
+  value[2] = Math.floor(code / 100);
+  value[3] = code % 100;
+  text.copy(value, 4);
+  return value;
+}
+
+export function encodeUInt32(number) {
+  const value = Buffer.alloc(4);
+  value.writeUInt32BE(number >>> 0, 0);
+  return value;
+}
+
+/**
+ * Encode TURN ChannelData (padded to 4 bytes, as TCP needs and UDP allows)
+ */
+export function encodeChannelData(channel, data) {
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(channel, 0);
+  header.writeUInt16BE(data.length, 2);
+  return Buffer.concat([header, data, Buffer.alloc(padded(data.length) - data.length)]);
+}
+
+export function decodeChannelData(buffer) {
+  const length = buffer.readUInt16BE(2);
+  if (4 + length > buffer.length) {
+    throw new Error(`ChannelData length ${length} overruns the datagram`);
+  }
+  return { channel: buffer.readUInt16BE(0), data: buffer.subarray(4, 4 + length) };
+}
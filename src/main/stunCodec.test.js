@@ -0,0 +1,294 @@
+import { describe, it, expect, vi } from 'vitest';
+import crypto from 'crypto';
+import { crc32 } from 'zlib';
+import {
+  STUN_ATTRIBUTES,
+  STUN_CLASSES,
+  STUN_METHODS,
+  decodeChannelData,
+  decodeStunMessage,
+  decodeXorAddress,
+  encodeChannelData,
+  encodeStunMessage,
+  encodeXorAddress,
+  getAttribute,
+  isChannelData,
+  isStunMessage,
+  longTermKey,
+  verifyMessageIntegrity,
+} from './stunCodec.js';
+import { TurnServer } from './turnServer.js';
+
+// This machine, as far as the TURN server can tell
+vi.mock('os', async (importOriginal) => {
+  const os = await importOriginal();
+  const networkInterfaces = () => ({
+    lo: [{ address: '127.0.0.1', family: 'IPv4', internal: true }],
+    eth0: [{ address: '192.168.1.20', family: 'IPv4', internal: false }],
+  });
+  return { ...os, default: { ...os.default, networkInterfaces }, networkInterfaces };
+});
+
+const hex = (text) => Buffer.from(text.replace(/\s+/g, ''), 'hex');
+
+// RFC 5769 2.1 - sample request with short-term credentials
+const SAMPLE_REQUEST = hex(`
+  00 01 00 58 21 12 a4 42 b7 e7 a7 01 bc 34 d6 86 fa 87 df ae
+  80 22 00 10 53 54 55 4e 20 74 65 73 74 20 63 6c 69 65 6e 74
+  00 24 00 04 6e 00 01 ff
+  80 29 00 08 93 2f f9 b1 51 26 3b 36
+  00 06 00 09 65 76 74 6a 3a 68 36 76 59 20 20 20
+  00 08 00 14 9a ea a7 0c bf d8 cb 56 78 1e f2 b5 b2 d3 f2 49 c1 b5 71 a2
+  80 28 00 04 e5 7a 3b cf
+`);
+const SAMPLE_REQUEST_PASSWORD = 'VOkJxbRl1RmTxUk/WvJxBt';
+
+// RFC 5769 2.2 - sample IPv4 response (mapped address 192.0.2.1:32853)
+const SAMPLE_RESPONSE = hex(`
+  01 01 00 3c 21 12 a4 42 b7 e7 a7 01 bc 34 d6 86 fa 87 df ae
+  80 22 00 0b 74 65 73 74 20 76 65 63 74 6f 72 20
+  00 20 00 08 00 01 a1 47 e1 12 a6 43
+  00 08 00 14 2b 91 f5 99 fd 9e 90 c3 8c 74 89 f9 2a f9 ba 53 f0 6b e7 d7
+  80 28 00 04 c0 7d 4c 96
+`);
+
+// RFC 5769 2.4 - sample request with long-term credentials (no FINGERPRINT)
+const LONG_TERM_REQUEST = hex(`
+  00 01 00 60 21 12 a4 42 78 ad 34 33 c6 ad 72 c0 29 da 41 2e
+  00 06 00 12 e3 83 9e e3 83 88 e3 83 aa e3 83 83 e3 82 af e3 82 b9 00 00
+  00 15 00 1c 66 2f 2f 34 39 39 6b 39 35 34 64 36 4f 4c 33 34 6f 4c 39 46 53 54 76 79 36 34 73 41
+  00 14 00 0b 65 78 61 6d 70 6c 65 2e 6f 72 67 00
+  00 08 00 14 f6 70 24 65 6d d6 4a 3e 02 b8 e0 71 2e 85 c9 a2 8c a8 96 66
+`);
+const LONG_TERM_USERNAME = 'マトリックス';
+const LONG_TERM_KEY = longTermKey(LONG_TERM_USERNAME, 'example.org', 'TheMatrIX');
+
+// FINGERPRINT is the CRC-32 of everything before it, XORed with 0x5354554e
+const hasValidFingerprint = (buffer) =>
+  ((crc32(buffer.subarray(0, buffer.length - 8)) ^ 0x5354554e) >>> 0) === buffer.readUInt32BE(buffer.length - 4);
+
+describe('stunCodec RFC 5769 test vectors', () => {
+  it('decodes the sample request and checks its integrity and fingerprint', () => {
+    const message = decodeStunMessage(SAMPLE_REQUEST);
+    expect(message.method).toBe(STUN_METHODS.BINDING);
+    expect(message.messageClass).toBe(STUN_CLASSES.REQUEST);
+    expect(getAttribute(message, STUN_ATTRIBUTES.USERNAME).value.toString()).toBe('evtj:h6vY');
+    expect(verifyMessageIntegrity(SAMPLE_REQUEST, message, SAMPLE_REQUEST_PASSWORD)).toBe(true);
+    expect(verifyMessageIntegrity(SAMPLE_REQUEST, message, 'wrong password')).toBe(false);
+    expect(hasValidFingerprint(SAMPLE_REQUEST)).toBe(true);
+  });
+
+  it('decodes the IPv4 response mapped address', () => {
+    const message = decodeStunMessage(SAMPLE_RESPONSE);
+    expect(message.messageClass).toBe(STUN_CLASSES.SUCCESS);
+    expect(decodeXorAddress(getAttribute(message, STUN_ATTRIBUTES.XOR_MAPPED_ADDRESS).value)).toEqual({
+      address: '192.0.2.1',
+      port: 32853,
+    });
+    expect(verifyMessageIntegrity(SAMPLE_RESPONSE, message, SAMPLE_REQUEST_PASSWORD)).toBe(true);
+    expect(hasValidFingerprint(SAMPLE_RESPONSE)).toBe(true);
+  });
+
+  it('verifies the long-term credential request', () => {
+    const message = decodeStunMessage(LONG_TERM_REQUEST);
+    expect(getAttribute(message, STUN_ATTRIBUTES.USERNAME).value.toString()).toBe(LONG_TERM_USERNAME);
+    expect(verifyMessageIntegrity(LONG_TERM_REQUEST, message, LONG_TERM_KEY)).toBe(true);
+  });
+
+  it('encodes the long-term credential request with the same MESSAGE-INTEGRITY', () => {
+    const message = decodeStunMessage(LONG_TERM_REQUEST);
+    const encoded = encodeStunMessage(
+      {
+        method: message.method,
+        messageClass: message.messageClass,
+        transactionId: message.transactionId,
+        attributes: message.attributes.filter(({ type }) => type !== STUN_ATTRIBUTES.MESSAGE_INTEGRITY),
+      },
+      { key: LONG_TERM_KEY }
+    );
+
+    // Identical up to the MESSAGE-INTEGRITY value, apart from the length now counting a FINGERPRINT
+    expect(encoded.length).toBe(LONG_TERM_REQUEST.length + 8);
+    expect(encoded.readUInt16BE(2)).toBe(LONG_TERM_REQUEST.readUInt16BE(2) + 8);
+    expect(encoded.subarray(4, LONG_TERM_REQUEST.length)).toEqual(LONG_TERM_REQUEST.subarray(4));
+    expect(hasValidFingerprint(encoded)).toBe(true);
+  });
+});
+
+describe('stunCodec', () => {
+  it('round-trips messages with padded attributes', () => {
+    const transactionId = crypto.randomBytes(12);
+    const encoded = encodeStunMessage({
+      method: STUN_METHODS.SEND,
+      messageClass: STUN_CLASSES.INDICATION,
+      transactionId,
+      attributes: [{ type: STUN_ATTRIBUTES.DATA, value: Buffer.from('hello') }],
+    });
+    expect(encoded.length % 4).toBe(0);
+
+    const message = decodeStunMessage(encoded);
+    expect(message.method).toBe(STUN_METHODS.SEND);
+    expect(message.messageClass).toBe(STUN_CLASSES.INDICATION);
+    expect(message.transactionId).toEqual(transactionId);
+    expect(getAttribute(message, STUN_ATTRIBUTES.DATA).value.toString()).toBe('hello');
+    expect(hasValidFingerprint(encoded)).toBe(true);
+  });
+
+  it('rejects buffers that are not STUN or overrun themselves', () => {
+    expect(isStunMessage(Buffer.alloc(10))).toBe(false);
+    expect(isStunMessage(Buffer.alloc(20))).toBe(false); // No magic cookie
+    expect(() => decodeStunMessage(Buffer.alloc(20))).toThrow('Not a STUN message');
+
+    const truncated = Buffer.from(SAMPLE_REQUEST.subarray(0, 40));
+    expect(() => decodeStunMessage(truncated)).toThrow('Bad STUN message length');
+
+    const overrun = Buffer.from(SAMPLE_REQUEST);
+    overrun.writeUInt16BE(0x00ff, 22); // SOFTWARE length past the end of the message
+    expect(() => decodeStunMessage(overrun)).toThrow('overruns the message');
+  });
+
+  it('round-trips XOR addresses', () => {
+    ['0.0.0.0', '10.1.2.3', '192.168.0.255', '255.255.255.255'].forEach((address) => {
+      [1, 3478, 65535].forEach((port) => {
+        expect(decodeXorAddress(encodeXorAddress({ address, port }))).toEqual({ address, port });
+      });
+    });
+  });
+
+  it('ignores XOR addresses that are not IPv4', () => {
+    const ipv6 = Buffer.alloc(20);
+    ipv6[1] = 0x02;
+    expect(decodeXorAddress(ipv6)).toBeNull();
+    expect(decodeXorAddress(Buffer.alloc(4))).toBeNull();
+    expect(decodeXorAddress(undefined)).toBeNull();
+  });
+
+  it('frames ChannelData padded to 4 bytes and reads back the exact length', () => {
+    const encoded = encodeChannelData(0x4001, Buffer.from('abcde'));
+    expect(encoded.length).toBe(12);
+    expect(isChannelData(encoded)).toBe(true);
+    expect(isStunMessage(encoded)).toBe(false);
+    expect(decodeChannelData(encoded)).toEqual({ channel: 0x4001, data: Buffer.from('abcde') });
+  });
+
+  it('rejects ChannelData that is too short or overruns the datagram', () => {
+    expect(isChannelData(Buffer.from([0x40, 0x00, 0x00]))).toBe(false);
+    expect(isChannelData(Buffer.from([0x00, 0x01, 0x00, 0x00]))).toBe(false); // STUN range
+
+    const overrun = encodeChannelData(0x4000, Buffer.from('abcd'));
+    overrun.writeUInt16BE(100, 2);
+    expect(() => decodeChannelData(overrun)).toThrow('overruns the datagram');
+  });
+});
+
+describe('TurnServer authentication', () => {
+  const remote = { address: '10.0.0.2', port: 5000 };
+
+  // A server whose responses are decoded and collected instead of sent
+  const createServer = () => {
+    const server = new TurnServer();
+    const responses = [];
+    server.socket = { send: (buffer) => responses.push(decodeStunMessage(buffer)) };
+    return { server, responses };
+  };
+
+  const request = (server, { username = 'butter', nonce = server.nonce, key = server.key, peer } = {}) => {
+    const attributes = [];
+    if (username) attributes.push({ type: STUN_ATTRIBUTES.USERNAME, value: Buffer.from(username) });
+    if (nonce) attributes.push({ type: STUN_ATTRIBUTES.NONCE, value: Buffer.from(nonce) });
+    attributes.push({ type: STUN_ATTRIBUTES.REALM, value: Buffer.from('butter-visualizer') });
+    if (peer) attributes.push({ type: STUN_ATTRIBUTES.XOR_PEER_ADDRESS, value: encodeXorAddress(peer) });
+
+    const message = {
+      method: peer ? STUN_METHODS.CREATE_PERMISSION : STUN_METHODS.REFRESH,
+      messageClass: STUN_CLASSES.REQUEST,
+      transactionId: crypto.randomBytes(12),
+      attributes,
+    };
+    server.handlePacket(encodeStunMessage(message, { key }), remote);
+  };
+
+  const errorCode = (response) => {
+    const value = getAttribute(response, STUN_ATTRIBUTES.ERROR_CODE)?.value;
+    return value ? value[2] * 100 + value[3] : null;
+  };
+
+  it('answers requests without credentials with 401 and the realm and nonce', () => {
+    const { server, responses } = createServer();
+    request(server, { username: null, nonce: null, key: null });
+
+    const [response] = responses;
+    expect(response.messageClass).toBe(STUN_CLASSES.ERROR);
+    expect(errorCode(response)).toBe(401);
+    expect(getAttribute(response, STUN_ATTRIBUTES.REALM).value.toString()).toBe('butter-visualizer');
+    expect(getAttribute(response, STUN_ATTRIBUTES.NONCE).value.toString()).toBe(server.nonce);
+  });
+
+  it('answers a stale nonce with 438', () => {
+    const { server, responses } = createServer();
+    request(server, { nonce: 'stale' });
+    expect(errorCode(responses[0])).toBe(438);
+    expect(getAttribute(responses[0], STUN_ATTRIBUTES.NONCE).value.toString()).toBe(server.nonce);
+  });
+
+  it('answers a wrong password or username with 401', () => {
+    const { server, responses } = createServer();
+    request(server, { key: longTermKey('butter', 'butter-visualizer', 'guess') });
+    request(server, { username: 'someone' });
+    expect(responses.map(errorCode)).toEqual([401, 401]);
+  });
+
+  it('accepts valid credentials and signs the response', () => {
+    const { server, responses } = createServer();
+    request(server); // Refresh without an allocation - past authentication, so 437
+
+    expect(errorCode(responses[0])).toBe(437);
+    expect(getAttribute(responses[0], STUN_ATTRIBUTES.MESSAGE_INTEGRITY)).toBeDefined();
+  });
+
+  it('refuses permissions for loopback and link-local peers', () => {
+    const { server, responses } = createServer();
+    server.allocations.set('10.0.0.2:5000', {
+      client: remote,
+      relay: { send: () => {}, close: () => {} },
+      expires: Date.now() + 60000,
+      permissions: new Map(),
+      channels: new Map(),
+      peerChannels: new Map(),
+    });
+
+    request(server, { peer: { address: '127.0.0.1', port: 80 } });
+    request(server, { peer: { address: '169.254.169.254', port: 80 } });
+    request(server, { peer: { address: '10.0.0.9', port: 80 } });
+    expect(responses.map(errorCode)).toEqual([403, 403, null]);
+  });
+
+  it("refuses this machine's own addresses as peers", async () => {
+    const server = new TurnServer();
+    await server.configure({ turnEnabled: false, externalAddress: '203.0.113.5' });
+    const responses = [];
+    server.socket = { send: (buffer) => responses.push(decodeStunMessage(buffer)) };
+    const sent = [];
+    server.allocations.set('10.0.0.2:5000', {
+      client: remote,
+      relay: { send: (data, port, address) => sent.push(address), close: () => {} },
+      expires: Date.now() + 60000,
+      permissions: new Map([['192.168.1.20', Date.now() + 60000]]),
+      channels: new Map(),
+      peerChannels: new Map(),
+    });
+
+    request(server, { peer: { address: '192.168.1.20', port: 9000 } }); // LAN interface - OSC, Express, ...
+    request(server, { peer: { address: '203.0.113.5', port: 3478 } }); // External address
+    expect(responses.map(errorCode)).toEqual([403, 403]);
+
+    // Nor does an existing permission let Send through
+    server.handleSend(server.allocations.get('10.0.0.2:5000'), {
+      attributes: [
+        { type: STUN_ATTRIBUTES.XOR_PEER_ADDRESS, value: encodeXorAddress({ address: '192.168.1.20', port: 9000 }) },
+        { type: STUN_ATTRIBUTES.DATA, value: Buffer.from('x') },
+      ],
+    });
+    expect(sent).toEqual([]);
+  });
+});
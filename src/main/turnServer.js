@@ -0,0 +1,577 @@
+import crypto from 'crypto';
+import dgram from 'dgram';
+import net from 'net';
+import { networkInterfaces } from 'os';
+import {
+  STUN_ATTRIBUTES,
+  STUN_CLASSES,
+  STUN_METHODS,
+  decodeChannelData,
+  decodeStunMessage,
+  decodeXorAddress,
+  encodeChannelData,
+  encodeErrorCode,
+  encodeStunMessage,
+  encodeUInt32,
+  encodeXorAddress,
+  getAttribute,
+  isChannelData,
+  isStunMessage,
+  longTermKey,
+  verifyMessageIntegrity,
+} from './stunCodec.js';
+
+export const DEFAULT_ICE_CONFIG = {
+  iceServers: [], // Extra STUN/TURN servers, as in RTCConfiguration.iceServers
+  turnEnabled: false, // Built-in STUN/TURN server
+  turnPort: 3478,
+  externalAddress: '', // IPv4 address clients reach this machine on - defaults to its first LAN address
+};
+
+const REALM = 'butter-visualizer';
+const USERNAME = 'butter';
+const SOFTWARE = 'Butter Visualizer TURN';
+const UDP_TRANSPORT = 17;
+const DEFAULT_LIFETIME_S = 600;
+const MAX_LIFETIME_S = 3600;
+const PERMISSION_LIFETIME_MS = 300 * 1000;
+const CHANNEL_LIFETIME_MS = 600 * 1000;
+const MAX_ALLOCATIONS = 64;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+const toPort = (value, fallback) => {
+  const port = Number(value);
+  return Number.isInteger(port) && port > 0 && port < 65536 ? port : fallback;
+};
+
+const ICE_URL_PATTERN = /^(stun|stuns|turn|turns):/;
+
+/**
+ * Validate RTCIceServer entries ({ urls, username?, credential? })
+ */
+export function validateIceServers(iceServers) {
+  if (!Array.isArray(iceServers)) {
+    throw new Error('ICE servers must be an array');
+  }
+
+  return iceServers.map((server) => {
+    const urls = Array.isArray(server?.urls) ? server.urls : [server?.urls];
+    if (urls.length === 0 || !urls.every((url) => typeof url === 'string' && ICE_URL_PATTERN.test(url))) {
+      throw new Error(`Invalid ICE server URL in ${JSON.stringify(server?.urls)} (expected stun:, turn: or turns:)`);
+    }
+    const entry = { urls: server.urls };
+    if (server.username !== undefined) entry.username = String(server.username);
+    if (server.credential !== undefined) entry.credential = String(server.credential);
+    return entry;
+  });
+}
+
+/**
+ * First non-internal IPv4 address of this machine
+ */
+function getLanAddress() {
+  for (const addresses of Object.values(networkInterfaces())) {
+    const lan = addresses.find((iface) => iface.family === 'IPv4' && !iface.internal);
+    if (lan) return lan.address;
+  }
+  return '127.0.0.1';
+}
+
+/**
+ * Every address of this machine's network interfaces
+ */
+function getInterfaceAddresses() {
+  return Object.values(networkInterfaces()).flatMap((addresses) => addresses.map((iface) => iface.address));
+}
+
+const endpointKey = ({ address, port }) => `${address}:${port}`;
+
+/**
+ * Peers the relay must never reach - loopback, unspecified and link-local addresses. Together with
+ * the machine's own addresses (TurnServer.isForbiddenPeer) this keeps clients from using the relay
+ * to talk to services on this machine
+ */
+export function isForbiddenPeer({ address }) {
+  const [first, second] = address.split('.').map(Number);
+  return first === 127 || first === 0 || (first === 169 && second === 254);
+}
+
+/**
+ * TurnServer - Built-in STUN/TURN relay (UDP, IPv4) for browser clients on other networks
+ *
+ * Answers STUN Binding requests and relays TURN allocations, so WebRTC works across routed
+ * networks and NAT without an outside server. Only clients holding the credentials can allocate -
+ * they are generated per run and handed out with the ICE config to paired clients.
+ */
+export class TurnServer {
+  constructor() {
+    this.config = { ...DEFAULT_ICE_CONFIG };
+    this.socket = null;
+    this.isListening = false;
+    this.lastError = null;
+    this.allocations = new Map(); // 'address:port' of the client -> allocation
+    this.password = crypto.randomBytes(16).toString('hex');
+    this.nonce = crypto.randomBytes(16).toString('hex');
+    this.key = longTermKey(USERNAME, REALM, this.password);
+    this.relayAddress = '127.0.0.1';
+    this.ownAddresses = new Set(getInterfaceAddresses()); // Refreshed on configure and every sweep
+    this.sweepInterval = null;
+  }
+
+  /**
+   * Merge stored settings with defaults (throws on invalid ICE servers or address)
+   */
+  static normalizeConfig(config = {}) {
+    const merged = { ...DEFAULT_ICE_CONFIG, ...(config || {}) };
+    const externalAddress = typeof merged.externalAddress === 'string' ? merged.externalAddress.trim() : '';
+    if (externalAddress && !net.isIPv4(externalAddress)) {
+      throw new Error(`External address must be an IPv4 address: ${externalAddress}`);
+    }
+
+    return {
+      iceServers: validateIceServers(merged.iceServers ?? []),
+      turnEnabled: Boolean(merged.turnEnabled),
+      turnPort: toPort(merged.turnPort, DEFAULT_ICE_CONFIG.turnPort),
+      externalAddress,
+    };
+  }
+
+  /**
+   * Apply a new configuration, restarting the socket as needed
+   */
+  async configure(config) {
+    this.config = TurnServer.normalizeConfig(config);
+    this.relayAddress = this.config.externalAddress || getLanAddress();
+    this.refreshOwnAddresses();
+
+    await this.stop();
+    if (this.config.turnEnabled) {
+      await this.start();
+    }
+    return this.config;
+  }
+
+  /**
+   * ICE servers for a client that reached this machine as `host` - the configured ones plus
+   * the built-in server when it's running
+   */
+  getIceServers(host) {
+    const iceServers = [...this.config.iceServers];
+    if (this.isListening) {
+      const address = this.config.externalAddress || host || this.relayAddress;
+      iceServers.push({
+        urls: [`stun:${address}:${this.config.turnPort}`, `turn:${address}:${this.config.turnPort}?transport=udp`],
+        username: USERNAME,
+        credential: this.password,
+      });
+    }
+    return iceServers;
+  }
+
+  getStatus() {
+    return {
+      listening: this.isListening,
+      port: this.config.turnPort,
+      relayAddress: this.relayAddress,
+      allocations: this.allocations.size,
+      error: this.lastError,
+    };
+  }
+
+  /**
+   * Bind the UDP socket
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      this.socket = socket;
+      this.lastError = null;
+
+      socket.on('error', (error) => {
+        console.error('TURN socket error:', error);
+        this.lastError = error.message;
+      });
+      socket.on('message', (buffer, remote) => this.handlePacket(buffer, remote));
+
+      const onBindError = (error) => {
+        this.socket = null;
+        this.lastError = error.message;
+        socket.close();
+        reject(error);
+      };
+      socket.once('error', onBindError);
+
+      socket.bind(this.config.turnPort, () => {
+        socket.off('error', onBindError);
+        this.isListening = true;
+        this.sweepInterval = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        console.log(`🧊 STUN/TURN listening on udp://0.0.0.0:${this.config.turnPort} (relaying as ${this.relayAddress})`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Close the socket and every allocation
+   */
+  stop() {
+    clearInterval(this.sweepInterval);
+    this.sweepInterval = null;
+    [...this.allocations.keys()].forEach((key) => this.freeAllocation(key));
+
+    return new Promise((resolve) => {
+      if (!this.socket) {
+        resolve();
+        return;
+      }
+
+      const socket = this.socket;
+      this.socket = null;
+      this.isListening = false;
+      socket.close(() => resolve());
+    });
+  }
+
+  /**
+   * Re-read this machine's addresses (interfaces come and go), plus the relay and external address
+   */
+  refreshOwnAddresses() {
+    const addresses = [...getInterfaceAddresses(), this.relayAddress, this.config.externalAddress];
+    this.ownAddresses = new Set(addresses.filter(Boolean));
+  }
+
+  /**
+   * Whether the relay must refuse a peer - one of the reserved ranges, or this machine itself
+   */
+  isForbiddenPeer(peer) {
+    return isForbiddenPeer(peer) || this.ownAddresses.has(peer.address);
+  }
+
+  handlePacket(buffer, remote) {
+    try {
+      if (isChannelData(buffer)) {
+        this.handleChannelData(buffer, remote);
+      } else if (isStunMessage(buffer)) {
+        this.handleMessage(buffer, decodeStunMessage(buffer), remote);
+      }
+    } catch (error) {
+      console.warn(`Ignoring malformed STUN/TURN packet from ${remote.address}:`, error.message);
+    }
+  }
+
+  /**
+   * A client's allocation - an expired one is freed on the spot rather than at the next sweep
+   */
+  getAllocation(remote) {
+    const key = endpointKey(remote);
+    const allocation = this.allocations.get(key);
+    if (allocation && allocation.expires < Date.now()) {
+      this.freeAllocation(key);
+      return undefined;
+    }
+    return allocation;
+  }
+
+  handleMessage(buffer, message, remote) {
+    const allocation = this.getAllocation(remote);
+
+    if (message.messageClass === STUN_CLASSES.INDICATION) {
+      if (message.method === STUN_METHODS.SEND && allocation) {
+        this.handleSend(allocation, message);
+      }
+      return;
+    }
+    if (message.messageClass !== STUN_CLASSES.REQUEST) return;
+
+    if (message.method === STUN_METHODS.BINDING) {
+      this.respond(remote, message, [
+        { type: STUN_ATTRIBUTES.XOR_MAPPED_ADDRESS, value: encodeXorAddress(remote) },
+      ]);
+      return;
+    }
+
+    if (!this.authenticate(buffer, message, remote)) return;
+
+    switch (message.method) {
+      case STUN_METHODS.ALLOCATE:
+        this.handleAllocate(message, remote, allocation);
+        break;
+      case STUN_METHODS.REFRESH:
+        this.handleRefresh(message, remote, allocation);
+        break;
+      case STUN_METHODS.CREATE_PERMISSION:
+        this.handleCreatePermission(message, remote, allocation);
+        break;
+      case STUN_METHODS.CHANNEL_BIND:
+        this.handleChannelBind(message, remote, allocation);
+        break;
+      default:
+        this.respondError(remote, message, 400, 'Bad Request', true);
+    }
+  }
+
+  /**
+   * Long-term credential check - answers the request with an error and returns false if it fails
+   */
+  authenticate(buffer, message, remote) {
+    const username = getAttribute(message, STUN_ATTRIBUTES.USERNAME);
+    const nonce = getAttribute(message, STUN_ATTRIBUTES.NONCE);
+    if (!getAttribute(message, STUN_ATTRIBUTES.MESSAGE_INTEGRITY) || !username || !nonce) {
+      this.respondError(remote, message, 401, 'Unauthorized');
+      return false;
+    }
+    if (nonce.value.toString() !== this.nonce) {
+      this.respondError(remote, message, 438, 'Stale Nonce');
+      return false;
+    }
+    if (username.value.toString() !== USERNAME || !verifyMessageIntegrity(buffer, message, this.key)) {
+      this.respondError(remote, message, 401, 'Unauthorized');
+      return false;
+    }
+    return true;
+  }
+
+  handleAllocate(message, remote, existing) {
+    if (existing) {
+      this.respondError(remote, message, 437, 'Allocation Mismatch', true);
+      return;
+    }
+    const transport = getAttribute(message, STUN_ATTRIBUTES.REQUESTED_TRANSPORT);
+    if (!transport) {
+      this.respondError(remote, message, 400, 'Bad Request', true);
+      return;
+    }
+    if (transport.value[0] !== UDP_TRANSPORT) {
+      this.respondError(remote, message, 442, 'Unsupported Transport Protocol', true);
+      return;
+    }
+    if (this.allocations.size >= MAX_ALLOCATIONS) {
+      this.respondError(remote, message, 486, 'Allocation Quota Reached', true);
+      return;
+    }
+
+    const key = endpointKey(remote);
+    const lifetime = this.getLifetime(message);
+    const relay = dgram.createSocket('udp4');
+    const allocation = {
+      client: { address: remote.address, port: remote.port },
+      relay,
+      expires: Date.now() + lifetime * 1000,
+      permissions: new Map(), // peer IP -> expiry
+      channels: new Map(), // channel number -> { peer, expires }
+      peerChannels: new Map(), // 'address:port' of the peer -> channel number
+    };
+    this.allocations.set(key, allocation);
+
+    relay.on('error', (error) => {
+      console.warn(`TURN relay error for ${key}:`, error.message);
+    });
+    relay.on('message', (data, peer) => this.relayToClient(allocation, data, peer));
+    relay.bind(0, () => {
+      if (this.allocations.get(key) !== allocation) return; // Freed while binding
+      this.respond(
+        remote,
+        message,
+        [
+          {
+            type: STUN_ATTRIBUTES.XOR_RELAYED_ADDRESS,
+            value: encodeXorAddress({ address: this.relayAddress, port: relay.address().port }),
+          },
+          { type: STUN_ATTRIBUTES.LIFETIME, value: encodeUInt32(lifetime) },
+          { type: STUN_ATTRIBUTES.XOR_MAPPED_ADDRESS, value: encodeXorAddress(remote) },
+        ],
+        true
+      );
+    });
+  }
+
+  handleRefresh(message, remote, allocation) {
+    if (!allocation) {
+      this.respondError(remote, message, 437, 'Allocation Mismatch', true);
+      return;
+    }
+
+    const lifetime = this.getLifetime(message);
+    if (lifetime === 0) {
+      this.freeAllocation(endpointKey(remote));
+    } else {
+      allocation.expires = Date.now() + lifetime * 1000;
+    }
+    this.respond(remote, message, [{ type: STUN_ATTRIBUTES.LIFETIME, value: encodeUInt32(lifetime) }], true);
+  }
+
+  handleCreatePermission(message, remote, allocation) {
+    if (!allocation) {
+      this.respondError(remote, message, 437, 'Allocation Mismatch', true);
+      return;
+    }
+
+    const peers = message.attributes
+      .filter((attribute) => attribute.type === STUN_ATTRIBUTES.XOR_PEER_ADDRESS)
+      .map((attribute) => decodeXorAddress(attribute.value));
+    if (peers.length === 0 || peers.includes(null)) {
+      this.respondError(remote, message, 400, 'Bad Request', true);
+      return;
+    }
+    if (peers.some((peer) => this.isForbiddenPeer(peer))) {
+      this.respondError(remote, message, 403, 'Forbidden', true);
+      return;
+    }
+
+    const expires = Date.now() + PERMISSION_LIFETIME_MS;
+    peers.forEach((peer) => allocation.permissions.set(peer.address, expires));
+    this.respond(remote, message, [], true);
+  }
+
+  handleChannelBind(message, remote, allocation) {
+    if (!allocation) {
+      this.respondError(remote, message, 437, 'Allocation Mismatch', true);
+      return;
+    }
+
+    const channelAttribute = getAttribute(message, STUN_ATTRIBUTES.CHANNEL_NUMBER);
+    const peer = decodeXorAddress(getAttribute(message, STUN_ATTRIBUTES.XOR_PEER_ADDRESS)?.value);
+    const channel = channelAttribute?.value.readUInt16BE(0);
+    if (!peer || channel === undefined || channel < 0x4000 || channel > 0x7fff) {
+      this.respondError(remote, message, 400, 'Bad Request', true);
+      return;
+    }
+    if (this.isForbiddenPeer(peer)) {
+      this.respondError(remote, message, 403, 'Forbidden', true);
+      return;
+    }
+
+    // A channel stays bound to one peer, and a peer to one channel
+    const peerKey = endpointKey(peer);
+    const bound = allocation.channels.get(channel);
+    const boundChannel = allocation.peerChannels.get(peerKey);
+    if ((bound && endpointKey(bound.peer) !== peerKey) || (boundChannel !== undefined && boundChannel !== channel)) {
+      this.respondError(remote, message, 400, 'Bad Request', true);
+      return;
+    }
+
+    allocation.channels.set(channel, { peer, expires: Date.now() + CHANNEL_LIFETIME_MS });
+    allocation.peerChannels.set(peerKey, channel);
+    allocation.permissions.set(peer.address, Date.now() + PERMISSION_LIFETIME_MS);
+    this.respond(remote, message, [], true);
+  }
+
+  handleSend(allocation, message) {
+    const peer = decodeXorAddress(getAttribute(message, STUN_ATTRIBUTES.XOR_PEER_ADDRESS)?.value);
+    const data = getAttribute(message, STUN_ATTRIBUTES.DATA);
+    if (!peer || !data || this.isForbiddenPeer(peer) || !this.hasPermission(allocation, peer)) return;
+    allocation.relay.send(data.value, peer.port, peer.address);
+  }
+
+  handleChannelData(buffer, remote) {
+    const allocation = this.getAllocation(remote);
+    if (!allocation) return;
+
+    const { channel, data } = decodeChannelData(buffer);
+    const binding = allocation.channels.get(channel);
+    if (!binding || binding.expires < Date.now() || this.isForbiddenPeer(binding.peer)) return;
+    allocation.relay.send(data, binding.peer.port, binding.peer.address);
+  }
+
+  /**
+   * Data from a peer back to the client - ChannelData if bound, otherwise a Data indication
+   */
+  relayToClient(allocation, data, peer) {
+    if (!this.socket || allocation.expires < Date.now() || !this.hasPermission(allocation, peer)) return;
+
+    const channel = allocation.peerChannels.get(endpointKey(peer));
+    const packet =
+      channel !== undefined
+        ? encodeChannelData(channel, data)
+        : encodeStunMessage({
+            method: STUN_METHODS.DATA,
+            messageClass: STUN_CLASSES.INDICATION,
+            transactionId: crypto.randomBytes(12),
+            attributes: [
+              { type: STUN_ATTRIBUTES.XOR_PEER_ADDRESS, value: encodeXorAddress(peer) },
+              { type: STUN_ATTRIBUTES.DATA, value: data },
+            ],
+          });
+    this.socket.send(packet, allocation.client.port, allocation.client.address);
+  }
+
+  hasPermission(allocation, peer) {
+    return (allocation.permissions.get(peer.address) || 0) > Date.now();
+  }
+
+  getLifetime(message) {
+    const requested = getAttribute(message, STUN_ATTRIBUTES.LIFETIME);
+    if (!requested) return DEFAULT_LIFETIME_S;
+    return Math.min(MAX_LIFETIME_S, requested.value.readUInt32BE(0));
+  }
+
+  respond(remote, request, attributes, authenticated = false) {
+    this.send(
+      remote,
+      {
+        method: request.method,
+        messageClass: STUN_CLASSES.SUCCESS,
+        transactionId: request.transactionId,
+        attributes: [...attributes, { type: STUN_ATTRIBUTES.SOFTWARE, value: Buffer.from(SOFTWARE) }],
+      },
+      authenticated
+    );
+  }
+
+  /**
+   * Error response - 401/438 carry the realm and nonce the client needs to authenticate
+   */
+  respondError(remote, request, code, reason, authenticated = false) {
+    const attributes = [{ type: STUN_ATTRIBUTES.ERROR_CODE, value: encodeErrorCode(code, reason) }];
+    if (code === 401 || code === 438) {
+      attributes.push(
+        { type: STUN_ATTRIBUTES.REALM, value: Buffer.from(REALM) },
+        { type: STUN_ATTRIBUTES.NONCE, value: Buffer.from(this.nonce) }
+      );
+    }
+    this.send(
+      remote,
+      { method: request.method, messageClass: STUN_CLASSES.ERROR, transactionId: request.transactionId, attributes },
+      authenticated
+    );
+  }
+
+  send(remote, message, authenticated) {
+    if (!this.socket) return;
+    this.socket.send(encodeStunMessage(message, { key: authenticated ? this.key : null }), remote.port, remote.address);
+  }
+
+  freeAllocation(key) {
+    const allocation = this.allocations.get(key);
+    if (!allocation) return;
+    this.allocations.delete(key);
+    try {
+      allocation.relay.close();
+    } catch {
+      // Already closed
+    }
+  }
+
+  /**
+   * Drop expired allocations, permissions and channel bindings
+   */
+  sweep() {
+    const now = Date.now();
+    this.refreshOwnAddresses();
+    this.allocations.forEach((allocation, key) => {
+      if (allocation.expires < now) {
+        this.freeAllocation(key);
+        return;
+      }
+      allocation.permissions.forEach((expires, address) => {
+        if (expires < now) allocation.permissions.delete(address);
+      });
+      allocation.channels.forEach(({ peer, expires }, channel) => {
+        if (expires < now) {
+          allocation.channels.delete(channel);
+          allocation.peerChannels.delete(endpointKey(peer));
+        }
+      });
+    });
+  }
+}
@@ -1,6 +1,7 @@
 import { BrowserWindow } from 'electron';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { normalizeWallConfig } from '../shared/videoWall.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -11,8 +12,94 @@ const __dirname = dirname(__filename);
 export class WindowManager {
   constructor() {
     this.popupWindows = new Map(); // windowId -> BrowserWindow
+    this.windowMeta = new Map(); // windowId -> { preset, playlistId }
     this.nextWindowId = 1;
     this.onWindowClosedCallback = null;
+
+    // Video wall - one visualization spread over several windows/browser clients
+    this.wall = normalizeWallConfig();
+    this.wallEpoch = null; // Shared time zero for the tiles' frame clock (set when the wall is enabled)
+    this.wallTiles = []; // [{ windowId, row, column }] - at most one window per tile
+    this.onWallChangeCallback = null;
+  }
+
+  /**
+   * Set callback for video wall changes - receives the wall state (see getWall)
+   */
+  setOnWallChange(callback) {
+    this.onWallChangeCallback = callback;
+  }
+
+  /**
+   * Restore the saved wall (tile assignments included - Electron window IDs start from 1 again,
+   * so windows opened in the same order get their tiles back)
+   */
+  loadWall(saved) {
+    this.wall = normalizeWallConfig(saved);
+    this.wallEpoch = this.wall.enabled ? Date.now() : null;
+    this.wallTiles = Array.isArray(saved?.tiles) ? saved.tiles.filter((tile) => this.isWallTile(tile)) : [];
+  }
+
+  /**
+   * Get the wall config, epoch and tile assignments
+   */
+  getWall() {
+    return { ...this.wall, epoch: this.wallEpoch, tiles: this.wallTiles };
+  }
+
+  /**
+   * Change { enabled, rows, columns, tileWidth, tileHeight, bezelX, bezelY } - tiles that no
+   * longer fit the grid are unassigned
+   */
+  setWallConfig(changes) {
+    const wasEnabled = this.wall.enabled;
+    this.wall = normalizeWallConfig({ ...this.wall, ...changes });
+    if (this.wall.enabled && !wasEnabled) {
+      this.wallEpoch = Date.now();
+    } else if (!this.wall.enabled) {
+      this.wallEpoch = null;
+    }
+    this.wallTiles = this.wallTiles.filter((tile) => this.isWallTile(tile));
+    return this.notifyWallChange();
+  }
+
+  /**
+   * Put a window (popup ID or browser client ID) on a tile, or take it off the wall with tile = null.
+   * A window already on the tile is taken off it.
+   */
+  assignWallTile(windowId, tile) {
+    const others = this.wallTiles.filter((entry) => entry.windowId !== windowId);
+    if (!tile) {
+      this.wallTiles = others;
+      return this.notifyWallChange();
+    }
+
+    const entry = { windowId, row: Number(tile.row), column: Number(tile.column) };
+    if (!this.isWallTile(entry)) {
+      throw new Error(`Tile ${tile.row},${tile.column} is outside the ${this.wall.rows}x${this.wall.columns} wall`);
+    }
+    this.wallTiles = [...others.filter((other) => other.row !== entry.row || other.column !== entry.column), entry];
+    return this.notifyWallChange();
+  }
+
+  isWallTile({ windowId, row, column }) {
+    return (
+      (typeof windowId === 'number' || typeof windowId === 'string') &&
+      Number.isInteger(row) &&
+      Number.isInteger(column) &&
+      row >= 0 &&
+      row < this.wall.rows &&
+      column >= 0 &&
+      column < this.wall.columns
+    );
+  }
+
+  notifyWallChange() {
+    const wall = this.getWall();
+    if (this.onWallChangeCallback) {
+      this.onWallChangeCallback(wall);
+    }
+    return wall;
   }
 
   /**
@@ -24,13 +111,18 @@ export class WindowManager {
 
   /**
    * Create a new popup visualization window
+   * Options: { bounds, fullscreen, preset } - preset is loaded instead of a random one
    */
-  createPopupWindow() {
+  createPopupWindow(options = {}) {
     const windowId = this.nextWindowId++;
+    const { bounds, fullscreen, preset } = options;
 
     const popup = new BrowserWindow({
       width: 1280,
       height: 720,
+      ...bounds,
+      // Only set when true - an explicit false disables the fullscreen button on macOS
+      ...(fullscreen && { fullscreen: true }),
       backgroundColor: '#000000',
       autoHideMenuBar: true,
       webPreferences: {
@@ -41,14 +133,17 @@ export class WindowManager {
     });
 
     // Load popup HTML - always through Express server
-    popup.loadURL('http://localhost:4069/popup');
+    const query = preset ? `?preset=${encodeURIComponent(preset)}` : '';
+    popup.loadURL(`http://localhost:4069/popup${query}`);
 
     // Store window reference
     this.popupWindows.set(windowId, popup);
+    this.windowMeta.set(windowId, { preset: preset || null, playlistId: null });
 
     // Cleanup on close
     popup.on('closed', () => {
       this.popupWindows.delete(windowId);
+      this.windowMeta.delete(windowId);
 
       // Notify callback if set
       if (this.onWindowClosedCallback) {
@@ -82,6 +177,23 @@ export class WindowManager {
     this.popupWindows.clear();
   }
 
+  /**
+   * Record what a window is showing (preset and/or playlistId)
+   */
+  setWindowMeta(windowId, changes) {
+    const meta = this.windowMeta.get(windowId);
+    if (meta) {
+      Object.assign(meta, changes);
+    }
+  }
+
+  /**
+   * Get what a window is showing
+   */
+  getWindowMeta(windowId) {
+    return this.windowMeta.get(windowId) || null;
+  }
+
   /**
    * Get a window by ID
    */
@@ -4,6 +4,7 @@ function ConnectionStatus({ connectionState, currentPreset }) {
       case 'connected':
         return 'bg-green-500';
       case 'connecting':
+      case 'reconnecting':
         return 'bg-yellow-500';
       case 'failed':
         return 'bg-red-500';
@@ -18,6 +19,8 @@ function ConnectionStatus({ connectionState, currentPreset }) {
         return 'Connected';
       case 'connecting':
         return 'Connecting...';
+      case 'reconnecting':
+        return 'Reconnecting...';
       case 'failed':
         return 'Connection Failed';
       default:
@@ -0,0 +1,55 @@
+import { useState } from 'react';
+
+function PairingForm({ onPair, error, isPairing }) {
+  const [pin, setPin] = useState('');
+  const [name, setName] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (pin.trim()) {
+      onPair(pin, name);
+    }
+  };
+
+  return (
+    <div className="absolute inset-0 flex items-center justify-center">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-gray-900 bg-opacity-90 text-white p-6 rounded-lg w-72 space-y-3"
+      >
+        <h2 className="text-lg font-semibold">Pair this screen</h2>
+        <p className="text-sm text-gray-400">Enter the PIN shown in the Butter Visualizer dashboard.</p>
+
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          value={pin}
+          onChange={(e) => setPin(e.target.value)}
+          placeholder="PIN"
+          className="w-full bg-gray-800 rounded px-3 py-2 font-mono text-lg tracking-widest border border-gray-700"
+          autoFocus
+        />
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Screen name (optional)"
+          className="w-full bg-gray-800 rounded px-3 py-2 text-sm border border-gray-700"
+        />
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        <button
+          type="submit"
+          disabled={isPairing || !pin.trim()}
+          className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded px-3 py-2 text-sm"
+        >
+          {isPairing ? 'Pairing...' : 'Pair'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default PairingForm;
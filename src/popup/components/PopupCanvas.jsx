@@ -2,15 +2,56 @@ import { useEffect, useRef, useState } from 'react';
 import { WebRTCReceiver } from '../services/webrtcReceiver.js';
 import { SocketReceiver } from '../services/socketReceiver.js';
 import { ButterchurnRenderer } from '../services/butterchurnRenderer.js';
+import { CanvasRecorder } from '../services/canvasRecorder.js';
+import { PairingClient } from '../../shared/pairingClient.js';
+import { clockNow } from '../../shared/clockSync.js';
 import ConnectionStatus from './ConnectionStatus.jsx';
+import PairingForm from './PairingForm.jsx';
+import RecordingIndicator from './RecordingIndicator.jsx';
+
+const pairingClient = new PairingClient('butterVisualizer.authToken');
+const RENDER_STATS_INTERVAL_MS = 2000;
 
 function PopupCanvas() {
   const canvasRef = useRef(null);
   const receiverRef = useRef(null);
   const butterchurnRendererRef = useRef(null);
+  const recorderRef = useRef(null);
+  const flashLimiterRef = useRef(false); // Enabled by the dashboard, possibly before the renderer exists
+  const transitionDefaultsRef = useRef({}); // Default transition for this window, also set by the dashboard
+  const videoWallRef = useRef(null); // This window's video wall tile, if it is one
+  const renderSyncRef = useRef(null); // Lockstep rendering / audio delay settings
+  const clockOffsetRef = useRef(null); // This window's clock minus the dashboard's
+  const [recordingStartedAt, setRecordingStartedAt] = useState(null);
   const [connectionState, setConnectionState] = useState('disconnected');
   const [currentPreset, setCurrentPreset] = useState(null);
   const [isBrowserMode, setIsBrowserMode] = useState(false);
+  // Browser clients need a token from pairing before they may connect (Electron popups use IPC)
+  const [authToken, setAuthToken] = useState(() => (window.electronAPI ? null : pairingClient.getToken()));
+  const [pairingError, setPairingError] = useState(null);
+  const [isPairing, setIsPairing] = useState(false);
+
+  const handlePair = async (pin, name) => {
+    setIsPairing(true);
+    try {
+      const { token } = await pairingClient.pair(pin, name);
+      setPairingError(null);
+      setAuthToken(token);
+    } catch (error) {
+      setPairingError(error.message);
+    } finally {
+      setIsPairing(false);
+    }
+  };
+
+  // Scanning the dashboard QR code opens /popup?pin=... - pair straight away
+  useEffect(() => {
+    if (window.electronAPI) return;
+    const pin = pairingClient.takePinFromUrl();
+    if (pin && !pairingClient.getToken()) {
+      handlePair(pin);
+    }
+  }, []);
 
   useEffect(() => {
     // Detect if running in browser or Electron
@@ -18,6 +59,11 @@ function PopupCanvas() {
     const browserMode = !isElectron;
     setIsBrowserMode(browserMode);
 
+    if (browserMode && !authToken) {
+      console.log('Not paired yet - waiting for PIN');
+      return;
+    }
+
     console.log('PopupCanvas mounted - Mode:', browserMode ? 'Browser (Socket.IO)' : 'Electron (WebRTC)');
     console.log('Butterchurn available:', !!window.butterchurn);
     console.log('Butterchurn presets available:', !!window.butterchurnPresets);
@@ -28,32 +74,61 @@ function PopupCanvas() {
       return;
     }
 
-    // Set canvas size to window size
+    // Set canvas size to window size (the renderer sizes it differently for video wall tiles)
     const resizeCanvas = () => {
-      canvas.width = window.innerWidth;
-      canvas.height = window.innerHeight;
-
       if (butterchurnRendererRef.current) {
-        butterchurnRendererRef.current.handleResize(canvas.width, canvas.height);
+        butterchurnRendererRef.current.handleResize(window.innerWidth, window.innerHeight);
+      } else {
+        canvas.width = window.innerWidth;
+        canvas.height = window.innerHeight;
       }
     };
 
     resizeCanvas();
     window.addEventListener('resize', resizeCanvas);
 
+    // Restored layouts open the popup with ?preset= so it resumes what it was showing
+    const initialPreset = new URLSearchParams(window.location.search).get('preset');
+
     // Initialize appropriate receiver based on mode
-    const receiver = browserMode ? new SocketReceiver() : new WebRTCReceiver();
+    const receiver = browserMode ? new SocketReceiver(authToken) : new WebRTCReceiver();
     receiverRef.current = receiver;
 
+    if (browserMode) {
+      receiver.setAuthErrorCallback(() => {
+        pairingClient.clearToken();
+        setPairingError('This screen is not paired (or its access was revoked)');
+        setAuthToken(null);
+      });
+    }
+
     receiver.initialize(
       (audioStream) => {
-        console.log('📡 Received audio stream (not used)');
+        console.log('📡 Received audio stream (source audio for recordings)');
       },
       (dataChannel) => {
+        // Reconnected with a fresh connection, or switched to/from the Socket.IO relay - keep the
+        // running visualizer
+        if (butterchurnRendererRef.current) {
+          console.log('📊 Received new DataChannel after reconnect');
+          butterchurnRendererRef.current.attachDataChannel(dataChannel);
+          setConnectionState('connected');
+          return;
+        }
+
         console.log('📊 Received DataChannel, initializing Butterchurn...');
         const renderer = new ButterchurnRenderer(canvas, dataChannel, browserMode ? receiver : null);
         butterchurnRendererRef.current = renderer;
-        renderer.initialize();
+        renderer.setOnFrameRendered(() => recorderRef.current?.captureFrame(renderer.getFadeLevel()));
+        renderer.setTransitionDefaults(transitionDefaultsRef.current);
+        renderer.setClockOffset(clockOffsetRef.current);
+        renderer.setRenderSync(renderSyncRef.current);
+        renderer.setVideoWall(videoWallRef.current);
+        renderer.setFlashLimiterEnabled(flashLimiterRef.current);
+        renderer.setOnFlashViolation((violation) => {
+          receiver.sendControlMessage({ type: 'flash-warning', ...violation });
+        });
+        renderer.initialize(initialPreset);
         setConnectionState('connected');
       }
     );
@@ -64,48 +139,185 @@ function PopupCanvas() {
       setConnectionState(state);
     }, 1000);
 
+    // Report the render rate - the dashboard sends audio no faster than the window draws - and
+    // how audio is arriving, for the dashboard's diagnostics
+    let lastRenderStats = null;
+    const renderStatsInterval = setInterval(() => {
+      const renderer = butterchurnRendererRef.current;
+      if (!renderer || receiver.getConnectionState() !== 'connected') return;
+
+      const now = performance.now();
+      const frames = renderer.getAnimationFrameCount();
+      if (lastRenderStats && lastRenderStats.renderer === renderer) {
+        const fps = ((frames - lastRenderStats.frames) * 1000) / (now - lastRenderStats.time);
+        const audio = renderer.getAudioStats();
+        receiver.sendControlMessage({
+          type: 'render-stats',
+          fps: Math.round(fps),
+          jitterMs: Math.round(audio.jitterMs * 10) / 10,
+          audioFramesLost: audio.dropped,
+        });
+      }
+      lastRenderStats = { renderer, frames, time: now };
+    }, RENDER_STATS_INTERVAL_MS);
+
     // Listen for preset changes
     let cleanupPreset = () => {};
     if (!browserMode && window.electronAPI) {
       // Electron mode: listen via IPC
-      cleanupPreset = window.electronAPI.onPresetChanged(({ preset }) => {
+      cleanupPreset = window.electronAPI.onPresetChanged(({ preset, ...transition }) => {
         console.log('Preset changed via IPC:', preset);
         setCurrentPreset(preset);
 
         if (butterchurnRendererRef.current) {
-          butterchurnRendererRef.current.loadPreset(preset);
+          butterchurnRendererRef.current.loadPreset(preset, transition);
         }
       });
-    } else if (browserMode && receiverRef.current) {
-      // Browser mode: listen via control DataChannel
-      receiverRef.current.setControlMessageCallback((message) => {
-        console.log('Received control message:', message);
-        if (message.type === 'preset-change' && message.preset) {
-          console.log('Preset changed via DataChannel:', message.preset);
-          setCurrentPreset(message.preset);
-
-          if (butterchurnRendererRef.current) {
-            butterchurnRendererRef.current.loadPreset(message.preset);
-          }
+    }
+
+    // Recording (Electron popups only) - chunks stream to the main process, which writes the file
+    let cleanupRecording = () => {};
+    if (!browserMode) {
+      cleanupRecording = window.electronAPI.onRecordingCommand((command) => {
+        const { action, recordingId } = command;
+
+        if (action === 'stop') {
+          recorderRef.current?.stop();
+          return;
         }
+        if (action !== 'start' || recorderRef.current) return;
+
+        const recorder = new CanvasRecorder(canvas);
+        const audioTrack = command.audio ? receiver.audioStream?.getAudioTracks()[0] || null : null;
+        try {
+          recorder.start(
+            { ...command, audioTrack },
+            (chunk) => window.electronAPI.sendRecordingChunk(recordingId, chunk),
+            (error) => {
+              window.electronAPI.notifyRecordingStopped(recordingId, error);
+              recorderRef.current = null;
+              setRecordingStartedAt(null);
+            }
+          );
+        } catch (error) {
+          console.error('Failed to start recording:', error);
+          window.electronAPI.notifyRecordingStopped(recordingId, error.message);
+          return;
+        }
+
+        recorderRef.current = recorder;
+        setRecordingStartedAt(Date.now());
       });
     }
 
+    // Control DataChannel messages (presets arrive here in browser mode only - Electron uses IPC)
+    receiver.setControlMessageCallback((message) => {
+      // Clock sync round trip - answer straight away so the timing stays tight
+      if (message.type === 'clock-ping') {
+        const receivedAt = clockNow();
+        receiver.sendControlMessage({ type: 'clock-pong', t0: message.t0, t1: receivedAt, t2: clockNow() });
+        return;
+      }
+
+      if (message.type === 'clock-offset') {
+        clockOffsetRef.current = message.offset;
+        if (butterchurnRendererRef.current) {
+          butterchurnRendererRef.current.setClockOffset(message.offset);
+        }
+        return;
+      }
+
+      // Lockstep rendering and the common audio delay
+      if (message.type === 'render-sync') {
+        renderSyncRef.current = message;
+        if (butterchurnRendererRef.current) {
+          butterchurnRendererRef.current.setRenderSync(message);
+        }
+        return;
+      }
+
+      if (message.type === 'beat') {
+        if (butterchurnRendererRef.current) {
+          butterchurnRendererRef.current.handleBeat(message);
+        }
+        return;
+      }
+
+      // Photosensitivity limiter setting from the dashboard
+      if (message.type === 'flash-limiter') {
+        flashLimiterRef.current = !!message.enabled;
+        if (butterchurnRendererRef.current) {
+          butterchurnRendererRef.current.setFlashLimiterEnabled(flashLimiterRef.current);
+        }
+        return;
+      }
+
+      // This window's default transition (mode and length) from the dashboard
+      if (message.type === 'transition-defaults') {
+        transitionDefaultsRef.current = message;
+        if (butterchurnRendererRef.current) {
+          butterchurnRendererRef.current.setTransitionDefaults(message);
+        }
+        return;
+      }
+
+      // Video wall tile assignment ({ wall: null } when taken off the wall)
+      if (message.type === 'video-wall') {
+        videoWallRef.current = message.wall;
+        if (butterchurnRendererRef.current) {
+          butterchurnRendererRef.current.setVideoWall(message.wall);
+        }
+        return;
+      }
+
+      // Live edits from the dashboard's preset editor - report whether they compiled
+      if (message.type === 'preset-preview') {
+        const error = butterchurnRendererRef.current
+          ? butterchurnRendererRef.current.previewPreset(message.preset)
+          : 'Visualizer is not ready';
+        receiver.sendControlMessage({ type: 'preset-preview-result', previewId: message.previewId, error });
+        return;
+      }
+
+      // User presets added/changed/removed on disk (imports and watched folders)
+      if (message.type === 'presets-updated') {
+        if (butterchurnRendererRef.current) {
+          butterchurnRendererRef.current.handlePresetsUpdated(message);
+        }
+        return;
+      }
+
+      console.log('Received control message:', message);
+      if (browserMode && message.type === 'preset-change' && message.preset) {
+        console.log('Preset changed via DataChannel:', message.preset);
+        setCurrentPreset(message.preset);
+
+        if (butterchurnRendererRef.current) {
+          butterchurnRendererRef.current.loadPreset(message.preset, message);
+        }
+      }
+    });
+
     // Cleanup
     return () => {
       window.removeEventListener('resize', resizeCanvas);
       clearInterval(stateInterval);
+      clearInterval(renderStatsInterval);
       cleanupPreset();
+      cleanupRecording();
+      recorderRef.current?.stop();
 
       if (butterchurnRendererRef.current) {
         butterchurnRendererRef.current.cleanup();
+        butterchurnRendererRef.current = null;
       }
 
       if (receiverRef.current) {
         receiverRef.current.cleanup();
+        receiverRef.current = null;
       }
     };
-  }, []);
+  }, [authToken]);
 
   const handleCanvasClick = () => {
     const canvas = canvasRef.current;
@@ -122,7 +334,7 @@ function PopupCanvas() {
   };
 
   return (
-    <div className="relative w-screen h-screen bg-black">
+    <div className="relative w-screen h-screen bg-black overflow-hidden">
       <canvas
         ref={canvasRef}
         className="absolute top-0 left-0 w-full h-full cursor-pointer"
@@ -130,10 +342,16 @@ function PopupCanvas() {
         title="Click to toggle fullscreen"
       />
 
-      <ConnectionStatus
-        connectionState={connectionState}
-        currentPreset={currentPreset}
-      />
+      {isBrowserMode && !authToken ? (
+        <PairingForm onPair={handlePair} error={pairingError} isPairing={isPairing} />
+      ) : (
+        <ConnectionStatus
+          connectionState={connectionState}
+          currentPreset={currentPreset}
+        />
+      )}
+
+      {recordingStartedAt && <RecordingIndicator startedAt={recordingStartedAt} />}
     </div>
   );
 }
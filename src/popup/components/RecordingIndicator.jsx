@@ -0,0 +1,24 @@
+import { useState, useEffect } from 'react';
+
+function RecordingIndicator({ startedAt }) {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const seconds = Math.floor((now - startedAt) / 1000);
+
+  // Overlay only - it's drawn over the canvas, so it never ends up in the recording
+  return (
+    <div className="absolute top-4 right-4 bg-black bg-opacity-70 text-white px-3 py-1 rounded-lg text-sm flex items-center gap-2 pointer-events-none">
+      <div className="w-2 h-2 rounded-full bg-red-500 animate-pulse" />
+      <span className="tabular-nums">
+        REC {Math.floor(seconds / 60)}:{String(seconds % 60).padStart(2, '0')}
+      </span>
+    </div>
+  );
+}
+
+export default RecordingIndicator;
@@ -1,4 +1,14 @@
 import { BUTTERCHURN_CONFIG } from '../../shared/constants.js';
+import { CHANNEL_LAYOUT, FrameJitterMeter, FrameSequenceTracker, decodeAudioFrame } from '../../shared/audioFrame.js';
+import { DEFAULT_TRANSITION_OPTIONS, normalizeTransitionOptions } from '../../shared/transitionOptions.js';
+import { PresetValidator } from './presetValidator.js';
+import { FlashLimiter } from './flashLimiter.js';
+import { VideoWallTile } from './videoWallTile.js';
+import { FrameClock } from './frameClock.js';
+import { DEFAULT_RENDER_SYNC, SyncedClock, clockNow, normalizeRenderSync } from '../../shared/clockSync.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const MAX_QUEUED_AUDIO_FRAMES = 128; // Held back for the common audio delay - a few seconds at any send rate
 
 /**
  * ButterchurnRenderer - Renders butterchurn visualizations on canvas
@@ -16,13 +26,147 @@ export class ButterchurnRenderer {
     this.socketReceiver = socketReceiver; // For browser mode notifications
 
     // Storage for received audio data (time domain only)
-    this.latestTimeData = null;
+    this.latestTimeData = null; // Mono mix of L + R
+    this.latestTimeDataL = null;
+    this.latestTimeDataR = null;
+    this.latestFrameInfo = null; // { sequence, timestamp, sampleRate, samplesPerChannel }
+    this.sequenceTracker = new FrameSequenceTracker();
+    this.jitterMeter = new FrameJitterMeter();
+    this.audioQueue = []; // Decoded frames waiting for the common audio delay, oldest first
+    this.animationFrames = 0; // Animation frames since start - the render rate reported to the dashboard
+
+    // Latest beat/tempo state forwarded from the dashboard BeatDetector
+    this.beatState = null;
+
+    this.onFrameRenderedCallback = null;
+
+    // User presets (imported / watched folders) fetched from the server, by name
+    this.userPresets = new Map();
+    this.presetRequest = 0; // Latest loadPreset call - older ones still fetching are dropped
+
+    // Transition used when a preset change doesn't specify one (set per window by the dashboard)
+    this.transitionDefaults = { ...DEFAULT_TRANSITION_OPTIONS };
+    this.fade = null; // Fade-through-black in progress: { from, to, startedAt, duration }
+    this.fadeLevel = 1; // 0 = black
+    this.holding = false; // Hold mode - rendering paused on the last frame
+
+    // Video wall tile (null when the window shows the whole visualization)
+    this.wall = null; // { ...wall config, row, column, epoch } from the dashboard
+    this.wallTile = null;
+    this.windowSize = { width: canvas.width, height: canvas.height };
+
+    // Shared time base - the dashboard's clock, lockstep rendering and the common audio delay
+    this.clock = new SyncedClock();
+    this.renderSync = { ...DEFAULT_RENDER_SYNC, epoch: null };
+    this.frameClock = null; // Set while rendering in lockstep (video wall tile or render sync)
+
+    this.butterchurnAPI = null;
+    this.presetValidator = null; // Created on the first editor preview
+
+    // Optional photosensitivity safety stage (off unless the dashboard enables it)
+    this.flashLimiter = null;
+    this.flashViolationReported = false; // Reported once per preset
+    this.onFlashViolationCallback = null;
+  }
+
+  /**
+   * Set callback for presets that flash beyond the limit - receives { preset, kind, flashesPerSecond }
+   */
+  setOnFlashViolation(callback) {
+    this.onFlashViolationCallback = callback;
+  }
+
+  /**
+   * Turn the flash limiter on or off
+   */
+  setFlashLimiterEnabled(enabled) {
+    if (!enabled) {
+      this.flashLimiter?.destroy();
+      this.flashLimiter = null;
+      return;
+    }
+    if (this.flashLimiter) return;
+
+    this.flashLimiter = new FlashLimiter(this.canvas);
+    this.flashLimiter.setOnViolation(({ kind, flashesPerSecond }) => {
+      if (this.flashViolationReported) return;
+      this.flashViolationReported = true;
+      console.warn(`⚠️ Preset flashing ${flashesPerSecond}/s (${kind}):`, this.currentPreset);
+      this.onFlashViolationCallback?.({ preset: this.currentPreset, kind, flashesPerSecond });
+    });
+  }
+
+  // A new preset starts with a clean flash history
+  resetFlashLimiter() {
+    this.flashLimiter?.reset();
+    this.flashViolationReported = false;
+  }
+
+  /**
+   * Set callback run right after each frame renders (e.g. to copy it for recording)
+   */
+  setOnFrameRendered(callback) {
+    this.onFrameRenderedCallback = callback;
+  }
+
+  /**
+   * Take audio from a DataChannel - again when the dashboard replaces the connection, so the
+   * visualizer keeps running across reconnects
+   */
+  attachDataChannel(channel) {
+    if (this.dataChannel && this.dataChannel !== channel) {
+      this.dataChannel.onmessage = null;
+    }
+    this.dataChannel = channel;
+    // A new connection numbers its frames from scratch
+    this.sequenceTracker.reset();
+    this.jitterMeter.reset();
+    this.audioQueue = [];
+
+    // Listen for audio data from DataChannel (framed binary ArrayBuffer, see shared/audioFrame.js)
+    // Data arrives at optimal rate (no overlap): fftSize samples / sampleRate = ~23.4fps for 2048@48kHz
+    let messageCount = 0;
+    channel.onmessage = (event) => {
+      try {
+        const frame = decodeAudioFrame(event.data);
+
+        // Channel is unordered - never let a late frame overwrite newer audio
+        if (!this.sequenceTracker.accept(frame.sequence)) {
+          return;
+        }
+        this.jitterMeter.record(frame.timestamp, clockNow());
+        if (this.isDelayingAudio()) {
+          this.audioQueue.push(frame);
+          if (this.audioQueue.length > MAX_QUEUED_AUDIO_FRAMES) {
+            this.audioQueue.shift();
+          }
+        } else {
+          this.setAudioFrame(frame);
+        }
+        const timeData = this.latestTimeData;
+
+        messageCount++;
+        if (timeData && (messageCount === 1 || messageCount % 25 === 0)) {
+          const timeAvg = timeData.reduce((a, b) => a + b, 0) / timeData.length;
+          const timeMin = Math.min(...timeData);
+          const timeMax = Math.max(...timeData);
+          const timeRange = timeMax - timeMin;
+          const stats = this.sequenceTracker.getStats();
+          console.log(`📊 DataChannel frame #${frame.sequence} (v${frame.version}, ${frame.channelLayout}ch @ ${frame.sampleRate}Hz)`);
+          console.log(`   TIME avg: ${timeAvg.toFixed(2)}, range: ${timeRange}, size: ${frame.samplesPerChannel} samples/channel`);
+          console.log(`   Frames dropped: ${stats.dropped}, reordered: ${stats.reordered}`);
+        }
+      } catch (e) {
+        console.error('Failed to process binary audio data:', e);
+      }
+    };
   }
 
   /**
    * Initialize butterchurn with DataChannel for audio data
+   * initialPreset (e.g. from a restored layout) is loaded instead of a random one when it exists
    */
-  async initialize() {
+  async initialize(initialPreset = null) {
     try {
       console.log('🎵 Initializing butterchurn with DataChannel audio...');
 
@@ -59,34 +203,15 @@ export class ButterchurnRenderer {
 
       // Don't initialize with data - wait for real DataChannel data
       this.latestTimeData = null;
+      this.latestTimeDataL = null;
+      this.latestTimeDataR = null;
 
       console.log('🎵 Waiting for binary time domain data from DataChannel');
 
-      // Listen for audio data from DataChannel (binary ArrayBuffer)
-      // Data arrives at optimal rate (no overlap): fftSize samples / sampleRate = ~23.4fps for 2048@48kHz
-      let messageCount = 0;
-      this.dataChannel.onmessage = (event) => {
-        try {
-          // Receive binary time domain data
-          const timeData = new Uint8Array(event.data);
-          this.latestTimeData = timeData;
-
-          messageCount++;
-          if (messageCount === 1 || messageCount % 25 === 0) {
-            const timeAvg = timeData.reduce((a, b) => a + b, 0) / timeData.length;
-            const timeMin = Math.min(...timeData);
-            const timeMax = Math.max(...timeData);
-            const timeRange = timeMax - timeMin;
-            console.log(`📊 DataChannel message #${messageCount} (binary, optimized rate)`);
-            console.log(`   TIME avg: ${timeAvg.toFixed(2)}, range: ${timeRange}, size: ${timeData.length} bytes`);
-          }
-        } catch (e) {
-          console.error('Failed to process binary audio data:', e);
-        }
-      };
-
+      this.attachDataChannel(this.dataChannel);
 
       // Initialize butterchurn visualizer
+      this.butterchurnAPI = butterchurnAPI;
       this.visualizer = butterchurnAPI.createVisualizer(
         this.audioContext,
         this.canvas,
@@ -96,6 +221,7 @@ export class ButterchurnRenderer {
           ...BUTTERCHURN_CONFIG,
         }
       );
+      this.applyVideoWall();
 
       // DON'T connect audio - we're patching butterchurn's internal analysers instead
       // this.visualizer.connectAudio(this.analyser);
@@ -107,15 +233,21 @@ export class ButterchurnRenderer {
       const audioProcessor = this.visualizer.audio;
       if (audioProcessor) {
         // Patch the three internal analysers - only time domain needed (Butterchurn does its own FFT)
-        const patchAnalyser = (analyser, name) => {
+        const patchAnalyser = (analyser, name, getTimeData) => {
           // Patch time domain data
           const originalTime = analyser.getByteTimeDomainData.bind(analyser);
 
           analyser.getByteTimeDomainData = (array) => {
-            if (this.latestTimeData) {
-              // Copy only the minimum of the two array sizes to avoid out of bounds
-              const copyLength = Math.min(array.length, this.latestTimeData.length);
-              array.set(this.latestTimeData.subarray(0, copyLength));
+            const timeData = getTimeData();
+            if (timeData) {
+              // Use the most recent samples; pad the front with silence if the frame is shorter
+              if (timeData.length >= array.length) {
+                array.set(timeData.subarray(timeData.length - array.length));
+              } else {
+                const padding = array.length - timeData.length;
+                array.fill(128, 0, padding);
+                array.set(timeData, padding);
+              }
             } else {
               // No data yet, use original (which will return silence)
               originalTime(array);
@@ -125,31 +257,33 @@ export class ButterchurnRenderer {
           console.log(`✅ Patched ${name}.getByteTimeDomainData (expects ${analyser.fftSize} samples)`);
         };
 
-        patchAnalyser(audioProcessor.analyser, 'analyser (mono)');
-        patchAnalyser(audioProcessor.analyserL, 'analyserL');
-        patchAnalyser(audioProcessor.analyserR, 'analyserR');
+        patchAnalyser(audioProcessor.analyser, 'analyser (mono)', () => this.latestTimeData);
+        patchAnalyser(audioProcessor.analyserL, 'analyserL', () => this.latestTimeDataL);
+        patchAnalyser(audioProcessor.analyserR, 'analyserR', () => this.latestTimeDataR);
 
         console.log('✅ All butterchurn analysers patched (binary time domain data only)!');
       } else {
         console.error('❌ Could not find butterchurn audio processor!');
       }
 
-      // Load a random preset to start
-      const presets = window.butterchurnPresets.getPresets();
-      const presetNames = Object.keys(presets);
-      const randomPreset = presetNames[Math.floor(Math.random() * presetNames.length)];
+      // Load the requested preset (bundled or imported), or a random bundled one to start
+      const presetNames = Object.keys(window.butterchurnPresets.getPresets());
+      const startPreset =
+        initialPreset && (await this.getPreset(initialPreset).catch(() => null))
+          ? initialPreset
+          : presetNames[Math.floor(Math.random() * presetNames.length)];
 
-      console.log('Loading random preset:', randomPreset);
-      this.loadPreset(randomPreset);
+      console.log('Loading starting preset:', startPreset);
+      await this.loadPreset(startPreset, { transitionMode: 'blend' });
 
       // Notify dashboard what preset we loaded
       if (window.electronAPI) {
         // Electron mode: use IPC
-        window.electronAPI.notifyPresetLoaded(randomPreset);
-        console.log('Notified dashboard of preset via IPC:', randomPreset);
+        window.electronAPI.notifyPresetLoaded(startPreset);
+        console.log('Notified dashboard of preset via IPC:', startPreset);
       } else if (this.socketReceiver) {
         // Browser mode: send via Socket.IO
-        this.socketReceiver.notifyPresetLoaded(randomPreset);
+        this.socketReceiver.notifyPresetLoaded(startPreset);
       }
 
       // Start rendering
@@ -164,39 +298,290 @@ export class ButterchurnRenderer {
     }
   }
 
+  /**
+   * Store a decoded audio frame as L/R views plus the mono mix
+   */
+  setAudioFrame(frame) {
+    const [left, right = left] = frame.channels;
+
+    let mono = left;
+    if (frame.channelLayout === CHANNEL_LAYOUT.STEREO) {
+      mono = new Uint8Array(frame.samplesPerChannel);
+      for (let i = 0; i < mono.length; i++) {
+        mono[i] = (left[i] + right[i]) >> 1;
+      }
+    }
+
+    this.latestTimeDataL = left;
+    this.latestTimeDataR = right;
+    this.latestTimeData = mono;
+    this.latestFrameInfo = {
+      sequence: frame.sequence,
+      timestamp: frame.timestamp,
+      sampleRate: frame.sampleRate,
+      samplesPerChannel: frame.samplesPerChannel,
+    };
+  }
+
+  /**
+   * Whether audio frames are held back to be shown a fixed time after capture
+   */
+  isDelayingAudio() {
+    return this.renderSync.enabled && this.renderSync.audioDelayMs > 0 && this.clock.isSynced();
+  }
+
+  /**
+   * Show the newest queued audio frame captured at least audioDelayMs before time (dashboard
+   * clock) - every window showing the same moment then uses the same audio
+   */
+  presentAudio(time) {
+    if (this.audioQueue.length === 0) return;
+
+    const cutoff = this.isDelayingAudio() ? time - this.renderSync.audioDelayMs : Infinity;
+    let index = -1;
+    for (let i = 0; i < this.audioQueue.length && this.audioQueue[i].timestamp <= cutoff; i++) {
+      index = i;
+    }
+    if (index < 0) return;
+
+    this.setAudioFrame(this.audioQueue[index]);
+    this.audioQueue = this.audioQueue.slice(index + 1);
+  }
+
+  /**
+   * Get audio frame statistics (drops/reorders, arrival jitter and latest header info)
+   */
+  getAudioStats() {
+    return {
+      ...this.sequenceTracker.getStats(),
+      jitterMs: this.jitterMeter.getJitter(),
+      latestFrame: this.latestFrameInfo,
+    };
+  }
+
+  /**
+   * Store beat/tempo info from the dashboard (control channel 'beat' message)
+   */
+  handleBeat(beat) {
+    this.beatState = { ...beat, receivedAt: performance.now() };
+  }
+
+  /**
+   * Get latest beat/tempo state
+   */
+  getBeatState() {
+    return this.beatState;
+  }
+
+  /**
+   * Get a preset by name - bundled presets first, then user presets from the server (cached)
+   */
+  async getPreset(presetName) {
+    const bundled = window.butterchurnPresets.getPresets()[presetName];
+    if (bundled) {
+      return bundled;
+    }
+
+    if (!this.userPresets.has(presetName)) {
+      const response = await fetch(`/presets/user/${encodeURIComponent(presetName)}`, { cache: 'no-store' });
+      if (!response.ok) {
+        return null;
+      }
+      this.userPresets.set(presetName, await response.json());
+    }
+    return this.userPresets.get(presetName);
+  }
+
+  /**
+   * Show a preset from the editor - it's test-loaded first, so broken equations or shaders
+   * come back as an error message (null on success) instead of blanking the canvas
+   */
+  previewPreset(preset) {
+    if (!this.visualizer) {
+      return 'Visualizer is not ready';
+    }
+
+    if (!this.presetValidator) {
+      this.presetValidator = new PresetValidator(this.butterchurnAPI);
+    }
+    const error = this.presetValidator.validate(preset);
+    if (error) {
+      return error;
+    }
+
+    this.presetRequest++; // Supersede any preset still being fetched
+    this.endTransition();
+    this.visualizer.loadPreset(preset, 0);
+    this.currentPreset = null; // Unsaved edit - nothing to hot-reload
+    this.resetFlashLimiter();
+    return null;
+  }
+
+  /**
+   * Drop changed/removed user presets from the cache, reloading the current one in place if it changed
+   */
+  handlePresetsUpdated({ changed = [], removed = [] }) {
+    [...changed, ...removed].forEach((name) => this.userPresets.delete(name));
+
+    if (this.currentPreset && changed.includes(this.currentPreset)) {
+      console.log('Reloading changed preset:', this.currentPreset);
+      this.loadPreset(this.currentPreset, { transitionMode: 'cut' });
+    }
+  }
+
+  /**
+   * Set this window's default { transitionMode, transitionTime } for changes that don't specify them
+   */
+  setTransitionDefaults(options) {
+    this.transitionDefaults = { ...DEFAULT_TRANSITION_OPTIONS, ...normalizeTransitionOptions(options) };
+  }
+
   /**
    * Load a preset by name
+   * Options: { transitionMode, transitionTime, startAt } - missing fields use the window's defaults,
+   * startAt (dashboard clock) makes windows start the transition together
    */
-  loadPreset(presetName) {
+  async loadPreset(presetName, options = {}) {
     if (!this.visualizer) return;
 
+    const request = ++this.presetRequest;
     try {
-      const presets = window.butterchurnPresets.getPresets();
-      if (presets[presetName]) {
-        this.visualizer.loadPreset(presets[presetName], 2.0); // 2 second transition
+      const preset = await this.getPreset(presetName);
+      if (request !== this.presetRequest || !this.visualizer) return;
+
+      if (!preset) {
+        console.warn('Preset not found:', presetName);
+        return;
+      }
+
+      const { transitionMode, transitionTime, startAt = this.clock.now() } = {
+        ...this.transitionDefaults,
+        ...normalizeTransitionOptions(options),
+      };
+
+      // Windows given the same startAt (video wall tiles, render sync) begin the transition together
+      if (startAt > this.clock.now()) {
+        await delay(startAt - this.clock.now());
+        if (request !== this.presetRequest || !this.visualizer) return;
+      }
+
+      // Fade out / hold the old preset first - a newer change arriving meanwhile takes over
+      let preludeMs = 0;
+      if (transitionMode === 'fade-black') {
+        preludeMs = (transitionTime / 2) * 1000;
+        this.fadeTo(0, transitionTime / 2);
+      } else if (transitionMode === 'hold') {
+        preludeMs = transitionTime * 1000;
+        this.holding = true;
+      }
+
+      const load = () => {
+        if (request !== this.presetRequest || !this.visualizer) return;
+
+        this.endTransition();
+        if (transitionMode === 'fade-black') {
+          this.fadeLevel = 0;
+          this.fadeTo(1, transitionTime / 2);
+        }
+        this.frameClock?.resync();
+        this.visualizer.loadPreset(preset, transitionMode === 'blend' ? transitionTime : 0);
         this.currentPreset = presetName;
-        console.log('Loaded preset:', presetName);
+        this.resetFlashLimiter();
+        console.log(`Loaded preset (${transitionMode} ${transitionTime}s):`, presetName);
+      };
+
+      // Windows in lockstep switch on the same frame
+      if (this.frameClock) {
+        this.frameClock.scheduleAt(startAt + preludeMs, load);
       } else {
-        console.warn('Preset not found:', presetName);
+        if (preludeMs > 0) await delay(preludeMs);
+        load();
       }
     } catch (error) {
       console.error('Failed to load preset:', error);
     }
   }
 
+  /**
+   * Start fading the canvas towards level (0 = black)
+   */
+  fadeTo(level, seconds) {
+    this.fade = { from: this.fadeLevel, to: level, startedAt: performance.now(), duration: seconds * 1000 };
+  }
+
+  /**
+   * Stop any fade or hold and show the canvas at full brightness
+   */
+  endTransition() {
+    this.fade = null;
+    this.fadeLevel = 1;
+    this.holding = false;
+    this.canvas.style.opacity = '';
+  }
+
+  /**
+   * Current fade level (0 = black, 1 = full brightness)
+   */
+  getFadeLevel() {
+    return this.fadeLevel;
+  }
+
+  updateFade() {
+    if (!this.fade) return;
+
+    const { from, to, startedAt, duration } = this.fade;
+    const progress = duration > 0 ? Math.min(1, (performance.now() - startedAt) / duration) : 1;
+    this.fadeLevel = from + (to - from) * progress;
+    if (progress === 1 && to === 1) {
+      this.fade = null;
+    }
+    // The popup background is black, so opacity fades through black
+    this.canvas.style.opacity = this.fadeLevel === 1 ? '' : String(this.fadeLevel);
+  }
+
   /**
    * Start rendering loop
    */
   startRendering() {
     const render = () => {
-      if (this.visualizer) {
+      this.animationFrames++;
+      this.updateFade();
+
+      // While holding, the canvas keeps showing the last rendered frame
+      let rendered = false;
+      if (this.visualizer && this.frameClock) {
+        // Fixed steps on the shared clock - they keep counting while holding so the cut lands on time
+        const frames = this.frameClock.advance((elapsedTime, frameTime) => {
+          this.presentAudio(frameTime);
+          if (!this.holding) this.visualizer.render({ elapsedTime });
+        });
+        rendered = frames > 0 && !this.holding;
+      } else if (this.visualizer && !this.holding) {
+        this.presentAudio(this.clock.now());
         this.visualizer.render();
+        rendered = true;
+      }
+
+      if (rendered) {
+        if (this.flashLimiter) {
+          this.flashLimiter.processFrame();
+        }
+        if (this.onFrameRenderedCallback) {
+          this.onFrameRenderedCallback();
+        }
       }
       this.animationId = requestAnimationFrame(render);
     };
     render();
   }
 
+  /**
+   * Animation frames run so far (including ones that showed a held frame)
+   */
+  getAnimationFrameCount() {
+    return this.animationFrames;
+  }
+
   /**
    * Stop rendering
    */
@@ -208,9 +593,20 @@ export class ButterchurnRenderer {
   }
 
   /**
-   * Handle canvas resize
+   * Handle window resize
    */
   handleResize(width, height) {
+    this.windowSize = { width, height };
+    this.applyCanvasSize();
+  }
+
+  /**
+   * Size the canvas to the window, or to the shared wall canvas when this window is a tile
+   */
+  applyCanvasSize() {
+    const { width, height } = this.wallTile ? this.wallTile.getRenderSize() : this.windowSize;
+    this.wallTile?.applyLayout(this.windowSize.width, this.windowSize.height);
+
     if (this.canvas) {
       this.canvas.width = width;
       this.canvas.height = height;
@@ -221,6 +617,60 @@ export class ButterchurnRenderer {
     }
   }
 
+  /**
+   * Make this window a video wall tile ({ ...wall config, row, column, epoch }), or a normal
+   * window again with null
+   */
+  setVideoWall(wall) {
+    if (JSON.stringify(wall) === JSON.stringify(this.wall)) return; // Re-sent unchanged (another tile changed)
+    this.wall = wall;
+    if (this.visualizer) {
+      this.applyVideoWall();
+    }
+  }
+
+  applyVideoWall() {
+    this.wallTile?.destroy();
+    this.wallTile = this.wall ? new VideoWallTile(this.canvas, this.wall) : null;
+    this.applyCanvasSize();
+    this.applyFrameClock();
+  }
+
+  /**
+   * Set this window's offset from the dashboard clock (from the dashboard's clock sync)
+   */
+  setClockOffset(offset) {
+    this.clock.setOffset(offset);
+  }
+
+  /**
+   * Render in lockstep with other windows and show audio a fixed time after capture
+   * Settings: { enabled, audioDelayMs, epoch } - epoch is frame 0 on the dashboard clock
+   */
+  setRenderSync(settings) {
+    const epoch = Number.isFinite(settings?.epoch) ? settings.epoch : null;
+    this.renderSync = { ...normalizeRenderSync(settings), epoch };
+    if (this.visualizer) {
+      this.applyFrameClock();
+    }
+  }
+
+  /**
+   * Start, restart or stop lockstep rendering - wall tiles count from the wall's epoch
+   */
+  applyFrameClock() {
+    let epoch = null;
+    if (this.wallTile) {
+      epoch = this.wall.epoch;
+    } else if (this.renderSync.enabled) {
+      epoch = this.renderSync.epoch;
+    }
+    if ((this.frameClock?.epoch ?? null) === epoch) return;
+
+    this.frameClock?.destroy();
+    this.frameClock = Number.isFinite(epoch) ? new FrameClock(this.visualizer, epoch, this.clock) : null;
+  }
+
   /**
    * Cleanup
    */
@@ -231,9 +681,30 @@ export class ButterchurnRenderer {
       this.audioContext.close();
     }
 
-    this.visualizer = null;
+    if (this.presetValidator) {
+      this.presetValidator.destroy();
+      this.presetValidator = null;
+    }
+
+    this.setFlashLimiterEnabled(false);
+    this.onFlashViolationCallback = null;
+    this.endTransition();
+
+    this.visualizer = null; // Before the frame clock, so its scheduled changes are dropped
+    this.frameClock?.destroy();
+    this.frameClock = null;
+    this.wallTile?.destroy();
+    this.wallTile = null;
+    this.audioQueue = [];
     this.audioContext = null;
     this.dataChannel = null;
     this.latestTimeData = null;
+    this.latestTimeDataL = null;
+    this.latestTimeDataR = null;
+    this.latestFrameInfo = null;
+    this.sequenceTracker.reset();
+    this.jitterMeter.reset();
+    this.beatState = null;
+    this.onFrameRenderedCallback = null;
   }
 }
@@ -0,0 +1,115 @@
+const CHUNK_INTERVAL_MS = 1000; // How often MediaRecorder hands over data (streamed to disk by main)
+
+/**
+ * Pick the best WebM encoding MediaRecorder supports
+ */
+const pickMimeType = (withAudio) => {
+  const candidates = withAudio
+    ? ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm']
+    : ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+  return candidates.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+};
+
+/**
+ * CanvasRecorder - Records the visualizer canvas (plus optional audio track) to WebM with MediaRecorder
+ *
+ * At a fixed resolution each rendered frame is scaled (letterboxed) onto an offscreen canvas,
+ * so the recording size doesn't depend on the window size.
+ */
+export class CanvasRecorder {
+  constructor(sourceCanvas) {
+    this.sourceCanvas = sourceCanvas;
+    this.recordingCanvas = null;
+    this.context = null;
+    this.mediaRecorder = null;
+    this.pendingChunks = Promise.resolve(); // Keeps chunk delivery in order
+  }
+
+  /**
+   * Start recording - onChunk(ArrayBuffer) receives data as it's encoded, onStop(error) fires
+   * once the last chunk has been delivered
+   */
+  start({ width, height, videoBitsPerSecond, frameRate, audioTrack = null }, onChunk, onStop) {
+    if (typeof MediaRecorder === 'undefined') {
+      throw new Error('MediaRecorder is not available');
+    }
+
+    let videoSource = this.sourceCanvas;
+    if (width && height) {
+      this.recordingCanvas = document.createElement('canvas');
+      this.recordingCanvas.width = width;
+      this.recordingCanvas.height = height;
+      this.context = this.recordingCanvas.getContext('2d');
+      this.context.fillStyle = '#000';
+      this.context.fillRect(0, 0, width, height);
+      videoSource = this.recordingCanvas;
+    }
+
+    const stream = videoSource.captureStream(frameRate);
+    if (audioTrack) {
+      stream.addTrack(audioTrack);
+    }
+
+    this.mediaRecorder = new MediaRecorder(stream, {
+      mimeType: pickMimeType(!!audioTrack),
+      videoBitsPerSecond,
+    });
+
+    this.mediaRecorder.ondataavailable = (event) => {
+      if (event.data.size === 0) return;
+      const blob = event.data;
+      this.pendingChunks = this.pendingChunks
+        .then(async () => onChunk(await blob.arrayBuffer()))
+        .catch((error) => console.error('Failed to deliver recording chunk:', error));
+    };
+
+    this.mediaRecorder.onerror = (event) => {
+      this.finish(onStop, event.error?.message || 'Recording failed');
+    };
+
+    this.mediaRecorder.onstop = () => this.finish(onStop, null);
+
+    this.mediaRecorder.start(CHUNK_INTERVAL_MS);
+    console.log(`⏺️ Recording ${videoSource.width}x${videoSource.height} (${this.mediaRecorder.mimeType})`);
+  }
+
+  finish(onStop, error) {
+    if (!this.mediaRecorder) return;
+    this.mediaRecorder = null;
+    this.recordingCanvas = null;
+    this.context = null;
+    this.pendingChunks.then(() => onStop(error));
+  }
+
+  /**
+   * Copy the frame just rendered onto the recording canvas (call right after each render -
+   * WebGL clears the drawing buffer once the frame is presented)
+   * fadeLevel dims the copy the way a fade-through-black transition dims the window (0 = black)
+   */
+  captureFrame(fadeLevel = 1) {
+    if (!this.context) return;
+
+    const { width, height } = this.recordingCanvas;
+    const scale = Math.min(width / this.sourceCanvas.width, height / this.sourceCanvas.height);
+    const drawWidth = this.sourceCanvas.width * scale;
+    const drawHeight = this.sourceCanvas.height * scale;
+
+    this.context.fillRect(0, 0, width, height);
+    this.context.globalAlpha = fadeLevel;
+    this.context.drawImage(this.sourceCanvas, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+    this.context.globalAlpha = 1;
+  }
+
+  /**
+   * Stop recording (onStop fires once the remaining data is delivered)
+   */
+  stop() {
+    if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+      this.mediaRecorder.stop();
+    }
+  }
+
+  isRecording() {
+    return !!this.mediaRecorder;
+  }
+}
@@ -0,0 +1,184 @@
+// WCAG 2.x three-flashes thresholds (general flash and red flash)
+const LUMINANCE_THRESHOLD = 0.1; // Relative luminance change that counts as a transition
+const DARK_LUMINANCE = 0.8; // ...when the darker side is below this
+const RED_SATURATION = 0.8; // R / (R + G + B) for saturated red
+const RED_THRESHOLD = 20; // Change in (R - G - B) * 320
+const MAX_FLASHES_PER_SECOND = 3;
+
+const SAMPLE_WIDTH = 32; // Frames are measured on a small downscaled copy
+const SAMPLE_HEIGHT = 18;
+const DAMP_AT_FLASHES = 2; // Start dimming before the limit is reached
+const DAMP_HOLD_MS = 1500; // Keep dimming/clamping this long after the last risky second
+const BRIGHTNESS_SMOOTHING_MS = 300; // How fast the damped luminance follows the real one
+
+// sRGB 0-255 -> linear (WCAG relative luminance definition)
+const LINEAR = Array.from({ length: 256 }, (_, i) => {
+  const c = i / 255;
+  return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+});
+
+/**
+ * Counts opposing transitions of a signal - a flash is a pair of them
+ */
+class TransitionCounter {
+  constructor(threshold, isTransition = () => true) {
+    this.threshold = threshold;
+    this.isTransition = isTransition;
+    this.extreme = null; // Peak (or trough) since the last transition
+    this.direction = 0;
+    this.times = [];
+  }
+
+  update(value, now) {
+    if (this.extreme === null) {
+      this.extreme = value;
+      return;
+    }
+
+    const change = value - this.extreme;
+    const direction = Math.sign(change);
+    if (Math.abs(change) >= this.threshold && direction !== this.direction && this.isTransition(this.extreme, value)) {
+      this.direction = direction;
+      this.extreme = value;
+      this.times.push(now);
+    } else if (direction === this.direction) {
+      this.extreme = value; // Still going the same way - follow the peak
+    }
+
+    while (this.times.length > 0 && now - this.times[0] > 1000) {
+      this.times.shift();
+    }
+  }
+
+  flashesPerSecond() {
+    return this.times.length / 2;
+  }
+
+  reset() {
+    this.extreme = null;
+    this.direction = 0;
+    this.times = [];
+  }
+}
+
+/**
+ * FlashLimiter - Photosensitivity safety stage for the popup canvas
+ *
+ * Each rendered frame is measured on a downscaled copy (mean relative luminance and saturated-red
+ * level, so a flash has to cover a large part of the screen to count). When flashing approaches
+ * the WCAG limit of three per second, the canvas is dimmed towards its recent average brightness
+ * with a CSS filter; past the limit, frames are clamped to just above the darkest recent frame so
+ * no change is big enough to count as a flash. Red flashes are also desaturated. The preset itself
+ * is untouched, and recordings capture the canvas directly, so they are not filtered.
+ */
+export class FlashLimiter {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.sample = document.createElement('canvas');
+    this.sample.width = SAMPLE_WIDTH;
+    this.sample.height = SAMPLE_HEIGHT;
+    this.sampleContext = this.sample.getContext('2d', { willReadFrequently: true });
+
+    this.luminance = new TransitionCounter(
+      LUMINANCE_THRESHOLD,
+      (from, to) => Math.min(from, to) < DARK_LUMINANCE
+    );
+    this.red = new TransitionCounter(RED_THRESHOLD);
+
+    this.smoothedLuminance = null;
+    this.recentLuminance = []; // [time, luminance] over the last second
+    this.dampUntil = 0;
+    this.clampUntil = 0;
+    this.dampRed = false; // Red flashes are also desaturated
+    this.lastFrameAt = null;
+    this.onViolationCallback = null;
+  }
+
+  /**
+   * Set callback for when flashing exceeds the limit - receives { kind: 'luminance' | 'red', flashesPerSecond }
+   */
+  setOnViolation(callback) {
+    this.onViolationCallback = callback;
+  }
+
+  /**
+   * Measure the frame just rendered and update the damping filter (call right after render)
+   */
+  processFrame(now = performance.now()) {
+    const { luminance, red } = this.measure();
+    const elapsed = this.lastFrameAt === null ? 0 : now - this.lastFrameAt;
+    this.lastFrameAt = now;
+
+    this.luminance.update(luminance, now);
+    this.red.update(red, now);
+
+    this.recentLuminance.push([now, luminance]);
+    while (now - this.recentLuminance[0][0] > 1000) {
+      this.recentLuminance.shift();
+    }
+
+    const luminanceFlashes = this.luminance.flashesPerSecond();
+    const redFlashes = this.red.flashesPerSecond();
+    if (luminanceFlashes > MAX_FLASHES_PER_SECOND || redFlashes > MAX_FLASHES_PER_SECOND) {
+      const kind = redFlashes > luminanceFlashes ? 'red' : 'luminance';
+      this.onViolationCallback?.({ kind, flashesPerSecond: Math.max(luminanceFlashes, redFlashes) });
+      this.clampUntil = now + DAMP_HOLD_MS;
+    }
+    if (luminanceFlashes >= DAMP_AT_FLASHES || redFlashes >= DAMP_AT_FLASHES) {
+      this.dampUntil = now + DAMP_HOLD_MS;
+      this.dampRed = this.dampRed || redFlashes >= DAMP_AT_FLASHES;
+    }
+
+    // The damped luminance trails the real one, so sudden bright frames are pulled down to it
+    const smoothing = 1 - Math.exp(-elapsed / BRIGHTNESS_SMOOTHING_MS);
+    this.smoothedLuminance =
+      this.smoothedLuminance === null ? luminance : this.smoothedLuminance + (luminance - this.smoothedLuminance) * smoothing;
+
+    if (now < this.dampUntil) {
+      const darkest = Math.min(...this.recentLuminance.map(([, value]) => value));
+      const target = now < this.clampUntil ? darkest + LUMINANCE_THRESHOLD / 2 : this.smoothedLuminance;
+      // CSS brightness scales gamma-encoded values, so convert the luminance ratio back
+      const ratio = Math.min(1, target / Math.max(luminance, 0.001));
+      const filters = [`brightness(${ratio ** (1 / 2.2)})`];
+      if (this.dampRed) filters.push('saturate(0.3)');
+      this.canvas.style.filter = filters.join(' ');
+    } else if (this.canvas.style.filter) {
+      this.canvas.style.filter = '';
+      this.dampRed = false;
+    }
+  }
+
+  measure() {
+    this.sampleContext.drawImage(this.canvas, 0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+    const pixels = this.sampleContext.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT).data;
+
+    let luminance = 0;
+    let red = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+      const r = LINEAR[pixels[i]];
+      const g = LINEAR[pixels[i + 1]];
+      const b = LINEAR[pixels[i + 2]];
+      luminance += 0.2126 * r + 0.7152 * g + 0.0722 * b;
+      if (r + g + b > 0 && r / (r + g + b) >= RED_SATURATION) {
+        red += Math.max(0, (r - g - b) * 320);
+      }
+    }
+
+    const count = pixels.length / 4;
+    return { luminance: luminance / count, red: red / count };
+  }
+
+  /**
+   * Forget flash history (e.g. after a preset change)
+   */
+  reset() {
+    this.luminance.reset();
+    this.red.reset();
+    this.recentLuminance = [];
+  }
+
+  destroy() {
+    this.canvas.style.filter = '';
+    this.onViolationCallback = null;
+  }
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { FlashLimiter } from './flashLimiter.js';
+
+const FRAME_MS = 1000 / 60;
+
+describe('FlashLimiter', () => {
+  let canvas;
+  let limiter;
+  let frame; // What the next measured frame looks like
+  let now;
+
+  // Render `durationMs` of frames, switching between two looks every `periodMs`
+  const play = (durationMs, periodMs, [a, b]) => {
+    const end = now + durationMs;
+    const start = now;
+    for (; now < end; now += FRAME_MS) {
+      frame = Math.floor((now - start) / periodMs) % 2 === 0 ? a : b;
+      limiter.processFrame(now);
+    }
+  };
+
+  beforeEach(() => {
+    canvas = { style: { filter: '' } };
+    limiter = new FlashLimiter(canvas);
+    vi.spyOn(limiter, 'measure').mockImplementation(() => frame);
+    now = 0;
+  });
+
+  it('leaves slow changes alone', () => {
+    const onViolation = vi.fn();
+    limiter.setOnViolation(onViolation);
+
+    play(3000, 500, [{ luminance: 0, red: 0 }, { luminance: 1, red: 0 }]);
+    expect(onViolation).not.toHaveBeenCalled();
+    expect(canvas.style.filter).toBe('');
+  });
+
+  it('reports and dims flashing above three per second', () => {
+    const onViolation = vi.fn();
+    limiter.setOnViolation(onViolation);
+
+    play(1000, 100, [{ luminance: 0, red: 0 }, { luminance: 1, red: 0 }]);
+    expect(onViolation).toHaveBeenCalledWith({ kind: 'luminance', flashesPerSecond: expect.any(Number) });
+    expect(onViolation.mock.lastCall[0].flashesPerSecond).toBeGreaterThan(3);
+    expect(canvas.style.filter).toMatch(/^brightness\(/);
+    expect(canvas.style.filter).not.toContain('saturate');
+  });
+
+  it('clamps bright frames to just above the darkest recent frame', () => {
+    play(1000, 100, [{ luminance: 0.02, red: 0 }, { luminance: 1, red: 0 }]);
+    frame = { luminance: 1, red: 0 };
+    limiter.processFrame(now);
+
+    const ratio = Number(/brightness\(([\d.]+)\)/.exec(canvas.style.filter)[1]);
+    expect(ratio ** 2.2).toBeCloseTo(0.02 + 0.05);
+  });
+
+  it('ignores changes between two bright frames', () => {
+    const onViolation = vi.fn();
+    limiter.setOnViolation(onViolation);
+
+    play(2000, 100, [{ luminance: 0.85, red: 0 }, { luminance: 1, red: 0 }]);
+    expect(onViolation).not.toHaveBeenCalled();
+    expect(canvas.style.filter).toBe('');
+  });
+
+  it('reports red flashes and desaturates them', () => {
+    const onViolation = vi.fn();
+    limiter.setOnViolation(onViolation);
+
+    play(1000, 100, [{ luminance: 0.2, red: 0 }, { luminance: 0.2, red: 100 }]);
+    expect(onViolation.mock.lastCall[0].kind).toBe('red');
+    expect(canvas.style.filter).toContain('saturate(0.3)');
+  });
+
+  it('lifts the filter once flashing has stopped for a while', () => {
+    play(1000, 100, [{ luminance: 0, red: 0 }, { luminance: 1, red: 0 }]);
+    expect(canvas.style.filter).not.toBe('');
+
+    play(1000, 1000, [{ luminance: 0.5, red: 0 }, { luminance: 0.5, red: 0 }]);
+    expect(canvas.style.filter).not.toBe(''); // Still holding
+
+    play(2000, 1000, [{ luminance: 0.5, red: 0 }, { luminance: 0.5, red: 0 }]);
+    expect(canvas.style.filter).toBe('');
+  });
+
+  it('forgets flash history on reset', () => {
+    const onViolation = vi.fn();
+    limiter.setOnViolation(onViolation);
+    const looks = [{ luminance: 0, red: 0 }, { luminance: 1, red: 0 }];
+
+    play(500, 100, looks); // Under the limit, but over it if the next half second adds to it
+    limiter.reset();
+    play(500, 100, looks);
+    expect(onViolation).not.toHaveBeenCalled();
+  });
+});
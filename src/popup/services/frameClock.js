@@ -0,0 +1,111 @@
+import { SYNC_FRAME_RATE } from '../../shared/clockSync.js';
+
+const FRAME_MS = 1000 / SYNC_FRAME_RATE;
+const MAX_CATCH_UP_FRAMES = 4; // Frames rendered in one animation frame when a window falls behind
+
+// Small seeded PRNG (mulberry32) - windows share seeds so preset randomness matches
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * FrameClock - Steps a visualizer in lockstep with other windows
+ *
+ * Frames are rendered on a fixed clock counted from a shared epoch on the dashboard's clock
+ * (frame N is the same moment in every window), scheduled preset changes land on the same frame,
+ * and Math.random is reseeded from the change so the presets' random values match.
+ *
+ * Butterchurn keeps its own frame count, time and frame-rate estimate, which depend on when the
+ * window started. resync() overwrites them with what frame N means on the shared clock - this
+ * reaches into butterchurn's renderer, as it has no API for it. Windows run identically from the
+ * first change they all resync on.
+ */
+export class FrameClock {
+  constructor(visualizer, epoch, clock) {
+    this.visualizer = visualizer;
+    this.epoch = epoch; // Dashboard time (ms) of frame 0
+    this.clock = clock; // SyncedClock
+    this.renderedFrame = null; // Last frame index rendered
+    this.scheduled = []; // [{ frame, run }] - run just before that frame renders
+    this.originalRandom = Math.random;
+  }
+
+  frameAt(time) {
+    return Math.floor((time - this.epoch) / FRAME_MS);
+  }
+
+  /**
+   * Dashboard time of a frame
+   */
+  timeOf(frame) {
+    return this.epoch + frame * FRAME_MS;
+  }
+
+  /**
+   * Run callback right before the first frame at or after time (dashboard clock) renders
+   */
+  scheduleAt(time, run) {
+    this.scheduled.push({ frame: this.frameAt(time), run });
+    this.scheduled.sort((a, b) => a.frame - b.frame);
+  }
+
+  /**
+   * Render the frames due by now - renderFrame(elapsedSeconds, frameTime) renders one
+   * Returns the number of frames rendered
+   */
+  advance(renderFrame, now = this.clock.now()) {
+    const target = this.frameAt(now);
+    if (this.renderedFrame === null || target - this.renderedFrame > MAX_CATCH_UP_FRAMES * 4) {
+      // First frame, or too far behind to catch up - jump ahead
+      this.renderedFrame = target - 1;
+      this.resync();
+    }
+
+    let rendered = 0;
+    while (this.renderedFrame < target && rendered < MAX_CATCH_UP_FRAMES) {
+      const frame = this.renderedFrame + 1;
+      while (this.scheduled.length > 0 && this.scheduled[0].frame <= frame) {
+        this.scheduled.shift().run();
+      }
+      this.renderedFrame = frame;
+      renderFrame(1 / SYNC_FRAME_RATE, this.timeOf(frame));
+      rendered++;
+    }
+    return rendered;
+  }
+
+  /**
+   * Set butterchurn's clock to the shared clock's next frame, and make Math.random repeat the
+   * same sequence in every window from here on (call from a scheduled callback so all windows do
+   * it on the same frame)
+   */
+  resync(seed = this.renderedFrame) {
+    const renderer = this.visualizer.renderer;
+    if (renderer) {
+      const frame = this.renderedFrame; // The next render is frame + 1
+      renderer.frameNum = frame;
+      renderer.time = frame / SYNC_FRAME_RATE;
+      renderer.fps = SYNC_FRAME_RATE;
+      renderer.timeHist = Array.from({ length: renderer.timeHistMax }, (_, i) => (frame + i) / SYNC_FRAME_RATE);
+    }
+    Math.random = createRandom(seed);
+  }
+
+  /**
+   * Back to free-running - scheduled changes apply now rather than being lost
+   */
+  destroy() {
+    const pending = this.scheduled;
+    this.scheduled = [];
+    pending.forEach(({ run }) => run());
+
+    Math.random = this.originalRandom;
+  }
+}
@@ -0,0 +1,55 @@
+const VALIDATOR_SIZE = 64; // Scratch canvas size - only compiling matters, not what it draws
+
+/**
+ * PresetValidator - Test-loads presets on a small scratch visualizer
+ *
+ * Butterchurn never checks shader compile status, so a broken warp/comp shader just renders
+ * black. Butterchurn asks the canvas for the webgl2 context we already created, which lets us
+ * wrap compileShader and collect the compile errors it would otherwise ignore.
+ */
+export class PresetValidator {
+  constructor(butterchurnAPI) {
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = VALIDATOR_SIZE;
+    this.canvas.height = VALIDATOR_SIZE;
+    this.errors = [];
+
+    this.gl = this.canvas.getContext('webgl2');
+    const compileShader = this.gl.compileShader.bind(this.gl);
+    this.gl.compileShader = (shader) => {
+      compileShader(shader);
+      if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
+        this.errors.push(this.gl.getShaderInfoLog(shader).trim());
+      }
+    };
+
+    this.visualizer = butterchurnAPI.createVisualizer(new OfflineAudioContext(2, 44100, 44100), this.canvas, {
+      width: VALIDATOR_SIZE,
+      height: VALIDATOR_SIZE,
+    });
+  }
+
+  /**
+   * Load and render one frame of a preset - returns an error message, or null if it works
+   */
+  validate(preset) {
+    this.errors = [];
+    try {
+      // butterchurn swaps compiled functions into the preset's shapes/waves, so give it a copy
+      this.visualizer.loadPreset(structuredClone(preset), 0);
+      this.visualizer.render();
+    } catch (error) {
+      return `Equation error: ${error.message}`;
+    }
+
+    if (this.errors.length > 0) {
+      return `Shader error:\n${this.errors.join('\n')}`;
+    }
+    return null;
+  }
+
+  destroy() {
+    this.gl.getExtension('WEBGL_lose_context')?.loseContext();
+    this.visualizer = null;
+  }
+}
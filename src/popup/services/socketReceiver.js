@@ -1,14 +1,24 @@
 import { io } from 'socket.io-client';
+import { getSdpSessionId } from '../../shared/connectionRecovery.js';
+import { WEBRTC_CONFIG } from '../../shared/constants.js';
 
-const WEBRTC_CONFIG = {
-  iceServers: [], // Local connection only (could add STUN for remote)
-};
+const CLIENT_ID_KEY = 'butterVisualizer.clientId';
 
 /**
  * SocketReceiver - Uses Socket.IO for WebRTC signaling, then DataChannels for audio
+ *
+ * The client ID is kept for the tab's lifetime (sessionStorage), so after the socket reconnects
+ * or the page reloads it comes back as the same window. The peer connection outlives socket
+ * drops; on reconnect the client re-announces itself and says whether WebRTC is still up, and
+ * the dashboard renegotiates if it isn't (see shared/connectionRecovery.js).
+ *
+ * When WebRTC doesn't connect, the dashboard relays audio frames and control messages over the
+ * socket instead ('relay:*' events). Relayed frames come through a stand-in for the audio
+ * DataChannel, so the renderer takes them the same way.
  */
 export class SocketReceiver {
-  constructor() {
+  constructor(authToken = null) {
+    this.authToken = authToken;
     this.socket = null;
     this.clientId = null;
     this.peerConnection = null;
@@ -16,7 +26,13 @@ export class SocketReceiver {
     this.controlChannel = null; // JSON control messages channel
     this.onDataChannelCallback = null;
     this.onControlMessageCallback = null;
+    this.onAuthErrorCallback = null;
     this.connectionState = 'disconnected';
+    this.pendingICECandidates = []; // Queue for ICE candidates before remote description is set
+    this.remoteSessionId = null; // SDP session of the dashboard's current connection
+    this.hasConnected = false; // Connected at least once - later drops show as reconnecting
+    this.relayChannel = null; // Stand-in audio channel while the dashboard relays over Socket.IO
+    this.rtcConfig = WEBRTC_CONFIG; // ICE servers come from the server on every announce
   }
 
   /**
@@ -26,22 +42,154 @@ export class SocketReceiver {
     console.log('SocketReceiver initializing (Socket.IO signaling + WebRTC DataChannel)...');
     this.onDataChannelCallback = onDataChannel;
 
-    // Generate random client ID (with fallback for older browsers)
-    this.clientId = this.generateUUID();
-    console.log('Generated client ID:', this.clientId);
+    this.clientId = this.loadClientId();
+    console.log('Client ID:', this.clientId);
 
     // Connect to Socket.IO on same origin (relative to where the page was loaded from)
     console.log('Connecting to Socket.IO on same origin:', window.location.origin);
 
     // Connect to Socket.IO server for signaling only
     this.socket = io({
+      auth: { token: this.authToken },
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionAttempts: Infinity,
     });
 
+    this.createPeerConnection();
+
+    // Socket.IO event handlers
+    this.socket.on('connect', () => {
+      console.log('📡 Socket.IO connected for signaling');
+      this.announce();
+    });
+
+    // Another tab has our ID (the tab was duplicated) - take a new one
+    this.socket.on('visualization:id-taken', () => {
+      this.clientId = this.generateUUID();
+      sessionStorage.setItem(CLIENT_ID_KEY, this.clientId);
+      console.log('Client ID in use by another tab, now:', this.clientId);
+      this.announce();
+    });
+
+    // ICE servers from the dashboard's settings (sent before any offer, and again when they change)
+    this.socket.on('webrtc:config', ({ iceServers = [] } = {}) => {
+      this.rtcConfig = { ...WEBRTC_CONFIG, iceServers };
+      try {
+        this.peerConnection?.setConfiguration(this.rtcConfig);
+      } catch (error) {
+        console.warn('Failed to apply ICE servers:', error);
+      }
+    });
+
+    // Receive WebRTC offer from dashboard
+    this.socket.on('webrtc:offer', async ({ offer }) => {
+      console.log('Received WebRTC offer via Socket.IO');
+      await this.handleOffer(offer);
+    });
+
+    // Receive ICE candidates from dashboard
+    this.socket.on('webrtc:ice-candidate', async ({ candidate }) => {
+      console.log('Received ICE candidate via Socket.IO');
+      await this.handleIceCandidate(candidate);
+    });
+
+    // WebRTC isn't connecting - the dashboard relays over this socket until it does
+    this.socket.on('relay:start', () => {
+      console.log('📡 Receiving audio and control over Socket.IO relay');
+      if (!this.relayChannel) {
+        this.relayChannel = { label: 'audioData', readyState: 'open', onmessage: null };
+      }
+      if (this.onDataChannelCallback) {
+        this.onDataChannelCallback(this.relayChannel);
+      }
+    });
+
+    this.socket.on('relay:stop', () => {
+      console.log('📡 Socket.IO relay stopped - using WebRTC');
+      this.closeRelay();
+      // After an ICE restart the audio channel never reopens - hand it back to the renderer
+      if (this.audioDataChannel?.readyState === 'open' && this.onDataChannelCallback) {
+        this.onDataChannelCallback(this.audioDataChannel);
+      }
+    });
+
+    this.socket.on('relay:audio', (data) => {
+      this.relayChannel?.onmessage?.({ data });
+    });
+
+    this.socket.on('relay:control', (message) => {
+      if (this.onControlMessageCallback) {
+        this.onControlMessageCallback(message);
+      }
+    });
+
+    // Only signaling is lost - the peer connection may well still be up
+    this.socket.on('disconnect', () => {
+      console.log('📡 Socket.IO disconnected - will reconnect');
+    });
+
+    this.socket.on('connect_error', (error) => {
+      console.error('Socket.IO connection error:', error);
+      this.connectionState = 'failed';
+
+      // Rejected by the server's auth middleware - Socket.IO won't retry, so re-pair
+      if (error.message === 'Unauthorized') {
+        this.handleAuthError();
+      }
+    });
+
+    // Token revoked from the dashboard
+    this.socket.on('auth:revoked', () => {
+      console.warn('🚫 Access revoked by dashboard');
+      this.handleAuthError();
+    });
+
+    console.log('SocketReceiver initialized, waiting for WebRTC offer...');
+  }
+
+  /**
+   * Announce this client to the dashboard (on every socket connect)
+   */
+  announce() {
+    const connected = this.peerConnection?.connectionState === 'connected';
+    if (!connected) {
+      this.connectionState = 'connecting';
+    }
+    this.socket.emit('visualization:ready', { clientId: this.clientId, connected });
+    console.log('Sent visualization:ready with clientId:', this.clientId);
+  }
+
+  /**
+   * The tab's client ID - generated once and kept across reconnects and reloads
+   */
+  loadClientId() {
+    let clientId = null;
+    try {
+      clientId = sessionStorage.getItem(CLIENT_ID_KEY);
+      if (!clientId) {
+        clientId = this.generateUUID();
+        sessionStorage.setItem(CLIENT_ID_KEY, clientId);
+      }
+    } catch {
+      // Storage blocked (e.g. some private modes) - the ID still lasts as long as the page
+      clientId = clientId || this.generateUUID();
+    }
+    return clientId;
+  }
+
+  /**
+   * Create the peer connection - again when the dashboard starts a fresh connection
+   */
+  createPeerConnection() {
+    if (this.peerConnection) {
+      this.peerConnection.close();
+    }
+    this.pendingICECandidates = [];
+    this.remoteSessionId = null;
+
     // Create peer connection
-    this.peerConnection = new RTCPeerConnection(WEBRTC_CONFIG);
+    this.peerConnection = new RTCPeerConnection(this.rtcConfig);
     console.log('PeerConnection created (browser client)');
 
     // Handle incoming DataChannels (audio + control)
@@ -56,6 +204,7 @@ export class SocketReceiver {
         this.audioDataChannel.onopen = () => {
           console.log('📊 Audio DataChannel opened!');
           this.connectionState = 'connected';
+          this.closeRelay();
           if (this.onDataChannelCallback) {
             this.onDataChannelCallback(this.audioDataChannel);
           }
@@ -86,7 +235,9 @@ export class SocketReceiver {
         this.controlChannel.onmessage = (event) => {
           try {
             const message = JSON.parse(event.data);
-            console.log('🎛️ Control message received:', message);
+            if (message.type !== 'beat') {
+              console.log('🎛️ Control message received:', message);
+            }
             if (this.onControlMessageCallback) {
               this.onControlMessageCallback(message);
             }
@@ -127,48 +278,15 @@ export class SocketReceiver {
       }
     };
 
-    // Handle connection state
-    this.peerConnection.onconnectionstatechange = () => {
-      console.log('🔗 Connection state:', this.peerConnection.connectionState);
-      this.connectionState = this.peerConnection.connectionState;
-    };
-
-    // Socket.IO event handlers
-    this.socket.on('connect', () => {
-      console.log('📡 Socket.IO connected for signaling');
-      this.connectionState = 'connecting';
-
-      // Announce ourselves as a visualization client
-      this.socket.emit('visualization:ready', { clientId: this.clientId });
-      console.log('Sent visualization:ready with clientId:', this.clientId);
-    });
-
-    // Receive WebRTC offer from dashboard
-    this.socket.on('webrtc:offer', async ({ offer }) => {
-      console.log('Received WebRTC offer via Socket.IO');
-      await this.handleOffer(offer);
-    });
-
-    // Receive ICE candidates from dashboard
-    this.socket.on('webrtc:ice-candidate', async ({ candidate }) => {
-      console.log('Received ICE candidate via Socket.IO');
-      await this.handleIceCandidate(candidate);
-    });
-
-    this.socket.on('disconnect', () => {
-      console.log('📡 Socket.IO disconnected');
-      if (this.peerConnection) {
-        this.peerConnection.close();
+    // Handle connection state - the dashboard drives recovery
+    const pc = this.peerConnection;
+    pc.onconnectionstatechange = () => {
+      console.log('🔗 Connection state:', pc.connectionState);
+      if (pc.connectionState === 'connected') {
+        this.hasConnected = true;
       }
-      this.connectionState = 'disconnected';
-    });
-
-    this.socket.on('connect_error', (error) => {
-      console.error('Socket.IO connection error:', error);
-      this.connectionState = 'failed';
-    });
-
-    console.log('SocketReceiver initialized, waiting for WebRTC offer...');
+      this.connectionState = pc.connectionState;
+    };
   }
 
   /**
@@ -176,10 +294,25 @@ export class SocketReceiver {
    */
   async handleOffer(offer) {
     try {
+      // Same session: ICE restart on this connection. New session: the dashboard started over
+      const sessionId = getSdpSessionId(offer.sdp);
+      if (this.remoteSessionId !== null && sessionId !== this.remoteSessionId) {
+        console.log('🔄 Fresh connection from dashboard - replacing peer connection');
+        this.createPeerConnection();
+      }
+      this.remoteSessionId = sessionId;
+
       console.log('🔧 Setting remote description...');
       await this.peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
       console.log('✅ Remote description set');
 
+      // Flush ICE candidates that arrived while the offer was being applied
+      const pending = this.pendingICECandidates;
+      this.pendingICECandidates = [];
+      for (const candidate of pending) {
+        await this.handleIceCandidate(candidate);
+      }
+
       console.log('📋 Creating answer...');
       const answer = await this.peerConnection.createAnswer();
       await this.peerConnection.setLocalDescription(answer);
@@ -211,6 +344,12 @@ export class SocketReceiver {
       return;
     }
 
+    // If remote description not set yet, queue the candidate
+    if (!this.peerConnection.remoteDescription) {
+      this.pendingICECandidates.push(candidate);
+      return;
+    }
+
     try {
       await this.peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
       console.log('✅ Added ICE candidate from dashboard');
@@ -223,7 +362,24 @@ export class SocketReceiver {
    * Get connection state
    */
   getConnectionState() {
-    return this.connectionState;
+    if (this.connectionState === 'unauthorized') return this.connectionState;
+    if (this.peerConnection?.connectionState === 'connected' || this.relayChannel) return 'connected';
+    return this.hasConnected ? 'reconnecting' : this.connectionState;
+  }
+
+  /**
+   * How audio and control messages arrive - 'webrtc' or 'relay'
+   */
+  getTransport() {
+    return this.relayChannel ? 'relay' : 'webrtc';
+  }
+
+  closeRelay() {
+    if (this.relayChannel) {
+      this.relayChannel.readyState = 'closed';
+      this.relayChannel.onmessage = null;
+      this.relayChannel = null;
+    }
   }
 
   /**
@@ -233,10 +389,30 @@ export class SocketReceiver {
     this.onControlMessageCallback = callback;
   }
 
+  /**
+   * Set callback for when the server rejects or revokes our token
+   */
+  setAuthErrorCallback(callback) {
+    this.onAuthErrorCallback = callback;
+  }
+
+  handleAuthError() {
+    this.connectionState = 'unauthorized';
+    if (this.onAuthErrorCallback) {
+      this.onAuthErrorCallback();
+    }
+  }
+
   /**
    * Send control message to dashboard
    */
   sendControlMessage(message) {
+    // While relayed, an 'open' channel may sit on a dead connection - use the relay
+    if (this.relayChannel) {
+      this.socket.emit('relay:control', { clientId: this.clientId, message });
+      return true;
+    }
+
     if (!this.controlChannel) {
       console.warn('⚠️ No control channel available');
       return false;
@@ -249,7 +425,9 @@ export class SocketReceiver {
 
     try {
       this.controlChannel.send(JSON.stringify(message));
-      console.log('🎛️ Sent control message:', message);
+      if (message.type !== 'render-stats') {
+        console.log('🎛️ Sent control message:', message);
+      }
       return true;
     } catch (error) {
       console.error('❌ Failed to send control message:', error);
@@ -315,5 +493,7 @@ export class SocketReceiver {
     this.clientId = null;
     this.audioDataChannel = null;
     this.controlChannel = null;
+    this.pendingICECandidates = [];
+    this.closeRelay();
   }
 }
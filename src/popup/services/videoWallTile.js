@@ -0,0 +1,45 @@
+import { getWallViewport } from '../../shared/videoWall.js';
+
+/**
+ * VideoWallTile - Shows one tile's slice of a visualization spread over several windows
+ *
+ * Butterchurn's feedback effects need the whole picture, so every tile renders the entire virtual
+ * canvas at the same resolution and crops its own slice with CSS. Tiles are kept identical by
+ * stepping them with a FrameClock counted from the wall's epoch.
+ */
+export class VideoWallTile {
+  constructor(canvas, wall) {
+    this.canvas = canvas;
+    this.wall = wall; // Wall config plus { row, column, epoch }
+    this.viewport = getWallViewport(wall, wall);
+  }
+
+  /**
+   * Canvas resolution - the same on every tile
+   */
+  getRenderSize() {
+    return { width: this.viewport.renderWidth, height: this.viewport.renderHeight };
+  }
+
+  /**
+   * Stretch the virtual canvas so this tile's slice fills a window of the given size
+   */
+  applyLayout(windowWidth, windowHeight) {
+    const { virtualWidth, virtualHeight, x, y } = this.viewport;
+    const scaleX = windowWidth / this.wall.tileWidth;
+    const scaleY = windowHeight / this.wall.tileHeight;
+    Object.assign(this.canvas.style, {
+      width: `${virtualWidth * scaleX}px`,
+      height: `${virtualHeight * scaleY}px`,
+      left: `${-x * scaleX}px`,
+      top: `${-y * scaleY}px`,
+    });
+  }
+
+  /**
+   * Back to a normal window
+   */
+  destroy() {
+    Object.assign(this.canvas.style, { width: '', height: '', left: '', top: '' });
+  }
+}
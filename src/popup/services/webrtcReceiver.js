@@ -1,7 +1,12 @@
 import { WEBRTC_CONFIG } from '../../shared/constants.js';
+import { getSdpSessionId } from '../../shared/connectionRecovery.js';
 
 /**
  * WebRTCReceiver - Receives audio stream via WebRTC in popup window
+ *
+ * The dashboard recovers dropped connections: an ICE restart arrives as another offer for the
+ * same session, a fresh connection as an offer with a new SDP session ID - then the peer
+ * connection is replaced and the new DataChannels are handed over again.
  */
 export class WebRTCReceiver {
   constructor() {
@@ -13,6 +18,8 @@ export class WebRTCReceiver {
     this.onDataChannelCallback = null;
     this.onControlMessageCallback = null;
     this.pendingICECandidates = []; // Queue for ICE candidates before remote description is set
+    this.remoteSessionId = null; // SDP session of the dashboard's current connection
+    this.hasConnected = false; // Connected at least once - later drops show as reconnecting
     this.cleanupFunctions = []; // Store listener cleanup functions
   }
 
@@ -23,6 +30,31 @@ export class WebRTCReceiver {
     this.onStreamCallback = onStream;
     this.onDataChannelCallback = onDataChannel;
 
+    this.createPeerConnection();
+
+    // Listen for offer from dashboard
+    const cleanupOffer = window.electronAPI.onWebRTCOffer(async ({ offer }) => {
+      await this.handleOffer(offer);
+    });
+    this.cleanupFunctions.push(cleanupOffer);
+
+    // Listen for ICE candidates from dashboard
+    const cleanupIce = window.electronAPI.onWebRTCIceCandidate(async ({ candidate }) => {
+      await this.handleIceCandidate(candidate);
+    });
+    this.cleanupFunctions.push(cleanupIce);
+  }
+
+  /**
+   * Create the peer connection - again when the dashboard starts a fresh connection
+   */
+  createPeerConnection() {
+    if (this.peerConnection) {
+      this.peerConnection.close();
+    }
+    this.pendingICECandidates = [];
+    this.remoteSessionId = null;
+
     // Create peer connection
     this.peerConnection = new RTCPeerConnection(WEBRTC_CONFIG);
 
@@ -118,24 +150,15 @@ export class WebRTCReceiver {
       }
     };
 
-    // Handle connection state
-    this.peerConnection.onconnectionstatechange = () => {
-      if (this.peerConnection.connectionState === 'failed') {
-        console.error('WebRTC connection failed!');
+    // Handle connection state - the dashboard drives recovery
+    const pc = this.peerConnection;
+    pc.onconnectionstatechange = () => {
+      if (pc.connectionState === 'connected') {
+        this.hasConnected = true;
+      } else if (pc.connectionState === 'failed') {
+        console.error('WebRTC connection failed - waiting for the dashboard to reconnect');
       }
     };
-
-    // Listen for offer from dashboard
-    const cleanupOffer = window.electronAPI.onWebRTCOffer(async ({ offer }) => {
-      await this.handleOffer(offer);
-    });
-    this.cleanupFunctions.push(cleanupOffer);
-
-    // Listen for ICE candidates from dashboard
-    const cleanupIce = window.electronAPI.onWebRTCIceCandidate(async ({ candidate }) => {
-      await this.handleIceCandidate(candidate);
-    });
-    this.cleanupFunctions.push(cleanupIce);
   }
 
   /**
@@ -143,6 +166,14 @@ export class WebRTCReceiver {
    */
   async handleOffer(offer) {
     try {
+      // Same session: ICE restart on this connection. New session: the dashboard started over
+      const sessionId = getSdpSessionId(offer.sdp);
+      if (this.remoteSessionId !== null && sessionId !== this.remoteSessionId) {
+        console.log('🔄 Fresh connection from dashboard - replacing peer connection');
+        this.createPeerConnection();
+      }
+      this.remoteSessionId = sessionId;
+
       console.log('🔧 Setting remote description...');
       await this.peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
       console.log('✅ Remote description set on receiver');
@@ -208,7 +239,8 @@ export class WebRTCReceiver {
    * Get connection state
    */
   getConnectionState() {
-    return this.peerConnection ? this.peerConnection.connectionState : 'disconnected';
+    const state = this.peerConnection ? this.peerConnection.connectionState : 'disconnected';
+    return this.hasConnected && state !== 'connected' ? 'reconnecting' : state;
   }
 
   /**
@@ -234,7 +266,9 @@ export class WebRTCReceiver {
 
     try {
       this.controlChannel.send(JSON.stringify(message));
-      console.log('🎛️ Sent control message:', message);
+      if (message.type !== 'render-stats') {
+        console.log('🎛️ Sent control message:', message);
+      }
       return true;
     } catch (error) {
       console.error('❌ Failed to send control message:', error);
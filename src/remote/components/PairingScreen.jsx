@@ -0,0 +1,54 @@
+import { useState } from 'react';
+
+function PairingScreen({ onPair, error, isPairing }) {
+  const [pin, setPin] = useState('');
+  const [name, setName] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (pin.trim()) {
+      onPair(pin, name);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-6">
+      <form onSubmit={handleSubmit} className="card p-6 w-full max-w-sm space-y-4">
+        <div className="flex items-center gap-2">
+          <span className="material-icons text-blue-500">settings_remote</span>
+          <h1 className="text-xl font-semibold">Butter Visualizer Remote</h1>
+        </div>
+        <p className="text-sm text-gray-400">
+          In the dashboard, choose <strong>Controller</strong> and click <strong>Pair</strong>, then enter the PIN
+          here.
+        </p>
+
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          value={pin}
+          onChange={(e) => setPin(e.target.value)}
+          placeholder="PIN"
+          className="input w-full font-mono text-2xl tracking-widest text-center"
+          autoFocus
+        />
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Device name (optional)"
+          className="input w-full"
+        />
+
+        {error && <p className="text-sm text-red-400">{error}</p>}
+
+        <button type="submit" disabled={isPairing || !pin.trim()} className="btn-primary w-full disabled:opacity-50">
+          {isPairing ? 'Pairing...' : 'Pair'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default PairingScreen;
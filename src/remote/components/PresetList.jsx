@@ -0,0 +1,75 @@
+import { useState, useMemo } from 'react';
+import { getWindowLabel } from './WindowList.jsx';
+
+const MAX_RESULTS = 200; // Keep the list light on phones
+
+function PresetList({ presets, favorites, windows, target, onTargetChange, onApply, onToggleFavorite }) {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+
+  const results = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    return presets.filter(
+      (preset) =>
+        (!favoritesOnly || favorites.includes(preset.name)) && (!term || preset.name.toLowerCase().includes(term))
+    );
+  }, [presets, favorites, searchTerm, favoritesOnly]);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <input
+          type="search"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          placeholder="Search presets..."
+          className="input flex-1 min-w-0"
+        />
+        <button
+          onClick={() => setFavoritesOnly(!favoritesOnly)}
+          className={`px-3 rounded-lg ${favoritesOnly ? 'bg-yellow-500 text-gray-900' : 'bg-gray-700 text-gray-300'}`}
+          title="Favorites only"
+        >
+          <span className="material-icons">star</span>
+        </button>
+      </div>
+
+      <select value={target} onChange={(e) => onTargetChange(e.target.value)} className="input w-full text-sm">
+        <option value="all">Apply to all windows</option>
+        {windows.map((window) => (
+          <option key={window.id} value={String(window.id)}>
+            Apply to {getWindowLabel(window.id)}
+          </option>
+        ))}
+      </select>
+
+      <div className="text-xs text-gray-500">
+        {results.length} preset{results.length === 1 ? '' : 's'}
+        {results.length > MAX_RESULTS && ` (showing first ${MAX_RESULTS})`}
+      </div>
+
+      <div className="space-y-1">
+        {results.slice(0, MAX_RESULTS).map((preset) => {
+          const isFavorite = favorites.includes(preset.name);
+          return (
+            <div key={preset.name} className="card flex items-center">
+              <button onClick={() => onApply(preset.name)} className="flex-1 min-w-0 text-left px-3 py-2">
+                <div className={`text-sm truncate ${preset.disabled ? 'text-gray-500' : ''}`}>{preset.displayName}</div>
+                <div className="text-xs text-gray-500 truncate">{preset.author}</div>
+              </button>
+              <button
+                onClick={() => onToggleFavorite(preset.name)}
+                className={`px-3 py-2 ${isFavorite ? 'text-yellow-400' : 'text-gray-600'}`}
+                title={isFavorite ? 'Remove from favorites' : 'Add to favorites'}
+              >
+                <span className="material-icons">{isFavorite ? 'star' : 'star_border'}</span>
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default PresetList;
@@ -0,0 +1,187 @@
+import { useState, useEffect } from 'react';
+import { PairingClient } from '../../shared/pairingClient.js';
+import { RemoteClient } from '../services/remoteClient.js';
+import PairingScreen from './PairingScreen.jsx';
+import WindowList from './WindowList.jsx';
+import PresetList from './PresetList.jsx';
+
+const pairingClient = new PairingClient('butterVisualizer.remoteToken');
+
+const TABS = [
+  { id: 'windows', label: 'Windows', icon: 'tv' },
+  { id: 'presets', label: 'Presets', icon: 'auto_awesome' },
+];
+
+function RemoteApp() {
+  const [authToken, setAuthToken] = useState(() => pairingClient.getToken());
+  const [pairingError, setPairingError] = useState(null);
+  const [isPairing, setIsPairing] = useState(false);
+  const [client, setClient] = useState(null);
+  const [connected, setConnected] = useState(false);
+  const [remoteState, setRemoteState] = useState({ windows: [], micEnabled: false });
+  const [presets, setPresets] = useState([]);
+  const [favorites, setFavorites] = useState([]);
+  const [playlists, setPlaylists] = useState([]);
+  const [tab, setTab] = useState('windows');
+  const [target, setTarget] = useState('all');
+
+  const handlePair = async (pin, name) => {
+    setIsPairing(true);
+    try {
+      const { token, role } = await pairingClient.pair(pin, name);
+      if (role !== 'controller') {
+        pairingClient.clearToken();
+        throw new Error('That PIN only grants viewer access - create a Controller PIN in the dashboard');
+      }
+      setPairingError(null);
+      setAuthToken(token);
+    } catch (error) {
+      setPairingError(error.message);
+    } finally {
+      setIsPairing(false);
+    }
+  };
+
+  // Scanning the dashboard QR code opens /remote?pin=... - pair straight away
+  useEffect(() => {
+    const pin = pairingClient.takePinFromUrl();
+    if (pin && !pairingClient.getToken()) {
+      handlePair(pin);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!authToken) return;
+
+    const remote = new RemoteClient(authToken);
+    setClient(remote);
+
+    remote.setAuthErrorCallback(() => {
+      pairingClient.clearToken();
+      setPairingError('This remote is not paired as a controller (or its access was revoked)');
+      setAuthToken(null);
+    });
+
+    const refresh = async () => {
+      try {
+        const [presetList, favoriteList, playlistList, state] = await Promise.all([
+          remote.request('presets:get'),
+          remote.request('favorites:get'),
+          remote.request('playlists:get'),
+          remote.request('remote:state:get'),
+        ]);
+        setPresets(presetList);
+        setFavorites(favoriteList);
+        setPlaylists(playlistList);
+        if (state) {
+          setRemoteState(state);
+        }
+      } catch (error) {
+        console.error('Failed to load remote state:', error);
+      }
+    };
+
+    const cleanups = [
+      remote.on('connect', () => {
+        setConnected(true);
+        refresh();
+      }),
+      remote.on('disconnect', () => setConnected(false)),
+      remote.on('remote:state', setRemoteState),
+      remote.on('favorites:updated', ({ favorites }) => setFavorites(favorites)),
+    ];
+
+    return () => {
+      cleanups.forEach((cleanup) => cleanup());
+      remote.disconnect();
+      setClient(null);
+      setConnected(false);
+    };
+  }, [authToken]);
+
+  // Playlists can change in the dashboard at any time - refresh when the window list is shown
+  useEffect(() => {
+    if (!client || !connected || tab !== 'windows') return;
+    client
+      .request('playlists:get')
+      .then(setPlaylists)
+      .catch((error) => console.error('Failed to load playlists:', error));
+  }, [client, connected, tab]);
+
+  if (!authToken) {
+    return <PairingScreen onPair={handlePair} error={pairingError} isPairing={isPairing} />;
+  }
+
+  const windows = remoteState.windows || [];
+
+  const handleApplyPreset = (preset) => {
+    const window = windows.find((w) => String(w.id) === target);
+    if (window) {
+      client.send('preset:set', { windowId: window.id, preset });
+    } else {
+      client.send('preset:set-all', preset);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      {/* Header */}
+      <header className="sticky top-0 z-10 bg-gray-900 border-b border-gray-800 px-4 py-3 flex items-center gap-3">
+        <div className={`w-2 h-2 rounded-full ${connected ? 'bg-green-500' : 'bg-red-500'}`} />
+        <h1 className="flex-1 font-semibold">Butter Remote</h1>
+        <button
+          onClick={() => client.send('microphone:toggle', !remoteState.micEnabled)}
+          disabled={!connected}
+          className={`px-3 py-2 rounded-lg flex items-center gap-1 text-sm ${
+            remoteState.micEnabled ? 'bg-green-600 text-white' : 'bg-gray-700 text-gray-300'
+          }`}
+        >
+          <span className="material-icons text-base">{remoteState.micEnabled ? 'mic' : 'mic_off'}</span>
+          {remoteState.sourceType === 'file' ? 'Audio' : 'Mic'}
+        </button>
+      </header>
+
+      {/* Content */}
+      <main className="flex-1 p-4 pb-24">
+        {tab === 'windows' ? (
+          <WindowList
+            windows={windows}
+            playlists={playlists}
+            onStep={(windowId, direction) => client.send('preset:step', { windowId, direction })}
+            onPlaylistCommand={(windowId, action, playlistId) =>
+              client.send('playlist:command', { windowId, action, playlistId })
+            }
+          />
+        ) : (
+          <PresetList
+            presets={presets}
+            favorites={favorites}
+            windows={windows}
+            target={target}
+            onTargetChange={setTarget}
+            onApply={handleApplyPreset}
+            onToggleFavorite={(preset) => client.send('favorite:toggle', preset)}
+          />
+        )}
+      </main>
+
+      {/* Tab bar */}
+      <nav className="fixed bottom-0 inset-x-0 bg-gray-900 border-t border-gray-800 flex">
+        {TABS.map(({ id, label, icon }) => (
+          <button
+            key={id}
+            onClick={() => setTab(id)}
+            className={`flex-1 py-3 flex flex-col items-center text-xs ${
+              tab === id ? 'text-blue-400' : 'text-gray-400'
+            }`}
+          >
+            <span className="material-icons">{icon}</span>
+            {label}
+          </button>
+        ))}
+      </nav>
+    </div>
+  );
+}
+
+export default RemoteApp;
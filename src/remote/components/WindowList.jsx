@@ -0,0 +1,96 @@
+import { useState } from 'react';
+
+// Electron popups have numeric IDs, browser clients UUIDs
+export const getWindowLabel = (windowId) =>
+  typeof windowId === 'number' ? `Window ${windowId}` : `Browser ${String(windowId).slice(0, 4)}`;
+
+function WindowRow({ window, playlists, onStep, onPlaylistCommand }) {
+  const [selectedPlaylist, setSelectedPlaylist] = useState('');
+  const rotation = window.rotation;
+
+  return (
+    <div className="card p-3 space-y-3">
+      <div className="flex items-center gap-2">
+        <span className="material-icons text-gray-400">tv</span>
+        <div className="flex-1 min-w-0">
+          <div className="text-sm font-medium">{getWindowLabel(window.id)}</div>
+          <div className="text-xs text-gray-400 truncate">{window.preset || 'Loading...'}</div>
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        <button onClick={() => onStep(window.id, -1)} className="btn-secondary flex-1 flex justify-center">
+          <span className="material-icons">skip_previous</span>
+        </button>
+        <button onClick={() => onStep(window.id, 1)} className="btn-secondary flex-1 flex justify-center">
+          <span className="material-icons">skip_next</span>
+        </button>
+      </div>
+
+      {rotation ? (
+        <div className="flex items-center gap-2">
+          <span className="material-icons text-sm text-blue-400">queue_music</span>
+          <span className="flex-1 min-w-0 truncate text-sm">
+            {rotation.playlistName}
+            {rotation.paused && <span className="text-gray-500"> (paused)</span>}
+          </span>
+          <button
+            onClick={() => onPlaylistCommand(window.id, rotation.paused ? 'resume' : 'pause')}
+            className="btn-secondary px-3 py-1"
+          >
+            <span className="material-icons text-base">{rotation.paused ? 'play_arrow' : 'pause'}</span>
+          </button>
+          <button onClick={() => onPlaylistCommand(window.id, 'stop')} className="btn-secondary px-3 py-1">
+            <span className="material-icons text-base">stop</span>
+          </button>
+        </div>
+      ) : (
+        playlists.length > 0 && (
+          <div className="flex gap-2">
+            <select
+              value={selectedPlaylist}
+              onChange={(e) => setSelectedPlaylist(e.target.value)}
+              className="input flex-1 min-w-0 text-sm py-1"
+            >
+              <option value="">Choose playlist...</option>
+              {playlists.map((playlist) => (
+                <option key={playlist.id} value={playlist.id}>
+                  {playlist.name}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => onPlaylistCommand(window.id, 'start', selectedPlaylist)}
+              disabled={!selectedPlaylist}
+              className="btn-primary px-3 py-1 disabled:opacity-50"
+            >
+              <span className="material-icons text-base">play_arrow</span>
+            </button>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
+
+function WindowList({ windows, playlists, onStep, onPlaylistCommand }) {
+  if (windows.length === 0) {
+    return <p className="text-center text-gray-500 mt-8">No visualization windows open</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {windows.map((window) => (
+        <WindowRow
+          key={window.id}
+          window={window}
+          playlists={playlists}
+          onStep={onStep}
+          onPlaylistCommand={onPlaylistCommand}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default WindowList;
@@ -0,0 +1,10 @@
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import RemoteApp from './components/RemoteApp.jsx';
+import './styles/tailwind.css';
+
+ReactDOM.createRoot(document.getElementById('root')).render(
+  <React.StrictMode>
+    <RemoteApp />
+  </React.StrictMode>
+);
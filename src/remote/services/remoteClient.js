@@ -0,0 +1,88 @@
+import { io } from 'socket.io-client';
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * RemoteClient - Socket.IO connection for the web remote (needs a controller token)
+ */
+export class RemoteClient {
+  constructor(authToken) {
+    this.socket = io({
+      auth: { token: authToken },
+      reconnection: true,
+      reconnectionDelay: 1000,
+      reconnectionAttempts: Infinity,
+    });
+    this.onAuthErrorCallback = null;
+
+    this.socket.on('connect_error', (error) => {
+      console.error('Socket.IO connection error:', error);
+
+      // Rejected by the server's auth middleware - Socket.IO won't retry, so re-pair
+      if (error.message === 'Unauthorized') {
+        this.handleAuthError();
+      }
+    });
+
+    this.socket.on('auth:revoked', () => {
+      console.warn('🚫 Access revoked by dashboard');
+      this.handleAuthError();
+    });
+
+    // Viewer tokens can connect but every command is refused
+    this.socket.on('auth:error', ({ error }) => {
+      console.warn('🚫', error);
+      this.handleAuthError();
+    });
+
+    this.socket.on('command:error', ({ event, error }) => {
+      console.error(`Command ${event} failed:`, error);
+    });
+  }
+
+  /**
+   * Set callback for when the server rejects or revokes our token
+   */
+  setAuthErrorCallback(callback) {
+    this.onAuthErrorCallback = callback;
+  }
+
+  handleAuthError() {
+    if (this.onAuthErrorCallback) {
+      this.onAuthErrorCallback();
+    }
+  }
+
+  /**
+   * Subscribe to a server event - returns cleanup function
+   */
+  on(event, callback) {
+    this.socket.on(event, callback);
+    return () => this.socket.off(event, callback);
+  }
+
+  /**
+   * Ask the server for data (Socket.IO acknowledgement)
+   */
+  request(event) {
+    return this.socket.timeout(REQUEST_TIMEOUT_MS).emitWithAck(event);
+  }
+
+  /**
+   * Send a command to the server
+   */
+  send(event, data) {
+    this.socket.emit(event, data);
+  }
+
+  isConnected() {
+    return this.socket.connected;
+  }
+
+  /**
+   * Cleanup
+   */
+  disconnect() {
+    this.socket.disconnect();
+  }
+}
@@ -2,30 +2,100 @@ import { useState, useEffect } from 'react';
 import { MicrophoneManager } from './services/microphoneManager.js';
 import { WebRTCController } from './services/webrtcController.js';
 import { VisualizationController } from './services/visualizationController.js';
+import { BeatDetector } from './services/beatDetector.js';
+import { PlaylistController } from './services/playlistController.js';
+import { OscFeatureSender } from './services/oscFeatureSender.js';
+import { FlashSafetyController } from './services/flashSafetyController.js';
+import { BeatSyncController } from './services/beatSyncController.js';
+import { VideoWallController } from './services/videoWallController.js';
+import { RenderSyncController } from './services/renderSyncController.js';
+import { DiagnosticsController } from './services/diagnosticsController.js';
 import Dashboard from './components/Dashboard.jsx';
 
 // Initialize services
 const microphoneManager = new MicrophoneManager();
 
-// Callback for when WebRTC connection closes
-const handleConnectionClosed = (windowId) => {
-  console.log(`WebRTC connection closed for window ${windowId}, notifying main process`);
-  // Trigger window closed event via IPC
-  window.electronAPI.notifyWindowClosed(windowId);
-};
-
-const webrtcController = new WebRTCController(microphoneManager, handleConnectionClosed);
+const webrtcController = new WebRTCController(microphoneManager);
 const visualizationController = new VisualizationController(webrtcController);
+const beatDetector = new BeatDetector(microphoneManager);
+const playlistController = new PlaylistController(visualizationController);
+const oscFeatureSender = new OscFeatureSender(microphoneManager, beatDetector);
+const flashSafetyController = new FlashSafetyController(webrtcController, visualizationController);
+const beatSyncController = new BeatSyncController(beatDetector);
+const videoWallController = new VideoWallController(webrtcController);
+visualizationController.setVideoWall(videoWallController);
+const renderSyncController = new RenderSyncController(webrtcController);
+visualizationController.setRenderSync(renderSyncController);
+const diagnosticsController = new DiagnosticsController(webrtcController);
+
+// Give the web remote the preset list (it doesn't load the butterchurn bundles)
+const reportPresetCatalog = () => {
+  window.electronAPI.reportPresetCatalog(
+    visualizationController.presets.map((preset) => ({
+      ...preset,
+      disabled: visualizationController.isPresetDisabled(preset.name),
+    }))
+  );
+};
 
 function App() {
   const [initialized, setInitialized] = useState(false);
+  const [, setPresetsRevision] = useState(0); // Bumped to re-render when imported presets change
 
   useEffect(() => {
     // Initialize visualization controller
-    visualizationController.initialize().then(() => {
+    Promise.all([
+      visualizationController.initialize(),
+      playlistController.initialize(),
+      flashSafetyController.initialize(),
+      beatSyncController.initialize(),
+      videoWallController.initialize(),
+      renderSyncController.initialize(),
+      diagnosticsController.initialize(),
+    ]).then(() => {
+      reportPresetCatalog();
       setInitialized(true);
     });
 
+    // User presets imported/deleted in the preset browser or changed in a watched folder -
+    // popups drop their cached copies (and reload the one on screen if it changed)
+    const handleUserPresetsUpdated = (changed = [], removed = []) => {
+      reportPresetCatalog();
+      setPresetsRevision((revision) => revision + 1);
+      if (changed.length > 0 || removed.length > 0) {
+        webrtcController.broadcastControlMessage({ type: 'presets-updated', changed, removed });
+      }
+    };
+    const cleanupImportedPresets = window.electronAPI.onImportedPresetsUpdated(({ presets, changed, removed }) => {
+      visualizationController.setImportedPresets(presets);
+      handleUserPresetsUpdated(changed, removed);
+    });
+    const cleanupPresetFolders = window.electronAPI.onPresetFoldersUpdated(({ presets, changed, removed }) => {
+      visualizationController.setFolderPresets(presets);
+      handleUserPresetsUpdated(changed, removed);
+    });
+
+    // Blocklist profile switched or edited (dashboard or REST API) - the remote's catalog shows disabled presets
+    const cleanupPresetProfiles = window.electronAPI.onPresetProfilesUpdated((state) => {
+      visualizationController.setPresetProfiles(state);
+      reportPresetCatalog();
+      setPresetsRevision((revision) => revision + 1);
+    });
+
+    // Favorites toggled from the web remote
+    const cleanupPresetMetadata = window.electronAPI.onPresetMetadataUpdated((metadata) => {
+      visualizationController.setPresetMetadata(metadata);
+      setPresetsRevision((revision) => revision + 1);
+    });
+
+    // Playlist changes and rotation commands relayed from the REST API
+    const cleanupPlaylistsUpdated = window.electronAPI.onPlaylistsUpdated(({ playlists }) => {
+      playlistController.setPlaylists(playlists);
+    });
+    const cleanupPlaylistCommand = window.electronAPI.onPlaylistCommand((command) => {
+      playlistController.handleCommand(command);
+    });
+
     // Setup WebRTC answer handler - store cleanup function
     const cleanupAnswer = window.electronAPI.onWebRTCAnswer(({ windowId, answer }) => {
       webrtcController.handleAnswer(windowId, answer);
@@ -48,11 +118,49 @@ function App() {
       webrtcController.handleIceCandidate(clientId, candidate);
     });
 
+    // Control messages from browser clients on the Socket.IO relay
+    const cleanupBrowserRelay = window.electronAPI.onBrowserRelayControl(({ clientId, message }) => {
+      webrtcController.handleRelayControlMessage(clientId, message);
+    });
+
+    // Forward beats to every popup over the control channel
+    beatDetector.start();
+    const cleanupBeat = beatDetector.on('beat', (beat) => {
+      webrtcController.broadcastControlMessage({ type: 'beat', ...beat });
+    });
+
+    // ICE servers for browser clients (set in the ICE Servers panel)
+    window.electronAPI.getIceConfig().then(({ iceServers }) => webrtcController.setIceServers(iceServers));
+    const cleanupIceConfig = window.electronAPI.onIceUpdated(({ iceServers }) => webrtcController.setIceServers(iceServers));
+
+    // Audio features out over OSC (when enabled in the OSC panel)
+    window.electronAPI.getOscConfig().then(({ config }) => oscFeatureSender.configure(config));
+    const cleanupOsc = window.electronAPI.onOscUpdated(({ config }) => oscFeatureSender.configure(config));
+
     return () => {
+      cleanupImportedPresets();
+      cleanupPresetFolders();
+      cleanupPresetMetadata();
+      cleanupPresetProfiles();
+      cleanupOsc();
+      cleanupIceConfig();
+      oscFeatureSender.stop();
+      cleanupBeat();
+      beatDetector.stop();
+      cleanupPlaylistsUpdated();
+      cleanupPlaylistCommand();
+      playlistController.stopAll();
+      flashSafetyController.cleanup();
+      beatSyncController.cleanup();
+      visualizationController.cleanup();
+      videoWallController.cleanup();
+      renderSyncController.cleanup();
+      diagnosticsController.cleanup();
       cleanupAnswer();
       cleanupIce();
       cleanupBrowserAnswer();
       cleanupBrowserIce();
+      cleanupBrowserRelay();
       microphoneManager.stop();
       webrtcController.closeAllConnections();
     };
@@ -74,6 +182,13 @@ function App() {
       microphoneManager={microphoneManager}
       webrtcController={webrtcController}
       visualizationController={visualizationController}
+      beatDetector={beatDetector}
+      playlistController={playlistController}
+      flashSafetyController={flashSafetyController}
+      beatSyncController={beatSyncController}
+      videoWallController={videoWallController}
+      renderSyncController={renderSyncController}
+      diagnosticsController={diagnosticsController}
     />
   );
 }
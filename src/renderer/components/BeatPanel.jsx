@@ -0,0 +1,190 @@
+import { useState, useEffect } from 'react';
+
+const SYNC_MODES = [
+  { value: 'off', label: 'Immediately' },
+  { value: 'beat', label: 'On next beat' },
+  { value: 'bar', label: 'On next bar' },
+  { value: 'phrase', label: 'On next phrase' },
+];
+
+function BeatPanel({ beatDetector, beatSyncController }) {
+  const [beatState, setBeatState] = useState(beatDetector.getState());
+  const [flash, setFlash] = useState(false);
+  const [syncConfig, setSyncConfig] = useState(beatSyncController.getConfig());
+  const [pendingCount, setPendingCount] = useState(beatSyncController.getPendingCount());
+
+  useEffect(() => {
+    return beatSyncController.on(() => {
+      setSyncConfig(beatSyncController.getConfig());
+      setPendingCount(beatSyncController.getPendingCount());
+    });
+  }, [beatSyncController]);
+
+  useEffect(() => {
+    let flashTimeout = null;
+
+    const cleanupBeat = beatDetector.on('beat', (state) => {
+      setBeatState(state);
+      setFlash(true);
+      clearTimeout(flashTimeout);
+      flashTimeout = setTimeout(() => setFlash(false), 100);
+    });
+
+    const cleanupTempo = beatDetector.on('tempo', setBeatState);
+
+    return () => {
+      cleanupBeat();
+      cleanupTempo();
+      clearTimeout(flashTimeout);
+    };
+  }, [beatDetector]);
+
+  const handleTap = () => {
+    setBeatState(beatDetector.tap());
+  };
+
+  const handleClearTap = () => {
+    beatDetector.clearTapTempo();
+    setBeatState(beatDetector.getState());
+  };
+
+  const handleResetDownbeat = () => {
+    beatDetector.resetDownbeat();
+    setBeatState(beatDetector.getState());
+  };
+
+  const updateSyncConfig = (changes) => {
+    beatSyncController.setConfig(changes).catch((error) => {
+      console.error('Failed to save beat sync setting:', error);
+    });
+  };
+
+  const transitionTime = beatSyncController.getTransitionTime();
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        {/* Beat indicator */}
+        <div
+          className={`w-3 h-3 rounded-full transition-colors duration-75 ${
+            flash ? (beatState.beat === 0 ? 'bg-red-500' : 'bg-green-500') : 'bg-gray-600'
+          }`}
+        />
+
+        {/* BPM */}
+        <span className="text-white text-sm font-medium tabular-nums">
+          {beatState.bpm ? beatState.bpm.toFixed(1) : '--'} BPM
+        </span>
+        <span className="text-xs text-gray-500">{beatState.source === 'tap' ? 'tap' : 'auto'}</span>
+
+        <div className="flex-1" />
+
+        <button
+          onClick={handleTap}
+          className="btn-secondary px-2 py-1 text-xs flex items-center gap-1"
+          title="Tap tempo (first tap marks the downbeat)"
+        >
+          <span className="material-icons text-sm">touch_app</span>
+          Tap
+        </button>
+        {beatState.source === 'tap' && (
+          <button
+            onClick={handleClearTap}
+            className="text-gray-400 hover:text-red-500 transition-colors"
+            title="Return to detected tempo"
+          >
+            <span className="material-icons text-sm">close</span>
+          </button>
+        )}
+      </div>
+
+      {/* Bar / phrase position */}
+      <div className="flex items-center gap-2">
+        <button
+          onClick={handleResetDownbeat}
+          className="flex gap-1"
+          title="Set the last beat as the downbeat"
+        >
+          {Array.from({ length: beatState.beatsPerBar }, (_, i) => (
+            <div
+              key={i}
+              className={`w-4 h-2 rounded-sm ${
+                i === beatState.beat && beatState.bpm ? 'bg-blue-500' : 'bg-gray-700'
+              }`}
+            />
+          ))}
+        </button>
+        <span className="text-xs text-gray-400 tabular-nums">
+          Bar {beatState.bar + 1}/{beatState.barsPerPhrase} · Phrase {beatState.phrase + 1}
+        </span>
+      </div>
+
+      {/* Confidence */}
+      <div className="h-1 bg-gray-700 rounded-full overflow-hidden" title="Tempo confidence">
+        <div
+          className="h-full bg-blue-500 transition-all duration-300"
+          style={{ width: `${Math.round(beatState.confidence * 100)}%` }}
+        />
+      </div>
+
+      {/* Beat-synced preset changes */}
+      <div className="flex items-center gap-2">
+        <span className="material-icons text-sm text-gray-400" title="When preset changes apply">
+          sync
+        </span>
+        <select
+          value={syncConfig.mode}
+          onChange={(e) => updateSyncConfig({ mode: e.target.value })}
+          className="flex-1 min-w-0 input text-xs py-1"
+          title="Hold preset changes from the dashboard, remote, REST and OSC until the next boundary"
+        >
+          {SYNC_MODES.map((mode) => (
+            <option key={mode.value} value={mode.value}>
+              {mode.label}
+            </option>
+          ))}
+        </select>
+        {syncConfig.mode !== 'off' && (
+          <>
+            <input
+              type="number"
+              min="1"
+              max="32"
+              value={syncConfig.transitionBeats}
+              onChange={(e) => {
+                const beats = parseInt(e.target.value, 10);
+                if (beats >= 1 && beats <= 32) updateSyncConfig({ transitionBeats: beats });
+              }}
+              className="w-12 input text-xs py-1"
+              title="Blend length in beats"
+            />
+            <span className="text-xs text-gray-500 tabular-nums">
+              beats{transitionTime !== undefined && ` (${transitionTime.toFixed(1)}s)`}
+            </span>
+          </>
+        )}
+      </div>
+      {pendingCount > 0 && (
+        <div className="flex items-center gap-2 text-xs text-yellow-500">
+          <span className="flex-1">{pendingCount} change(s) waiting for the next {syncConfig.mode}</span>
+          <button
+            onClick={() => beatSyncController.flush()}
+            className="text-gray-400 hover:text-white transition-colors"
+            title="Apply now"
+          >
+            <span className="material-icons text-sm">skip_next</span>
+          </button>
+          <button
+            onClick={() => beatSyncController.cancelPending()}
+            className="text-gray-400 hover:text-red-500 transition-colors"
+            title="Cancel queued changes"
+          >
+            <span className="material-icons text-sm">close</span>
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BeatPanel;
@@ -1,22 +1,109 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import MicrophoneControls from './MicrophoneControls.jsx';
 import WindowManager from './WindowManager.jsx';
 import PresetBrowser from './PresetBrowser.jsx';
 import ServerPanel from './ServerPanel.jsx';
 import NetworkInfo from './NetworkInfo.jsx';
+import BeatPanel from './BeatPanel.jsx';
+import PlaylistManager from './PlaylistManager.jsx';
+import LayoutManager from './LayoutManager.jsx';
+import OscPanel from './OscPanel.jsx';
+import IceServersPanel from './IceServersPanel.jsx';
+import DiagnosticsPanel from './DiagnosticsPanel.jsx';
+import PresetFoldersPanel from './PresetFoldersPanel.jsx';
+import PresetEditor from './PresetEditor.jsx';
+import PresetProfilesPanel from './PresetProfilesPanel.jsx';
+import FlashSafetyPanel from './FlashSafetyPanel.jsx';
+import VideoWallPanel from './VideoWallPanel.jsx';
+import RenderSyncPanel from './RenderSyncPanel.jsx';
+import { normalizeTransitionOptions } from '../../shared/transitionOptions.js';
 
-function Dashboard({ microphoneManager, webrtcController, visualizationController }) {
+function Dashboard({
+  microphoneManager,
+  webrtcController,
+  visualizationController,
+  beatDetector,
+  playlistController,
+  flashSafetyController,
+  beatSyncController,
+  videoWallController,
+  renderSyncController,
+  diagnosticsController,
+}) {
   const [windows, setWindows] = useState([]);
   const [micEnabled, setMicEnabled] = useState(false);
+  const [editingPreset, setEditingPreset] = useState(null); // Preset open in the editor (replaces the browser)
 
+  // Latest window list for remote commands, which arrive outside the render cycle
+  const windowsRef = useRef(windows);
   useEffect(() => {
+    windowsRef.current = windows;
+  }, [windows]);
+
+  // Active recordings and the outcome of each window's last one, keyed by window ID
+  const [recordingState, setRecordingState] = useState({ recordings: {}, results: {}, folder: null });
+
+  useEffect(() => {
+    const applyRecordingState = ({ recordings, folder, finished }) => {
+      setRecordingState((prev) => ({
+        recordings: Object.fromEntries(recordings.map((recording) => [recording.windowId, recording])),
+        results: finished ? { ...prev.results, [finished.windowId]: finished } : prev.results,
+        folder,
+      }));
+
+      // Popups recording with audio need the source track on their connection
+      const withAudio = new Set(recordings.filter((r) => r.options.audio).map((r) => r.windowId));
+      windowsRef.current.forEach((w) => {
+        webrtcController.setSourceAudio(w.id, withAudio.has(w.id)).catch((error) => {
+          console.error('Failed to update recording audio:', error);
+        });
+      });
+    };
+
+    window.electronAPI.getRecordingState().then(applyRecordingState);
+    return window.electronAPI.onRecordingUpdated(applyRecordingState);
+  }, [webrtcController]);
+
+  // Publish window/mic/rotation state for the web remote
+  useEffect(() => {
+    const report = () => {
+      window.electronAPI.reportRemoteState({
+        windows: windows.map((w) => {
+          const rotation = playlistController.getRotationStatus(w.id);
+          return {
+            id: w.id,
+            preset: w.preset,
+            rotation: rotation && {
+              playlistId: rotation.playlistId,
+              playlistName: rotation.playlistName,
+              paused: rotation.paused,
+            },
+          };
+        }),
+        micEnabled,
+        sourceType: microphoneManager.sourceType,
+      });
+    };
+
+    report();
+    return playlistController.on('change', report);
+  }, [windows, micEnabled, microphoneManager, playlistController]);
+
+  useEffect(() => {
+    // Windows restored from a layout resume their playlist once the popup is up
+    const pendingRotations = new Map(); // windowId -> playlistId
+
     // Listen for window created events (Electron popups)
-    const cleanupCreated = window.electronAPI.onWindowCreated(({ windowId }) => {
+    const cleanupCreated = window.electronAPI.onWindowCreated(({ windowId, playlistId }) => {
       console.log('Window created event received:', windowId);
 
       // Add window to list (without preset yet - popup will tell us what it loaded)
       setWindows((prev) => [...prev, { id: windowId, preset: null }]);
 
+      if (playlistId) {
+        pendingRotations.set(windowId, playlistId);
+      }
+
       // Create WebRTC connection after a short delay to ensure popup is ready
       setTimeout(() => {
         console.log('Creating WebRTC connection for window:', windowId);
@@ -24,10 +111,20 @@ function Dashboard({ microphoneManager, webrtcController, visualizationControlle
       }, 1000);
     });
 
-    // Listen for browser client ready (browser windows)
-    const cleanupBrowserReady = window.electronAPI.onBrowserClientReady(({ clientId }) => {
+    // Listen for browser client ready (browser windows) - known clients are back after a reconnect
+    const cleanupBrowserReady = window.electronAPI.onBrowserClientReady(({ clientId, connected }) => {
       console.log('Browser client ready:', clientId);
 
+      if (webrtcController.connections.has(clientId)) {
+        // Only signaling dropped if its connection is still up - otherwise start over
+        if (!connected) {
+          webrtcController.reconnect(clientId).catch((error) => {
+            console.error('Failed to reconnect browser client:', error);
+          });
+        }
+        return;
+      }
+
       // Add browser window to list (without preset yet)
       setWindows((prev) => [...prev, { id: clientId, preset: null }]);
 
@@ -41,13 +138,35 @@ function Dashboard({ microphoneManager, webrtcController, visualizationControlle
       setWindows((prev) =>
         prev.map((w) => (w.id === windowId ? { ...w, preset: preset } : w))
       );
+
+      if (pendingRotations.has(windowId)) {
+        playlistController.startRotation(windowId, pendingRotations.get(windowId));
+        pendingRotations.delete(windowId);
+      }
     });
 
     // Listen for window closed events (both Electron and browser)
     const cleanupClosed = window.electronAPI.onWindowClosed(({ windowId }) => {
+      pendingRotations.delete(windowId);
       setWindows((prev) => prev.filter((w) => w.id !== windowId));
       webrtcController.closeConnection(windowId);
       visualizationController.removeWindow(windowId);
+      playlistController.removeWindow(windowId);
+    });
+
+    // Connection state per window (shown on its card while it isn't connected)
+    const cleanupConnectionState = webrtcController.onConnectionStateChange((windowId, connectionState) => {
+      setWindows((prev) => prev.map((w) => (w.id === windowId ? { ...w, connectionState } : w)));
+    });
+    const cleanupTransport = webrtcController.onTransportChange((windowId, transport) => {
+      setWindows((prev) => prev.map((w) => (w.id === windowId ? { ...w, transport } : w)));
+    });
+
+    // Keep window list in sync with playlist rotation
+    const cleanupRotation = playlistController.on('preset', ({ windowId, preset }) => {
+      setWindows((prev) =>
+        prev.map((w) => (w.id === windowId ? { ...w, preset: preset } : w))
+      );
     });
 
     return () => {
@@ -55,23 +174,35 @@ function Dashboard({ microphoneManager, webrtcController, visualizationControlle
       cleanupBrowserReady();
       cleanupPresetLoaded();
       cleanupClosed();
+      cleanupConnectionState();
+      cleanupTransport();
+      cleanupRotation();
     };
-  }, [webrtcController, visualizationController]);
+  }, [webrtcController, visualizationController, playlistController]);
 
-  const handleMicToggle = async () => {
-    try {
-      const enabled = await microphoneManager.toggle();
+  // The source can also stop by itself (a file playlist ending, or paused from the player)
+  useEffect(() => {
+    setMicEnabled(microphoneManager.isEnabled);
+    return microphoneManager.on(({ enabled }) => {
       setMicEnabled(enabled);
+      // Senders retime for the new source (or silence)
+      webrtcController.updateMicrophoneStream();
+    });
+  }, [microphoneManager, webrtcController]);
 
-      if (enabled) {
-        // Update WebRTC connections with new stream
-        webrtcController.updateMicrophoneStream();
-      }
+  const handleMicToggle = async () => {
+    try {
+      await microphoneManager.toggle();
     } catch (error) {
       console.error('Failed to toggle microphone:', error);
     }
   };
 
+  const handleSourceChange = (sourceType) => {
+    microphoneManager.setSourceType(sourceType);
+    webrtcController.updateMicrophoneStream();
+  };
+
   const handleCreateWindow = async () => {
     try {
       await window.electronAPI.createWindow();
@@ -88,26 +219,120 @@ function Dashboard({ microphoneManager, webrtcController, visualizationControlle
     }
   };
 
-  const handlePresetChange = async (windowId, preset) => {
+  // Beat-synced changes blend over a tempo-based time unless the request sets its own
+  const withSyncedTime = (transitionTime, options = {}) => ({
+    ...(transitionTime !== undefined && { transitionTime }),
+    ...normalizeTransitionOptions(options),
+  });
+
+  // Preset changes wait for the next beat/bar/phrase when beat sync is on
+  // Options: { transitionMode, transitionTime } - missing fields use the window's default transition
+  const handlePresetChange = (windowId, preset, options = {}) => {
+    beatSyncController.schedule(windowId, (transitionTime) =>
+      applyPresetChange(windowId, preset, withSyncedTime(transitionTime, options))
+    );
+  };
+
+  const handlePresetChangeAll = (preset, options = {}) => {
+    beatSyncController.schedule('all', (transitionTime) =>
+      applyPresetChangeAll(preset, withSyncedTime(transitionTime, options))
+    );
+  };
+
+  const applyPresetChange = async (windowId, preset, options) => {
     try {
-      await visualizationController.setWindowPreset(windowId, preset);
+      await visualizationController.setWindowPreset(windowId, preset, options);
+      // Video wall tiles all change with it
+      const changed = videoWallController.getLinkedWindowIds(windowId);
       setWindows((prev) =>
-        prev.map((w) => (w.id === windowId ? { ...w, preset: preset } : w))
+        prev.map((w) => (changed.includes(w.id) ? { ...w, preset: preset } : w))
       );
     } catch (error) {
       console.error('Failed to change preset:', error);
     }
   };
 
-  const handlePresetChangeAll = async (preset) => {
+  const applyPresetChangeAll = async (preset, options) => {
     try {
-      await visualizationController.setAllWindowsPreset(preset);
+      await visualizationController.setAllWindowsPreset(preset, options);
       setWindows((prev) => prev.map((w) => ({ ...w, preset: preset })));
     } catch (error) {
       console.error('Failed to change all presets:', error);
     }
   };
 
+  const handleTransitionChange = (windowId, changes) => {
+    const transition = visualizationController.setWindowTransition(windowId, changes);
+    const changed = videoWallController.getLinkedWindowIds(windowId);
+    setWindows((prev) => prev.map((w) => (changed.includes(w.id) ? { ...w, transition } : w)));
+  };
+
+  const handlePresetStep = (windowId, direction) => {
+    if (windowId === 'all') {
+      windowsRef.current.forEach((w) => handlePresetStep(w.id, direction));
+      return;
+    }
+
+    // The next preset is picked when the change applies, so queued steps follow the latest state
+    beatSyncController.schedule(windowId, (transitionTime) => {
+      // Rotating windows step through their playlist
+      if (playlistController.getRotationStatus(windowId)) {
+        if (direction > 0) {
+          playlistController.skip(windowId);
+        } else {
+          playlistController.previous(windowId);
+        }
+        return;
+      }
+
+      const names = visualizationController.getSteppingOrder().map((preset) => preset.name);
+      if (names.length === 0) return;
+
+      const current = windowsRef.current.find((w) => w.id === windowId)?.preset;
+      const index = names.indexOf(current);
+      const next =
+        index === -1 ? (direction > 0 ? 0 : names.length - 1) : (index + direction + names.length) % names.length;
+      applyPresetChange(windowId, names[next], withSyncedTime(transitionTime));
+    });
+  };
+
+  // Commands from the web remote and REST API, relayed by the main process
+  useEffect(() => {
+    return window.electronAPI.onRemoteCommand((command) => {
+      switch (command.action) {
+        // Transition fields in the command are picked out by the handlers
+        case 'preset-set':
+          handlePresetChange(command.windowId, command.preset, command);
+          break;
+        case 'preset-set-all':
+          handlePresetChangeAll(command.preset, command);
+          break;
+        case 'transition-set':
+          handleTransitionChange(command.windowId, command);
+          break;
+        case 'preset-step':
+          handlePresetStep(command.windowId, command.direction);
+          break;
+        case 'microphone-toggle':
+          // Explicit on/off only toggles when it changes something
+          if (typeof command.enabled !== 'boolean' || command.enabled !== microphoneManager.isEnabled) {
+            handleMicToggle();
+          }
+          break;
+        case 'microphone-gain': {
+          // Same range as the gain slider
+          const gain = Math.min(50, Math.max(0.1, command.gain));
+          microphoneManager.setGain(gain);
+          window.electronAPI.settingsSet('microphoneGain', gain);
+          break;
+        }
+        default:
+          console.warn('Unknown remote command:', command.action);
+      }
+    });
+    // Handlers only use state setters and long-lived services, so the first render's copies are fine
+  }, []);
+
   return (
     <div className="h-screen flex overflow-hidden bg-gray-900">
         {/* Left Sidebar */}
@@ -116,17 +341,68 @@ function Dashboard({ microphoneManager, webrtcController, visualizationControlle
             <MicrophoneControls
               micEnabled={micEnabled}
               onToggle={handleMicToggle}
+              onSourceChange={handleSourceChange}
               microphoneManager={microphoneManager}
             />
           </div>
 
+          <div className="px-3 pb-3">
+            <BeatPanel beatDetector={beatDetector} beatSyncController={beatSyncController} />
+          </div>
+
+          <div className="px-3 pb-3">
+            <PlaylistManager playlistController={playlistController} />
+          </div>
+
+          <div className="px-3 pb-3">
+            <LayoutManager />
+          </div>
+
+          <div className="px-3 pb-3">
+            <VideoWallPanel videoWallController={videoWallController} windows={windows} />
+          </div>
+
+          <div className="px-3 pb-3">
+            <RenderSyncPanel renderSyncController={renderSyncController} windows={windows} />
+          </div>
+
+          <div className="px-3 pb-3">
+            <PresetFoldersPanel />
+          </div>
+
+          <div className="px-3 pb-3">
+            <PresetProfilesPanel />
+          </div>
+
+          <div className="px-3 pb-3">
+            <FlashSafetyPanel
+              flashSafetyController={flashSafetyController}
+              visualizationController={visualizationController}
+            />
+          </div>
+
+          <div className="px-3 pb-3">
+            <OscPanel />
+          </div>
+
+          <div className="px-3 pb-3">
+            <IceServersPanel />
+          </div>
+
+          <div className="px-3 pb-3">
+            <DiagnosticsPanel diagnosticsController={diagnosticsController} />
+          </div>
+
           <div className="flex-1 overflow-y-auto px-3">
             <WindowManager
               windows={windows}
               onCreateWindow={handleCreateWindow}
               onCloseWindow={handleCloseWindow}
               onPresetChange={handlePresetChange}
+              onTransitionChange={handleTransitionChange}
               visualizationController={visualizationController}
+              playlistController={playlistController}
+              recordingState={recordingState}
             />
           </div>
 
@@ -135,14 +411,26 @@ function Dashboard({ microphoneManager, webrtcController, visualizationControlle
           </div>
         </div>
 
-        {/* Main Area - Preset Browser */}
+        {/* Main Area - Preset Browser / Editor */}
         <div className="flex-1 overflow-hidden">
-          <PresetBrowser
-            visualizationController={visualizationController}
-            onPresetSelect={handlePresetChangeAll}
-            onPresetSelectWindow={handlePresetChange}
-            windows={windows}
-          />
+          {editingPreset ? (
+            <PresetEditor
+              presetName={editingPreset}
+              windows={windows}
+              webrtcController={webrtcController}
+              visualizationController={visualizationController}
+              onClose={() => setEditingPreset(null)}
+            />
+          ) : (
+            <PresetBrowser
+              visualizationController={visualizationController}
+              onPresetSelect={handlePresetChangeAll}
+              onPresetSelectWindow={handlePresetChange}
+              windows={windows}
+              playlistController={playlistController}
+              onEditPreset={setEditingPreset}
+            />
+          )}
         </div>
     </div>
   );
@@ -0,0 +1,74 @@
+import { useState, useEffect } from 'react';
+
+// Unknown values (not measured yet, or not available on this transport) show as a dash
+const format = (value, unit = '', digits = 0) =>
+  value === null || value === undefined ? '-' : `${value.toFixed(digits)}${unit}`;
+
+function DiagnosticsPanel({ diagnosticsController }) {
+  const [diagnostics, setDiagnostics] = useState(diagnosticsController.getDiagnostics());
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  useEffect(() => {
+    setDiagnostics(diagnosticsController.getDiagnostics());
+    return diagnosticsController.on(setDiagnostics);
+  }, [diagnosticsController]);
+
+  const { windows } = diagnostics;
+
+  return (
+    <div>
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center justify-between text-sm font-semibold text-white"
+      >
+        <span className="flex items-center gap-1">
+          <span className="material-icons text-sm">network_check</span>
+          Diagnostics
+        </span>
+        <span className="material-icons text-sm">{isExpanded ? 'expand_less' : 'expand_more'}</span>
+      </button>
+
+      {isExpanded && (
+        <div className="mt-2 space-y-2 text-xs">
+          {windows.length === 0 && <p className="text-gray-500">No windows connected.</p>}
+
+          {windows.map((w) => (
+            <div key={w.windowId} className="space-y-0.5 text-gray-400">
+              <div className="flex justify-between text-gray-300">
+                <span className="truncate">#{w.windowId}</span>
+                <span className="flex-shrink-0" title="Connection state, and local → remote candidate type">
+                  {w.transport === 'relay' ? 'relayed' : w.connectionState}
+                  {w.candidatePair && ` · ${w.candidatePair} ${w.protocol || ''}`}
+                </span>
+              </div>
+              <div className="flex justify-between tabular-nums">
+                <span title="Round trip of the active candidate pair">RTT {format(w.roundTripMs, ' ms', 1)}</span>
+                <span title="Frames per second the window renders, and audio frames per second sent to it">
+                  {format(w.renderFps, ' fps')} · audio {format(w.sendFps, ' fps')}
+                </span>
+              </div>
+              <div className="flex justify-between tabular-nums">
+                <span title="Packets sent on the connection">{format(w.packetsSent)} packets</span>
+                <span title="Audio frames lost on the way, and skipped while the channel was backed up">
+                  {format(w.audioFramesLost)} lost · {w.audioFramesSkipped} skipped
+                </span>
+              </div>
+              <div className="flex justify-between tabular-nums">
+                <span title="Variation in audio frame arrival times at the window">
+                  jitter {format(w.jitterMs, ' ms', 1)}
+                </span>
+                <span title="Audio data queued on the channel">{format(w.bufferedAmount / 1024, ' KB', 1)} buffered</span>
+              </div>
+            </div>
+          ))}
+
+          <p className="text-gray-500">
+            Also at <code>/api/diagnostics</code>.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DiagnosticsPanel;
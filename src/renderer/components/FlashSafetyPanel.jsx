@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+
+function FlashSafetyPanel({ flashSafetyController, visualizationController }) {
+  const [config, setConfig] = useState(flashSafetyController.getConfig());
+  const [flagged, setFlagged] = useState(flashSafetyController.getFlagged());
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  useEffect(() => {
+    return flashSafetyController.on(() => {
+      setConfig(flashSafetyController.getConfig());
+      setFlagged(flashSafetyController.getFlagged());
+    });
+  }, [flashSafetyController]);
+
+  const updateConfig = (changes) => {
+    flashSafetyController.setConfig(changes).catch((error) => {
+      console.error('Failed to save flash limiter setting:', error);
+    });
+  };
+
+  const handleDisable = (preset) => {
+    flashSafetyController.disablePreset(preset).catch((error) => {
+      console.error('Failed to disable preset:', error);
+    });
+  };
+
+  return (
+    <div>
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center justify-between text-sm font-semibold text-white"
+      >
+        <span className="flex items-center gap-1">
+          <span className={`material-icons text-sm ${config.enabled ? 'text-green-400' : ''}`}>health_and_safety</span>
+          Flash Safety {config.enabled ? '(on)' : '(off)'}
+          {flagged.length > 0 && <span className="text-yellow-500"> · {flagged.length} flagged</span>}
+        </span>
+        <span className="material-icons text-sm">{isExpanded ? 'expand_less' : 'expand_more'}</span>
+      </button>
+
+      {isExpanded && (
+        <div className="mt-2 space-y-2">
+          <label className="flex items-center gap-2 text-xs text-gray-300">
+            <input type="checkbox" checked={config.enabled} onChange={(e) => updateConfig({ enabled: e.target.checked })} />
+            Limit flashing on all windows (more than 3 flashes per second)
+          </label>
+          <label className={`flex items-center gap-2 text-xs ${config.enabled ? 'text-gray-300' : 'text-gray-500'}`}>
+            <input
+              type="checkbox"
+              checked={config.autoDisable}
+              disabled={!config.enabled}
+              onChange={(e) => updateConfig({ autoDisable: e.target.checked })}
+            />
+            Auto-disable flagged presets in the active blocklist profile
+          </label>
+
+          {flagged.length > 0 && (
+            <>
+              <div className="space-y-1 max-h-48 overflow-y-auto">
+                {flagged.map((entry) => {
+                  const isDisabled = entry.preset && visualizationController.isPresetDisabled(entry.preset);
+                  return (
+                    <div key={`${entry.preset}-${entry.at}`} className="card p-2 flex items-center gap-2">
+                      <div className="flex-1 min-w-0">
+                        <div className="truncate text-sm text-white" title={entry.preset || ''}>
+                          {entry.preset || 'Unsaved editor preview'}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          Window {entry.windowId} · {entry.kind === 'red' ? 'red flashes' : 'flashes'} at{' '}
+                          {entry.flashesPerSecond}/s{entry.autoDisabled && ' · auto-disabled'}
+                        </div>
+                      </div>
+                      {entry.preset && !isDisabled && (
+                        <button
+                          onClick={() => handleDisable(entry.preset)}
+                          className="flex-shrink-0 text-gray-400 hover:text-red-500 transition-colors"
+                          title="Disable in the active blocklist profile"
+                        >
+                          <span className="material-icons text-sm">block</span>
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+              <button
+                onClick={() => flashSafetyController.clearFlagged()}
+                className="w-full btn-secondary px-2 py-1 text-xs"
+              >
+                Clear list
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FlashSafetyPanel;
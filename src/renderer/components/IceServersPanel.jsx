@@ -0,0 +1,134 @@
+import { useState, useEffect } from 'react';
+
+const formatIceServers = (iceServers) => JSON.stringify(iceServers, null, 2);
+
+function IceServersPanel() {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [config, setConfig] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [iceServersText, setIceServersText] = useState('');
+  const [error, setError] = useState(null);
+
+  const applyState = ({ config, status }) => {
+    setConfig(config);
+    setStatus(status);
+    setIceServersText(formatIceServers(config.iceServers));
+  };
+
+  useEffect(() => {
+    window.electronAPI
+      .getIceConfig()
+      .then(applyState)
+      .catch((error) => console.error('Failed to load ICE config:', error));
+
+    return window.electronAPI.onIceUpdated(({ status }) => setStatus(status));
+  }, []);
+
+  // Allocation count changes without an update event - refresh it when opened
+  useEffect(() => {
+    if (!isExpanded) return;
+    window.electronAPI
+      .getIceConfig()
+      .then(({ status }) => setStatus(status))
+      .catch((error) => console.error('Failed to load ICE status:', error));
+  }, [isExpanded]);
+
+  if (!config) {
+    return null;
+  }
+
+  const updateField = (field, value) => setConfig((prev) => ({ ...prev, [field]: value }));
+
+  const handleSave = async () => {
+    let iceServers;
+    try {
+      iceServers = JSON.parse(iceServersText);
+    } catch (parseError) {
+      setError(`ICE servers are not valid JSON: ${parseError.message}`);
+      return;
+    }
+
+    try {
+      const result = await window.electronAPI.setIceConfig({ ...config, iceServers });
+      setError(result.success ? null : result.error);
+      applyState(result);
+    } catch (saveError) {
+      console.error('Failed to save ICE config:', saveError);
+    }
+  };
+
+  return (
+    <div>
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center justify-between text-sm font-semibold text-white"
+      >
+        <span className="flex items-center gap-1">
+          <span className="material-icons text-sm">router</span>
+          ICE Servers
+          {status?.listening && (
+            <span className="w-2 h-2 rounded-full bg-green-500" title={`STUN/TURN on ${status.port}`} />
+          )}
+        </span>
+        <span className="material-icons text-sm">{isExpanded ? 'expand_less' : 'expand_more'}</span>
+      </button>
+
+      {isExpanded && (
+        <div className="mt-2 space-y-2 text-xs">
+          {/* Built-in STUN/TURN */}
+          <label className="flex items-center gap-2 text-gray-400">
+            <input
+              type="checkbox"
+              checked={config.turnEnabled}
+              onChange={(e) => updateField('turnEnabled', e.target.checked)}
+            />
+            <span className="flex-1">Built-in STUN/TURN server</span>
+            <input
+              type="number"
+              value={config.turnPort}
+              onChange={(e) => updateField('turnPort', e.target.value)}
+              className="w-20 input px-2 py-1"
+              title="UDP port"
+            />
+          </label>
+          <input
+            type="text"
+            value={config.externalAddress}
+            onChange={(e) => updateField('externalAddress', e.target.value)}
+            placeholder={status?.relayAddress ? `Relay address (${status.relayAddress})` : 'Relay address'}
+            className="w-full input px-2 py-1"
+            title="IPv4 address clients reach this machine on - leave empty to use its LAN address"
+          />
+          {status?.listening && (
+            <p className="text-gray-500">
+              {status.allocations} relay allocation{status.allocations === 1 ? '' : 's'}
+            </p>
+          )}
+
+          {/* Extra servers */}
+          <div>
+            <div className="text-gray-400 mb-1">Other STUN/TURN servers</div>
+            <textarea
+              value={iceServersText}
+              onChange={(e) => setIceServersText(e.target.value)}
+              rows={4}
+              spellCheck={false}
+              placeholder='[{ "urls": "turn:turn.example.com:3478", "username": "...", "credential": "..." }]'
+              className="w-full input px-2 py-1 font-mono text-xs"
+            />
+          </div>
+
+          <p className="text-gray-500">Browser clients pick up changes on their next connection.</p>
+
+          {(error || status?.error) && <p className="text-red-400">{error || status.error}</p>}
+
+          <button onClick={handleSave} className="w-full btn-primary px-2 py-1 text-xs">
+            Apply
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default IceServersPanel;
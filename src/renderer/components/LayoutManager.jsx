@@ -0,0 +1,138 @@
+import { useState, useEffect } from 'react';
+
+function LayoutManager() {
+  const [layouts, setLayouts] = useState([]);
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [layoutName, setLayoutName] = useState('');
+  const [closeExisting, setCloseExisting] = useState(true);
+
+  useEffect(() => {
+    window.electronAPI
+      .getLayouts()
+      .then((saved) => setLayouts(saved || []))
+      .catch((error) => console.error('Failed to load layouts:', error));
+
+    // Layouts saved or deleted through the REST API
+    return window.electronAPI.onLayoutsUpdated(({ layouts }) => setLayouts(layouts));
+  }, []);
+
+  const handleSave = async (id = null, name = layoutName) => {
+    try {
+      const result = await window.electronAPI.saveLayout(name, id);
+      if (!result.success) {
+        console.error('Failed to save layout:', result.error);
+        return;
+      }
+      setLayouts(result.layouts);
+      setLayoutName('');
+    } catch (error) {
+      console.error('Failed to save layout:', error);
+    }
+  };
+
+  const handleRestore = async (layoutId) => {
+    try {
+      const result = await window.electronAPI.restoreLayout(layoutId, { closeExisting });
+      if (!result.success) {
+        console.error('Failed to restore layout:', result.error);
+      }
+    } catch (error) {
+      console.error('Failed to restore layout:', error);
+    }
+  };
+
+  const handleDelete = async (layoutId) => {
+    try {
+      const result = await window.electronAPI.deleteLayout(layoutId);
+      setLayouts(result.layouts);
+    } catch (error) {
+      console.error('Failed to delete layout:', error);
+    }
+  };
+
+  return (
+    <div>
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center justify-between text-sm font-semibold text-white"
+      >
+        <span className="flex items-center gap-1">
+          <span className="material-icons text-sm">dashboard</span>
+          Layouts ({layouts.length})
+        </span>
+        <span className="material-icons text-sm">{isExpanded ? 'expand_less' : 'expand_more'}</span>
+      </button>
+
+      {isExpanded && (
+        <div className="mt-2 space-y-2">
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={layoutName}
+              onChange={(e) => setLayoutName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && layoutName.trim() && handleSave()}
+              placeholder="Layout name..."
+              className="flex-1 input text-xs px-2 py-1"
+            />
+            <button
+              onClick={() => handleSave()}
+              disabled={!layoutName.trim()}
+              className="btn-primary px-2 py-1 text-xs flex items-center gap-1 disabled:opacity-50"
+              title="Save the current popup windows as a layout"
+            >
+              <span className="material-icons text-sm">save</span>
+              Save
+            </button>
+          </div>
+
+          <label className="flex items-center gap-2 text-xs text-gray-400">
+            <input
+              type="checkbox"
+              checked={closeExisting}
+              onChange={(e) => setCloseExisting(e.target.checked)}
+            />
+            Close open windows when restoring
+          </label>
+
+          <div className="space-y-1 max-h-48 overflow-y-auto">
+            {layouts.length === 0 ? (
+              <p className="text-xs text-gray-500">Arrange your popup windows, then save them as a layout</p>
+            ) : (
+              layouts.map((layout) => (
+                <div key={layout.id} className="card p-2 flex items-center gap-2">
+                  <div className="flex-1 min-w-0">
+                    <div className="truncate text-sm text-white">{layout.name}</div>
+                    <div className="text-xs text-gray-500">{layout.windows.length} window(s)</div>
+                  </div>
+                  <button
+                    onClick={() => handleRestore(layout.id)}
+                    className="flex-shrink-0 text-gray-400 hover:text-white transition-colors"
+                    title="Restore layout"
+                  >
+                    <span className="material-icons text-sm">open_in_new</span>
+                  </button>
+                  <button
+                    onClick={() => handleSave(layout.id, layout.name)}
+                    className="flex-shrink-0 text-gray-400 hover:text-white transition-colors"
+                    title="Overwrite with the current windows"
+                  >
+                    <span className="material-icons text-sm">save</span>
+                  </button>
+                  <button
+                    onClick={() => handleDelete(layout.id)}
+                    className="flex-shrink-0 text-gray-400 hover:text-red-500 transition-colors"
+                    title="Delete layout"
+                  >
+                    <span className="material-icons text-sm">delete</span>
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LayoutManager;
@@ -1,6 +1,20 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 
-function MicrophoneControls({ micEnabled, onToggle, microphoneManager }) {
+const AUDIO_SOURCES = [
+  { id: 'microphone', label: 'Microphone', icon: 'mic' },
+  { id: 'file', label: 'Audio File', icon: 'library_music' },
+];
+
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+function MicrophoneControls({ micEnabled, onToggle, onSourceChange, microphoneManager }) {
+  const fileInputRef = useRef(null);
+  const [sourceType, setSourceType] = useState(microphoneManager.sourceType);
+  const [fileStatus, setFileStatus] = useState(null);
   const [devices, setDevices] = useState([]);
   const [selectedDevice, setSelectedDevice] = useState('default');
   const [audioLevel, setAudioLevel] = useState(0);
@@ -12,6 +26,7 @@ function MicrophoneControls({ micEnabled, onToggle, microphoneManager }) {
     async function loadSettings() {
       const savedGain = await window.electronAPI.settingsGet('microphoneGain');
       const savedDevice = await window.electronAPI.settingsGet('microphoneDeviceId');
+      const savedSource = await window.electronAPI.settingsGet('audioSourceType');
 
       if (savedGain !== null) {
         setGain(savedGain);
@@ -22,6 +37,11 @@ function MicrophoneControls({ micEnabled, onToggle, microphoneManager }) {
         setSelectedDevice(savedDevice);
       }
 
+      if (savedSource !== null && savedSource !== microphoneManager.sourceType) {
+        setSourceType(savedSource);
+        onSourceChange(savedSource);
+      }
+
       setIsLoadingSettings(false);
     }
 
@@ -38,11 +58,42 @@ function MicrophoneControls({ micEnabled, onToggle, microphoneManager }) {
       } else {
         setAudioLevel(0);
       }
+
+      if (microphoneManager.filePlayer) {
+        setFileStatus(microphoneManager.filePlayer.getStatus());
+      }
+
+      // Gain can also be changed over OSC
+      setGain(microphoneManager.gain);
     }, 100);
 
     return () => clearInterval(interval);
   }, [micEnabled, microphoneManager]);
 
+  const handleSourceChange = (newSource) => {
+    setSourceType(newSource);
+    onSourceChange(newSource);
+    window.electronAPI.settingsSet('audioSourceType', newSource);
+  };
+
+  const handleFilesSelected = async (files) => {
+    if (!files || files.length === 0) return;
+    const player = await microphoneManager.getFilePlayer();
+    player.addFiles(files);
+    setFileStatus(player.getStatus());
+  };
+
+  const handleFileAction = async (action) => {
+    const player = microphoneManager.filePlayer;
+    if (!player) return;
+    try {
+      await action(player);
+    } catch (error) {
+      console.error('File playback control failed:', error);
+    }
+    setFileStatus(player.getStatus());
+  };
+
   const handleDeviceChange = async (deviceId) => {
     setSelectedDevice(deviceId);
     if (micEnabled) {
@@ -65,36 +116,171 @@ function MicrophoneControls({ micEnabled, onToggle, microphoneManager }) {
 
   return (
     <div className="space-y-2">
-      {/* Device Selector and Enable Button */}
+      {/* Source Switcher */}
+      <div className="flex gap-1">
+        {AUDIO_SOURCES.map((source) => (
+          <button
+            key={source.id}
+            onClick={() => handleSourceChange(source.id)}
+            className={`flex-1 px-2 py-1 rounded text-xs flex items-center justify-center gap-1 transition-colors ${
+              sourceType === source.id
+                ? 'bg-blue-600 text-white'
+                : 'bg-gray-700 text-gray-300 hover:bg-gray-600 hover:text-white'
+            }`}
+          >
+            <span className="material-icons text-sm">{source.icon}</span>
+            {source.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Device Selector / File Picker and Enable Button */}
       <div className="flex gap-2">
-        <select
-          value={selectedDevice}
-          onChange={(e) => handleDeviceChange(e.target.value)}
-          className="flex-1 min-w-0 input text-xs"
-        >
-          <option value="default">Default</option>
-          {devices.map((device) => (
-            <option key={device.deviceId} value={device.deviceId}>
-              {device.label || `Microphone ${device.deviceId.slice(0, 8)}`}
-            </option>
-          ))}
-        </select>
+        {sourceType === 'microphone' ? (
+          <select
+            value={selectedDevice}
+            onChange={(e) => handleDeviceChange(e.target.value)}
+            className="flex-1 min-w-0 input text-xs"
+          >
+            <option value="default">Default</option>
+            {devices.map((device) => (
+              <option key={device.deviceId} value={device.deviceId}>
+                {device.label || `Microphone ${device.deviceId.slice(0, 8)}`}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="audio/*,.wav,.mp3,.ogg,.flac"
+              multiple
+              className="hidden"
+              onChange={(e) => {
+                handleFilesSelected(e.target.files);
+                e.target.value = '';
+              }}
+            />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              className="flex-1 min-w-0 btn-secondary px-2 py-1 text-xs flex items-center justify-center gap-1"
+            >
+              <span className="material-icons text-sm">playlist_add</span>
+              Add Files
+            </button>
+          </>
+        )}
 
         <button
           onClick={onToggle}
-          className={`px-3 py-2 rounded-lg font-medium flex items-center justify-center transition-colors flex-shrink-0 ${
+          disabled={sourceType === 'file' && !fileStatus?.tracks.length}
+          className={`px-3 py-2 rounded-lg font-medium flex items-center justify-center transition-colors flex-shrink-0 disabled:opacity-50 ${
             micEnabled
               ? 'bg-red-600 hover:bg-red-700 text-white'
               : 'bg-blue-600 hover:bg-blue-700 text-white'
           }`}
-          title={micEnabled ? 'Disable Microphone' : 'Enable Microphone'}
+          title={
+            sourceType === 'file'
+              ? micEnabled
+                ? 'Pause Playback'
+                : 'Start Playback'
+              : micEnabled
+                ? 'Disable Microphone'
+                : 'Enable Microphone'
+          }
         >
           <span className="material-icons text-lg">
-            {micEnabled ? 'mic_off' : 'mic'}
+            {sourceType === 'file' ? (micEnabled ? 'pause' : 'play_arrow') : micEnabled ? 'mic_off' : 'mic'}
           </span>
         </button>
       </div>
 
+      {/* File Playlist and Transport */}
+      {sourceType === 'file' && fileStatus && fileStatus.tracks.length > 0 && (
+        <div className="space-y-2">
+          <div className="max-h-24 overflow-y-auto space-y-0.5">
+            {fileStatus.tracks.map((name, index) => (
+              <div
+                key={`${name}-${index}`}
+                className={`flex items-center gap-1 px-2 py-0.5 rounded text-xs ${
+                  index === fileStatus.currentIndex ? 'bg-gray-700 text-white' : 'text-gray-400'
+                }`}
+              >
+                <span className="flex-1 min-w-0 truncate">{name}</span>
+                <button
+                  onClick={() => handleFileAction((player) => player.removeTrack(index))}
+                  className="flex-shrink-0 text-gray-500 hover:text-red-500 transition-colors"
+                  title="Remove from playlist"
+                >
+                  <span className="material-icons text-sm">close</span>
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between text-xs text-gray-400 mb-1">
+              <span>{formatTime(fileStatus.currentTime)}</span>
+              <span>{formatTime(fileStatus.duration)}</span>
+            </div>
+            <input
+              type="range"
+              min="0"
+              max={fileStatus.duration || 0}
+              step="0.1"
+              value={fileStatus.currentTime}
+              onChange={(e) => handleFileAction((player) => player.seek(parseFloat(e.target.value)))}
+              className="w-full h-2 bg-gray-700 rounded-lg appearance-none cursor-pointer slider"
+            />
+          </div>
+
+          <div className="flex gap-1">
+            <button
+              onClick={() => handleFileAction((player) => player.previous())}
+              className="btn-secondary px-2 py-1 flex items-center justify-center"
+              title="Previous track"
+            >
+              <span className="material-icons text-sm">skip_previous</span>
+            </button>
+            <button
+              onClick={() => handleFileAction((player) => player.next())}
+              className="btn-secondary px-2 py-1 flex items-center justify-center"
+              title="Next track"
+            >
+              <span className="material-icons text-sm">skip_next</span>
+            </button>
+            <button
+              onClick={() => handleFileAction((player) => player.setLoop(!fileStatus.loop))}
+              className={`px-2 py-1 rounded-lg flex items-center justify-center transition-colors ${
+                fileStatus.loop ? 'bg-blue-600 text-white' : 'btn-secondary'
+              }`}
+              title={fileStatus.loop ? 'Disable loop' : 'Loop playlist'}
+            >
+              <span className="material-icons text-sm">repeat</span>
+            </button>
+            <button
+              onClick={() => handleFileAction((player) => player.setMonitoring(!fileStatus.monitoring))}
+              className={`px-2 py-1 rounded-lg flex items-center justify-center transition-colors ${
+                fileStatus.monitoring ? 'bg-blue-600 text-white' : 'btn-secondary'
+              }`}
+              title={fileStatus.monitoring ? 'Mute monitor output' : 'Monitor through speakers'}
+            >
+              <span className="material-icons text-sm">
+                {fileStatus.monitoring ? 'volume_up' : 'volume_off'}
+              </span>
+            </button>
+            <button
+              onClick={() => handleFileAction((player) => player.clearPlaylist())}
+              className="ml-auto btn-secondary px-2 py-1 flex items-center justify-center"
+              title="Clear playlist"
+            >
+              <span className="material-icons text-sm">clear_all</span>
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Gain Slider */}
       {micEnabled && (
         <div>
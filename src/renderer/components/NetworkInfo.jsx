@@ -1,14 +1,27 @@
 import { useState, useEffect } from 'react';
 import { QRCodeSVG } from 'qrcode.react';
+import PairedDevices from './PairedDevices.jsx';
 
 export default function NetworkInfo() {
   const [networkInfo, setNetworkInfo] = useState(null);
   const [selectedAddress, setSelectedAddress] = useState(null);
+  const [authState, setAuthState] = useState({ pairing: null, tokens: [] });
+  const [pairingRole, setPairingRole] = useState('viewer');
+  const [now, setNow] = useState(Date.now());
 
   useEffect(() => {
     loadNetworkInfo();
+    window.electronAPI.getAuthState().then(setAuthState);
+    return window.electronAPI.onAuthUpdated(setAuthState);
   }, []);
 
+  // Tick the PIN countdown while one is active
+  useEffect(() => {
+    if (!authState.pairing) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [authState.pairing]);
+
   const loadNetworkInfo = async () => {
     const info = await window.electronAPI.getNetworkInfo();
     setNetworkInfo(info);
@@ -17,12 +30,25 @@ export default function NetworkInfo() {
     }
   };
 
+  const handleCreatePin = async () => {
+    const result = await window.electronAPI.createPairingPin(pairingRole);
+    if (result.success) {
+      setAuthState({ pairing: result.pairing, tokens: result.tokens });
+    }
+  };
+
   if (!networkInfo || networkInfo.addresses.length === 0) {
     return null;
   }
 
+  const pairing = authState.pairing && authState.pairing.expiresAt > now ? authState.pairing : null;
+  const secondsLeft = pairing ? Math.ceil((pairing.expiresAt - now) / 1000) : 0;
+
+  // Scanning the QR code pairs automatically while a PIN is active -
+  // controller PINs open the web remote, viewer PINs a visualization screen
+  const page = pairing?.role === 'controller' ? 'remote' : 'popup';
   const currentUrl = selectedAddress
-    ? `http://${selectedAddress.address}:${networkInfo.port}/popup`
+    ? `http://${selectedAddress.address}:${networkInfo.port}/${page}${pairing ? `?pin=${pairing.pin}` : ''}`
     : null;
 
   return (
@@ -45,6 +71,45 @@ export default function NetworkInfo() {
         </select>
       )}
 
+      {/* Pairing PIN */}
+      <div className="flex items-center gap-2">
+        {pairing ? (
+          <>
+            <span className="font-mono text-lg text-white tracking-widest">{pairing.pin}</span>
+            <span className="text-xs text-gray-400 flex-1">
+              {pairing.role} · {Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, '0')}
+            </span>
+            <button
+              onClick={() => window.electronAPI.cancelPairingPin()}
+              className="text-gray-400 hover:text-red-500 transition-colors"
+              title="Cancel PIN"
+            >
+              <span className="material-icons text-sm">close</span>
+            </button>
+          </>
+        ) : (
+          <>
+            <select
+              value={pairingRole}
+              onChange={(e) => setPairingRole(e.target.value)}
+              className="flex-1 bg-gray-700 text-white text-xs rounded px-2 py-1 border border-gray-600"
+              title="Access granted to devices that pair with this PIN"
+            >
+              <option value="viewer">Viewer (visuals only)</option>
+              <option value="controller">Controller (full control)</option>
+            </select>
+            <button
+              onClick={handleCreatePin}
+              className="btn-secondary px-2 py-1 text-xs flex items-center gap-1"
+              title="Show a PIN that remote devices can pair with"
+            >
+              <span className="material-icons text-sm">key</span>
+              Pair
+            </button>
+          </>
+        )}
+      </div>
+
       {/* QR Code */}
       {currentUrl && (
         <div className="flex flex-col items-center gap-2">
@@ -70,6 +135,8 @@ export default function NetworkInfo() {
           </div>
         </div>
       )}
+
+      <PairedDevices tokens={authState.tokens} />
     </div>
   );
 }
@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react';
+
+const formatMappings = (mappings) => JSON.stringify(mappings, null, 2);
+const formatSenders = (senders) => senders.join(', ');
+
+function OscPanel() {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [config, setConfig] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [mappingsText, setMappingsText] = useState('');
+  const [sendersText, setSendersText] = useState('');
+  const [error, setError] = useState(null);
+
+  const applyState = ({ config, status }) => {
+    setConfig(config);
+    setStatus(status);
+    setMappingsText(formatMappings(config.mappings));
+    setSendersText(formatSenders(config.allowedSenders));
+  };
+
+  useEffect(() => {
+    window.electronAPI
+      .getOscConfig()
+      .then(applyState)
+      .catch((error) => console.error('Failed to load OSC config:', error));
+
+    return window.electronAPI.onOscUpdated(({ status }) => setStatus(status));
+  }, []);
+
+  if (!config) {
+    return null;
+  }
+
+  const updateField = (field, value) => setConfig((prev) => ({ ...prev, [field]: value }));
+
+  const handleSave = async (resetMappings = false) => {
+    let mappings = null;
+    if (!resetMappings) {
+      try {
+        mappings = JSON.parse(mappingsText);
+      } catch (parseError) {
+        setError(`Mappings are not valid JSON: ${parseError.message}`);
+        return;
+      }
+    }
+
+    try {
+      const result = await window.electronAPI.setOscConfig({ ...config, mappings, allowedSenders: sendersText });
+      setError(result.success ? null : result.error);
+      applyState(result);
+    } catch (saveError) {
+      console.error('Failed to save OSC config:', saveError);
+    }
+  };
+
+  return (
+    <div>
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center justify-between text-sm font-semibold text-white"
+      >
+        <span className="flex items-center gap-1">
+          <span className="material-icons text-sm">settings_input_component</span>
+          OSC
+          {status?.listening && <span className="w-2 h-2 rounded-full bg-green-500" title={`Listening on ${status.port}`} />}
+        </span>
+        <span className="material-icons text-sm">{isExpanded ? 'expand_less' : 'expand_more'}</span>
+      </button>
+
+      {isExpanded && (
+        <div className="mt-2 space-y-2 text-xs">
+          {/* Input */}
+          <label className="flex items-center gap-2 text-gray-400">
+            <input
+              type="checkbox"
+              checked={config.enabled}
+              onChange={(e) => updateField('enabled', e.target.checked)}
+            />
+            <span className="flex-1">Listen for control messages</span>
+            <input
+              type="number"
+              value={config.port}
+              onChange={(e) => updateField('port', e.target.value)}
+              className="w-20 input px-2 py-1"
+              title="UDP port"
+            />
+          </label>
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={config.host}
+              onChange={(e) => updateField('host', e.target.value)}
+              placeholder="Listen address"
+              className="w-28 input px-2 py-1"
+              title="Address to listen on - 127.0.0.1 for tools on this machine, 0.0.0.0 for the network"
+            />
+            <input
+              type="text"
+              value={sendersText}
+              onChange={(e) => setSendersText(e.target.value)}
+              placeholder="Allowed senders (any)"
+              className="flex-1 input px-2 py-1"
+              title="Comma-separated IP addresses control messages are accepted from - empty accepts any sender"
+            />
+          </div>
+
+          {/* Output */}
+          <label className="flex items-center gap-2 text-gray-400">
+            <input
+              type="checkbox"
+              checked={config.outputEnabled}
+              onChange={(e) => updateField('outputEnabled', e.target.checked)}
+            />
+            <span className="flex-1">Send audio features</span>
+            <input
+              type="number"
+              value={config.outputRate}
+              onChange={(e) => updateField('outputRate', e.target.value)}
+              className="w-14 input px-2 py-1"
+              title="Messages per second"
+            />
+            <span>/s</span>
+          </label>
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={config.outputHost}
+              onChange={(e) => updateField('outputHost', e.target.value)}
+              placeholder="Host"
+              className="flex-1 input px-2 py-1"
+              title="Destination host for audio features"
+            />
+            <input
+              type="number"
+              value={config.outputPort}
+              onChange={(e) => updateField('outputPort', e.target.value)}
+              className="w-20 input px-2 py-1"
+              title="Destination UDP port"
+            />
+          </div>
+
+          {/* Mapping table */}
+          <div>
+            <div className="flex items-center justify-between text-gray-400 mb-1">
+              <span>Address mappings</span>
+              <button
+                onClick={() => handleSave(true)}
+                className="hover:text-white transition-colors"
+                title="Restore the default /butter/... addresses"
+              >
+                Reset
+              </button>
+            </div>
+            <textarea
+              value={mappingsText}
+              onChange={(e) => setMappingsText(e.target.value)}
+              rows={8}
+              spellCheck={false}
+              className="w-full input px-2 py-1 font-mono text-xs"
+            />
+          </div>
+
+          {(error || status?.error) && <p className="text-red-400">{error || status.error}</p>}
+
+          <button onClick={() => handleSave()} className="w-full btn-primary px-2 py-1 text-xs">
+            Apply
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OscPanel;
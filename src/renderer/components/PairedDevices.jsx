@@ -0,0 +1,54 @@
+import { useState } from 'react';
+
+function PairedDevices({ tokens }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const handleRevoke = async (tokenId) => {
+    try {
+      await window.electronAPI.revokeToken(tokenId);
+    } catch (error) {
+      console.error('Failed to revoke token:', error);
+    }
+  };
+
+  return (
+    <div>
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center justify-between text-xs text-gray-400 hover:text-white"
+      >
+        <span>Paired devices ({tokens.length})</span>
+        <span className="material-icons text-sm">{isExpanded ? 'expand_less' : 'expand_more'}</span>
+      </button>
+
+      {isExpanded && (
+        <div className="mt-1 space-y-1 max-h-32 overflow-y-auto">
+          {tokens.length === 0 ? (
+            <p className="text-xs text-gray-500">No devices paired yet</p>
+          ) : (
+            tokens.map((token) => (
+              <div key={token.id} className="flex items-center gap-2 text-xs">
+                <span className="material-icons text-sm text-gray-400">
+                  {token.role === 'controller' ? 'settings_remote' : 'tv'}
+                </span>
+                <span className="flex-1 min-w-0 truncate text-white" title={`Paired ${token.createdAt}`}>
+                  {token.name}
+                </span>
+                <span className="text-gray-500">{token.role}</span>
+                <button
+                  onClick={() => handleRevoke(token.id)}
+                  className="text-gray-400 hover:text-red-500 transition-colors"
+                  title="Revoke access"
+                >
+                  <span className="material-icons text-sm">block</span>
+                </button>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PairedDevices;
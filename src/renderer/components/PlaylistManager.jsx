@@ -0,0 +1,110 @@
+import { useState, useEffect } from 'react';
+
+function PlaylistManager({ playlistController }) {
+  const [playlists, setPlaylists] = useState(playlistController.getPlaylists());
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  useEffect(() => {
+    const refresh = () => setPlaylists([...playlistController.getPlaylists()]);
+    refresh();
+    return playlistController.on('change', refresh);
+  }, [playlistController]);
+
+  const handleUpdate = async (playlist, changes) => {
+    try {
+      await playlistController.savePlaylist({ ...playlist, ...changes });
+    } catch (error) {
+      console.error('Failed to update playlist:', error);
+    }
+  };
+
+  const handleDelete = async (playlistId) => {
+    try {
+      await playlistController.deletePlaylist(playlistId);
+    } catch (error) {
+      console.error('Failed to delete playlist:', error);
+    }
+  };
+
+  return (
+    <div>
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center justify-between text-sm font-semibold text-white"
+      >
+        <span className="flex items-center gap-1">
+          <span className="material-icons text-sm">queue_music</span>
+          Playlists ({playlists.length})
+        </span>
+        <span className="material-icons text-sm">{isExpanded ? 'expand_less' : 'expand_more'}</span>
+      </button>
+
+      {isExpanded && (
+        <div className="mt-2 space-y-2 max-h-64 overflow-y-auto">
+          {playlists.length === 0 ? (
+            <p className="text-xs text-gray-500">
+              Filter the preset browser and use "Save as Playlist" to create one
+            </p>
+          ) : (
+            playlists.map((playlist) => (
+              <div key={playlist.id} className="card p-2 space-y-1">
+                <div className="flex items-center gap-2">
+                  <span className="flex-1 min-w-0 truncate text-sm text-white">{playlist.name}</span>
+                  <span className="text-xs text-gray-500">{playlist.presets.length} presets</span>
+                  <button
+                    onClick={() => handleDelete(playlist.id)}
+                    className="flex-shrink-0 text-gray-400 hover:text-red-500 transition-colors"
+                    title="Delete playlist"
+                  >
+                    <span className="material-icons text-sm">delete</span>
+                  </button>
+                </div>
+
+                <div className="flex items-center gap-2 text-xs text-gray-400">
+                  <button
+                    onClick={() =>
+                      handleUpdate(playlist, { order: playlist.order === 'shuffle' ? 'ordered' : 'shuffle' })
+                    }
+                    className={`px-2 py-0.5 rounded flex items-center gap-1 transition-colors ${
+                      playlist.order === 'shuffle' ? 'bg-blue-600 text-white' : 'bg-gray-700 hover:bg-gray-600'
+                    }`}
+                    title="Toggle shuffle"
+                  >
+                    <span className="material-icons text-sm">
+                      {playlist.order === 'shuffle' ? 'shuffle' : 'format_list_numbered'}
+                    </span>
+                  </button>
+
+                  <label className="flex items-center gap-1" title="Seconds on each preset">
+                    Dwell
+                    <input
+                      type="number"
+                      min="1"
+                      defaultValue={playlist.dwellTime}
+                      onBlur={(e) => handleUpdate(playlist, { dwellTime: parseFloat(e.target.value) })}
+                      className="w-14 input text-xs px-1 py-0.5"
+                    />
+                  </label>
+
+                  <label className="flex items-center gap-1" title="Seconds of blend between presets">
+                    Blend
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      defaultValue={playlist.transitionTime}
+                      onBlur={(e) => handleUpdate(playlist, { transitionTime: parseFloat(e.target.value) })}
+                      className="w-14 input text-xs px-1 py-0.5"
+                    />
+                  </label>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PlaylistManager;
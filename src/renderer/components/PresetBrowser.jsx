@@ -2,33 +2,60 @@ import { useState } from 'react';
 import { PRESET_CATEGORIES } from '../../shared/constants.js';
 import PresetCard from './PresetCard.jsx';
 
-function PresetBrowser({ visualizationController, onPresetSelect, onPresetSelectWindow, windows }) {
+function PresetBrowser({
+  visualizationController,
+  onPresetSelect,
+  onPresetSelectWindow,
+  windows,
+  playlistController,
+  onEditPreset,
+}) {
   const [searchTerm, setSearchTerm] = useState('');
+  const [playlistName, setPlaylistName] = useState('');
   const [currentCategory, setCurrentCategory] = useState('all');
-  const [disabledPresets, setDisabledPresets] = useState(visualizationController.disabledPresets);
+  const [importResult, setImportResult] = useState(null);
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+  const [minRating, setMinRating] = useState(0);
+  const [tagFilter, setTagFilter] = useState('');
+  const [weightByRating, setWeightByRating] = useState(visualizationController.weightByRating);
+  const [exportResult, setExportResult] = useState(null);
+  const [, setMetadataRevision] = useState(0); // Bumped to re-render after a favorite/rating/tag/enabled edit
 
   const allPresets = visualizationController.getAllPresets();
+  const allTags = visualizationController.getAllTags();
 
+  // Toggles the preset in the active blocklist profile
   const handleTogglePresetEnabled = async (presetName) => {
     await visualizationController.togglePresetEnabled(presetName);
-    setDisabledPresets([...visualizationController.disabledPresets]);
+    setMetadataRevision((revision) => revision + 1);
   };
 
-  // Filter presets
-  let filteredPresets = allPresets;
+  const updateMetadata = async (update) => {
+    try {
+      await update();
+      setMetadataRevision((revision) => revision + 1);
+    } catch (error) {
+      console.error('Failed to update preset:', error);
+    }
+  };
+
+  // Filter presets (search matches names, authors and tags)
+  let filteredPresets = searchTerm.trim() ? visualizationController.searchPresets(searchTerm) : allPresets;
 
   if (currentCategory !== 'all') {
     filteredPresets = filteredPresets.filter((p) => p.category === currentCategory);
   }
 
-  if (searchTerm.trim()) {
-    const term = searchTerm.toLowerCase();
-    filteredPresets = filteredPresets.filter(
-      (p) =>
-        p.name.toLowerCase().includes(term) ||
-        p.displayName.toLowerCase().includes(term) ||
-        p.author.toLowerCase().includes(term)
-    );
+  if (favoritesOnly) {
+    filteredPresets = filteredPresets.filter((p) => visualizationController.isFavorite(p.name));
+  }
+
+  if (minRating > 0) {
+    filteredPresets = filteredPresets.filter((p) => visualizationController.getRating(p.name) >= minRating);
+  }
+
+  if (tagFilter) {
+    filteredPresets = filteredPresets.filter((p) => visualizationController.getTags(p.name).includes(tagFilter));
   }
 
   const handleRandomPreset = () => {
@@ -38,6 +65,59 @@ function PresetBrowser({ visualizationController, onPresetSelect, onPresetSelect
     }
   };
 
+  // The preset list itself refreshes when main reports the new imported presets
+  const handleImport = async () => {
+    try {
+      const result = await window.electronAPI.importPresets();
+      if (result.imported.length > 0 || result.errors.length > 0) {
+        setImportResult(result);
+      }
+      if (result.imported.length > 0) {
+        setCurrentCategory('imported');
+      }
+    } catch (error) {
+      console.error('Failed to import presets:', error);
+    }
+  };
+
+  const handleWeightByRating = (enabled) => {
+    setWeightByRating(enabled);
+    visualizationController.setWeightByRating(enabled).catch((error) => {
+      console.error('Failed to save rating weighting:', error);
+    });
+  };
+
+  const handleExportMetadata = async () => {
+    try {
+      const result = await window.electronAPI.exportPresetMetadata();
+      if (!result.canceled) {
+        setExportResult(result);
+      }
+    } catch (error) {
+      console.error('Failed to export preset metadata:', error);
+    }
+  };
+
+  const handleDeleteImported = async (presetName) => {
+    const result = await window.electronAPI.deleteImportedPreset(presetName);
+    if (!result.success) {
+      console.error('Failed to delete preset:', result.error);
+    }
+  };
+
+  const handleSavePlaylist = async () => {
+    if (!playlistName.trim() || filteredPresets.length === 0) return;
+    try {
+      await playlistController.savePlaylist({
+        name: playlistName,
+        presets: filteredPresets.map((p) => p.name),
+      });
+      setPlaylistName('');
+    } catch (error) {
+      console.error('Failed to save playlist:', error);
+    }
+  };
+
   return (
     <div className="h-full flex flex-col bg-gray-900">
       {/* Search Bar */}
@@ -55,13 +135,56 @@ function PresetBrowser({ visualizationController, onPresetSelect, onPresetSelect
           <span className="text-sm">
             {filteredPresets.length} of {allPresets.length} presets
           </span>
-          <button onClick={handleRandomPreset} className="btn-primary flex items-center gap-1.5">
+          <button
+            onClick={handleImport}
+            className="btn-secondary flex items-center gap-1.5"
+            title="Import MilkDrop .milk or butterchurn .json presets"
+          >
+            <span className="material-icons text-lg">file_upload</span>
+            Import
+          </button>
+          <button
+            onClick={handleRandomPreset}
+            className="btn-primary flex items-center gap-1.5"
+            title={weightByRating ? 'Random preset - higher rated presets come up more often' : 'Random preset'}
+          >
             <span className="material-icons text-lg">casino</span>
             Random
           </button>
         </div>
       </div>
 
+      {/* Last import result */}
+      {importResult && (
+        <div className="px-4 py-2 bg-gray-800 border-b border-gray-700 flex items-start gap-2 text-xs">
+          <div className="flex-1">
+            {importResult.imported.length > 0 && (
+              <div className="text-green-400">Imported {importResult.imported.length} preset(s)</div>
+            )}
+            {importResult.errors.map(({ file, error }) => (
+              <div key={file} className="text-red-400">
+                {file}: {error}
+              </div>
+            ))}
+          </div>
+          <button onClick={() => setImportResult(null)} className="text-gray-400 hover:text-white" title="Dismiss">
+            <span className="material-icons text-sm">close</span>
+          </button>
+        </div>
+      )}
+
+      {/* Last metadata export */}
+      {exportResult && (
+        <div className="px-4 py-2 bg-gray-800 border-b border-gray-700 flex items-start gap-2 text-xs">
+          <div className={`flex-1 ${exportResult.success ? 'text-green-400' : 'text-red-400'}`}>
+            {exportResult.success ? `Exported ratings and tags to ${exportResult.filePath}` : exportResult.error}
+          </div>
+          <button onClick={() => setExportResult(null)} className="text-gray-400 hover:text-white" title="Dismiss">
+            <span className="material-icons text-sm">close</span>
+          </button>
+        </div>
+      )}
+
       {/* Category Filters */}
       <div className="p-2.5 px-4 bg-gray-800 border-b border-gray-700 flex gap-2.5">
         {PRESET_CATEGORIES.map((cat) => (
@@ -77,6 +200,75 @@ function PresetBrowser({ visualizationController, onPresetSelect, onPresetSelect
             {cat.label}
           </button>
         ))}
+
+        {/* Save current filter as a playlist */}
+        <div className="ml-auto flex gap-1.5">
+          <input
+            type="text"
+            className="input text-xs py-1 w-44"
+            placeholder="Playlist name..."
+            value={playlistName}
+            onChange={(e) => setPlaylistName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSavePlaylist()}
+          />
+          <button
+            onClick={handleSavePlaylist}
+            disabled={!playlistName.trim() || filteredPresets.length === 0}
+            className="btn-secondary px-2 py-1 text-xs flex items-center gap-1 disabled:opacity-50"
+            title={`Save the ${filteredPresets.length} shown presets as a playlist`}
+          >
+            <span className="material-icons text-sm">playlist_add</span>
+            Save as Playlist
+          </button>
+        </div>
+      </div>
+
+      {/* Favorite / Rating / Tag Filters */}
+      <div className="p-2.5 px-4 bg-gray-800 border-b border-gray-700 flex items-center gap-2.5 text-xs">
+        <button
+          onClick={() => setFavoritesOnly(!favoritesOnly)}
+          className={`px-3 py-1.5 rounded flex items-center gap-1 transition-all ${
+            favoritesOnly ? 'bg-pink-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600 hover:text-white'
+          }`}
+        >
+          <span className="material-icons text-sm">{favoritesOnly ? 'favorite' : 'favorite_border'}</span>
+          Favorites
+        </button>
+        <select value={minRating} onChange={(e) => setMinRating(Number(e.target.value))} className="input text-xs py-1">
+          <option value={0}>Any rating</option>
+          {[1, 2, 3, 4, 5].map((stars) => (
+            <option key={stars} value={stars}>
+              {'★'.repeat(stars)}
+              {stars < 5 ? ' & up' : ''}
+            </option>
+          ))}
+        </select>
+        <select value={tagFilter} onChange={(e) => setTagFilter(e.target.value)} className="input text-xs py-1">
+          <option value="">All tags</option>
+          {allTags.map((tag) => (
+            <option key={tag} value={tag}>
+              #{tag}
+            </option>
+          ))}
+        </select>
+
+        <div className="ml-auto flex items-center gap-2.5">
+          <label
+            className="flex items-center gap-1.5 text-gray-300"
+            title="Random picks favor higher ratings, next/previous go through the best-rated presets first"
+          >
+            <input type="checkbox" checked={weightByRating} onChange={(e) => handleWeightByRating(e.target.checked)} />
+            Weight by rating
+          </label>
+          <button
+            onClick={handleExportMetadata}
+            className="btn-secondary px-2 py-1 text-xs flex items-center gap-1"
+            title="Export favorites, ratings and tags as JSON"
+          >
+            <span className="material-icons text-sm">download</span>
+            Export
+          </button>
+        </div>
       </div>
 
       {/* Preset Grid */}
@@ -95,8 +287,16 @@ function PresetBrowser({ visualizationController, onPresetSelect, onPresetSelect
                 onSelect={() => onPresetSelect(preset.name)}
                 onSelectWindow={(windowId) => onPresetSelectWindow(windowId, preset.name)}
                 windows={windows}
-                isDisabled={disabledPresets.includes(preset.name)}
+                isDisabled={visualizationController.isPresetDisabled(preset.name)}
                 onToggleEnabled={handleTogglePresetEnabled}
+                onDelete={preset.category === 'imported' ? handleDeleteImported : null}
+                onEdit={onEditPreset}
+                isFavorite={visualizationController.isFavorite(preset.name)}
+                rating={visualizationController.getRating(preset.name)}
+                tags={visualizationController.getTags(preset.name)}
+                onToggleFavorite={(name) => updateMetadata(() => visualizationController.toggleFavorite(name))}
+                onRate={(name, rating) => updateMetadata(() => visualizationController.setRating(name, rating))}
+                onTagsChange={(name, tags) => updateMetadata(() => visualizationController.setTags(name, tags))}
               />
             ))}
           </div>
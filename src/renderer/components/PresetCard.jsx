@@ -1,7 +1,23 @@
 import { useState } from 'react';
 
-function PresetCard({ preset, onSelect, onSelectWindow, windows, isDisabled, onToggleEnabled }) {
+function PresetCard({
+  preset,
+  onSelect,
+  onSelectWindow,
+  windows,
+  isDisabled,
+  onToggleEnabled,
+  onDelete,
+  onEdit,
+  isFavorite,
+  rating,
+  tags,
+  onToggleFavorite,
+  onRate,
+  onTagsChange,
+}) {
   const [selectedWindow, setSelectedWindow] = useState('all');
+  const [newTag, setNewTag] = useState('');
   const screenshotPath = `/butterchurn-screenshots/${preset.thumbnailPath}`;
 
   const handleApply = (e) => {
@@ -14,6 +30,38 @@ function PresetCard({ preset, onSelect, onSelectWindow, windows, isDisabled, onT
     }
   };
 
+  const handleDelete = (e) => {
+    e.stopPropagation();
+    onDelete(preset.name);
+  };
+
+  const handleEdit = (e) => {
+    e.stopPropagation();
+    onEdit(preset.name);
+  };
+
+  const handleToggleFavorite = (e) => {
+    e.stopPropagation();
+    onToggleFavorite(preset.name);
+  };
+
+  // Clicking the current rating clears it
+  const handleRate = (e, stars) => {
+    e.stopPropagation();
+    onRate(preset.name, stars === rating ? 0 : stars);
+  };
+
+  const handleAddTag = () => {
+    if (!newTag.trim()) return;
+    onTagsChange(preset.name, [...tags, newTag]);
+    setNewTag('');
+  };
+
+  const handleRemoveTag = (e, tag) => {
+    e.stopPropagation();
+    onTagsChange(preset.name, tags.filter((t) => t !== tag));
+  };
+
   const handleToggleEnabled = async (e) => {
     e.stopPropagation();
     if (onToggleEnabled) {
@@ -40,6 +88,15 @@ function PresetCard({ preset, onSelect, onSelectWindow, windows, isDisabled, onT
         <div className="absolute top-0 left-0 w-full h-full hidden items-center justify-center bg-gray-900 text-gray-600">
           <span className="material-icons text-5xl">image_not_supported</span>
         </div>
+        <button
+          className="absolute top-2 left-2 w-8 h-8 rounded-full flex items-center justify-center bg-gray-900 bg-opacity-70 hover:bg-opacity-90 transition-colors"
+          onClick={handleToggleFavorite}
+          title={isFavorite ? 'Remove from favorites' : 'Add to favorites'}
+        >
+          <span className={`material-icons text-sm ${isFavorite ? 'text-pink-500' : 'text-gray-300'}`}>
+            {isFavorite ? 'favorite' : 'favorite_border'}
+          </span>
+        </button>
         {/* Disabled indicator and toggle button */}
         {isDisabled && (
           <div className="absolute top-0 left-0 w-full h-full bg-black bg-opacity-50 flex items-center justify-center">
@@ -71,6 +128,41 @@ function PresetCard({ preset, onSelect, onSelectWindow, windows, isDisabled, onT
         </div>
         <div className="text-xs mb-1.5 text-gray-400">by {preset.author}</div>
 
+        {/* Star rating */}
+        <div className="flex mb-1.5">
+          {[1, 2, 3, 4, 5].map((stars) => (
+            <button
+              key={stars}
+              onClick={(e) => handleRate(e, stars)}
+              className={stars <= rating ? 'text-yellow-400' : 'text-gray-600 hover:text-yellow-200'}
+              title={stars === rating ? 'Clear rating' : `Rate ${stars} star${stars > 1 ? 's' : ''}`}
+            >
+              <span className="material-icons text-base">{stars <= rating ? 'star' : 'star_border'}</span>
+            </button>
+          ))}
+        </div>
+
+        {/* Tags */}
+        <div className="flex flex-wrap items-center gap-1 mb-1.5" onClick={(e) => e.stopPropagation()}>
+          {tags.map((tag) => (
+            <span key={tag} className="flex items-center gap-0.5 bg-gray-700 text-gray-300 rounded px-1.5 py-0.5 text-[11px]">
+              #{tag}
+              <button onClick={(e) => handleRemoveTag(e, tag)} className="hover:text-red-400" title="Remove tag">
+                <span className="material-icons text-[11px]">close</span>
+              </button>
+            </span>
+          ))}
+          <input
+            type="text"
+            value={newTag}
+            onChange={(e) => setNewTag(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleAddTag()}
+            onBlur={handleAddTag}
+            className="flex-1 min-w-[60px] bg-transparent text-[11px] text-gray-300 placeholder-gray-600 outline-none"
+            placeholder="+ tag"
+          />
+        </div>
+
         {/* Window selector and apply button */}
         <div className="mt-2 flex gap-2">
           <select
@@ -95,6 +187,24 @@ function PresetCard({ preset, onSelect, onSelectWindow, windows, isDisabled, onT
           >
             Apply
           </button>
+          {onEdit && (
+            <button
+              className="btn-secondary px-2 flex items-center justify-center"
+              onClick={handleEdit}
+              title="Open in preset editor"
+            >
+              <span className="material-icons text-sm">edit</span>
+            </button>
+          )}
+          {onDelete && (
+            <button
+              className="btn-secondary px-2 flex items-center justify-center"
+              onClick={handleDelete}
+              title="Delete imported preset"
+            >
+              <span className="material-icons text-sm">delete</span>
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,232 @@
+import { useState, useEffect, useRef } from 'react';
+
+const LIVE_PREVIEW_DELAY_MS = 500; // Wait for a pause in typing before recompiling on the popup
+
+// Editor tabs - JSON tabs are parsed, the rest are butterchurn's equation/shader strings
+const TABS = [
+  { id: 'baseVals', label: 'Base Values', json: true },
+  { id: 'init_eqs_str', label: 'Init' },
+  { id: 'frame_eqs_str', label: 'Per-Frame' },
+  { id: 'pixel_eqs_str', label: 'Per-Pixel' },
+  { id: 'warp', label: 'Warp Shader' },
+  { id: 'comp', label: 'Comp Shader' },
+  { id: 'shapesAndWaves', label: 'Shapes & Waves', json: true },
+];
+
+const toDraft = (preset) => ({
+  baseVals: JSON.stringify(preset.baseVals, null, 2),
+  init_eqs_str: preset.init_eqs_str || '',
+  frame_eqs_str: preset.frame_eqs_str || '',
+  pixel_eqs_str: preset.pixel_eqs_str || '',
+  warp: preset.warp || '',
+  comp: preset.comp || '',
+  shapesAndWaves: JSON.stringify({ shapes: preset.shapes, waves: preset.waves }, null, 2),
+});
+
+// Throws with the tab name if a JSON tab doesn't parse
+const fromDraft = (draft) => {
+  const parse = (id) => {
+    const tab = TABS.find((t) => t.id === id);
+    try {
+      return JSON.parse(draft[id]);
+    } catch (error) {
+      throw new Error(`${tab.label}: ${error.message}`);
+    }
+  };
+  const { shapes = [], waves = [] } = parse('shapesAndWaves');
+
+  return {
+    baseVals: parse('baseVals'),
+    init_eqs_str: draft.init_eqs_str,
+    frame_eqs_str: draft.frame_eqs_str,
+    pixel_eqs_str: draft.pixel_eqs_str,
+    warp: draft.warp,
+    comp: draft.comp,
+    shapes,
+    waves,
+  };
+};
+
+function PresetEditor({ presetName, windows, webrtcController, visualizationController, onClose }) {
+  const [draft, setDraft] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [activeTab, setActiveTab] = useState(TABS[0].id);
+  const [targetWindow, setTargetWindow] = useState('');
+  const [live, setLive] = useState(true);
+  const [status, setStatus] = useState(null); // { type: 'pending' | 'ok' | 'error', message }
+  const [saveName, setSaveName] = useState(`${presetName} (edited)`);
+  const [saveResult, setSaveResult] = useState(null);
+  const lastPreviewId = useRef(0);
+
+  useEffect(() => {
+    setDraft(null);
+    setLoadError(null);
+    setSaveName(`${presetName} (edited)`);
+    visualizationController
+      .getPresetData(presetName)
+      .then((preset) => {
+        if (!preset) throw new Error('Preset not found');
+        setDraft(toDraft(preset));
+      })
+      .catch((error) => setLoadError(error.message));
+  }, [presetName, visualizationController]);
+
+  // Default to the first window, and drop the target if its window closes
+  useEffect(() => {
+    if (!windows.some((w) => String(w.id) === targetWindow)) {
+      setTargetWindow(windows.length > 0 ? String(windows[0].id) : '');
+    }
+  }, [windows, targetWindow]);
+
+  // Only the result of the latest preview matters - older ones were superseded by newer edits
+  useEffect(() => {
+    return webrtcController.onControlMessage((windowId, message) => {
+      if (message.type !== 'preset-preview-result' || message.previewId !== lastPreviewId.current) return;
+      setStatus(
+        message.error
+          ? { type: 'error', message: message.error }
+          : { type: 'ok', message: `Applied to Window ${windowId}` }
+      );
+    });
+  }, [webrtcController]);
+
+  const sendPreview = () => {
+    const target = windows.find((w) => String(w.id) === targetWindow);
+    if (!target || !draft) return;
+
+    let preset;
+    try {
+      preset = fromDraft(draft);
+    } catch (error) {
+      setStatus({ type: 'error', message: error.message });
+      return;
+    }
+
+    const previewId = ++lastPreviewId.current;
+    const sent = webrtcController.sendControlMessage(target.id, { type: 'preset-preview', previewId, preset });
+    setStatus(
+      sent
+        ? { type: 'pending', message: 'Compiling...' }
+        : { type: 'error', message: `Window ${target.id} is not connected` }
+    );
+  };
+
+  useEffect(() => {
+    if (!live || !draft) return;
+    const timer = setTimeout(sendPreview, LIVE_PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+    // sendPreview reads the current draft/target, which are what trigger this
+  }, [draft, targetWindow, live]);
+
+  const handleSave = async () => {
+    let preset;
+    try {
+      preset = fromDraft(draft);
+    } catch (error) {
+      setSaveResult({ success: false, error: error.message });
+      return;
+    }
+
+    const result = await window.electronAPI.saveUserPreset(saveName, preset);
+    setSaveResult(result);
+  };
+
+  const tab = TABS.find((t) => t.id === activeTab);
+  const statusColor = { pending: 'text-gray-400', ok: 'text-green-400', error: 'text-red-400' };
+
+  return (
+    <div className="h-full flex flex-col bg-gray-900">
+      {/* Header */}
+      <div className="p-4 bg-gray-800 border-b border-gray-700 flex items-center gap-3">
+        <span className="material-icons text-gray-400">edit</span>
+        <div className="flex-1 min-w-0 truncate text-white font-semibold" title={presetName}>
+          {presetName}
+        </div>
+        <select
+          value={targetWindow}
+          onChange={(e) => setTargetWindow(e.target.value)}
+          className="input text-sm py-1.5"
+          disabled={windows.length === 0}
+        >
+          {windows.length === 0 && <option value="">No windows open</option>}
+          {windows.map((w) => (
+            <option key={w.id} value={String(w.id)}>
+              Window {w.id}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-1.5 text-sm text-gray-300" title="Preview edits as you type">
+          <input type="checkbox" checked={live} onChange={(e) => setLive(e.target.checked)} />
+          Live
+        </label>
+        <button onClick={sendPreview} className="btn-primary flex items-center gap-1.5" disabled={!draft || !targetWindow}>
+          <span className="material-icons text-lg">play_arrow</span>
+          Apply
+        </button>
+        <button onClick={onClose} className="btn-secondary flex items-center" title="Close editor">
+          <span className="material-icons text-lg">close</span>
+        </button>
+      </div>
+
+      {loadError ? (
+        <div className="p-4 text-sm text-red-400">Failed to load preset: {loadError}</div>
+      ) : !draft ? (
+        <div className="p-4 text-sm text-gray-500">Loading preset...</div>
+      ) : (
+        <>
+          {/* Tabs */}
+          <div className="px-4 pt-3 bg-gray-800 flex gap-1 border-b border-gray-700">
+            {TABS.map((t) => (
+              <button
+                key={t.id}
+                onClick={() => setActiveTab(t.id)}
+                className={`px-3 py-1.5 text-sm rounded-t ${
+                  t.id === activeTab ? 'bg-gray-900 text-white' : 'text-gray-400 hover:text-white'
+                }`}
+              >
+                {t.label}
+              </button>
+            ))}
+          </div>
+
+          <textarea
+            value={draft[tab.id]}
+            onChange={(e) => setDraft({ ...draft, [tab.id]: e.target.value })}
+            className="flex-1 p-4 bg-gray-900 text-gray-200 font-mono text-xs resize-none outline-none"
+            spellCheck={false}
+            placeholder={tab.json ? '{}' : `// ${tab.label} code`}
+          />
+
+          {/* Compile status from the target window */}
+          {status && (
+            <pre className={`px-4 py-2 bg-gray-800 border-t border-gray-700 text-xs whitespace-pre-wrap max-h-40 overflow-y-auto ${statusColor[status.type]}`}>
+              {status.message}
+            </pre>
+          )}
+
+          {/* Save as a user preset */}
+          <div className="p-4 bg-gray-800 border-t border-gray-700 flex items-center gap-3">
+            <input
+              type="text"
+              className="flex-1 max-w-md input"
+              placeholder="Preset name"
+              value={saveName}
+              onChange={(e) => setSaveName(e.target.value)}
+            />
+            <button onClick={handleSave} className="btn-primary flex items-center gap-1.5" disabled={!saveName.trim()}>
+              <span className="material-icons text-lg">save</span>
+              Save as Preset
+            </button>
+            {saveResult && (
+              <span className={`text-xs ${saveResult.success ? 'text-green-400' : 'text-red-400'}`}>
+                {saveResult.success ? `Saved as "${saveResult.name}" (Imported)` : saveResult.error}
+              </span>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PresetEditor;
@@ -0,0 +1,99 @@
+import { useState, useEffect } from 'react';
+
+const folderName = (folderPath) => folderPath.split(/[\\/]/).filter(Boolean).pop() || folderPath;
+
+function PresetFoldersPanel() {
+  const [folders, setFolders] = useState([]);
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  useEffect(() => {
+    window.electronAPI
+      .getPresetFolders()
+      .then((state) => setFolders(state.folders))
+      .catch((error) => console.error('Failed to load preset folders:', error));
+
+    // Counts and errors change as the folders are rescanned
+    return window.electronAPI.onPresetFoldersUpdated(({ folders }) => setFolders(folders));
+  }, []);
+
+  const handleAdd = async () => {
+    try {
+      const state = await window.electronAPI.addPresetFolder();
+      setFolders(state.folders);
+    } catch (error) {
+      console.error('Failed to add preset folder:', error);
+    }
+  };
+
+  const handleRemove = async (folder) => {
+    try {
+      const state = await window.electronAPI.removePresetFolder(folder);
+      setFolders(state.folders);
+    } catch (error) {
+      console.error('Failed to remove preset folder:', error);
+    }
+  };
+
+  return (
+    <div>
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center justify-between text-sm font-semibold text-white"
+      >
+        <span className="flex items-center gap-1">
+          <span className="material-icons text-sm">folder_open</span>
+          Preset Folders ({folders.length})
+        </span>
+        <span className="material-icons text-sm">{isExpanded ? 'expand_less' : 'expand_more'}</span>
+      </button>
+
+      {isExpanded && (
+        <div className="mt-2 space-y-2">
+          <button
+            onClick={handleAdd}
+            className="w-full btn-primary px-2 py-1 text-xs flex items-center justify-center gap-1"
+            title="Watch a folder of .milk / butterchurn .json presets"
+          >
+            <span className="material-icons text-sm">create_new_folder</span>
+            Add Folder
+          </button>
+
+          <div className="space-y-1 max-h-48 overflow-y-auto">
+            {folders.length === 0 ? (
+              <p className="text-xs text-gray-500">
+                Presets in watched folders show up under Folders and reload as you edit them
+              </p>
+            ) : (
+              folders.map((folder) => (
+                <div key={folder.path} className="card p-2 flex items-center gap-2">
+                  <div className="flex-1 min-w-0" title={folder.path}>
+                    <div className="truncate text-sm text-white">{folderName(folder.path)}</div>
+                    {folder.error ? (
+                      <div className="truncate text-xs text-red-400">{folder.error}</div>
+                    ) : (
+                      <div className="text-xs text-gray-500">
+                        {folder.presetCount} preset(s)
+                        {folder.failedCount > 0 && (
+                          <span className="text-yellow-500"> · {folder.failedCount} failed to load</span>
+                        )}
+                      </div>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => handleRemove(folder.path)}
+                    className="flex-shrink-0 text-gray-400 hover:text-red-500 transition-colors"
+                    title="Stop watching this folder"
+                  >
+                    <span className="material-icons text-sm">delete</span>
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PresetFoldersPanel;
@@ -0,0 +1,190 @@
+import { useState, useEffect } from 'react';
+
+function PresetProfilesPanel() {
+  const [profiles, setProfiles] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [newProfileName, setNewProfileName] = useState('');
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [message, setMessage] = useState(null); // { type: 'ok' | 'error', text }
+
+  const applyState = (state) => {
+    setProfiles(state.profiles);
+    setActiveId(state.activeId);
+  };
+
+  useEffect(() => {
+    window.electronAPI
+      .getPresetProfiles()
+      .then(applyState)
+      .catch((error) => console.error('Failed to load blocklist profiles:', error));
+
+    // Also covers presets toggled in the browser and profiles switched over the REST API
+    return window.electronAPI.onPresetProfilesUpdated(applyState);
+  }, []);
+
+  const run = async (request, successText = null) => {
+    try {
+      const result = await request;
+      if (result.canceled) return;
+      if (result.profiles) applyState(result);
+      if (!result.success) {
+        setMessage({ type: 'error', text: result.error });
+      } else if (successText) {
+        setMessage({ type: 'ok', text: successText(result) });
+      }
+    } catch (error) {
+      console.error('Blocklist profile update failed:', error);
+    }
+  };
+
+  const handleCreate = async () => {
+    if (!newProfileName.trim()) return;
+    await run(window.electronAPI.savePresetProfile({ name: newProfileName }));
+    setNewProfileName('');
+  };
+
+  const handleRename = async () => {
+    if (renaming.name.trim()) {
+      await run(window.electronAPI.savePresetProfile({ id: renaming.id, name: renaming.name }));
+    }
+    setRenaming(null);
+  };
+
+  const activeProfile = profiles.find((profile) => profile.id === activeId);
+
+  return (
+    <div>
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="flex items-center gap-1 text-sm font-semibold text-white flex-shrink-0"
+        >
+          <span className="material-icons text-sm">block</span>
+          Blocklist
+          <span className="material-icons text-sm">{isExpanded ? 'expand_less' : 'expand_more'}</span>
+        </button>
+
+        {/* Quick switcher */}
+        <select
+          value={activeId || ''}
+          onChange={(e) => run(window.electronAPI.activatePresetProfile(e.target.value))}
+          className="flex-1 min-w-0 input text-xs py-1"
+          title="Active blocklist profile - its disabled presets are skipped by random, next and previous"
+        >
+          {profiles.map((profile) => (
+            <option key={profile.id} value={profile.id}>
+              {profile.name} ({profile.disabledPresets.length} disabled)
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {isExpanded && (
+        <div className="mt-2 space-y-2">
+          <div className="flex gap-1">
+            <input
+              type="text"
+              className="flex-1 min-w-0 input text-xs py-1"
+              placeholder="New profile name..."
+              value={newProfileName}
+              onChange={(e) => setNewProfileName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+            />
+            <button
+              onClick={handleCreate}
+              disabled={!newProfileName.trim()}
+              className="btn-primary px-2 py-1 text-xs flex items-center gap-1 disabled:opacity-50"
+              title={activeProfile ? `Start from a copy of "${activeProfile.name}"` : 'Create profile'}
+            >
+              <span className="material-icons text-sm">add</span>
+            </button>
+          </div>
+
+          <div className="space-y-1 max-h-48 overflow-y-auto">
+            {profiles.map((profile) => (
+              <div
+                key={profile.id}
+                className={`card p-2 flex items-center gap-2 ${profile.id === activeId ? 'border-blue-600' : ''}`}
+              >
+                {renaming?.id === profile.id ? (
+                  <input
+                    type="text"
+                    className="flex-1 min-w-0 input text-xs py-1"
+                    value={renaming.name}
+                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                    onKeyDown={(e) => e.key === 'Enter' && handleRename()}
+                    onBlur={handleRename}
+                    autoFocus
+                  />
+                ) : (
+                  <div className="flex-1 min-w-0">
+                    <div className="truncate text-sm text-white">{profile.name}</div>
+                    <div className="text-xs text-gray-500">{profile.disabledPresets.length} disabled preset(s)</div>
+                  </div>
+                )}
+                <button
+                  onClick={() => setRenaming({ id: profile.id, name: profile.name })}
+                  className="flex-shrink-0 text-gray-400 hover:text-white transition-colors"
+                  title="Rename"
+                >
+                  <span className="material-icons text-sm">edit</span>
+                </button>
+                <button
+                  onClick={() =>
+                    run(window.electronAPI.exportPresetProfiles([profile.id]), (result) => `Exported to ${result.filePath}`)
+                  }
+                  className="flex-shrink-0 text-gray-400 hover:text-white transition-colors"
+                  title="Export as JSON"
+                >
+                  <span className="material-icons text-sm">download</span>
+                </button>
+                <button
+                  onClick={() => run(window.electronAPI.deletePresetProfile(profile.id))}
+                  disabled={profiles.length <= 1}
+                  className="flex-shrink-0 text-gray-400 hover:text-red-500 transition-colors disabled:opacity-30"
+                  title="Delete profile"
+                >
+                  <span className="material-icons text-sm">delete</span>
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex gap-1">
+            <button
+              onClick={() =>
+                run(window.electronAPI.importPresetProfiles(), (result) => `Imported ${result.imported.join(', ')}`)
+              }
+              className="flex-1 btn-secondary px-2 py-1 text-xs flex items-center justify-center gap-1"
+              title="Import profiles from JSON - profiles with the same name are replaced"
+            >
+              <span className="material-icons text-sm">file_upload</span>
+              Import
+            </button>
+            <button
+              onClick={() =>
+                run(window.electronAPI.exportPresetProfiles(), (result) => `Exported to ${result.filePath}`)
+              }
+              className="flex-1 btn-secondary px-2 py-1 text-xs flex items-center justify-center gap-1"
+            >
+              <span className="material-icons text-sm">download</span>
+              Export All
+            </button>
+          </div>
+
+          {message && (
+            <div
+              className={`text-xs break-all ${message.type === 'error' ? 'text-red-400' : 'text-green-400'}`}
+              onClick={() => setMessage(null)}
+            >
+              {message.text}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PresetProfilesPanel;
@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react';
+import {
+  RECORDING_RESOLUTIONS,
+  RECORDING_BITRATES,
+  DEFAULT_RECORDING_OPTIONS,
+} from '../../shared/recordingOptions.js';
+
+const formatElapsed = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const fileName = (filePath) => filePath.split(/[\\/]/).pop();
+
+function RecordingControls({ windowId, recording, result, folder }) {
+  const [options, setOptions] = useState(DEFAULT_RECORDING_OPTIONS);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  // Tick the elapsed time while recording
+  useEffect(() => {
+    if (!recording) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [recording]);
+
+  const handleStart = async () => {
+    const response = await window.electronAPI.startRecording(windowId, options);
+    setError(response.success ? null : response.error);
+  };
+
+  const handleStop = async () => {
+    const response = await window.electronAPI.stopRecording(windowId);
+    setError(response.success ? null : response.error);
+  };
+
+  const updateOption = (field, value) => setOptions((prev) => ({ ...prev, [field]: value }));
+
+  return (
+    <div className="mt-1">
+      <div className="flex gap-1">
+        {recording ? (
+          <>
+            <div className="flex-1 min-w-0 flex items-center gap-1 text-xs text-red-400 px-1">
+              <span className="w-2 h-2 rounded-full bg-red-500 animate-pulse" />
+              <span className="tabular-nums">REC {formatElapsed(now - recording.startedAt)}</span>
+              <span className="truncate text-gray-500">
+                {RECORDING_RESOLUTIONS[recording.options.resolution].label} · {recording.options.bitrate} Mbps
+              </span>
+            </div>
+            <button
+              onClick={handleStop}
+              disabled={recording.stopping}
+              className="btn-secondary px-2 py-1 flex items-center justify-center disabled:opacity-50"
+              title="Stop recording"
+            >
+              <span className="material-icons text-sm">stop</span>
+            </button>
+          </>
+        ) : (
+          <>
+            <select
+              value={options.resolution}
+              onChange={(e) => updateOption('resolution', e.target.value)}
+              className="flex-1 min-w-0 input text-xs py-1"
+              title="Recording resolution"
+            >
+              {Object.entries(RECORDING_RESOLUTIONS).map(([id, { label }]) => (
+                <option key={id} value={id}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={options.bitrate}
+              onChange={(e) => updateOption('bitrate', Number(e.target.value))}
+              className="input text-xs py-1"
+              title="Video bitrate"
+            >
+              {RECORDING_BITRATES.map((bitrate) => (
+                <option key={bitrate} value={bitrate}>
+                  {bitrate} Mbps
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => updateOption('audio', !options.audio)}
+              className="btn-secondary px-2 py-1 flex items-center justify-center"
+              title={options.audio ? 'Recording with source audio' : 'Recording video only'}
+            >
+              <span className="material-icons text-sm">{options.audio ? 'volume_up' : 'volume_off'}</span>
+            </button>
+            <button
+              onClick={() => window.electronAPI.chooseRecordingFolder()}
+              className="btn-secondary px-2 py-1 flex items-center justify-center"
+              title={`Recording folder: ${folder || '...'}`}
+            >
+              <span className="material-icons text-sm">folder</span>
+            </button>
+            <button
+              onClick={handleStart}
+              className="btn-secondary px-2 py-1 flex items-center justify-center text-red-500"
+              title="Start recording"
+            >
+              <span className="material-icons text-sm">fiber_manual_record</span>
+            </button>
+          </>
+        )}
+      </div>
+
+      {error ? (
+        <p className="text-xs text-red-400 mt-1">{error}</p>
+      ) : (
+        !recording &&
+        result && (
+          <p
+            className={`text-xs mt-1 truncate ${result.error ? 'text-red-400' : 'text-gray-500'}`}
+            title={result.filePath || result.error}
+          >
+            {result.error ? `Recording failed: ${result.error}` : `Saved ${fileName(result.filePath)}`}
+          </p>
+        )
+      )}
+    </div>
+  );
+}
+
+export default RecordingControls;
@@ -0,0 +1,91 @@
+import { useState, useEffect } from 'react';
+import { MAX_AUDIO_DELAY_MS } from '../../shared/clockSync.js';
+
+function RenderSyncPanel({ renderSyncController, windows }) {
+  const [config, setConfig] = useState(renderSyncController.getConfig());
+  const [, setClockVersion] = useState(0); // Re-render when clock estimates change
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  useEffect(() => {
+    setConfig(renderSyncController.getConfig());
+    return renderSyncController.on(() => {
+      setConfig(renderSyncController.getConfig());
+      setClockVersion((version) => version + 1);
+    });
+  }, [renderSyncController]);
+
+  const updateConfig = (changes) => {
+    renderSyncController.setConfig(changes).catch((error) => {
+      console.error('Failed to save render sync setting:', error);
+    });
+  };
+
+  const commitDelay = (value) => {
+    if (value !== '' && Number(value) !== config.audioDelayMs) {
+      updateConfig({ audioDelayMs: Number(value) });
+    }
+  };
+
+  return (
+    <div>
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center justify-between text-sm font-semibold text-white"
+      >
+        <span className="flex items-center gap-1">
+          <span className={`material-icons text-sm ${config.enabled ? 'text-green-400' : ''}`}>sync</span>
+          Render Sync {config.enabled ? `(${config.audioDelayMs} ms)` : '(off)'}
+        </span>
+        <span className="material-icons text-sm">{isExpanded ? 'expand_less' : 'expand_more'}</span>
+      </button>
+
+      {isExpanded && (
+        <div className="mt-2 space-y-2">
+          <label className="flex items-center gap-2 text-xs text-gray-300">
+            <input type="checkbox" checked={config.enabled} onChange={(e) => updateConfig({ enabled: e.target.checked })} />
+            Render all windows in lockstep on the dashboard clock
+          </label>
+          <label className={`flex items-center gap-2 text-xs ${config.enabled ? 'text-gray-300' : 'text-gray-500'}`}>
+            Audio delay
+            <input
+              key={config.audioDelayMs}
+              type="number"
+              min="0"
+              max={MAX_AUDIO_DELAY_MS}
+              step="10"
+              defaultValue={config.audioDelayMs}
+              disabled={!config.enabled}
+              onBlur={(e) => commitDelay(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && commitDelay(e.target.value)}
+              className="w-20 input text-xs px-1 py-1"
+            />
+            ms after capture
+          </label>
+
+          {windows.length > 0 && (
+            <div className="space-y-1">
+              {windows.map((w) => {
+                const stats = renderSyncController.getClockStats(w.id);
+                return (
+                  <div key={w.id} className="flex justify-between text-xs text-gray-400">
+                    <span>#{w.id}</span>
+                    <span title="Window clock minus dashboard clock, and the round trip it was measured on">
+                      {stats ? `${stats.offset.toFixed(1)} ms offset · ${stats.rtt.toFixed(1)} ms RTT` : 'not synced'}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          <div className="text-xs text-gray-500">
+            Set the delay longer than the slowest window takes to receive audio, so every window has it in time.
+            Windows match from the next preset change for all windows.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RenderSyncPanel;
@@ -0,0 +1,153 @@
+import { useState, useEffect } from 'react';
+import { MAX_WALL_TILES } from '../../shared/videoWall.js';
+
+// Size fields are committed on blur/Enter - the main process clamps them
+const SIZE_FIELDS = [
+  { key: 'tileWidth', label: 'Tile W' },
+  { key: 'tileHeight', label: 'Tile H' },
+  { key: 'bezelX', label: 'Bezel X' },
+  { key: 'bezelY', label: 'Bezel Y' },
+];
+
+function VideoWallPanel({ videoWallController, windows }) {
+  const [wall, setWall] = useState(videoWallController.getWall());
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setWall(videoWallController.getWall());
+    return videoWallController.on(() => setWall(videoWallController.getWall()));
+  }, [videoWallController]);
+
+  if (!wall) return null;
+
+  const updateConfig = (changes) => {
+    videoWallController.setConfig(changes).catch((error) => {
+      console.error('Failed to update video wall:', error);
+    });
+  };
+
+  const handleAssign = async (row, column, value) => {
+    setError(null);
+    try {
+      const current = wall.tiles.find((tile) => tile.row === row && tile.column === column);
+      if (value) {
+        await videoWallController.assignTile(Number(value), { row, column });
+      } else if (current) {
+        await videoWallController.assignTile(current.windowId, null);
+      }
+    } catch (error) {
+      console.error('Failed to assign wall tile:', error);
+      setError(error.message);
+    }
+  };
+
+  const commitSize = (key, value) => {
+    if (value !== '' && Number(value) !== wall[key]) {
+      updateConfig({ [key]: Number(value) });
+    }
+  };
+
+  const cells = [];
+  for (let row = 0; row < wall.rows; row++) {
+    for (let column = 0; column < wall.columns; column++) {
+      cells.push({ row, column, tile: wall.tiles.find((t) => t.row === row && t.column === column) });
+    }
+  }
+  const counts = Array.from({ length: MAX_WALL_TILES }, (_, i) => i + 1);
+
+  return (
+    <div>
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center justify-between text-sm font-semibold text-white"
+      >
+        <span className="flex items-center gap-1">
+          <span className={`material-icons text-sm ${wall.enabled ? 'text-green-400' : ''}`}>view_comfy</span>
+          Video Wall {wall.enabled ? `(${wall.tiles.length}/${wall.rows * wall.columns} tiles)` : '(off)'}
+        </span>
+        <span className="material-icons text-sm">{isExpanded ? 'expand_less' : 'expand_more'}</span>
+      </button>
+
+      {isExpanded && (
+        <div className="mt-2 space-y-2">
+          <label className="flex items-center gap-2 text-xs text-gray-300">
+            <input type="checkbox" checked={wall.enabled} onChange={(e) => updateConfig({ enabled: e.target.checked })} />
+            Span one visualization across the assigned windows
+          </label>
+
+          <div className="flex items-center gap-2 text-xs text-gray-400">
+            <select
+              value={wall.rows}
+              onChange={(e) => updateConfig({ rows: Number(e.target.value) })}
+              className="input text-xs px-1 py-1"
+            >
+              {counts.map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+            rows ×
+            <select
+              value={wall.columns}
+              onChange={(e) => updateConfig({ columns: Number(e.target.value) })}
+              className="input text-xs px-1 py-1"
+            >
+              {counts.map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+            columns
+          </div>
+
+          <div className="grid grid-cols-4 gap-1">
+            {SIZE_FIELDS.map(({ key, label }) => (
+              <label key={key} className="text-xs text-gray-400">
+                {label}
+                <input
+                  key={wall[key]}
+                  type="number"
+                  min="0"
+                  defaultValue={wall[key]}
+                  onBlur={(e) => commitSize(key, e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && commitSize(key, e.target.value)}
+                  className="w-full input text-xs px-1 py-1"
+                />
+              </label>
+            ))}
+          </div>
+
+          <div className="grid gap-1" style={{ gridTemplateColumns: `repeat(${wall.columns}, minmax(0, 1fr))` }}>
+            {cells.map(({ row, column, tile }) => (
+              <select
+                key={`${row}-${column}`}
+                value={tile ? tile.windowId : ''}
+                onChange={(e) => handleAssign(row, column, e.target.value)}
+                className="input text-xs px-1 py-1"
+                title={`Row ${row + 1}, column ${column + 1}`}
+              >
+                <option value="">—</option>
+                {windows.map((w) => (
+                  <option key={w.id} value={w.id}>
+                    #{w.id}
+                  </option>
+                ))}
+              </select>
+            ))}
+          </div>
+
+          {error && <div className="text-xs text-red-500">{error}</div>}
+          <div className="text-xs text-gray-500">
+            Sizes are in wall pixels; bezels hide the picture behind the gap between screens. Tiles line up
+            from the next preset change.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default VideoWallPanel;
@@ -1,8 +1,43 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import RecordingControls from './RecordingControls.jsx';
+import { TRANSITION_MODES, MAX_TRANSITION_TIME } from '../../shared/transitionOptions.js';
 
-function WindowCard({ window, onClose, onPresetChange, visualizationController }) {
+function WindowCard({
+  window,
+  onClose,
+  onPresetChange,
+  onTransitionChange,
+  visualizationController,
+  playlistController,
+  recording,
+  recordingResult,
+  recordingFolder,
+}) {
   const [isExpanded, setIsExpanded] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
+  const [playlists, setPlaylists] = useState(playlistController.getPlaylists());
+  const [rotation, setRotation] = useState(playlistController.getRotationStatus(window.id));
+  const [selectedPlaylist, setSelectedPlaylist] = useState('');
+
+  useEffect(() => {
+    const refresh = () => {
+      setPlaylists(playlistController.getPlaylists());
+      setRotation(playlistController.getRotationStatus(window.id));
+    };
+    refresh();
+
+    const cleanupChange = playlistController.on('change', refresh);
+
+    // Tick the countdown while rotating
+    const interval = setInterval(() => {
+      setRotation(playlistController.getRotationStatus(window.id));
+    }, 1000);
+
+    return () => {
+      cleanupChange();
+      clearInterval(interval);
+    };
+  }, [playlistController, window.id]);
 
   const filteredPresets = visualizationController
     .getAllPresets()
@@ -13,6 +48,8 @@ function WindowCard({ window, onClose, onPresetChange, visualizationController }
     )
     .slice(0, 5); // Show only top 5
 
+  const transition = visualizationController.getWindowTransition(window.id);
+
   // Get current preset object to access thumbnailPath
   const currentPreset = window.preset
     ? visualizationController.getAllPresets().find((p) => p.name === window.preset)
@@ -40,6 +77,29 @@ function WindowCard({ window, onClose, onPresetChange, visualizationController }
         {/* Window number */}
         <span className="text-white text-sm font-medium">#{window.id}</span>
 
+        {/* Transport, and connection state while not connected */}
+        {window.transport === 'relay' ? (
+          <span
+            className="flex-shrink-0 material-icons text-sm text-blue-400"
+            title="WebRTC not connecting - audio and control relayed over Socket.IO"
+          >
+            swap_horiz
+          </span>
+        ) : window.connectionState === 'reconnecting' ? (
+          <span
+            className="flex-shrink-0 material-icons text-sm text-yellow-500 animate-spin"
+            title="Connection lost - reconnecting"
+          >
+            sync
+          </span>
+        ) : (
+          window.connectionState === 'connecting' && (
+            <span className="flex-shrink-0 material-icons text-sm text-gray-500" title="Connecting">
+              hourglass_empty
+            </span>
+          )
+        )}
+
         {/* Preset name */}
         {window.preset && (
           <div className="flex-1 min-w-0 text-xs text-gray-400 truncate">
@@ -93,6 +153,117 @@ function WindowCard({ window, onClose, onPresetChange, visualizationController }
         </button>
       </div>
 
+      {/* Default transition for this window */}
+      <div className="flex items-center gap-1 mt-1">
+        <span className="material-icons text-sm text-gray-400" title="Transition">
+          animation
+        </span>
+        <select
+          value={transition.transitionMode}
+          onChange={(e) => onTransitionChange(window.id, { transitionMode: e.target.value })}
+          className="flex-1 min-w-0 input text-xs py-1"
+          title="How presets change in this window (unless a change sets its own)"
+        >
+          {Object.entries(TRANSITION_MODES).map(([mode, { label }]) => (
+            <option key={mode} value={mode}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {TRANSITION_MODES[transition.transitionMode].time && (
+          <>
+            <input
+              key={transition.transitionTime}
+              type="number"
+              min="0"
+              max={MAX_TRANSITION_TIME}
+              step="0.5"
+              defaultValue={transition.transitionTime}
+              onBlur={(e) => onTransitionChange(window.id, { transitionTime: e.target.value })}
+              onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+              className="w-14 input text-xs py-1"
+              title={TRANSITION_MODES[transition.transitionMode].time}
+            />
+            <span className="text-xs text-gray-500">s</span>
+          </>
+        )}
+      </div>
+
+      {/* Playlist rotation */}
+      <div className="flex gap-1 mt-1">
+        {rotation ? (
+          <>
+            <div className="flex-1 min-w-0 flex items-center gap-1 text-xs text-gray-400 px-1">
+              <span className="material-icons text-sm">queue_music</span>
+              <span className="truncate">{rotation.playlistName}</span>
+              <span className="flex-shrink-0 tabular-nums">
+                {rotation.paused ? 'paused' : `${Math.ceil(rotation.remainingMs / 1000)}s`}
+              </span>
+            </div>
+            <button
+              onClick={() =>
+                rotation.paused
+                  ? playlistController.resumeRotation(window.id)
+                  : playlistController.pauseRotation(window.id)
+              }
+              className="btn-secondary px-2 py-1 flex items-center justify-center"
+              title={rotation.paused ? 'Resume rotation' : 'Pause rotation'}
+            >
+              <span className="material-icons text-sm">{rotation.paused ? 'play_arrow' : 'pause'}</span>
+            </button>
+            <button
+              onClick={() => playlistController.skip(window.id)}
+              className="btn-secondary px-2 py-1 flex items-center justify-center"
+              title="Skip to next playlist preset"
+            >
+              <span className="material-icons text-sm">fast_forward</span>
+            </button>
+            <button
+              onClick={() => playlistController.stopRotation(window.id)}
+              className="btn-secondary px-2 py-1 flex items-center justify-center"
+              title="Stop rotation"
+            >
+              <span className="material-icons text-sm">stop</span>
+            </button>
+          </>
+        ) : (
+          playlists.length > 0 && (
+            <>
+              <select
+                value={selectedPlaylist}
+                onChange={(e) => setSelectedPlaylist(e.target.value)}
+                className="flex-1 min-w-0 input text-xs py-1"
+              >
+                <option value="">Playlist...</option>
+                {playlists.map((playlist) => (
+                  <option key={playlist.id} value={playlist.id}>
+                    {playlist.name}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() => playlistController.startRotation(window.id, selectedPlaylist)}
+                disabled={!selectedPlaylist}
+                className="btn-secondary px-2 py-1 flex items-center justify-center disabled:opacity-50"
+                title="Start playlist rotation"
+              >
+                <span className="material-icons text-sm">playlist_play</span>
+              </button>
+            </>
+          )
+        )}
+      </div>
+
+      {/* Recording - Electron popups only (browser clients use UUID ids and have no IPC) */}
+      {typeof window.id === 'number' && (
+        <RecordingControls
+          windowId={window.id}
+          recording={recording}
+          result={recordingResult}
+          folder={recordingFolder}
+        />
+      )}
+
       {isExpanded && (
         <div className="mt-3 pt-3 border-t border-gray-700">
           <input
@@ -1,6 +1,15 @@
 import WindowCard from './WindowCard.jsx';
 
-function WindowManager({ windows, onCreateWindow, onCloseWindow, onPresetChange, visualizationController }) {
+function WindowManager({
+  windows,
+  onCreateWindow,
+  onCloseWindow,
+  onPresetChange,
+  onTransitionChange,
+  visualizationController,
+  playlistController,
+  recordingState,
+}) {
   return (
     <div className="flex-1 flex flex-col overflow-hidden">
       <div className="py-2 border-b border-gray-700 flex items-center justify-between">
@@ -32,7 +41,12 @@ function WindowManager({ windows, onCreateWindow, onCloseWindow, onPresetChange,
               window={window}
               onClose={onCloseWindow}
               onPresetChange={onPresetChange}
+              onTransitionChange={onTransitionChange}
               visualizationController={visualizationController}
+              playlistController={playlistController}
+              recording={recordingState.recordings[window.id]}
+              recordingResult={recordingState.results[window.id]}
+              recordingFolder={recordingState.folder}
             />
           ))
         )}
@@ -0,0 +1,237 @@
+/**
+ * AudioFilePlayer - Plays local audio files into the dashboard audio graph
+ */
+export class AudioFilePlayer {
+  constructor(audioContext, destination) {
+    this.audioContext = audioContext;
+    this.playlist = []; // [{ name, url }]
+    this.currentIndex = -1;
+    this.loop = false;
+    this.monitoring = false;
+    this.onStopCallback = null;
+
+    // Media element decodes WAV/MP3/OGG/FLAC for us and handles seeking natively
+    this.audio = new Audio();
+    this.audio.preload = 'auto';
+    this.audio.onended = () => this.handleEnded();
+
+    this.sourceNode = audioContext.createMediaElementSource(this.audio);
+    this.sourceNode.connect(destination);
+
+    // Monitor output goes to speakers before the visualization gain boost
+    this.monitorNode = audioContext.createGain();
+    this.monitorNode.gain.value = 0;
+    this.sourceNode.connect(this.monitorNode);
+    this.monitorNode.connect(audioContext.destination);
+  }
+
+  /**
+   * Set callback for when playback stops - paused, the playlist finished, or the playing track
+   * was removed
+   */
+  setOnStop(callback) {
+    this.onStopCallback = callback;
+  }
+
+  /**
+   * Add File objects (from a file input or drop) to the playlist
+   */
+  addFiles(files) {
+    Array.from(files).forEach((file) => {
+      this.playlist.push({
+        name: file.name,
+        url: URL.createObjectURL(file),
+      });
+    });
+
+    if (this.currentIndex === -1 && this.playlist.length > 0) {
+      this.loadTrack(0);
+    }
+    console.log(`🎵 Playlist now has ${this.playlist.length} track(s)`);
+  }
+
+  /**
+   * Remove a track from the playlist
+   */
+  removeTrack(index) {
+    const track = this.playlist[index];
+    if (!track) return;
+
+    URL.revokeObjectURL(track.url);
+    this.playlist.splice(index, 1);
+
+    if (index === this.currentIndex) {
+      this.pause();
+      this.currentIndex = -1;
+      if (this.playlist.length > 0) {
+        this.loadTrack(Math.min(index, this.playlist.length - 1));
+      } else {
+        this.audio.removeAttribute('src');
+        this.audio.load();
+      }
+    } else if (index < this.currentIndex) {
+      this.currentIndex--;
+    }
+  }
+
+  /**
+   * Remove all tracks
+   */
+  clearPlaylist() {
+    this.pause();
+    this.playlist.forEach((track) => URL.revokeObjectURL(track.url));
+    this.playlist = [];
+    this.currentIndex = -1;
+    this.audio.removeAttribute('src');
+    this.audio.load();
+  }
+
+  /**
+   * Load a track by playlist index (does not start playback)
+   */
+  loadTrack(index) {
+    const track = this.playlist[index];
+    if (!track) return false;
+
+    this.currentIndex = index;
+    this.audio.src = track.url;
+    console.log('🎵 Loaded track:', track.name);
+    return true;
+  }
+
+  /**
+   * Start or resume playback
+   */
+  async play() {
+    if (this.currentIndex === -1 && !this.loadTrack(0)) {
+      console.warn('No audio files in playlist');
+      return false;
+    }
+
+    if (this.audioContext.state === 'suspended') {
+      await this.audioContext.resume();
+    }
+
+    await this.audio.play();
+    return true;
+  }
+
+  /**
+   * Pause playback
+   */
+  pause() {
+    this.audio.pause();
+    this.onStopCallback?.();
+  }
+
+  /**
+   * Jump to position (seconds) within the current track
+   */
+  seek(time) {
+    if (this.currentIndex === -1 || !Number.isFinite(this.audio.duration)) return;
+    this.audio.currentTime = Math.max(0, Math.min(time, this.audio.duration));
+  }
+
+  /**
+   * Skip to the next track (wraps when looping)
+   */
+  async next() {
+    if (this.playlist.length === 0) return;
+
+    const wasPlaying = this.isPlaying();
+    let nextIndex = this.currentIndex + 1;
+    if (nextIndex >= this.playlist.length) {
+      if (!this.loop) return;
+      nextIndex = 0;
+    }
+
+    this.loadTrack(nextIndex);
+    if (wasPlaying) {
+      await this.play();
+    }
+  }
+
+  /**
+   * Go back to the previous track, or restart the current one if past 3 seconds
+   */
+  async previous() {
+    if (this.playlist.length === 0) return;
+
+    if (this.audio.currentTime > 3 || this.currentIndex <= 0) {
+      this.audio.currentTime = 0;
+      return;
+    }
+
+    const wasPlaying = this.isPlaying();
+    this.loadTrack(this.currentIndex - 1);
+    if (wasPlaying) {
+      await this.play();
+    }
+  }
+
+  /**
+   * Loop the playlist (a single file loops on itself)
+   */
+  setLoop(enabled) {
+    this.loop = enabled;
+  }
+
+  /**
+   * Route the file audio to the speakers as well as the analyser
+   */
+  setMonitoring(enabled) {
+    this.monitoring = enabled;
+    this.monitorNode.gain.value = enabled ? 1 : 0;
+  }
+
+  /**
+   * Advance through the playlist when a track finishes
+   */
+  async handleEnded() {
+    const isLast = this.currentIndex >= this.playlist.length - 1;
+    if (isLast && !this.loop) {
+      console.log('🎵 Playlist finished');
+      this.onStopCallback?.();
+      return;
+    }
+
+    this.loadTrack(isLast ? 0 : this.currentIndex + 1);
+    try {
+      await this.play();
+    } catch (error) {
+      console.error('Failed to continue playlist:', error);
+      this.onStopCallback?.();
+    }
+  }
+
+  /**
+   * Check if a track is currently playing
+   */
+  isPlaying() {
+    return !this.audio.paused && !this.audio.ended;
+  }
+
+  /**
+   * Get current player status
+   */
+  getStatus() {
+    return {
+      tracks: this.playlist.map((track) => track.name),
+      currentIndex: this.currentIndex,
+      playing: this.isPlaying(),
+      currentTime: this.audio.currentTime || 0,
+      duration: Number.isFinite(this.audio.duration) ? this.audio.duration : 0,
+      loop: this.loop,
+      monitoring: this.monitoring,
+    };
+  }
+
+  /**
+   * Cleanup
+   */
+  destroy() {
+    this.clearPlaylist();
+    this.sourceNode.disconnect();
+    this.monitorNode.disconnect();
+  }
+}
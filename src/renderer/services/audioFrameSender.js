@@ -0,0 +1,155 @@
+import { AUDIO_CONFIG } from '../../shared/constants.js';
+import { encodeAudioFrame } from '../../shared/audioFrame.js';
+import { clockNow } from '../../shared/clockSync.js';
+
+const DEFAULT_FFT_SIZE = 2048;
+const BUFFER_HIGH_WATER = 64 * 1024; // Frames are skipped while more than this is queued (~16 frames)
+const MAX_INTERVAL_MS = 250; // Never slower than 4 frames per second
+const MAX_FRAMES_IN_FLIGHT = 8; // Per round trip - a longer round trip spaces frames out
+const BACKOFF_FACTOR = 1.25; // Interval growth per skipped frame
+const RECOVERY_FACTOR = 0.95; // Interval shrink per frame sent into an empty buffer
+
+/**
+ * AudioFrameSender - Sends one window its framed analyser data (see shared/audioFrame.js)
+ *
+ * The send interval is recomputed for every frame: one analyser window (fftSize / sampleRate)
+ * of the current source, no faster than the window renders, and spaced so no more than a few
+ * frames are in flight per round trip. Frames are snapshots of the analyser, so while the
+ * channel is backed up a frame is skipped - the next one carries the newest audio - and the
+ * interval backs off until the buffer drains.
+ */
+export class AudioFrameSender {
+  /**
+   * send(frame) delivers a frame; getBufferedAmount() reports bytes still queued (0 if unknown)
+   */
+  constructor(microphoneManager, { send, getBufferedAmount = () => 0 }) {
+    this.microphoneManager = microphoneManager;
+    this.send = send;
+    this.getBufferedAmount = getBufferedAmount;
+    this.sequence = 0;
+    this.backoff = 1; // Multiplier on the base interval, raised by backpressure
+    this.roundTripMs = null;
+    this.renderFps = null;
+    this.timeout = null;
+    this.stats = { sent: 0, skipped: 0, failed: 0 };
+  }
+
+  start() {
+    this.scheduleNext(0);
+  }
+
+  stop() {
+    clearTimeout(this.timeout);
+    this.timeout = null;
+  }
+
+  /**
+   * Send the next frame at the current timing now - e.g. after the audio source changed
+   */
+  updateTiming() {
+    if (this.timeout) {
+      this.scheduleNext(0);
+    }
+  }
+
+  /**
+   * Round trip of the connection in ms (null when unknown)
+   */
+  setRoundTripTime(roundTripMs) {
+    this.roundTripMs = Number.isFinite(roundTripMs) ? roundTripMs : null;
+  }
+
+  /**
+   * Frames per second the window is rendering (null when unknown)
+   */
+  setRenderRate(fps) {
+    this.renderFps = Number.isFinite(fps) && fps >= 0 ? fps : null;
+  }
+
+  /**
+   * One analyser window of the current source - silence goes out at the default size and rate
+   */
+  getBaseInterval() {
+    const { analyserL, audioContext } = this.microphoneManager;
+    const fftSize = analyserL ? analyserL.fftSize : DEFAULT_FFT_SIZE;
+    const sampleRate = audioContext ? audioContext.sampleRate : AUDIO_CONFIG.sampleRate;
+    return (fftSize / sampleRate) * 1000;
+  }
+
+  getInterval() {
+    let interval = this.getBaseInterval() * this.backoff;
+    if (this.renderFps !== null) {
+      // A hidden window reports 0 fps - it gets the slowest rate
+      interval = Math.max(interval, this.renderFps > 0 ? 1000 / this.renderFps : MAX_INTERVAL_MS);
+    }
+    if (this.roundTripMs !== null) {
+      interval = Math.max(interval, this.roundTripMs / MAX_FRAMES_IN_FLIGHT);
+    }
+    return Math.min(MAX_INTERVAL_MS, interval);
+  }
+
+  scheduleNext(delayMs) {
+    clearTimeout(this.timeout);
+    this.timeout = setTimeout(() => {
+      this.sendFrame();
+      this.scheduleNext(this.getInterval());
+    }, delayMs);
+  }
+
+  sendFrame() {
+    const bufferedAmount = this.getBufferedAmount();
+    const maxBackoff = MAX_INTERVAL_MS / this.getBaseInterval();
+    if (bufferedAmount > BUFFER_HIGH_WATER) {
+      this.stats.skipped++;
+      this.backoff = Math.min(maxBackoff, this.backoff * BACKOFF_FACTOR);
+      return;
+    }
+    if (bufferedAmount === 0) {
+      this.backoff = Math.max(1, this.backoff * RECOVERY_FACTOR);
+    }
+
+    const { analyserL, analyserR, audioContext } = this.microphoneManager;
+    const fftSize = analyserL ? analyserL.fftSize : DEFAULT_FFT_SIZE;
+    const left = new Uint8Array(fftSize);
+    const right = new Uint8Array(fftSize);
+
+    if (analyserL && analyserR) {
+      // Send real audio data
+      analyserL.getByteTimeDomainData(left);
+      analyserR.getByteTimeDomainData(right);
+    } else {
+      // Send silence (center value 128) on both channels
+      left.fill(128);
+      right.fill(128);
+    }
+
+    try {
+      this.send(
+        encodeAudioFrame({
+          sequence: this.sequence,
+          timestamp: clockNow(), // Reference clock that windows sync to
+          sampleRate: audioContext ? audioContext.sampleRate : AUDIO_CONFIG.sampleRate,
+          channels: [left, right],
+        })
+      );
+      this.sequence++;
+      this.stats.sent++;
+    } catch (e) {
+      this.stats.failed++;
+      console.warn('Audio send failed:', e);
+    }
+  }
+
+  /**
+   * { sent, skipped, failed, intervalMs, bufferedAmount, roundTripMs, renderFps }
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      intervalMs: this.getInterval(),
+      bufferedAmount: this.getBufferedAmount(),
+      roundTripMs: this.roundTripMs,
+      renderFps: this.renderFps,
+    };
+  }
+}
@@ -0,0 +1,351 @@
+const TICK_INTERVAL_MS = 10;
+const FLUX_HISTORY_MS = 1500; // Window for adaptive onset threshold
+const ONSET_HISTORY_MS = 8000; // Window for tempo estimation
+const MIN_ONSET_GAP_MS = 120;
+const MIN_BPM = 70;
+const MAX_BPM = 180;
+const TAP_RESET_MS = 2000; // Gap that starts a new tap sequence
+const MAX_TAPS = 8;
+const PHASE_WINDOW = 0.2; // Onsets within 20% of a period nudge the beat clock
+const PHASE_CORRECTION = 0.3;
+
+/**
+ * BeatDetector - Onset, tempo and bar/phrase tracking from the MicrophoneManager analyser
+ */
+export class BeatDetector {
+  constructor(microphoneManager, { beatsPerBar = 4, barsPerPhrase = 4 } = {}) {
+    this.microphoneManager = microphoneManager;
+    this.beatsPerBar = beatsPerBar;
+    this.barsPerPhrase = barsPerPhrase;
+    this.intervalId = null;
+    this.listeners = { onset: new Set(), beat: new Set(), tempo: new Set() };
+    this.reset();
+  }
+
+  /**
+   * Clear all detection state (keeps listeners)
+   */
+  reset() {
+    this.previousSpectrum = null;
+    this.fluxHistory = []; // [{ time, flux }]
+    this.onsetTimes = [];
+    this.lastOnsetTime = 0;
+
+    this.detectedBpm = null;
+    this.confidence = 0;
+    this.pendingBpm = null;
+
+    this.tapTimes = [];
+    this.tapBpm = null;
+
+    this.beatCount = -1;
+    this.nextBeatTime = null;
+    this.lastBeatTime = null;
+  }
+
+  /**
+   * Start analysing (silently idles until an analyser exists)
+   */
+  start() {
+    if (this.intervalId) return;
+    this.intervalId = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    console.log('🥁 Beat detector started');
+  }
+
+  /**
+   * Stop analysing
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Subscribe to 'onset', 'beat' or 'tempo' events - returns cleanup function
+   */
+  on(event, callback) {
+    this.listeners[event].add(callback);
+    return () => this.listeners[event].delete(callback);
+  }
+
+  /**
+   * Notify listeners of an event
+   */
+  emit(event, data) {
+    this.listeners[event].forEach((callback) => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Beat detector ${event} listener failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Analyse one analyser snapshot and advance the beat clock
+   */
+  tick() {
+    const now = performance.now();
+    const analyser = this.microphoneManager.analyser;
+
+    if (analyser && this.microphoneManager.isEnabled) {
+      const spectrum = new Uint8Array(analyser.frequencyBinCount);
+      analyser.getByteFrequencyData(spectrum);
+      this.processSpectrum(spectrum, now);
+    }
+
+    this.advanceBeatClock(now);
+  }
+
+  /**
+   * Spectral flux onset detection, weighted towards the low end where kicks live
+   */
+  processSpectrum(spectrum, now) {
+    // Only look at the bottom quarter of the spectrum (~0-6kHz at 48kHz)
+    const bins = spectrum.length >> 2;
+
+    let flux = 0;
+    if (this.previousSpectrum) {
+      for (let i = 1; i < bins; i++) {
+        const rise = spectrum[i] - this.previousSpectrum[i];
+        if (rise > 0) {
+          flux += i < 10 ? rise * 4 : rise;
+        }
+      }
+    }
+    this.previousSpectrum = spectrum;
+
+    this.fluxHistory.push({ time: now, flux });
+    while (this.fluxHistory.length && this.fluxHistory[0].time < now - FLUX_HISTORY_MS) {
+      this.fluxHistory.shift();
+    }
+
+    // Adaptive threshold: mean + 1.5 standard deviations of recent flux
+    const count = this.fluxHistory.length;
+    const mean = this.fluxHistory.reduce((sum, entry) => sum + entry.flux, 0) / count;
+    const variance = this.fluxHistory.reduce((sum, entry) => sum + (entry.flux - mean) ** 2, 0) / count;
+    const threshold = mean + 1.5 * Math.sqrt(variance);
+
+    if (flux > threshold && flux > 0 && now - this.lastOnsetTime > MIN_ONSET_GAP_MS) {
+      this.handleOnset(now, mean > 0 ? flux / mean : 0);
+    }
+  }
+
+  /**
+   * Record an onset, re-estimate tempo and lock the beat clock phase
+   */
+  handleOnset(time, strength) {
+    this.lastOnsetTime = time;
+    this.onsetTimes.push(time);
+    while (this.onsetTimes.length && this.onsetTimes[0] < time - ONSET_HISTORY_MS) {
+      this.onsetTimes.shift();
+    }
+
+    this.emit('onset', { time: this.toEpoch(time), strength });
+
+    this.estimateTempo();
+
+    // Phase lock to the detected onsets (tap tempo keeps its own phase)
+    const period = this.getPeriod();
+    if (!period || this.tapBpm) return;
+
+    if (this.nextBeatTime === null) {
+      this.nextBeatTime = time;
+      return;
+    }
+
+    const errorToNext = time - this.nextBeatTime;
+    const errorToLast = this.lastBeatTime === null ? Infinity : time - this.lastBeatTime;
+    const error = Math.abs(errorToNext) < Math.abs(errorToLast) ? errorToNext : errorToLast;
+
+    if (Math.abs(error) < period * PHASE_WINDOW) {
+      this.nextBeatTime += error * PHASE_CORRECTION;
+    }
+  }
+
+  /**
+   * Inter-onset interval histogram, folded into the MIN_BPM-MAX_BPM octave
+   */
+  estimateTempo() {
+    if (this.onsetTimes.length < 4) return;
+
+    const histogram = new Float32Array(MAX_BPM - MIN_BPM + 1);
+    let total = 0;
+
+    for (let i = 0; i < this.onsetTimes.length; i++) {
+      for (let j = i + 1; j < this.onsetTimes.length && j <= i + 4; j++) {
+        const interval = this.onsetTimes[j] - this.onsetTimes[i];
+        if (interval < 250 || interval > 2000) continue;
+
+        let bpm = 60000 / interval;
+        while (bpm < MIN_BPM) bpm *= 2;
+        while (bpm > MAX_BPM) bpm /= 2;
+
+        const weight = 1 / (j - i);
+        const bin = Math.round(bpm) - MIN_BPM;
+        histogram[bin] += weight;
+        if (bin > 0) histogram[bin - 1] += weight / 2;
+        if (bin < histogram.length - 1) histogram[bin + 1] += weight / 2;
+        total += weight * 2;
+      }
+    }
+
+    if (total === 0) return;
+
+    let best = 0;
+    for (let i = 1; i < histogram.length; i++) {
+      if (histogram[i] > histogram[best]) best = i;
+    }
+
+    // Refine with the weighted centre of the peak
+    let peakWeight = 0;
+    let weightedBpm = 0;
+    for (let i = Math.max(0, best - 2); i <= Math.min(histogram.length - 1, best + 2); i++) {
+      peakWeight += histogram[i];
+      weightedBpm += histogram[i] * (i + MIN_BPM);
+    }
+
+    const estimate = weightedBpm / peakWeight;
+    this.confidence = Math.min(1, peakWeight / total);
+
+    if (this.detectedBpm === null || Math.abs(estimate - this.detectedBpm) / this.detectedBpm < 0.04) {
+      // Same tempo (or first estimate) - smooth it
+      this.detectedBpm = this.detectedBpm === null ? estimate : this.detectedBpm * 0.8 + estimate * 0.2;
+      this.pendingBpm = null;
+    } else if (this.pendingBpm !== null && Math.abs(estimate - this.pendingBpm) / this.pendingBpm < 0.04) {
+      // Tempo changed and two estimates in a row agree - switch over
+      this.detectedBpm = estimate;
+      this.pendingBpm = null;
+    } else {
+      this.pendingBpm = estimate;
+      return;
+    }
+
+    if (!this.tapBpm) {
+      this.emit('tempo', this.getState());
+    }
+  }
+
+  /**
+   * Emit beats as the clock passes each predicted beat time
+   */
+  advanceBeatClock(now) {
+    const period = this.getPeriod();
+    if (!period || this.nextBeatTime === null) return;
+
+    // Don't fire a burst of beats after a long stall - jump ahead instead
+    if (now - this.nextBeatTime > period * 4) {
+      this.nextBeatTime += Math.floor((now - this.nextBeatTime) / period) * period;
+    }
+
+    while (now >= this.nextBeatTime) {
+      this.beatCount++;
+      this.lastBeatTime = this.nextBeatTime;
+      this.nextBeatTime += period;
+      this.emit('beat', this.getState());
+    }
+  }
+
+  /**
+   * Register a tap - overrides the detected tempo until cleared
+   */
+  tap() {
+    const now = performance.now();
+
+    if (this.tapTimes.length && now - this.tapTimes[this.tapTimes.length - 1] > TAP_RESET_MS) {
+      this.tapTimes = [];
+    }
+    this.tapTimes.push(now);
+    if (this.tapTimes.length > MAX_TAPS) {
+      this.tapTimes.shift();
+    }
+
+    // First tap of a sequence marks the downbeat
+    if (this.tapTimes.length === 1) {
+      this.beatCount = -1;
+      if (this.getPeriod()) {
+        this.nextBeatTime = now;
+      }
+      return this.getState();
+    }
+
+    const intervals = this.tapTimes.slice(1).map((time, i) => time - this.tapTimes[i]);
+    const averageInterval = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+    this.tapBpm = 60000 / averageInterval;
+
+    // Re-anchor the beat clock so the next beat lands one period after this tap
+    const beatsSinceDownbeat = this.tapTimes.length - 1;
+    this.beatCount = beatsSinceDownbeat - 1;
+    this.lastBeatTime = now;
+    this.nextBeatTime = now + averageInterval;
+
+    // Emit the tapped beat itself so the UI and popups stay in step
+    this.beatCount++;
+    this.emit('beat', this.getState());
+    this.emit('tempo', this.getState());
+    return this.getState();
+  }
+
+  /**
+   * Drop the tap tempo override and return to detected tempo
+   */
+  clearTapTempo() {
+    this.tapTimes = [];
+    this.tapBpm = null;
+    this.emit('tempo', this.getState());
+  }
+
+  /**
+   * Treat the most recent beat as beat 1 of a new phrase
+   */
+  resetDownbeat() {
+    this.beatCount = 0;
+  }
+
+  /**
+   * Get the beat period in ms (tap override wins over detection)
+   */
+  getPeriod() {
+    const bpm = this.getBpm();
+    return bpm ? 60000 / bpm : null;
+  }
+
+  /**
+   * Get the active BPM
+   */
+  getBpm() {
+    return this.tapBpm || this.detectedBpm;
+  }
+
+  /**
+   * Convert a performance.now() time to epoch milliseconds
+   */
+  toEpoch(time) {
+    return performance.timeOrigin + time;
+  }
+
+  /**
+   * Get current tempo and bar/phrase position
+   */
+  getState() {
+    const beatCount = Math.max(0, this.beatCount);
+    const beatsPerPhrase = this.beatsPerBar * this.barsPerPhrase;
+    const bpm = this.getBpm();
+
+    return {
+      bpm: bpm ? Math.round(bpm * 10) / 10 : null,
+      confidence: this.tapBpm ? 1 : this.confidence,
+      source: this.tapBpm ? 'tap' : 'detected',
+      beat: beatCount % this.beatsPerBar, // 0-based beat within bar
+      bar: Math.floor(beatCount / this.beatsPerBar) % this.barsPerPhrase, // 0-based bar within phrase
+      phrase: Math.floor(beatCount / beatsPerPhrase),
+      beatsPerBar: this.beatsPerBar,
+      barsPerPhrase: this.barsPerPhrase,
+      beatCount,
+      timestamp: this.lastBeatTime === null ? null : this.toEpoch(this.lastBeatTime),
+      nextBeatAt: this.nextBeatTime === null ? null : this.toEpoch(this.nextBeatTime),
+    };
+  }
+}
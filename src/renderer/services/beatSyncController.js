@@ -0,0 +1,158 @@
+const DEFAULT_CONFIG = { mode: 'off', transitionBeats: 4 };
+const MIN_TRANSITION_SECONDS = 0.25;
+const MAX_TRANSITION_SECONDS = 10;
+
+// Run a preset change, logging a failure whether it throws or its promise rejects
+const applyChange = async (apply, transitionTime) => {
+  try {
+    await apply(transitionTime);
+  } catch (error) {
+    console.error('Preset change failed:', error);
+  }
+};
+
+/**
+ * BeatSyncController - Holds preset changes until the next beat, bar or phrase boundary
+ *
+ * Changes are queued per target (a window ID or 'all') - a newer request for the same target
+ * replaces the queued one, and an 'all' request replaces everything queued. While syncing, the
+ * blend lasts transitionBeats beats at the current tempo. Without a tempo (or with the mode off)
+ * changes apply straight away with the renderer's default blend.
+ */
+export class BeatSyncController {
+  constructor(beatDetector) {
+    this.beatDetector = beatDetector;
+    this.config = { ...DEFAULT_CONFIG };
+    this.queue = new Map(); // target -> apply(transitionTime)
+    this.fallbackTimeout = null;
+    this.listeners = new Set();
+    this.cleanupBeat = null;
+  }
+
+  /**
+   * Load the saved mode and start watching beats
+   */
+  async initialize() {
+    try {
+      this.config = { ...DEFAULT_CONFIG, ...(await window.electronAPI.settingsGet('beatSync')) };
+    } catch (error) {
+      console.error('Failed to load beat sync setting:', error);
+    }
+    this.cleanupBeat = this.beatDetector.on('beat', (state) => this.handleBeat(state));
+  }
+
+  /**
+   * Subscribe to config/queue changes - returns an unsubscribe function
+   */
+  on(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  emit() {
+    this.listeners.forEach((callback) => callback());
+  }
+
+  getConfig() {
+    return this.config;
+  }
+
+  /**
+   * Update { mode, transitionBeats } - turning sync off applies anything still queued
+   */
+  async setConfig(changes) {
+    this.config = { ...this.config, ...changes };
+    if (this.config.mode === 'off') {
+      this.flush();
+    }
+    this.emit();
+    await window.electronAPI.settingsSet('beatSync', this.config);
+  }
+
+  /**
+   * Number of queued changes
+   */
+  getPendingCount() {
+    return this.queue.size;
+  }
+
+  /**
+   * Apply a preset change now or on the next boundary - apply receives the blend time in
+   * seconds (undefined for the renderer default)
+   */
+  schedule(target, apply) {
+    if (this.config.mode === 'off' || !this.beatDetector.getBpm()) {
+      applyChange(apply, this.getTransitionTime());
+      return;
+    }
+
+    if (target === 'all') {
+      this.queue.clear();
+    }
+    this.queue.delete(target); // Re-insert so changes apply in request order
+    this.queue.set(target, apply);
+
+    // If beats stop (mic off, music stopped), apply once the boundary is well overdue
+    if (!this.fallbackTimeout) {
+      const { beatsPerBar, barsPerPhrase } = this.beatDetector;
+      const beats = { beat: 1, bar: beatsPerBar, phrase: beatsPerBar * barsPerPhrase }[this.config.mode];
+      this.fallbackTimeout = setTimeout(() => this.flush(), (beats + 1) * this.beatDetector.getPeriod());
+    }
+    this.emit();
+  }
+
+  /**
+   * Drop queued changes without applying them
+   */
+  cancelPending() {
+    this.queue.clear();
+    clearTimeout(this.fallbackTimeout);
+    this.fallbackTimeout = null;
+    this.emit();
+  }
+
+  handleBeat(state) {
+    if (this.queue.size === 0) return;
+
+    const { mode } = this.config;
+    const atBoundary =
+      mode === 'beat' ||
+      (mode === 'bar' && state.beat === 0) ||
+      (mode === 'phrase' && state.beat === 0 && state.bar === 0);
+    if (atBoundary) {
+      this.flush();
+    }
+  }
+
+  flush() {
+    clearTimeout(this.fallbackTimeout);
+    this.fallbackTimeout = null;
+    if (this.queue.size === 0) return;
+
+    const transitionTime = this.getTransitionTime();
+    const pending = Array.from(this.queue.values());
+    this.queue.clear();
+    pending.forEach((apply) => applyChange(apply, transitionTime));
+    this.emit();
+  }
+
+  /**
+   * Blend length in seconds for the current tempo (undefined when not syncing)
+   */
+  getTransitionTime() {
+    const period = this.beatDetector.getPeriod();
+    if (this.config.mode === 'off' || !period) {
+      return undefined;
+    }
+    const seconds = (this.config.transitionBeats * period) / 1000;
+    return Math.min(MAX_TRANSITION_SECONDS, Math.max(MIN_TRANSITION_SECONDS, seconds));
+  }
+
+  cleanup() {
+    this.cleanupBeat?.();
+    this.cleanupBeat = null;
+    clearTimeout(this.fallbackTimeout);
+    this.fallbackTimeout = null;
+    this.queue.clear();
+  }
+}
@@ -0,0 +1,146 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { BeatSyncController } from './beatSyncController.js';
+
+// Just enough of BeatDetector - a steady 120 BPM, with beats fired by hand
+const createBeatDetector = (bpm = 120) => {
+  const listeners = new Set();
+  return {
+    beatsPerBar: 4,
+    barsPerPhrase: 4,
+    getBpm: () => bpm,
+    getPeriod: () => (bpm ? 60000 / bpm : null),
+    on: (event, callback) => {
+      listeners.add(callback);
+      return () => listeners.delete(callback);
+    },
+    beat: (state) => listeners.forEach((callback) => callback(state)),
+  };
+};
+
+describe('BeatSyncController', () => {
+  let detector;
+  let controller;
+
+  const createController = async (config, bpm) => {
+    window.electronAPI.settingsGet = vi.fn().mockResolvedValue(config);
+    window.electronAPI.settingsSet = vi.fn().mockResolvedValue({ success: true });
+    detector = createBeatDetector(bpm);
+    controller = new BeatSyncController(detector);
+    await controller.initialize();
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    controller.cleanup();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('applies straight away with the mode off or without a tempo', async () => {
+    await createController({ mode: 'off' });
+    const apply = vi.fn();
+    controller.schedule(1, apply);
+    expect(apply).toHaveBeenCalledWith(undefined);
+
+    await createController({ mode: 'bar' }, 0);
+    const untimed = vi.fn();
+    controller.schedule(1, untimed);
+    expect(untimed).toHaveBeenCalledWith(undefined);
+    expect(controller.getPendingCount()).toBe(0);
+  });
+
+  it('replaces a queued change with a newer one for the same target', async () => {
+    await createController({ mode: 'beat' });
+    const first = vi.fn();
+    const second = vi.fn();
+    const other = vi.fn();
+
+    controller.schedule(1, first);
+    controller.schedule(2, other);
+    controller.schedule(1, second);
+    expect(controller.getPendingCount()).toBe(2);
+
+    detector.beat({ beat: 1, bar: 0 });
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledWith(2); // 4 beats at 120 BPM
+    expect(other).toHaveBeenCalledOnce();
+    expect(controller.getPendingCount()).toBe(0);
+  });
+
+  it("lets an 'all' change replace everything queued", async () => {
+    await createController({ mode: 'beat' });
+    const single = vi.fn();
+    const all = vi.fn();
+
+    controller.schedule(1, single);
+    controller.schedule('all', all);
+    detector.beat({ beat: 1, bar: 0 });
+    expect(single).not.toHaveBeenCalled();
+    expect(all).toHaveBeenCalledOnce();
+  });
+
+  it('waits for the first beat of a bar', async () => {
+    await createController({ mode: 'bar' });
+    const apply = vi.fn();
+    controller.schedule(1, apply);
+
+    detector.beat({ beat: 1, bar: 2 });
+    detector.beat({ beat: 3, bar: 2 });
+    expect(apply).not.toHaveBeenCalled();
+
+    detector.beat({ beat: 0, bar: 3 });
+    expect(apply).toHaveBeenCalledOnce();
+  });
+
+  it('waits for the first beat of a phrase', async () => {
+    await createController({ mode: 'phrase' });
+    const apply = vi.fn();
+    controller.schedule(1, apply);
+
+    detector.beat({ beat: 0, bar: 1 });
+    detector.beat({ beat: 2, bar: 0 });
+    expect(apply).not.toHaveBeenCalled();
+
+    detector.beat({ beat: 0, bar: 0 });
+    expect(apply).toHaveBeenCalledOnce();
+  });
+
+  it('applies anyway once beats stop, one beat after the boundary is due', async () => {
+    await createController({ mode: 'bar' });
+    const apply = vi.fn();
+    controller.schedule(1, apply);
+
+    vi.advanceTimersByTime((4 + 1) * 500 - 1);
+    expect(apply).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(1);
+    expect(apply).toHaveBeenCalledWith(2);
+  });
+
+  it('sizes the fallback to a phrase in phrase mode', async () => {
+    await createController({ mode: 'phrase' });
+    const apply = vi.fn();
+    controller.schedule(1, apply);
+
+    vi.advanceTimersByTime((16 + 1) * 500 - 1);
+    expect(apply).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(1);
+    expect(apply).toHaveBeenCalledOnce();
+  });
+
+  it('logs a queued change that rejects', async () => {
+    await createController({ mode: 'beat' });
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const after = vi.fn();
+
+    controller.schedule(1, () => Promise.reject(new Error('window gone')));
+    controller.schedule(2, after);
+    detector.beat({ beat: 0, bar: 0 });
+    await vi.runAllTimersAsync();
+
+    expect(after).toHaveBeenCalledOnce();
+    expect(error).toHaveBeenCalledWith('Preset change failed:', expect.objectContaining({ message: 'window gone' }));
+  });
+});
@@ -0,0 +1,141 @@
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * Pull what diagnostics need out of an RTCStatsReport - the active candidate pair (round trip,
+ * local/remote candidate types), transport packet counts and the audio channel's messages
+ */
+function summarizeStats(stats) {
+  const reports = new Map();
+  stats.forEach((report) => reports.set(report.id, report));
+  const all = [...reports.values()];
+
+  const transport = all.find((report) => report.type === 'transport');
+  const pair =
+    reports.get(transport?.selectedCandidatePairId) ||
+    all.find((report) => report.type === 'candidate-pair' && report.nominated && report.state === 'succeeded');
+  const local = pair && reports.get(pair.localCandidateId);
+  const remote = pair && reports.get(pair.remoteCandidateId);
+  const audioChannel = all.find((report) => report.type === 'data-channel' && report.label === 'audioData');
+
+  return {
+    roundTripMs: Number.isFinite(pair?.currentRoundTripTime) ? pair.currentRoundTripTime * 1000 : null,
+    candidatePair: local && remote ? `${local.candidateType} → ${remote.candidateType}` : null,
+    protocol: local?.protocol ?? null,
+    packetsSent: transport?.packetsSent ?? pair?.packetsSent ?? null,
+    packetsReceived: transport?.packetsReceived ?? pair?.packetsReceived ?? null,
+    messagesSent: audioChannel?.messagesSent ?? null,
+  };
+}
+
+/**
+ * DiagnosticsController - Connection health of every window, for the dashboard and /api/diagnostics
+ *
+ * Polls getStats() on each of the WebRTC controller's connections and merges in the audio sender's
+ * counters and what the window itself reports over the control channel ('render-stats': render
+ * rate, audio frames lost and their arrival jitter). Each snapshot goes to the main process.
+ */
+export class DiagnosticsController {
+  constructor(webrtcController) {
+    this.webrtcController = webrtcController;
+    this.windowReports = new Map(); // windowId -> last 'render-stats' from the window, with receivedAt
+    this.diagnostics = { updatedAt: null, windows: [] };
+    this.pollInterval = null;
+    this.polling = false;
+    this.listeners = new Set();
+    this.cleanups = [];
+  }
+
+  async initialize() {
+    this.cleanups = [
+      this.webrtcController.onControlMessage((windowId, message) => {
+        if (message.type === 'render-stats') {
+          const { fps, jitterMs, audioFramesLost } = message;
+          this.windowReports.set(windowId, { fps, jitterMs, audioFramesLost, receivedAt: Date.now() });
+        }
+      }),
+    ];
+    this.pollInterval = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+  }
+
+  /**
+   * Subscribe to new snapshots - returns an unsubscribe function
+   */
+  on(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  emit() {
+    this.listeners.forEach((callback) => callback(this.diagnostics));
+  }
+
+  /**
+   * Latest snapshot - { updatedAt, windows: [{ windowId, connectionState, transport, ... }] }
+   */
+  getDiagnostics() {
+    return this.diagnostics;
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const { connections } = this.webrtcController;
+
+      // Forget windows that have gone
+      this.windowReports.forEach((_, windowId) => {
+        if (!connections.has(windowId)) {
+          this.windowReports.delete(windowId);
+        }
+      });
+
+      const windows = await Promise.all(
+        [...connections.entries()].map(([windowId, pc]) => this.getWindowDiagnostics(windowId, pc))
+      );
+      this.diagnostics = { updatedAt: Date.now(), windows };
+      this.emit();
+      window.electronAPI.reportDiagnostics(this.diagnostics);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async getWindowDiagnostics(windowId, pc) {
+    let connection = {};
+    try {
+      connection = summarizeStats(await pc.getStats());
+    } catch {
+      // Connection closed meanwhile
+    }
+
+    const audio = this.webrtcController.getAudioStats(windowId);
+    const report = this.windowReports.get(windowId);
+
+    return {
+      windowId,
+      connectionState: this.webrtcController.getConnectionState(windowId),
+      transport: this.webrtcController.getTransport(windowId),
+      roundTripMs: connection.roundTripMs ?? null,
+      candidatePair: connection.candidatePair ?? null,
+      protocol: connection.protocol ?? null,
+      packetsSent: connection.packetsSent ?? null,
+      packetsReceived: connection.packetsReceived ?? null,
+      bufferedAmount: pc.audioChannel?.bufferedAmount ?? 0,
+      audioFramesSent: audio?.sent ?? 0,
+      audioFramesSkipped: audio?.skipped ?? 0,
+      sendFps: audio ? 1000 / audio.intervalMs : null,
+      renderFps: report?.fps ?? null,
+      audioFramesLost: report?.audioFramesLost ?? null,
+      jitterMs: report?.jitterMs ?? null,
+      reportedAt: report?.receivedAt ?? null,
+    };
+  }
+
+  cleanup() {
+    this.cleanups.forEach((cleanup) => cleanup());
+    this.cleanups = [];
+    clearInterval(this.pollInterval);
+    this.pollInterval = null;
+  }
+}
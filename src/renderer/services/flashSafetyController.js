@@ -0,0 +1,110 @@
+const DEFAULT_CONFIG = { enabled: false, autoDisable: false };
+const MAX_FLAGGED = 20;
+
+/**
+ * FlashSafetyController - Dashboard side of the popups' photosensitivity limiter
+ *
+ * Sends the limiter setting to every popup (and to each new one as its control channel opens),
+ * and collects the flash warnings they send back. With auto-disable on, a flagged preset is
+ * disabled in the active blocklist profile.
+ */
+export class FlashSafetyController {
+  constructor(webrtcController, visualizationController) {
+    this.webrtcController = webrtcController;
+    this.visualizationController = visualizationController;
+    this.config = { ...DEFAULT_CONFIG };
+    this.flagged = []; // [{ preset, windowId, kind, flashesPerSecond, at, autoDisabled }], newest first
+    this.listeners = new Set();
+    this.cleanups = [];
+  }
+
+  /**
+   * Load the saved setting and start listening to popups
+   */
+  async initialize() {
+    try {
+      this.config = { ...DEFAULT_CONFIG, ...(await window.electronAPI.settingsGet('flashLimiter')) };
+    } catch (error) {
+      console.error('Failed to load flash limiter setting:', error);
+    }
+
+    this.cleanups = [
+      this.webrtcController.onControlChannelOpen((windowId) => {
+        this.webrtcController.sendControlMessage(windowId, { type: 'flash-limiter', enabled: this.config.enabled });
+      }),
+      this.webrtcController.onControlMessage((windowId, message) => {
+        if (message.type === 'flash-warning') {
+          this.handleWarning(windowId, message);
+        }
+      }),
+    ];
+  }
+
+  /**
+   * Subscribe to config/flagged changes - returns an unsubscribe function
+   */
+  on(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  emit() {
+    this.listeners.forEach((callback) => callback());
+  }
+
+  getConfig() {
+    return this.config;
+  }
+
+  getFlagged() {
+    return this.flagged;
+  }
+
+  /**
+   * Update { enabled, autoDisable } - saved and sent to every popup
+   */
+  async setConfig(changes) {
+    this.config = { ...this.config, ...changes };
+    this.webrtcController.broadcastControlMessage({ type: 'flash-limiter', enabled: this.config.enabled });
+    this.emit();
+    await window.electronAPI.settingsSet('flashLimiter', this.config);
+  }
+
+  async handleWarning(windowId, { preset, kind, flashesPerSecond }) {
+    console.warn(`⚠️ Window ${windowId} flashing ${flashesPerSecond}/s (${kind}):`, preset || 'unsaved edit');
+
+    // Unsaved editor previews have no name to disable
+    let autoDisabled = false;
+    if (preset && this.config.autoDisable && !this.visualizationController.isPresetDisabled(preset)) {
+      try {
+        // Not a toggle - several windows showing the same preset warn at once
+        await this.visualizationController.disablePreset(preset);
+        autoDisabled = true;
+      } catch (error) {
+        console.error('Failed to disable flashing preset:', error);
+      }
+    }
+
+    const entry = { preset, windowId, kind, flashesPerSecond, at: Date.now(), autoDisabled };
+    this.flagged = [entry, ...this.flagged.filter((f) => !preset || f.preset !== preset)].slice(0, MAX_FLAGGED);
+    this.emit();
+  }
+
+  /**
+   * Disable a flagged preset by hand (when auto-disable is off)
+   */
+  async disablePreset(preset) {
+    await this.visualizationController.disablePreset(preset);
+    this.emit();
+  }
+
+  clearFlagged() {
+    this.flagged = [];
+    this.emit();
+  }
+
+  cleanup() {
+    this.cleanups.forEach((cleanup) => cleanup());
+    this.cleanups = [];
+  }
+}
@@ -1,15 +1,95 @@
 import { AUDIO_CONFIG } from '../../shared/constants.js';
+import { AudioFilePlayer } from './audioFilePlayer.js';
 
 /**
- * MicrophoneManager - Manages microphone input and audio stream
+ * MicrophoneManager - Manages audio input (microphone or file playback) and audio stream
  */
 export class MicrophoneManager {
   constructor() {
     this.stream = null;
     this.audioContext = null;
-    this.analyser = null;
+    this.analyser = null; // Mono mix (level meter)
+    this.analyserL = null;
+    this.analyserR = null;
+    this.inputNode = null; // Unity-gain mix of the active source (before the visualization boost)
+    this.sourceAudioDestination = null; // inputNode as a MediaStream, for recordings
+    this.gainNode = null;
+    this.splitter = null;
+    this.gain = 5.0; // Default 5x boost for visualizations
+    this.micSourceNode = null;
+    this.filePlayer = null;
+    this.sourceType = 'microphone'; // 'microphone' | 'file'
     this.isEnabled = false;
     this.selectedDeviceId = 'default';
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribe to status changes (the source starting or stopping) - returns an unsubscribe function
+   */
+  on(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  /**
+   * Record whether a source is live, notifying listeners when that changes
+   */
+  setEnabled(enabled) {
+    if (enabled === this.isEnabled) return;
+    this.isEnabled = enabled;
+    const status = this.getStatus();
+    this.listeners.forEach((callback) => callback(status));
+  }
+
+  /**
+   * Create the shared audio graph (input → gain → analysers) used by every input source
+   */
+  async ensureAudioGraph() {
+    // Create audio context if needed
+    if (!this.audioContext) {
+      this.audioContext = new AudioContext({ sampleRate: AUDIO_CONFIG.sampleRate });
+    }
+
+    // Ensure AudioContext is running
+    if (this.audioContext.state === 'suspended') {
+      await this.audioContext.resume();
+      console.log('🎵 AudioContext resumed from suspended state');
+    }
+    console.log('🎵 AudioContext state:', this.audioContext.state);
+
+    if (!this.analyser) {
+      // Create analysers for audio visualization feedback (mono mix + one per channel)
+      const createAnalyser = () => {
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = 2048;
+        analyser.smoothingTimeConstant = 0.3; // Lower = more reactive (0.3 is good for visualizations)
+        return analyser;
+      };
+      this.analyser = createAnalyser();
+      this.analyserL = createAnalyser();
+      this.analyserR = createAnalyser();
+
+      // Create gain node to boost signal (microphone might be quiet)
+      // Forced to two channels so mono sources are up-mixed before the split
+      this.gainNode = this.audioContext.createGain();
+      this.gainNode.gain.value = this.gain;
+      this.gainNode.channelCount = 2;
+      this.gainNode.channelCountMode = 'explicit';
+      this.gainNode.channelInterpretation = 'speakers';
+      this.gainNode.connect(this.analyser);
+
+      this.splitter = this.audioContext.createChannelSplitter(2);
+      this.gainNode.connect(this.splitter);
+      this.splitter.connect(this.analyserL, 0);
+      this.splitter.connect(this.analyserR, 1);
+
+      // Sources connect here - the boost is for the analysers only, recordings get the source as-is
+      this.inputNode = this.audioContext.createGain();
+      this.inputNode.connect(this.gainNode);
+      this.sourceAudioDestination = this.audioContext.createMediaStreamDestination();
+      this.inputNode.connect(this.sourceAudioDestination);
+    }
   }
 
   /**
@@ -58,32 +138,12 @@ export class MicrophoneManager {
         });
       });
 
-      // Create audio context if needed
-      if (!this.audioContext) {
-        this.audioContext = new AudioContext({ sampleRate: AUDIO_CONFIG.sampleRate });
-      }
-
-      // Ensure AudioContext is running
-      if (this.audioContext.state === 'suspended') {
-        await this.audioContext.resume();
-        console.log('🎵 AudioContext resumed from suspended state');
-      }
-      console.log('🎵 AudioContext state:', this.audioContext.state);
-
-      // Create analyser for audio visualization feedback
-      this.analyser = this.audioContext.createAnalyser();
-      this.analyser.fftSize = 2048;
-      this.analyser.smoothingTimeConstant = 0.3; // Lower = more reactive (0.3 is good for visualizations)
+      await this.ensureAudioGraph();
 
-      // Create gain node to boost signal (microphone might be quiet)
-      this.gainNode = this.audioContext.createGain();
-      this.gainNode.gain.value = 5.0; // Default 5x boost for visualizations
-
-      const source = this.audioContext.createMediaStreamSource(this.stream);
-      source.connect(this.gainNode);
-      this.gainNode.connect(this.analyser);
+      this.micSourceNode = this.audioContext.createMediaStreamSource(this.stream);
+      this.micSourceNode.connect(this.inputNode);
 
-      console.log('🎵 Connected audio graph: source → gain → analyser (no output)');
+      console.log('🎵 Connected audio graph: source → input → gain → splitter → analysers L/R (no output)');
 
       // Test the analyser immediately
       setTimeout(() => {
@@ -96,7 +156,7 @@ export class MicrophoneManager {
         console.log('🧪 Analyser test:', { freqAvg: freqAvg.toFixed(2), timeAvg: timeAvg.toFixed(2) });
       }, 500);
 
-      this.isEnabled = true;
+      this.setEnabled(true);
 
       console.log('✅ Microphone enabled successfully');
       return this.stream;
@@ -107,14 +167,70 @@ export class MicrophoneManager {
   }
 
   /**
-   * Stop microphone capture
+   * Get the file player, creating it on first use
+   */
+  async getFilePlayer() {
+    if (!this.filePlayer) {
+      await this.ensureAudioGraph();
+      this.filePlayer = new AudioFilePlayer(this.audioContext, this.inputNode);
+      // A finished playlist, or a pause from the player, leaves nothing playing
+      this.filePlayer.setOnStop(() => {
+        if (this.sourceType === 'file') {
+          this.setEnabled(false);
+        }
+      });
+    }
+    return this.filePlayer;
+  }
+
+  /**
+   * Start audio file playback as the input source
+   */
+  async startFile() {
+    try {
+      const player = await this.getFilePlayer();
+      const started = await player.play();
+      this.setEnabled(started);
+
+      if (started) {
+        console.log('✅ File playback enabled successfully');
+      }
+      return started;
+    } catch (error) {
+      console.error('Failed to start file playback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop the active input source
    */
   stop() {
+    if (this.micSourceNode) {
+      this.micSourceNode.disconnect();
+      this.micSourceNode = null;
+    }
     if (this.stream) {
       this.stream.getTracks().forEach((track) => track.stop());
       this.stream = null;
     }
-    this.isEnabled = false;
+    if (this.filePlayer) {
+      this.filePlayer.pause();
+    }
+    this.setEnabled(false);
+  }
+
+  /**
+   * Switch between 'microphone' and 'file' input (stops the current source)
+   */
+  setSourceType(sourceType) {
+    if (sourceType === this.sourceType) return;
+
+    if (this.isEnabled) {
+      this.stop();
+    }
+    this.sourceType = sourceType;
+    console.log('🎚️ Audio source set to:', sourceType);
   }
 
   /**
@@ -124,6 +240,14 @@ export class MicrophoneManager {
     return this.stream;
   }
 
+  /**
+   * Get the source audio (mic or file, without gain) as a track - silent while no source plays
+   */
+  async getSourceAudioTrack() {
+    await this.ensureAudioGraph();
+    return this.sourceAudioDestination.stream.getAudioTracks()[0];
+  }
+
   /**
    * Get audio level (0-1)
    */
@@ -144,6 +268,7 @@ export class MicrophoneManager {
    * Set gain value
    */
   setGain(value) {
+    this.gain = value;
     if (this.gainNode) {
       this.gainNode.gain.value = value;
       console.log('🔊 Gain set to:', value.toFixed(1) + 'x');
@@ -151,12 +276,14 @@ export class MicrophoneManager {
   }
 
   /**
-   * Toggle microphone on/off
+   * Toggle the active input source on/off
    */
   async toggle() {
     if (this.isEnabled) {
       this.stop();
       return false;
+    } else if (this.sourceType === 'file') {
+      return this.startFile();
     } else {
       await this.start(this.selectedDeviceId);
       return true;
@@ -167,7 +294,7 @@ export class MicrophoneManager {
    * Change microphone device
    */
   async changeDevice(deviceId) {
-    const wasEnabled = this.isEnabled;
+    const wasEnabled = this.isEnabled && this.sourceType === 'microphone';
 
     if (wasEnabled) {
       this.stop();
@@ -186,6 +313,7 @@ export class MicrophoneManager {
   getStatus() {
     return {
       enabled: this.isEnabled,
+      sourceType: this.sourceType,
       deviceId: this.selectedDeviceId,
       hasStream: !!this.stream,
     };
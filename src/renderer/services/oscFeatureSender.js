@@ -0,0 +1,88 @@
+// Frequency bands sent as OSC features (Hz)
+const BANDS = {
+  bass: [20, 250],
+  mid: [250, 4000],
+  treble: [4000, 16000],
+};
+
+/**
+ * OscFeatureSender - Streams audio level, bands and beats to the main process for OSC output
+ */
+export class OscFeatureSender {
+  constructor(microphoneManager, beatDetector) {
+    this.microphoneManager = microphoneManager;
+    this.beatDetector = beatDetector;
+    this.intervalId = null;
+    this.cleanupBeat = null;
+  }
+
+  /**
+   * Apply the OSC config - only runs while feature output is enabled
+   */
+  configure(config) {
+    this.stop();
+    if (config?.outputEnabled) {
+      this.start(config.outputRate);
+    }
+  }
+
+  /**
+   * Start sending features at the given rate (per second) and every beat as it happens
+   */
+  start(rate = 30) {
+    this.intervalId = setInterval(() => this.tick(), 1000 / rate);
+    this.cleanupBeat = this.beatDetector.on('beat', (beat) => window.electronAPI.sendOscBeat(beat));
+  }
+
+  /**
+   * Stop sending
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    if (this.cleanupBeat) {
+      this.cleanupBeat();
+      this.cleanupBeat = null;
+    }
+  }
+
+  /**
+   * Send one feature snapshot
+   */
+  tick() {
+    const features = this.getFeatures();
+    if (features) {
+      window.electronAPI.sendOscFeatures(features);
+    }
+  }
+
+  /**
+   * Current RMS level and average band energy, each 0-1 (null while no source is active)
+   */
+  getFeatures() {
+    const { analyser, audioContext, isEnabled } = this.microphoneManager;
+    if (!analyser || !isEnabled) return null;
+
+    const samples = new Uint8Array(analyser.fftSize);
+    analyser.getByteTimeDomainData(samples);
+    const sumSquares = samples.reduce((sum, sample) => sum + ((sample - 128) / 128) ** 2, 0);
+
+    const spectrum = new Uint8Array(analyser.frequencyBinCount);
+    analyser.getByteFrequencyData(spectrum);
+    const binWidth = audioContext.sampleRate / analyser.fftSize;
+
+    const features = { level: Math.min(1, Math.sqrt(sumSquares / samples.length)) };
+    Object.entries(BANDS).forEach(([band, [low, high]]) => {
+      const start = Math.max(1, Math.floor(low / binWidth));
+      const end = Math.min(spectrum.length, Math.ceil(high / binWidth));
+      let sum = 0;
+      for (let i = start; i < end; i++) {
+        sum += spectrum[i];
+      }
+      features[band] = end > start ? sum / (end - start) / 255 : 0;
+    });
+    return features;
+  }
+}
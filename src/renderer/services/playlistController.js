@@ -0,0 +1,340 @@
+/**
+ * PlaylistController - Named preset playlists with per-window auto-rotation
+ */
+export class PlaylistController {
+  constructor(visualizationController) {
+    this.visualizationController = visualizationController;
+    this.playlists = [];
+    this.rotations = new Map(); // windowId -> rotation state
+    this.listeners = { change: new Set(), preset: new Set() };
+  }
+
+  /**
+   * Load saved playlists from settings
+   */
+  async initialize() {
+    try {
+      this.playlists = (await window.electronAPI.getPlaylists()) || [];
+    } catch (error) {
+      console.error('Failed to load playlists:', error);
+    }
+  }
+
+  /**
+   * Subscribe to 'change' (playlists/rotation state) or 'preset' ({ windowId, preset }) events
+   */
+  on(event, callback) {
+    this.listeners[event].add(callback);
+    return () => this.listeners[event].delete(callback);
+  }
+
+  /**
+   * Notify listeners of an event
+   */
+  emit(event, data) {
+    this.listeners[event].forEach((callback) => callback(data));
+  }
+
+  /**
+   * Get all playlists
+   */
+  getPlaylists() {
+    return this.playlists;
+  }
+
+  /**
+   * Get a playlist by ID
+   */
+  getPlaylist(playlistId) {
+    return this.playlists.find((playlist) => playlist.id === playlistId) || null;
+  }
+
+  /**
+   * Replace the playlist list (e.g. after a REST change) and refresh running rotations
+   */
+  setPlaylists(playlists) {
+    this.playlists = playlists;
+
+    this.rotations.forEach((rotation, windowId) => {
+      const playlist = this.getPlaylist(rotation.playlistId);
+      if (!playlist) {
+        this.stopRotation(windowId);
+      } else {
+        rotation.playlist = playlist;
+      }
+    });
+
+    this.emit('change');
+  }
+
+  /**
+   * Create or update a playlist
+   */
+  async savePlaylist(playlist) {
+    const result = await window.electronAPI.savePlaylist(playlist);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    this.setPlaylists(result.playlists);
+    return result.playlist;
+  }
+
+  /**
+   * Delete a playlist (stops any window rotating through it)
+   */
+  async deletePlaylist(playlistId) {
+    const result = await window.electronAPI.deletePlaylist(playlistId);
+    this.setPlaylists(result.playlists);
+    return result.success;
+  }
+
+  /**
+   * Start rotating a window through a playlist
+   */
+  startRotation(windowId, playlistId) {
+    const playlist = this.getPlaylist(playlistId);
+    if (!playlist) {
+      console.warn('Playlist not found:', playlistId);
+      return false;
+    }
+
+    this.stopRotation(windowId, { silent: true });
+
+    this.rotations.set(windowId, {
+      playlistId,
+      playlist,
+      queue: [], // Upcoming presets (ordered position or shuffle bag)
+      position: -1, // Index into playlist.presets for ordered mode
+      history: [],
+      timerId: null,
+      paused: false,
+      remainingMs: 0,
+      nextChangeAt: null,
+    });
+
+    console.log(`▶️ Window ${windowId} rotating playlist "${playlist.name}"`);
+    this.reportRotation(windowId, playlistId);
+    this.advance(windowId);
+    return true;
+  }
+
+  /**
+   * Stop a window's rotation
+   */
+  stopRotation(windowId, { silent = false } = {}) {
+    const rotation = this.rotations.get(windowId);
+    if (!rotation) return;
+
+    clearTimeout(rotation.timerId);
+    this.rotations.delete(windowId);
+    this.reportRotation(windowId, null);
+
+    if (!silent) {
+      this.emit('change');
+    }
+  }
+
+  /**
+   * Tell the main process which playlist a window is rotating (saved with layouts)
+   */
+  reportRotation(windowId, playlistId) {
+    window.electronAPI.notifyRotationChanged(windowId, playlistId);
+  }
+
+  /**
+   * Pause a window's rotation (keeps the time left on the current preset)
+   */
+  pauseRotation(windowId) {
+    const rotation = this.rotations.get(windowId);
+    if (!rotation || rotation.paused) return;
+
+    clearTimeout(rotation.timerId);
+    rotation.timerId = null;
+    rotation.paused = true;
+    rotation.remainingMs = Math.max(0, rotation.nextChangeAt - Date.now());
+    rotation.nextChangeAt = null;
+    this.emit('change');
+  }
+
+  /**
+   * Resume a paused rotation
+   */
+  resumeRotation(windowId) {
+    const rotation = this.rotations.get(windowId);
+    if (!rotation || !rotation.paused) return;
+
+    rotation.paused = false;
+    this.schedule(windowId, rotation.remainingMs);
+    this.emit('change');
+  }
+
+  /**
+   * Skip to the next preset in the playlist now
+   */
+  skip(windowId) {
+    const rotation = this.rotations.get(windowId);
+    if (!rotation) return;
+    this.advance(windowId);
+  }
+
+  /**
+   * Go back to the preset shown before the current one (restarts its dwell time)
+   */
+  previous(windowId) {
+    const rotation = this.rotations.get(windowId);
+    if (!rotation || rotation.history.length < 2) return;
+
+    rotation.history.pop(); // Current preset
+    this.advance(windowId, rotation.history.pop());
+  }
+
+  /**
+   * Handle a command relayed from the REST API
+   */
+  handleCommand({ windowId, action, playlistId }) {
+    switch (action) {
+      case 'start':
+        return this.startRotation(windowId, playlistId);
+      case 'stop':
+        return this.stopRotation(windowId);
+      case 'pause':
+        return this.pauseRotation(windowId);
+      case 'resume':
+        return this.resumeRotation(windowId);
+      case 'skip':
+        return this.skip(windowId);
+      default:
+        console.warn('Unknown playlist command:', action);
+    }
+  }
+
+  /**
+   * Apply the next preset (or a specific one) and schedule the one after
+   */
+  async advance(windowId, nextPreset = null) {
+    const rotation = this.rotations.get(windowId);
+    if (!rotation) return;
+
+    clearTimeout(rotation.timerId);
+
+    const presetName = nextPreset || this.pickNext(rotation);
+    if (nextPreset && rotation.playlist.order !== 'shuffle') {
+      // Carry on in order from the chosen preset
+      rotation.position = this.getPlayablePresets(rotation.playlist).indexOf(nextPreset);
+    }
+    if (!presetName) {
+      console.warn(`Playlist "${rotation.playlist.name}" has no playable presets`);
+      this.stopRotation(windowId);
+      return;
+    }
+
+    rotation.history.push(presetName);
+    if (rotation.history.length > 50) {
+      rotation.history.shift();
+    }
+
+    await this.visualizationController.setWindowPreset(windowId, presetName, {
+      transitionTime: rotation.playlist.transitionTime,
+    });
+    this.emit('preset', { windowId, preset: presetName });
+
+    // Rotation may have been stopped or paused while the preset was being applied
+    if (this.rotations.get(windowId) !== rotation || rotation.paused) return;
+
+    this.schedule(windowId, rotation.playlist.dwellTime * 1000);
+    this.emit('change');
+  }
+
+  /**
+   * Arm the dwell timer
+   */
+  schedule(windowId, delayMs) {
+    const rotation = this.rotations.get(windowId);
+    if (!rotation) return;
+
+    rotation.nextChangeAt = Date.now() + delayMs;
+    rotation.timerId = setTimeout(() => this.advance(windowId), delayMs);
+  }
+
+  /**
+   * Pick the next preset name (ordered position or no-repeat shuffle bag)
+   */
+  pickNext(rotation) {
+    const presets = this.getPlayablePresets(rotation.playlist);
+    if (presets.length === 0) return null;
+
+    if (rotation.playlist.order === 'shuffle') {
+      // Drop anything that stopped being playable since the bag was filled
+      rotation.queue = rotation.queue.filter((name) => presets.includes(name));
+
+      if (rotation.queue.length === 0) {
+        rotation.queue = this.shuffle(presets);
+
+        // Don't repeat the last preset across a bag boundary
+        const last = rotation.history[rotation.history.length - 1];
+        if (rotation.queue.length > 1 && rotation.queue[0] === last) {
+          rotation.queue.push(rotation.queue.shift());
+        }
+      }
+      return rotation.queue.shift();
+    }
+
+    rotation.position = (rotation.position + 1) % presets.length;
+    return presets[rotation.position];
+  }
+
+  /**
+   * Presets that still exist and aren't disabled (falls back to all existing ones)
+   */
+  getPlayablePresets(playlist) {
+    const known = playlist.presets.filter((name) => this.visualizationController.presetNames.includes(name));
+    const enabled = known.filter((name) => !this.visualizationController.isPresetDisabled(name));
+    return enabled.length > 0 ? enabled : known;
+  }
+
+  /**
+   * Fisher-Yates shuffle (returns a new array)
+   */
+  shuffle(items) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  /**
+   * Get rotation status for a window (null if not rotating)
+   */
+  getRotationStatus(windowId) {
+    const rotation = this.rotations.get(windowId);
+    if (!rotation) return null;
+
+    return {
+      playlistId: rotation.playlistId,
+      playlistName: rotation.playlist.name,
+      paused: rotation.paused,
+      dwellTime: rotation.playlist.dwellTime,
+      remainingMs: rotation.paused
+        ? rotation.remainingMs
+        : Math.max(0, (rotation.nextChangeAt || Date.now()) - Date.now()),
+      history: [...rotation.history],
+    };
+  }
+
+  /**
+   * Stop tracking a closed window
+   */
+  removeWindow(windowId) {
+    this.stopRotation(windowId);
+  }
+
+  /**
+   * Stop all rotations
+   */
+  stopAll() {
+    Array.from(this.rotations.keys()).forEach((windowId) => this.stopRotation(windowId, { silent: true }));
+    this.emit('change');
+  }
+}
@@ -0,0 +1,151 @@
+import {
+  CLOCK_SYNC_BURST,
+  CLOCK_SYNC_INTERVAL_MS,
+  ClockEstimator,
+  clockNow,
+  normalizeRenderSync,
+} from '../../shared/clockSync.js';
+
+const BURST_SPACING_MS = 200;
+
+/**
+ * RenderSyncController - Dashboard side of the shared time base
+ *
+ * Keeps every window's clock in step with the dashboard's: pings each one a few times when its
+ * control channel opens and then every few seconds, and sends it its offset whenever the best
+ * estimate changes. With render sync on, windows also render in lockstep from this session's
+ * epoch and show audio a fixed delay after it was captured, so mirrored windows look identical.
+ */
+export class RenderSyncController {
+  constructor(webrtcController) {
+    this.webrtcController = webrtcController;
+    this.config = normalizeRenderSync();
+    this.epoch = Math.floor(clockNow()); // Frame 0 for windows rendering in lockstep
+    this.estimators = new Map(); // windowId -> ClockEstimator
+    this.sentOffsets = new Map(); // windowId -> offset last sent
+    this.burstTimeouts = new Set();
+    this.pingInterval = null;
+    this.listeners = new Set();
+    this.cleanups = [];
+  }
+
+  /**
+   * Load the saved setting and start syncing clocks
+   */
+  async initialize() {
+    try {
+      this.config = normalizeRenderSync(await window.electronAPI.settingsGet('renderSync'));
+    } catch (error) {
+      console.error('Failed to load render sync setting:', error);
+    }
+
+    this.cleanups = [
+      this.webrtcController.onControlChannelOpen((windowId) => {
+        this.estimators.set(windowId, new ClockEstimator());
+        this.sentOffsets.delete(windowId);
+        this.webrtcController.sendControlMessage(windowId, this.getSettingsMessage());
+        this.startBurst(windowId);
+      }),
+      this.webrtcController.onControlMessage((windowId, message) => {
+        if (message.type === 'clock-pong') {
+          this.handlePong(windowId, message);
+        }
+      }),
+    ];
+    this.pingInterval = setInterval(() => this.pingAll(), CLOCK_SYNC_INTERVAL_MS);
+  }
+
+  /**
+   * Subscribe to config/clock changes - returns an unsubscribe function
+   */
+  on(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  emit() {
+    this.listeners.forEach((callback) => callback());
+  }
+
+  getConfig() {
+    return this.config;
+  }
+
+  /**
+   * Update { enabled, audioDelayMs } - saved and sent to every window
+   */
+  async setConfig(changes) {
+    this.config = normalizeRenderSync({ ...this.config, ...changes });
+    this.webrtcController.broadcastControlMessage(this.getSettingsMessage());
+    this.emit();
+    await window.electronAPI.settingsSet('renderSync', this.config);
+  }
+
+  /**
+   * Whether preset changes should be scheduled so every window makes them together
+   */
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * A window's clock { offset, rtt, samples } in ms - null before the first round trip
+   */
+  getClockStats(windowId) {
+    const estimator = this.estimators.get(windowId);
+    const estimate = estimator?.getEstimate();
+    if (!estimate) return null;
+    return { offset: estimate.offset, rtt: estimate.rtt, samples: estimator.getSampleCount() };
+  }
+
+  getSettingsMessage() {
+    return { type: 'render-sync', ...this.config, epoch: this.epoch };
+  }
+
+  startBurst(windowId) {
+    for (let i = 0; i < CLOCK_SYNC_BURST; i++) {
+      const timeout = setTimeout(() => {
+        this.burstTimeouts.delete(timeout);
+        this.ping(windowId);
+      }, i * BURST_SPACING_MS);
+      this.burstTimeouts.add(timeout);
+    }
+  }
+
+  ping(windowId) {
+    this.webrtcController.sendControlMessage(windowId, { type: 'clock-ping', t0: clockNow() });
+  }
+
+  pingAll() {
+    // Forget windows that have gone
+    this.estimators.forEach((_, windowId) => {
+      if (!this.webrtcController.connections.has(windowId)) {
+        this.estimators.delete(windowId);
+        this.sentOffsets.delete(windowId);
+      }
+    });
+    this.estimators.forEach((_, windowId) => this.ping(windowId));
+  }
+
+  handlePong(windowId, message) {
+    const estimator = this.estimators.get(windowId);
+    if (!estimator) return;
+
+    estimator.addSample(message, clockNow());
+    const estimate = estimator.getEstimate();
+    if (!estimate || this.sentOffsets.get(windowId) === estimate.offset) return;
+
+    this.sentOffsets.set(windowId, estimate.offset);
+    this.webrtcController.sendControlMessage(windowId, { type: 'clock-offset', offset: estimate.offset });
+    this.emit();
+  }
+
+  cleanup() {
+    this.cleanups.forEach((cleanup) => cleanup());
+    this.cleanups = [];
+    clearInterval(this.pingInterval);
+    this.pingInterval = null;
+    this.burstTimeouts.forEach((timeout) => clearTimeout(timeout));
+    this.burstTimeouts.clear();
+  }
+}
@@ -0,0 +1,104 @@
+/**
+ * VideoWallController - Dashboard side of the video wall
+ *
+ * The wall layout and tile assignments live in the main process WindowManager; every change comes
+ * back through wall:updated. Each window (Electron popup or browser client) is told its tile over
+ * the control channel - again whenever its channel opens - and VisualizationController sends a
+ * preset change for any tile to all of them with a common start time.
+ */
+export class VideoWallController {
+  constructor(webrtcController) {
+    this.webrtcController = webrtcController;
+    this.wall = null; // { ...config, epoch, tiles: [{ windowId, row, column }] }
+    this.listeners = new Set();
+    this.cleanups = [];
+  }
+
+  /**
+   * Load the wall and start keeping windows up to date
+   */
+  async initialize() {
+    try {
+      this.wall = await window.electronAPI.getVideoWall();
+    } catch (error) {
+      console.error('Failed to load video wall:', error);
+    }
+
+    this.cleanups = [
+      window.electronAPI.onVideoWallUpdated((wall) => {
+        this.wall = wall;
+        this.webrtcController.connections.forEach((_, windowId) => this.sendTile(windowId));
+        this.emit();
+      }),
+      this.webrtcController.onControlChannelOpen((windowId) => this.sendTile(windowId)),
+    ];
+  }
+
+  /**
+   * Subscribe to wall changes - returns an unsubscribe function
+   */
+  on(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  emit() {
+    this.listeners.forEach((callback) => callback());
+  }
+
+  getWall() {
+    return this.wall;
+  }
+
+  /**
+   * Get a window's { row, column } - null when it isn't on an enabled wall
+   */
+  getTile(windowId) {
+    if (!this.wall?.enabled) return null;
+    return this.wall.tiles.find((tile) => tile.windowId === windowId) || null;
+  }
+
+  /**
+   * Windows that change together with this one - every tile for a tile, otherwise just itself
+   */
+  getLinkedWindowIds(windowId) {
+    if (!this.getTile(windowId)) return [windowId];
+    return this.wall.tiles.map((tile) => tile.windowId);
+  }
+
+  /**
+   * Update { enabled, rows, columns, tileWidth, tileHeight, bezelX, bezelY }
+   */
+  async setConfig(changes) {
+    await window.electronAPI.setVideoWallConfig(changes);
+  }
+
+  /**
+   * Put a window on { row, column }, or take it off the wall with null
+   */
+  async assignTile(windowId, tile) {
+    const result = await window.electronAPI.assignWallTile(windowId, tile);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  }
+
+  sendTile(windowId) {
+    const tile = this.getTile(windowId);
+    if (!tile) {
+      this.webrtcController.sendControlMessage(windowId, { type: 'video-wall', wall: null });
+      return;
+    }
+
+    const { rows, columns, tileWidth, tileHeight, bezelX, bezelY, epoch } = this.wall;
+    this.webrtcController.sendControlMessage(windowId, {
+      type: 'video-wall',
+      wall: { rows, columns, tileWidth, tileHeight, bezelX, bezelY, epoch, row: tile.row, column: tile.column },
+    });
+  }
+
+  cleanup() {
+    this.cleanups.forEach((cleanup) => cleanup());
+    this.cleanups = [];
+  }
+}
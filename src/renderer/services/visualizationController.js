@@ -1,3 +1,8 @@
+import { DEFAULT_TRANSITION_OPTIONS, normalizeTransitionOptions } from '../../shared/transitionOptions.js';
+import { syncStartTime } from '../../shared/clockSync.js';
+
+const UNRATED_WEIGHT = 3; // Unrated presets count as 3 stars when weighting by rating
+
 /**
  * VisualizationController - Manages butterchurn presets and window coordination
  */
@@ -6,28 +11,51 @@ export class VisualizationController {
     this.webrtcController = webrtcController;
     this.presets = [];
     this.presetNames = [];
+    this.bundledPresetNames = [];
+    this.userPresetNames = { imported: [], folder: [] }; // By source
+    this.userPresetSources = new Map(); // presetName -> 'imported' | 'folder'
     this.currentPresets = new Map(); // windowId -> presetName
-    this.disabledPresets = [];
+    this.windowTransitions = new Map(); // windowId -> { transitionMode, transitionTime } when not the default
+    this.cleanupChannelOpen = null;
+    this.videoWall = null; // VideoWallController - preset changes for a tile go to every tile
+    this.renderSync = null; // RenderSyncController - set-all changes land on the same frame everywhere
+    this.disabledPresets = []; // From the active blocklist profile
+    this.presetProfiles = [];
+    this.activeProfileId = null;
+    this.presetMetadata = { favorites: [], ratings: {}, tags: {} };
+    this.weightByRating = false; // Random picks favor higher ratings, stepping goes best-rated first
     this.initialized = false;
   }
 
   /**
-   * Initialize with butterchurn presets
+   * Initialize with butterchurn presets plus the user's imported and watched-folder ones
    */
   async initialize() {
     try {
       // Load butterchurn presets from global
       if (window.butterchurnPresets) {
         const presetsObj = window.butterchurnPresets.getPresets();
-        this.presetNames = Object.keys(presetsObj);
-        this.presets = this.getPresetList();
+        this.bundledPresetNames = Object.keys(presetsObj);
+        const [imported, { presets: folderPresets }] = await Promise.all([
+          window.electronAPI.getImportedPresets(),
+          window.electronAPI.getPresetFolders(),
+        ]);
+        this.userPresetNames = { imported, folder: folderPresets };
+        this.rebuildPresetList();
         this.initialized = true;
 
-        // Load disabled presets from settings
-        const disabled = await window.electronAPI.settingsGet('disabledPresets');
-        if (disabled) {
-          this.disabledPresets = disabled;
-        }
+        // Disabled presets come from the active blocklist profile
+        this.setPresetProfiles(await window.electronAPI.getPresetProfiles());
+
+        this.presetMetadata = await window.electronAPI.getPresetMetadata();
+        this.weightByRating = (await window.electronAPI.settingsGet('weightByRating')) === true;
+
+        // Windows that reconnect get their transition settings again
+        this.cleanupChannelOpen = this.webrtcController?.onControlChannelOpen((windowId) => {
+          if (this.windowTransitions.has(windowId)) {
+            this.sendWindowTransition(windowId);
+          }
+        });
       } else {
         console.error('Butterchurn presets not loaded');
       }
@@ -36,6 +64,61 @@ export class VisualizationController {
     }
   }
 
+  /**
+   * Replace the imported preset names
+   */
+  setImportedPresets(names) {
+    this.userPresetNames.imported = names;
+    this.rebuildPresetList();
+  }
+
+  /**
+   * Replace the watched-folder preset names
+   */
+  setFolderPresets(names) {
+    this.userPresetNames.folder = names;
+    this.rebuildPresetList();
+  }
+
+  /**
+   * Merge bundled and user presets - on a name clash bundled wins, then imported, then folders
+   */
+  rebuildPresetList() {
+    const names = new Set(this.bundledPresetNames);
+    this.userPresetSources = new Map();
+
+    Object.entries(this.userPresetNames).forEach(([source, sourceNames]) => {
+      sourceNames
+        .filter((name) => !names.has(name))
+        .forEach((name) => {
+          names.add(name);
+          this.userPresetSources.set(name, source);
+        });
+    });
+
+    this.presetNames = Array.from(names);
+    this.presets = this.getPresetList();
+  }
+
+  /**
+   * Get a preset's butterchurn JSON (for the editor) - bundled ones are loaded here already,
+   * user presets come from the main process
+   */
+  async getPresetData(presetName) {
+    const bundled = window.butterchurnPresets.getPresets()[presetName];
+    if (bundled) {
+      return structuredClone(bundled);
+    }
+    return window.electronAPI.getUserPreset(presetName);
+  }
+
+  /**
+   * Whether a preset was imported by the user
+   */
+  isImportedPreset(presetName) {
+    return this.userPresetSources.get(presetName) === 'imported';
+  }
+
   /**
    * Get all presets with metadata
    */
@@ -45,10 +128,11 @@ export class VisualizationController {
       const author = parts[0] || '';
       const displayName = parts.slice(1).join(' - ') || author;
 
-      // Determine category based on author
+      // Determine category based on author (user presets are grouped by where they came from)
       let category = 'other';
       const authorLower = author.toLowerCase();
-      if (authorLower.includes('geiss')) category = 'geiss';
+      if (this.userPresetSources.has(name)) category = this.userPresetSources.get(name);
+      else if (authorLower.includes('geiss')) category = 'geiss';
       else if (authorLower.includes('martin')) category = 'martin';
       else if (authorLower.includes('flexi')) category = 'flexi';
       else if (authorLower.includes('shifter')) category = 'shifter';
@@ -74,7 +158,7 @@ export class VisualizationController {
   }
 
   /**
-   * Search presets
+   * Search presets (by name, author or tag)
    */
   searchPresets(searchTerm) {
     if (!searchTerm.trim()) {
@@ -86,7 +170,8 @@ export class VisualizationController {
       (preset) =>
         preset.name.toLowerCase().includes(term) ||
         preset.displayName.toLowerCase().includes(term) ||
-        preset.author.toLowerCase().includes(term)
+        preset.author.toLowerCase().includes(term) ||
+        this.getTags(preset.name).some((tag) => tag.includes(term))
     );
   }
 
@@ -98,20 +183,48 @@ export class VisualizationController {
   }
 
   /**
-   * Set preset for a specific window
+   * Link preset changes of video wall tiles
+   */
+  setVideoWall(videoWallController) {
+    this.videoWall = videoWallController;
+  }
+
+  /**
+   * Schedule set-all changes on the shared clock while render sync is on
+   */
+  setRenderSync(renderSyncController) {
+    this.renderSync = renderSyncController;
+  }
+
+  /**
+   * Set preset for a specific window (or for every tile when it is on the video wall)
+   * Options: { transitionMode, transitionTime } - the window's default transition fills in missing fields
    */
-  async setWindowPreset(windowId, presetName) {
+  async setWindowPreset(windowId, presetName, options = {}) {
+    const windowIds = this.videoWall ? this.videoWall.getLinkedWindowIds(windowId) : [windowId];
+    if (windowIds.length === 1) {
+      await this.sendWindowPreset(windowId, presetName, options);
+      return;
+    }
+
+    // Tiles switch together on the same frame
+    const startAt = syncStartTime();
+    await Promise.all(windowIds.map((id) => this.sendWindowPreset(id, presetName, { ...options, startAt })));
+  }
+
+  async sendWindowPreset(windowId, presetName, options) {
     try {
       this.currentPresets.set(windowId, presetName);
 
       // Send via IPC (for Electron popups)
-      await window.electronAPI.setPreset(windowId, presetName);
+      await window.electronAPI.setPreset(windowId, presetName, options);
 
       // Also send via WebRTC control channel (for browser clients)
       if (this.webrtcController) {
         this.webrtcController.sendControlMessage(windowId, {
           type: 'preset-change',
           preset: presetName,
+          ...options,
         });
       }
     } catch (error) {
@@ -121,10 +234,16 @@ export class VisualizationController {
 
   /**
    * Set preset for all windows
+   * Options: same as setWindowPreset
    */
-  async setAllWindowsPreset(presetName) {
+  async setAllWindowsPreset(presetName, options = {}) {
     try {
-      await window.electronAPI.setAllPresets(presetName);
+      // Video wall tiles (or, with render sync, all windows) start together
+      const together = this.renderSync?.isEnabled() || this.videoWall?.getWall()?.enabled;
+      const sync = together ? { startAt: syncStartTime() } : {};
+      await window.electronAPI.setAllPresets(presetName, { ...options, ...sync });
+      // Browser clients aren't reached over IPC
+      this.webrtcController?.broadcastControlMessage({ type: 'preset-change', preset: presetName, ...options, ...sync });
       // Update tracking for all windows
       this.currentPresets.forEach((_, windowId) => {
         this.currentPresets.set(windowId, presetName);
@@ -135,7 +254,36 @@ export class VisualizationController {
   }
 
   /**
-   * Get random preset (skipping disabled presets)
+   * Get the transition a window uses for preset changes that don't specify one
+   */
+  getWindowTransition(windowId) {
+    return { ...DEFAULT_TRANSITION_OPTIONS, ...this.windowTransitions.get(windowId) };
+  }
+
+  /**
+   * Change a window's default { transitionMode, transitionTime } - the popup applies it itself,
+   * so it also covers set-all changes and playlist rotation
+   */
+  setWindowTransition(windowId, changes) {
+    const transition = { ...this.getWindowTransition(windowId), ...normalizeTransitionOptions(changes) };
+    // Video wall tiles share one transition so they stay in step
+    const windowIds = this.videoWall ? this.videoWall.getLinkedWindowIds(windowId) : [windowId];
+    windowIds.forEach((id) => {
+      this.windowTransitions.set(id, transition);
+      this.sendWindowTransition(id);
+    });
+    return transition;
+  }
+
+  sendWindowTransition(windowId) {
+    this.webrtcController?.sendControlMessage(windowId, {
+      type: 'transition-defaults',
+      ...this.getWindowTransition(windowId),
+    });
+  }
+
+  /**
+   * Get random preset (skipping disabled presets, weighted by rating if enabled)
    */
   getRandomPreset() {
     const enabledPresets = this.presets.filter(
@@ -147,19 +295,39 @@ export class VisualizationController {
       return this.presets[Math.floor(Math.random() * this.presets.length)];
     }
 
+    if (this.weightByRating) {
+      const weights = enabledPresets.map((preset) => this.getRatingWeight(preset.name));
+      let pick = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+      const index = weights.findIndex((weight) => (pick -= weight) < 0);
+      return enabledPresets[index === -1 ? enabledPresets.length - 1 : index];
+    }
+
     const randomIndex = Math.floor(Math.random() * enabledPresets.length);
     return enabledPresets[randomIndex];
   }
 
   /**
-   * Get next preset for a window (skipping disabled presets)
+   * Enabled presets in the order next/previous step through them - best-rated first when
+   * weighting by rating (the sort is stable, so equal ratings keep list order)
    */
-  getNextPreset(windowId) {
-    const currentPreset = this.getCurrentPreset(windowId);
+  getSteppingOrder() {
     const enabledPresets = this.presets.filter(
       (preset) => !this.disabledPresets.includes(preset.name)
     );
 
+    if (this.weightByRating) {
+      return enabledPresets.sort((a, b) => this.getRatingWeight(b.name) - this.getRatingWeight(a.name));
+    }
+    return enabledPresets;
+  }
+
+  /**
+   * Get next preset for a window (skipping disabled presets)
+   */
+  getNextPreset(windowId) {
+    const currentPreset = this.getCurrentPreset(windowId);
+    const enabledPresets = this.getSteppingOrder();
+
     if (enabledPresets.length === 0) {
       return this.presets[0];
     }
@@ -174,9 +342,7 @@ export class VisualizationController {
    */
   getPreviousPreset(windowId) {
     const currentPreset = this.getCurrentPreset(windowId);
-    const enabledPresets = this.presets.filter(
-      (preset) => !this.disabledPresets.includes(preset.name)
-    );
+    const enabledPresets = this.getSteppingOrder();
 
     if (enabledPresets.length === 0) {
       return this.presets[0];
@@ -196,6 +362,23 @@ export class VisualizationController {
     return !this.disabledPresets.includes(presetName);
   }
 
+  /**
+   * Disable a preset (a no-op if it already is, so concurrent calls can't re-enable it)
+   */
+  async disablePreset(presetName) {
+    const result = await window.electronAPI.settingsDisablePreset(presetName);
+    this.disabledPresets = result.disabledPresets;
+  }
+
+  /**
+   * Replace the blocklist profiles - the active one's list becomes the disabled presets
+   */
+  setPresetProfiles({ profiles, activeId }) {
+    this.presetProfiles = profiles;
+    this.activeProfileId = activeId;
+    this.disabledPresets = profiles.find((profile) => profile.id === activeId)?.disabledPresets || [];
+  }
+
   /**
    * Check if preset is disabled
    */
@@ -203,6 +386,69 @@ export class VisualizationController {
     return this.disabledPresets.includes(presetName);
   }
 
+  /**
+   * Replace favorites/ratings/tags (e.g. after a favorite is toggled from the web remote)
+   */
+  setPresetMetadata(metadata) {
+    this.presetMetadata = metadata;
+  }
+
+  isFavorite(presetName) {
+    return this.presetMetadata.favorites.includes(presetName);
+  }
+
+  /**
+   * Star rating 1-5, or 0 if unrated
+   */
+  getRating(presetName) {
+    return this.presetMetadata.ratings[presetName] || 0;
+  }
+
+  getRatingWeight(presetName) {
+    return this.getRating(presetName) || UNRATED_WEIGHT;
+  }
+
+  getTags(presetName) {
+    return this.presetMetadata.tags[presetName] || [];
+  }
+
+  /**
+   * Every tag in use, sorted
+   */
+  getAllTags() {
+    const tags = new Set(Object.values(this.presetMetadata.tags).flat());
+    return Array.from(tags).sort((a, b) => a.localeCompare(b));
+  }
+
+  async toggleFavorite(presetName) {
+    return this.updatePresetMetadata(window.electronAPI.togglePresetFavorite(presetName));
+  }
+
+  /**
+   * Set a star rating (0 clears it)
+   */
+  async setRating(presetName, rating) {
+    return this.updatePresetMetadata(window.electronAPI.setPresetRating(presetName, rating));
+  }
+
+  async setTags(presetName, tags) {
+    return this.updatePresetMetadata(window.electronAPI.setPresetTags(presetName, tags));
+  }
+
+  async updatePresetMetadata(request) {
+    const result = await request;
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    this.presetMetadata = result.metadata;
+    return result.metadata;
+  }
+
+  async setWeightByRating(enabled) {
+    this.weightByRating = enabled;
+    await window.electronAPI.settingsSet('weightByRating', enabled);
+  }
+
   /**
    * Get current preset for window
    */
@@ -222,6 +468,7 @@ export class VisualizationController {
    */
   removeWindow(windowId) {
     this.currentPresets.delete(windowId);
+    this.windowTransitions.delete(windowId);
   }
 
   /**
@@ -244,4 +491,9 @@ export class VisualizationController {
     });
     return categories;
   }
+
+  cleanup() {
+    this.cleanupChannelOpen?.();
+    this.cleanupChannelOpen = null;
+  }
 }
@@ -1,13 +1,84 @@
 import { WEBRTC_CONFIG } from '../../shared/constants.js';
+import {
+  CONNECT_TIMEOUT_MS,
+  DISCONNECTED_GRACE_MS,
+  ICE_RESTART_ATTEMPTS,
+  RELAY_FALLBACK_MS,
+  getReconnectDelay,
+} from '../../shared/connectionRecovery.js';
+import { AudioFrameSender } from './audioFrameSender.js';
+
+const ROUND_TRIP_INTERVAL_MS = 2000; // How often each connection's round trip is measured
+
+// Browser clients have UUID ids, Electron popups numeric ones
+function isBrowserClient(windowId) {
+  return typeof windowId === 'string' && windowId.includes('-');
+}
 
 /**
  * WebRTCController - Manages WebRTC connections to popup windows
+ *
+ * A connection that drops is recovered rather than dropped (see shared/connectionRecovery.js):
+ * ICE restarts first, then fresh connections, with backoff until it connects or the window closes.
+ * Browser clients that stay unconnected are relayed over Socket.IO meanwhile (see startRelay()).
  */
 export class WebRTCController {
-  constructor(microphoneManager, onConnectionClosed = null) {
+  constructor(microphoneManager) {
     this.microphoneManager = microphoneManager;
     this.connections = new Map(); // windowId -> RTCPeerConnection
-    this.onConnectionClosed = onConnectionClosed; // Callback when connection fails/closes
+    this.connectionStates = new Map(); // windowId -> 'connecting' | 'connected' | 'reconnecting'
+    this.recovery = new Map(); // windowId -> { attempt, timeout }
+    this.controlMessageListeners = new Set(); // (windowId, message) => void
+    this.controlOpenListeners = new Set(); // (windowId) => void
+    this.connectionStateListeners = new Set(); // (windowId, state) => void
+    this.relays = new Map(); // windowId -> AudioFrameSender, for browser clients relayed over Socket.IO
+    this.relayTimers = new Map(); // windowId -> timeout until falling back to the relay
+    this.transportListeners = new Set(); // (windowId, transport) => void
+    this.iceServers = []; // From the ICE settings - used for browser clients, which may be on other networks
+  }
+
+  /**
+   * Set the ICE servers for browser client connections - applies to new connections and ICE restarts
+   */
+  setIceServers(iceServers) {
+    this.iceServers = iceServers || [];
+    this.connections.forEach((pc, windowId) => {
+      if (isBrowserClient(windowId)) {
+        pc.setConfiguration({ ...pc.getConfiguration(), iceServers: this.iceServers });
+      }
+    });
+  }
+
+  /**
+   * Subscribe to transport changes ('webrtc' or 'relay') - returns an unsubscribe function
+   */
+  onTransportChange(callback) {
+    this.transportListeners.add(callback);
+    return () => this.transportListeners.delete(callback);
+  }
+
+  /**
+   * Subscribe to connection state changes - returns an unsubscribe function
+   */
+  onConnectionStateChange(callback) {
+    this.connectionStateListeners.add(callback);
+    return () => this.connectionStateListeners.delete(callback);
+  }
+
+  /**
+   * Subscribe to control channels opening (e.g. to send a new window its settings) - returns an unsubscribe function
+   */
+  onControlChannelOpen(callback) {
+    this.controlOpenListeners.add(callback);
+    return () => this.controlOpenListeners.delete(callback);
+  }
+
+  /**
+   * Subscribe to control messages sent back by popups - returns an unsubscribe function
+   */
+  onControlMessage(callback) {
+    this.controlMessageListeners.add(callback);
+    return () => this.controlMessageListeners.delete(callback);
   }
 
   /**
@@ -15,8 +86,15 @@ export class WebRTCController {
    */
   async createConnection(windowId) {
     try {
-      // Create peer connection (independent of microphone state)
-      const pc = new RTCPeerConnection(WEBRTC_CONFIG);
+      // A fresh connection while recovering keeps showing as reconnecting
+      if (this.connectionStates.get(windowId) !== 'reconnecting') {
+        this.setConnectionState(windowId, 'connecting');
+      }
+
+      // Create peer connection (independent of microphone state) - popups are always local
+      const pc = new RTCPeerConnection(
+        isBrowserClient(windowId) ? { ...WEBRTC_CONFIG, iceServers: this.iceServers } : WEBRTC_CONFIG
+      );
 
       // Create TWO DataChannels:
       // 1. Audio data channel - raw binary audio (unordered, unreliable for real-time)
@@ -33,57 +111,20 @@ export class WebRTCController {
       audioChannel.onopen = () => {
         console.log('Audio DataChannel opened for window:', windowId);
 
-        // Start sending audio data (will send silence if no mic)
-        const startAudioSending = () => {
-          const analyser = this.microphoneManager.analyser;
-          const audioContext = this.microphoneManager.audioContext;
-
-          if (!analyser || !audioContext) {
-            console.log('No microphone yet, will send silence');
-            // Send at 60fps if no mic available
-            return 1000 / 60;
-          }
-
-          // Calculate send interval based on actual audio sample rate
-          const fftSize = analyser.fftSize;
-          const sampleRate = audioContext.sampleRate;
-          return (fftSize / sampleRate) * 1000;
-        };
-
-        // Send audio analysis data at the optimal rate
-        const sendAnalysisData = () => {
-          if (audioChannel.readyState === 'open') {
-            const analyser = this.microphoneManager.analyser;
-
-            if (analyser) {
-              // Send real audio data
-              const timeData = new Uint8Array(analyser.fftSize);
-              analyser.getByteTimeDomainData(timeData);
-
-              try {
-                audioChannel.send(timeData.buffer);
-              } catch (e) {
-                console.warn('Audio DataChannel send failed:', e);
-              }
-            } else {
-              // Send silence (center value 128)
-              const silenceData = new Uint8Array(2048).fill(128);
-              try {
-                audioChannel.send(silenceData.buffer);
-              } catch (e) {
-                console.warn('Audio DataChannel send failed:', e);
-              }
+        // Start sending audio data (will send silence if no mic), paced by the channel's buffer
+        pc.frameSender = new AudioFrameSender(this.microphoneManager, {
+          send: (frame) => {
+            if (audioChannel.readyState === 'open') {
+              audioChannel.send(frame);
             }
-          }
-        };
-
-        // Start sending at appropriate rate
-        const intervalMs = startAudioSending();
-        const intervalId = setInterval(sendAnalysisData, intervalMs);
-
-        // Store interval for cleanup
-        pc.audioChannelInterval = intervalId;
+          },
+          getBufferedAmount: () => audioChannel.bufferedAmount,
+        });
+        pc.frameSender.start();
+        pc.roundTripInterval = setInterval(() => this.measureRoundTrip(pc), ROUND_TRIP_INTERVAL_MS);
+        this.upgradeFromRelay(windowId);
       };
+      pc.audioChannel = audioChannel;
 
       audioChannel.onerror = (error) => {
         // Ignore "Close called" errors - these are expected during normal shutdown
@@ -96,15 +137,19 @@ export class WebRTCController {
       controlChannel.onopen = () => {
         // Store reference for sending control messages
         pc.controlChannel = controlChannel;
+        this.upgradeFromRelay(windowId);
+        this.controlOpenListeners.forEach((callback) => callback(windowId));
       };
 
       controlChannel.onmessage = (event) => {
+        let message;
         try {
-          const message = JSON.parse(event.data);
-          // Handle control messages if needed (e.g., acknowledgments)
+          message = JSON.parse(event.data);
         } catch (e) {
           console.error('Failed to parse control message:', e);
+          return;
         }
+        this.handleControlMessage(windowId, message);
       };
 
       controlChannel.onerror = (error) => {
@@ -114,7 +159,13 @@ export class WebRTCController {
         }
       };
 
-      // No need to add audio tracks - we're using DataChannels for audio data
+      // Visualization audio goes over DataChannels. Electron popups also get a send-only audio
+      // transceiver for recordings - it carries nothing until setSourceAudio() attaches a track,
+      // so switching it on needs no renegotiation
+      const isPopupWindow = typeof windowId === 'number';
+      if (isPopupWindow) {
+        pc.audioSender = pc.addTransceiver('audio', { direction: 'sendonly', streams: [new MediaStream()] }).sender;
+      }
 
       // Handle ICE candidates
       pc.onicecandidate = (event) => {
@@ -125,10 +176,7 @@ export class WebRTCController {
             sdpMLineIndex: event.candidate.sdpMLineIndex,
           };
 
-          // Detect if this is a browser client (UUID) or popup window (number)
-          const isBrowserClient = typeof windowId === 'string' && windowId.includes('-');
-
-          if (isBrowserClient) {
+          if (isBrowserClient(windowId)) {
             window.electronAPI.sendIceToBrowserClient(windowId, candidateData);
           } else {
             window.electronAPI.sendIceCandidate(windowId, candidateData, 'to-popup');
@@ -136,25 +184,22 @@ export class WebRTCController {
         }
       };
 
-      // Handle connection state changes
+      // Handle connection state changes - drops are recovered, not cleaned up
       pc.onconnectionstatechange = () => {
+        if (this.connections.get(windowId) !== pc) return; // Replaced by a fresh connection
         console.log(`WebRTC connection state for ${windowId}:`, pc.connectionState);
 
-        if (pc.connectionState === 'failed' || pc.connectionState === 'closed' || pc.connectionState === 'disconnected') {
-          console.log(`WebRTC connection ${pc.connectionState} for window ${windowId}, cleaning up`);
-
-          // Clean up interval if it exists
-          if (pc.audioChannelInterval) {
-            clearInterval(pc.audioChannelInterval);
-            pc.audioChannelInterval = null;
-          }
-
-          this.connections.delete(windowId);
-
-          // Notify that this connection is dead
-          if (this.onConnectionClosed) {
-            this.onConnectionClosed(windowId);
-          }
+        if (pc.connectionState === 'connected') {
+          this.clearRecovery(windowId);
+          this.setConnectionState(windowId, 'connected');
+          this.upgradeFromRelay(windowId);
+        } else if (pc.connectionState === 'disconnected') {
+          // Often recovers by itself (a brief network hiccup) - give it a moment first
+          this.setConnectionState(windowId, 'reconnecting');
+          this.scheduleRecovery(windowId, DISCONNECTED_GRACE_MS);
+        } else if (pc.connectionState === 'failed') {
+          this.setConnectionState(windowId, 'reconnecting');
+          this.scheduleRecovery(windowId, 0);
         }
       };
 
@@ -162,16 +207,18 @@ export class WebRTCController {
       const offer = await pc.createOffer();
       await pc.setLocalDescription(offer);
 
-      // Store connection
+      // Store connection (replacing a dead one being recovered)
+      const previous = this.connections.get(windowId);
+      if (previous) {
+        this.closePeerConnection(previous);
+      }
       this.connections.set(windowId, pc);
+      this.sendOffer(windowId, offer);
 
-      // Detect if this is a browser client (UUID) or popup window (number)
-      const isBrowserClient = typeof windowId === 'string' && windowId.includes('-');
-
-      if (isBrowserClient) {
-        window.electronAPI.sendOfferToBrowserClient(windowId, offer);
-      } else {
-        window.electronAPI.sendOffer(windowId, offer);
+      // Retry if the window never answers (e.g. it wasn't ready for the offer) - while recovering,
+      // the next attempt is already scheduled with backoff
+      if (!this.recovery.has(windowId)) {
+        this.scheduleRecovery(windowId, CONNECT_TIMEOUT_MS);
       }
 
       return pc;
@@ -181,6 +228,219 @@ export class WebRTCController {
     }
   }
 
+  sendOffer(windowId, offer) {
+    if (isBrowserClient(windowId)) {
+      window.electronAPI.sendOfferToBrowserClient(windowId, offer);
+    } else {
+      window.electronAPI.sendOffer(windowId, offer);
+    }
+  }
+
+  /**
+   * Renegotiate from scratch - e.g. a browser client whose page reloaded or lost its connection
+   * while offline comes back with the same ID
+   */
+  async reconnect(windowId) {
+    this.clearRecovery(windowId);
+    this.setConnectionState(windowId, 'reconnecting');
+    if (this.relays.has(windowId)) {
+      this.announceRelay(windowId); // The page may have reloaded and lost the relay
+    }
+    await this.createConnection(windowId);
+  }
+
+  /**
+   * Try to recover a connection after delayMs (default: backoff for the next attempt), unless
+   * a try is already scheduled
+   */
+  scheduleRecovery(windowId, delayMs = null) {
+    const recovery = this.recovery.get(windowId) || { attempt: 0, timeout: null };
+    if (recovery.timeout) return;
+
+    recovery.timeout = setTimeout(() => {
+      recovery.timeout = null;
+      this.recover(windowId);
+    }, delayMs ?? getReconnectDelay(recovery.attempt));
+    this.recovery.set(windowId, recovery);
+  }
+
+  async recover(windowId) {
+    const pc = this.connections.get(windowId);
+    const recovery = this.recovery.get(windowId);
+    if (!pc || !recovery) return; // Closed meanwhile
+    if (pc.connectionState === 'connected') {
+      this.clearRecovery(windowId);
+      return;
+    }
+
+    const attempt = recovery.attempt++;
+    this.setConnectionState(windowId, 'reconnecting');
+    try {
+      // An ICE restart keeps the DataChannels, but needs a connection that got as far as an answer
+      if (attempt < ICE_RESTART_ATTEMPTS && pc.signalingState === 'stable' && pc.remoteDescription) {
+        console.log(`Restarting ICE for window ${windowId} (attempt ${attempt + 1})`);
+        const offer = await pc.createOffer({ iceRestart: true });
+        await pc.setLocalDescription(offer);
+        this.sendOffer(windowId, offer);
+      } else {
+        console.log(`Reconnecting window ${windowId} with a fresh connection (attempt ${attempt + 1})`);
+        await this.createConnection(windowId);
+      }
+    } catch (error) {
+      console.error(`Failed to recover connection for window ${windowId}:`, error);
+    }
+
+    // Check again later - keeps trying until connected or the window closes
+    this.scheduleRecovery(windowId);
+  }
+
+  clearRecovery(windowId) {
+    const recovery = this.recovery.get(windowId);
+    if (recovery) {
+      clearTimeout(recovery.timeout);
+      this.recovery.delete(windowId);
+    }
+  }
+
+  setConnectionState(windowId, state) {
+    if (this.connectionStates.get(windowId) === state) return;
+    this.connectionStates.set(windowId, state);
+    this.connectionStateListeners.forEach((callback) => callback(windowId, state));
+
+    // A browser client that stays unconnected falls back to the relay
+    if (state === 'connected') {
+      clearTimeout(this.relayTimers.get(windowId));
+      this.relayTimers.delete(windowId);
+    } else if (isBrowserClient(windowId) && !this.relays.has(windowId) && !this.relayTimers.has(windowId)) {
+      const timer = setTimeout(() => {
+        this.relayTimers.delete(windowId);
+        if (this.getConnectionState(windowId) !== 'connected') {
+          this.startRelay(windowId);
+        }
+      }, RELAY_FALLBACK_MS);
+      this.relayTimers.set(windowId, timer);
+    }
+  }
+
+  /**
+   * Send a browser client its audio frames and control messages over Socket.IO (through main and
+   * the Express server) until its WebRTC connection is up - recovery keeps trying meanwhile
+   */
+  startRelay(windowId) {
+    if (this.relays.has(windowId) || !this.connections.has(windowId)) return;
+
+    console.log(`WebRTC not connected for ${windowId} - relaying over Socket.IO`);
+    // Relayed frames go out volatile - the server drops them rather than queue behind a slow socket
+    const sender = new AudioFrameSender(this.microphoneManager, {
+      send: (frame) => window.electronAPI.sendRelayAudio(windowId, frame),
+    });
+    sender.setRenderRate(this.connections.get(windowId).frameSender?.renderFps ?? null);
+    sender.start();
+    this.relays.set(windowId, sender);
+    this.announceRelay(windowId);
+    this.transportListeners.forEach((callback) => callback(windowId, 'relay'));
+  }
+
+  announceRelay(windowId) {
+    window.electronAPI.setBrowserClientRelay(windowId, true);
+    // Same as a control channel opening - services send the window its settings
+    this.controlOpenListeners.forEach((callback) => callback(windowId));
+  }
+
+  /**
+   * Back to WebRTC once the connection and both DataChannels are up
+   */
+  upgradeFromRelay(windowId) {
+    const pc = this.connections.get(windowId);
+    if (
+      !this.relays.has(windowId) ||
+      pc?.connectionState !== 'connected' ||
+      pc.audioChannel?.readyState !== 'open' ||
+      pc.controlChannel?.readyState !== 'open'
+    ) {
+      return;
+    }
+
+    console.log(`WebRTC connected for ${windowId} - leaving the Socket.IO relay`);
+    this.stopRelay(windowId);
+    window.electronAPI.setBrowserClientRelay(windowId, false);
+    this.transportListeners.forEach((callback) => callback(windowId, 'webrtc'));
+  }
+
+  stopRelay(windowId) {
+    clearTimeout(this.relayTimers.get(windowId));
+    this.relayTimers.delete(windowId);
+    this.relays.get(windowId)?.stop();
+    this.relays.delete(windowId);
+  }
+
+  /**
+   * How a window gets its audio and control messages - 'webrtc' or 'relay'
+   */
+  getTransport(windowId) {
+    return this.relays.has(windowId) ? 'relay' : 'webrtc';
+  }
+
+  /**
+   * Control message from a relayed browser client
+   */
+  handleRelayControlMessage(windowId, message) {
+    if (!this.connections.has(windowId) || !message || typeof message.type !== 'string') return;
+    this.handleControlMessage(windowId, message);
+  }
+
+  handleControlMessage(windowId, message) {
+    // Windows report how fast they render - no point sending audio faster than it's shown
+    if (message.type === 'render-stats') {
+      this.connections.get(windowId)?.frameSender?.setRenderRate(message.fps);
+      this.relays.get(windowId)?.setRenderRate(message.fps);
+    }
+    this.controlMessageListeners.forEach((callback) => callback(windowId, message));
+  }
+
+  /**
+   * Feed the connection's round trip (from the active ICE candidate pair) to its frame sender
+   */
+  async measureRoundTrip(pc) {
+    try {
+      const stats = await pc.getStats();
+      stats.forEach((report) => {
+        if (
+          report.type === 'candidate-pair' &&
+          report.nominated &&
+          report.state === 'succeeded' &&
+          Number.isFinite(report.currentRoundTripTime)
+        ) {
+          pc.frameSender?.setRoundTripTime(report.currentRoundTripTime * 1000);
+        }
+      });
+    } catch {
+      // Connection closed meanwhile
+    }
+  }
+
+  /**
+   * Audio send statistics for a window, from whichever transport is carrying its audio -
+   * { transport, sent, skipped, failed, intervalMs, bufferedAmount, roundTripMs, renderFps } or null
+   */
+  getAudioStats(windowId) {
+    const sender = this.relays.get(windowId) || this.connections.get(windowId)?.frameSender;
+    return sender ? { transport: this.getTransport(windowId), ...sender.getStats() } : null;
+  }
+
+  /**
+   * Get a window's connection state - 'connecting', 'connected', 'reconnecting' or 'disconnected'
+   */
+  getConnectionState(windowId) {
+    return this.connectionStates.get(windowId) || 'disconnected';
+  }
+
+  closePeerConnection(pc) {
+    pc.frameSender?.stop();
+    clearInterval(pc.roundTripInterval);
+    pc.close();
+  }
+
   /**
    * Handle answer from popup
    */
@@ -222,9 +482,12 @@ export class WebRTCController {
    * Close a connection
    */
   closeConnection(windowId) {
+    this.clearRecovery(windowId);
+    this.stopRelay(windowId);
+    this.connectionStates.delete(windowId);
     const pc = this.connections.get(windowId);
     if (pc) {
-      pc.close();
+      this.closePeerConnection(pc);
       this.connections.delete(windowId);
     }
   }
@@ -233,32 +496,48 @@ export class WebRTCController {
    * Close all connections
    */
   closeAllConnections() {
-    this.connections.forEach((pc) => pc.close());
+    this.recovery.forEach(({ timeout }) => clearTimeout(timeout));
+    this.recovery.clear();
+    [...this.relays.keys(), ...this.relayTimers.keys()].forEach((windowId) => this.stopRelay(windowId));
+    this.connectionStates.clear();
+    this.connections.forEach((pc) => this.closePeerConnection(pc));
     this.connections.clear();
   }
 
   /**
-   * Update microphone stream for all connections
+   * Audio source started, stopped or changed - senders pick up the new analyser timing at once
+   * (they also re-read it for every frame)
    */
   updateMicrophoneStream() {
-    // No-op: Audio data sending automatically adapts when microphone becomes available
-    // The sendAnalysisData function checks for analyser on every send and will
-    // switch from sending silence to sending real audio data automatically
-    console.log('Microphone stream updated - connections will start sending audio data');
+    this.connections.forEach((pc) => pc.frameSender?.updateTiming());
+    this.relays.forEach((sender) => sender.updateTiming());
+    console.log('Audio source updated - frame timing recomputed');
   }
 
   /**
-   * Get connection status
+   * Attach or detach the source audio on a popup's connection (while it records with audio)
    */
-  getConnectionStatus(windowId) {
+  async setSourceAudio(windowId, enabled) {
     const pc = this.connections.get(windowId);
-    return pc ? pc.connectionState : 'disconnected';
+    if (!pc || !pc.audioSender) return false;
+
+    const track = enabled ? await this.microphoneManager.getSourceAudioTrack() : null;
+    if (pc.audioSender.track !== track) {
+      await pc.audioSender.replaceTrack(track);
+    }
+    return true;
   }
 
   /**
    * Send control message via control DataChannel
    */
   sendControlMessage(windowId, message) {
+    // While relayed, an 'open' channel may sit on a dead connection - the relay is what arrives
+    if (this.relays.has(windowId)) {
+      window.electronAPI.sendRelayControl(windowId, message);
+      return true;
+    }
+
     const pc = this.connections.get(windowId);
     if (!pc || !pc.controlChannel || pc.controlChannel.readyState !== 'open') {
       return false;
@@ -272,4 +551,17 @@ export class WebRTCController {
       return false;
     }
   }
+
+  /**
+   * Send control message to every open connection
+   */
+  broadcastControlMessage(message) {
+    let sent = 0;
+    this.connections.forEach((_, windowId) => {
+      if (this.sendControlMessage(windowId, message)) {
+        sent++;
+      }
+    });
+    return sent;
+  }
 }
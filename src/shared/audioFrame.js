@@ -0,0 +1,259 @@
+/**
+ * Binary audio frame protocol for the `audioData` DataChannel
+ *
+ * Layout (little-endian):
+ *   0  uint32  magic ('BVAF')
+ *   4  uint8   version
+ *   5  uint8   channel layout (see CHANNEL_LAYOUT)
+ *   6  uint8   bit depth
+ *   7  uint8   flags (reserved, 0)
+ *   8  uint32  sequence number (wraps at 2^32)
+ *  12  float64 capture timestamp (ms since epoch, dashboard clock - see clockSync.js)
+ *  20  uint32  sample rate (Hz)
+ *  24  uint32  samples per channel (analyser fftSize)
+ *  28  ...     payload: planar channel blocks, one after another
+ */
+
+export const AUDIO_FRAME_MAGIC = 0x46415642; // 'BVAF' read as little-endian uint32
+export const AUDIO_FRAME_VERSION = 1;
+export const AUDIO_FRAME_HEADER_SIZE = 28;
+
+export const CHANNEL_LAYOUT = {
+  MONO: 1,
+  STEREO: 2, // Planar: left block then right block
+};
+
+const SUPPORTED_BIT_DEPTHS = [8];
+
+/**
+ * Encode channel sample arrays into a framed ArrayBuffer
+ */
+export function encodeAudioFrame({ sequence, timestamp, sampleRate, channels, bitDepth = 8 }) {
+  if (!channels || channels.length === 0) {
+    throw new Error('Audio frame needs at least one channel');
+  }
+  if (!Object.values(CHANNEL_LAYOUT).includes(channels.length)) {
+    throw new Error(`Unsupported channel count: ${channels.length}`);
+  }
+  if (!SUPPORTED_BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Unsupported bit depth: ${bitDepth}`);
+  }
+
+  const samplesPerChannel = channels[0].length;
+  if (channels.some((channel) => channel.length !== samplesPerChannel)) {
+    throw new Error('All channels must have the same number of samples');
+  }
+
+  const buffer = new ArrayBuffer(AUDIO_FRAME_HEADER_SIZE + samplesPerChannel * channels.length);
+  const view = new DataView(buffer);
+
+  view.setUint32(0, AUDIO_FRAME_MAGIC, true);
+  view.setUint8(4, AUDIO_FRAME_VERSION);
+  view.setUint8(5, channels.length);
+  view.setUint8(6, bitDepth);
+  view.setUint8(7, 0);
+  view.setUint32(8, sequence >>> 0, true);
+  view.setFloat64(12, timestamp, true);
+  view.setUint32(20, sampleRate, true);
+  view.setUint32(24, samplesPerChannel, true);
+
+  const payload = new Uint8Array(buffer, AUDIO_FRAME_HEADER_SIZE);
+  channels.forEach((channel, i) => {
+    payload.set(channel, i * samplesPerChannel);
+  });
+
+  return buffer;
+}
+
+/**
+ * Decode a framed ArrayBuffer (channel arrays are views into the buffer)
+ */
+export function decodeAudioFrame(buffer) {
+  if (!(buffer instanceof ArrayBuffer)) {
+    throw new Error('Audio frame must be an ArrayBuffer');
+  }
+  if (buffer.byteLength < AUDIO_FRAME_HEADER_SIZE) {
+    throw new Error(`Audio frame too short: ${buffer.byteLength} bytes`);
+  }
+
+  const view = new DataView(buffer);
+
+  const magic = view.getUint32(0, true);
+  if (magic !== AUDIO_FRAME_MAGIC) {
+    throw new Error(`Bad audio frame magic: 0x${magic.toString(16)}`);
+  }
+
+  const version = view.getUint8(4);
+  if (version !== AUDIO_FRAME_VERSION) {
+    throw new Error(`Unsupported audio frame version: ${version}`);
+  }
+
+  const channelLayout = view.getUint8(5);
+  if (!Object.values(CHANNEL_LAYOUT).includes(channelLayout)) {
+    throw new Error(`Unsupported channel layout: ${channelLayout}`);
+  }
+
+  const bitDepth = view.getUint8(6);
+  if (!SUPPORTED_BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Unsupported bit depth: ${bitDepth}`);
+  }
+
+  const samplesPerChannel = view.getUint32(24, true);
+  const expectedSize = AUDIO_FRAME_HEADER_SIZE + samplesPerChannel * channelLayout;
+  if (buffer.byteLength !== expectedSize) {
+    throw new Error(`Audio frame size mismatch: expected ${expectedSize} bytes, got ${buffer.byteLength}`);
+  }
+
+  const channels = [];
+  for (let i = 0; i < channelLayout; i++) {
+    channels.push(new Uint8Array(buffer, AUDIO_FRAME_HEADER_SIZE + i * samplesPerChannel, samplesPerChannel));
+  }
+
+  return {
+    version,
+    channelLayout,
+    bitDepth,
+    sequence: view.getUint32(8, true),
+    timestamp: view.getFloat64(12, true),
+    sampleRate: view.getUint32(20, true),
+    samplesPerChannel,
+    channels,
+  };
+}
+
+const MAX_TRACKED_GAPS = 32; // Late frames from older gaps than this are no longer taken off the drop count
+
+/**
+ * FrameSequenceTracker - Detects dropped and reordered frames on an unordered channel
+ */
+export class FrameSequenceTracker {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Record a sequence number. Returns false if the frame is stale (older than
+   * or equal to the newest frame seen) and should be discarded.
+   */
+  accept(sequence) {
+    this.received++;
+
+    if (this.lastSequence === null) {
+      this.lastSequence = sequence;
+      return true;
+    }
+
+    // Signed 32-bit difference handles wrap-around at 2^32
+    const delta = (sequence - this.lastSequence) | 0;
+
+    if (delta === 0) {
+      this.duplicates++;
+      return false;
+    }
+
+    if (delta < 0) {
+      // Arrived after a newer frame - count it as reordered, and recover it from the drop count
+      // if it was counted as dropped
+      this.reordered++;
+      if (this.fillGap(sequence)) {
+        this.dropped--;
+      }
+      return false;
+    }
+
+    if (delta > 1) {
+      this.gaps.push({ start: (this.lastSequence + 1) >>> 0, end: sequence });
+      if (this.gaps.length > MAX_TRACKED_GAPS) {
+        this.gaps.shift();
+      }
+    }
+    this.dropped += delta - 1;
+    this.lastSequence = sequence;
+    return true;
+  }
+
+  /**
+   * Take a late frame out of the gap it was counted as dropped in (gaps are [start, end) ranges
+   * of missing sequence numbers). Returns false if it wasn't in one
+   */
+  fillGap(sequence) {
+    const index = this.gaps.findIndex(
+      ({ start, end }) => ((sequence - start) | 0) >= 0 && ((end - sequence) | 0) > 0
+    );
+    if (index === -1) {
+      return false;
+    }
+
+    const { start, end } = this.gaps[index];
+    const next = (sequence + 1) >>> 0;
+    const pieces = [];
+    if (sequence !== start) {
+      pieces.push({ start, end: sequence });
+    }
+    if (next !== end) {
+      pieces.push({ start: next, end });
+    }
+    this.gaps.splice(index, 1, ...pieces);
+    return true;
+  }
+
+  /**
+   * Get counters since last reset
+   */
+  getStats() {
+    return {
+      received: this.received,
+      dropped: this.dropped,
+      reordered: this.reordered,
+      duplicates: this.duplicates,
+      lastSequence: this.lastSequence,
+    };
+  }
+
+  /**
+   * Clear all counters
+   */
+  reset() {
+    this.lastSequence = null;
+    this.gaps = [];
+    this.received = 0;
+    this.dropped = 0;
+    this.reordered = 0;
+    this.duplicates = 0;
+  }
+}
+
+/**
+ * FrameJitterMeter - Interarrival jitter of in-order frames (RFC 3550 estimator)
+ *
+ * Compares the spacing of arrival times with the spacing of the frames' capture timestamps, so
+ * a steady clock offset between sender and receiver cancels out. Smoothed over ~16 frames.
+ */
+export class FrameJitterMeter {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Record a frame's capture timestamp and local arrival time (both ms)
+   */
+  record(timestamp, arrivalTime) {
+    if (this.last) {
+      const transitDelta = arrivalTime - this.last.arrivalTime - (timestamp - this.last.timestamp);
+      this.jitter += (Math.abs(transitDelta) - this.jitter) / 16;
+    }
+    this.last = { timestamp, arrivalTime };
+  }
+
+  /**
+   * Current jitter estimate in ms
+   */
+  getJitter() {
+    return this.jitter;
+  }
+
+  reset() {
+    this.last = null;
+    this.jitter = 0;
+  }
+}
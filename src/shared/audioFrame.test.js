@@ -0,0 +1,174 @@
+import { describe, it, expect } from 'vitest';
+import {
+  AUDIO_FRAME_HEADER_SIZE,
+  AUDIO_FRAME_VERSION,
+  CHANNEL_LAYOUT,
+  FrameJitterMeter,
+  FrameSequenceTracker,
+  decodeAudioFrame,
+  encodeAudioFrame,
+} from './audioFrame.js';
+
+const makeChannel = (length, offset = 0) => Uint8Array.from({ length }, (_, i) => (i + offset) % 256);
+
+describe('audioFrame codec', () => {
+  it('round-trips a stereo frame with header metadata', () => {
+    const left = makeChannel(2048);
+    const right = makeChannel(2048, 100);
+
+    const buffer = encodeAudioFrame({
+      sequence: 42,
+      timestamp: 1700000000123.5,
+      sampleRate: 48000,
+      channels: [left, right],
+    });
+
+    expect(buffer.byteLength).toBe(AUDIO_FRAME_HEADER_SIZE + 2048 * 2);
+
+    const frame = decodeAudioFrame(buffer);
+    expect(frame.version).toBe(AUDIO_FRAME_VERSION);
+    expect(frame.channelLayout).toBe(CHANNEL_LAYOUT.STEREO);
+    expect(frame.bitDepth).toBe(8);
+    expect(frame.sequence).toBe(42);
+    expect(frame.timestamp).toBe(1700000000123.5);
+    expect(frame.sampleRate).toBe(48000);
+    expect(frame.samplesPerChannel).toBe(2048);
+    expect(Array.from(frame.channels[0])).toEqual(Array.from(left));
+    expect(Array.from(frame.channels[1])).toEqual(Array.from(right));
+  });
+
+  it('round-trips a mono frame', () => {
+    const mono = makeChannel(1024);
+    const frame = decodeAudioFrame(
+      encodeAudioFrame({ sequence: 0, timestamp: 0, sampleRate: 44100, channels: [mono] })
+    );
+
+    expect(frame.channelLayout).toBe(CHANNEL_LAYOUT.MONO);
+    expect(frame.channels).toHaveLength(1);
+    expect(Array.from(frame.channels[0])).toEqual(Array.from(mono));
+  });
+
+  it('wraps the sequence number at 2^32', () => {
+    const frame = decodeAudioFrame(
+      encodeAudioFrame({ sequence: 2 ** 32 + 5, timestamp: 0, sampleRate: 48000, channels: [makeChannel(4)] })
+    );
+    expect(frame.sequence).toBe(5);
+  });
+
+  it('rejects mismatched channel lengths and unsupported formats on encode', () => {
+    expect(() =>
+      encodeAudioFrame({ sequence: 0, timestamp: 0, sampleRate: 48000, channels: [makeChannel(4), makeChannel(8)] })
+    ).toThrow('same number of samples');
+    expect(() => encodeAudioFrame({ sequence: 0, timestamp: 0, sampleRate: 48000, channels: [] })).toThrow(
+      'at least one channel'
+    );
+    expect(() =>
+      encodeAudioFrame({ sequence: 0, timestamp: 0, sampleRate: 48000, channels: [makeChannel(4)], bitDepth: 16 })
+    ).toThrow('bit depth');
+  });
+
+  it('rejects raw unframed buffers', () => {
+    expect(() => decodeAudioFrame(new Uint8Array(2048).fill(128).buffer)).toThrow('magic');
+    expect(() => decodeAudioFrame(new ArrayBuffer(8))).toThrow('too short');
+    expect(() => decodeAudioFrame(new Uint8Array(64))).toThrow('ArrayBuffer');
+  });
+
+  it('rejects unknown versions and truncated payloads', () => {
+    const buffer = encodeAudioFrame({ sequence: 1, timestamp: 0, sampleRate: 48000, channels: [makeChannel(16)] });
+
+    const badVersion = buffer.slice(0);
+    new DataView(badVersion).setUint8(4, AUDIO_FRAME_VERSION + 1);
+    expect(() => decodeAudioFrame(badVersion)).toThrow('version');
+
+    expect(() => decodeAudioFrame(buffer.slice(0, buffer.byteLength - 1))).toThrow('size mismatch');
+  });
+});
+
+describe('FrameSequenceTracker', () => {
+  it('accepts in-order frames without counting drops', () => {
+    const tracker = new FrameSequenceTracker();
+    expect([0, 1, 2, 3].map((seq) => tracker.accept(seq))).toEqual([true, true, true, true]);
+    expect(tracker.getStats()).toMatchObject({ received: 4, dropped: 0, reordered: 0, lastSequence: 3 });
+  });
+
+  it('counts gaps as dropped frames', () => {
+    const tracker = new FrameSequenceTracker();
+    tracker.accept(10);
+    tracker.accept(14);
+    expect(tracker.getStats().dropped).toBe(3);
+  });
+
+  it('discards late frames and recovers them from the drop count', () => {
+    const tracker = new FrameSequenceTracker();
+    tracker.accept(1);
+    tracker.accept(3);
+    expect(tracker.accept(2)).toBe(false);
+    expect(tracker.getStats()).toMatchObject({ dropped: 0, reordered: 1, lastSequence: 3 });
+  });
+
+  it('does not take stale frames after a clean run off the drop count', () => {
+    const tracker = new FrameSequenceTracker();
+    tracker.accept(1);
+    tracker.accept(3); // 2 dropped
+    tracker.accept(4);
+    tracker.accept(5);
+    expect(tracker.accept(0)).toBe(false); // Older than anything counted as dropped
+    expect(tracker.accept(4)).toBe(false);
+    expect(tracker.getStats()).toMatchObject({ dropped: 1, reordered: 2 });
+
+    expect(tracker.accept(2)).toBe(false);
+    expect(tracker.accept(2)).toBe(false); // Already recovered
+    expect(tracker.getStats()).toMatchObject({ dropped: 0, reordered: 4 });
+  });
+
+  it('recovers each missing frame of a gap once, across wrap-around', () => {
+    const tracker = new FrameSequenceTracker();
+    tracker.accept(2 ** 32 - 3);
+    tracker.accept(2); // Missing 2^32 - 2, 2^32 - 1, 0 and 1
+    expect(tracker.getStats().dropped).toBe(4);
+
+    [0, 2 ** 32 - 2, 0, 1, 2 ** 32 - 1, 1].forEach((seq) => expect(tracker.accept(seq)).toBe(false));
+    expect(tracker.getStats()).toMatchObject({ dropped: 0, reordered: 6 });
+  });
+
+  it('discards duplicates', () => {
+    const tracker = new FrameSequenceTracker();
+    tracker.accept(7);
+    expect(tracker.accept(7)).toBe(false);
+    expect(tracker.getStats().duplicates).toBe(1);
+  });
+
+  it('handles sequence wrap-around', () => {
+    const tracker = new FrameSequenceTracker();
+    tracker.accept(2 ** 32 - 1);
+    expect(tracker.accept(0)).toBe(true);
+    expect(tracker.getStats().dropped).toBe(0);
+  });
+
+  it('resets counters', () => {
+    const tracker = new FrameSequenceTracker();
+    tracker.accept(1);
+    tracker.accept(5);
+    tracker.reset();
+    expect(tracker.getStats()).toEqual({ received: 0, dropped: 0, reordered: 0, duplicates: 0, lastSequence: null });
+  });
+});
+
+describe('FrameJitterMeter', () => {
+  it('reports no jitter for evenly spaced frames, whatever the clock offset', () => {
+    const meter = new FrameJitterMeter();
+    for (let i = 0; i < 10; i++) {
+      meter.record(1000 + i * 40, 500000 + i * 40);
+    }
+    expect(meter.getJitter()).toBe(0);
+  });
+
+  it('smooths irregular arrivals', () => {
+    const meter = new FrameJitterMeter();
+    meter.record(0, 0);
+    meter.record(40, 56);
+    expect(meter.getJitter()).toBe(1);
+    meter.reset();
+    expect(meter.getJitter()).toBe(0);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Shared time base for the dashboard, popups and browser clients
+ *
+ * The dashboard's clock is the reference: audio frames are stamped with it and preset changes
+ * are scheduled on it. The dashboard pings each window over the control channel NTP-style
+ * ({ t0 } out, { t0, t1, t2 } back, t3 on arrival) and sends it its offset, so every window can
+ * read the dashboard's time from its own clock.
+ */
+
+export const SYNC_FRAME_RATE = 60; // Fixed time step for windows that render in lockstep
+export const SYNC_START_DELAY_MS = 250; // Synced changes are scheduled this far ahead so every window gets them in time
+export const CLOCK_SYNC_INTERVAL_MS = 5000; // Between pings once a window is synced
+export const CLOCK_SYNC_BURST = 5; // Pings sent in quick succession when a window connects
+export const MAX_AUDIO_DELAY_MS = 1000;
+
+export const DEFAULT_RENDER_SYNC = {
+  enabled: false,
+  audioDelayMs: 150, // Audio is shown this long after the dashboard captured it
+};
+
+const MAX_SAMPLES = 8;
+
+/**
+ * This process's clock in ms since the epoch - monotonic, unlike Date.now()
+ */
+export function clockNow() {
+  return performance.timeOrigin + performance.now();
+}
+
+/**
+ * Start time (reference clock) for a change several windows should make together
+ */
+export function syncStartTime() {
+  return clockNow() + SYNC_START_DELAY_MS;
+}
+
+/**
+ * Fill in defaults and clamp values
+ */
+export function normalizeRenderSync(config = {}) {
+  const merged = { ...DEFAULT_RENDER_SYNC, ...(config || {}) };
+  const delay = Math.round(Number(merged.audioDelayMs));
+  return {
+    enabled: merged.enabled === true,
+    audioDelayMs: Number.isFinite(delay)
+      ? Math.min(MAX_AUDIO_DELAY_MS, Math.max(0, delay))
+      : DEFAULT_RENDER_SYNC.audioDelayMs,
+  };
+}
+
+/**
+ * ClockEstimator - Works out a remote clock's offset from ping/pong round trips
+ *
+ * Each round trip gives offset = ((t1 - t0) + (t2 - t3)) / 2, which is off by at most half the
+ * asymmetry of the trip. The recent sample with the shortest round trip is the most trustworthy,
+ * so that one is used.
+ */
+export class ClockEstimator {
+  constructor() {
+    this.samples = []; // [{ offset, rtt }], newest last
+  }
+
+  /**
+   * Record a round trip - t0/t3 on the local clock, t1/t2 on the remote one
+   */
+  addSample({ t0, t1, t2 }, t3 = clockNow()) {
+    if (![t0, t1, t2, t3].every(Number.isFinite)) return;
+    const rtt = t3 - t0 - (t2 - t1);
+    if (rtt < 0) return;
+
+    this.samples.push({ offset: (t1 - t0 + (t2 - t3)) / 2, rtt });
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Best estimate { offset, rtt } (remote clock minus local clock, in ms) - null before any sample
+   */
+  getEstimate() {
+    if (this.samples.length === 0) return null;
+    return this.samples.reduce((best, sample) => (sample.rtt < best.rtt ? sample : best));
+  }
+
+  getSampleCount() {
+    return this.samples.length;
+  }
+}
+
+/**
+ * SyncedClock - A window's view of the dashboard clock, using the offset the dashboard sent
+ */
+export class SyncedClock {
+  constructor() {
+    this.offset = null; // Local clock minus dashboard clock (ms)
+  }
+
+  setOffset(offset) {
+    this.offset = Number.isFinite(offset) ? offset : null;
+  }
+
+  isSynced() {
+    return this.offset !== null;
+  }
+
+  /**
+   * Dashboard time now - the local clock until the first offset arrives
+   */
+  now() {
+    return clockNow() - (this.offset || 0);
+  }
+}
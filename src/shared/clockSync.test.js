@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { ClockEstimator, MAX_AUDIO_DELAY_MS, SyncedClock, normalizeRenderSync } from './clockSync.js';
+
+// A round trip to a clock `offset` ms ahead, taking `out` ms there and `back` ms back
+const roundTrip = (t0, offset, out, back, processing = 1) => {
+  const t1 = t0 + out + offset;
+  const t2 = t1 + processing;
+  return [{ t0, t1, t2 }, t2 - offset + back];
+};
+
+describe('ClockEstimator', () => {
+  it('has no estimate before the first sample', () => {
+    const estimator = new ClockEstimator();
+    expect(estimator.getEstimate()).toBeNull();
+    expect(estimator.getSampleCount()).toBe(0);
+  });
+
+  it('recovers the offset exactly from a symmetric round trip', () => {
+    const estimator = new ClockEstimator();
+    estimator.addSample(...roundTrip(1000, 250, 5, 5));
+    expect(estimator.getEstimate()).toEqual({ offset: 250, rtt: 10 });
+  });
+
+  it('uses the sample with the shortest round trip', () => {
+    const estimator = new ClockEstimator();
+    estimator.addSample(...roundTrip(1000, -40, 30, 2)); // Asymmetric - off by 14 ms
+    estimator.addSample(...roundTrip(2000, -40, 1, 1));
+    estimator.addSample(...roundTrip(3000, -40, 2, 20));
+
+    expect(estimator.getEstimate()).toEqual({ offset: -40, rtt: 2 });
+    expect(estimator.getSampleCount()).toBe(3);
+  });
+
+  it('ignores incomplete samples and negative round trips', () => {
+    const estimator = new ClockEstimator();
+    estimator.addSample({ t0: 1, t1: 2 }, 3);
+    estimator.addSample({ t0: 10, t1: 12, t2: 30 }, 11); // Remote took longer than the whole trip
+    expect(estimator.getSampleCount()).toBe(0);
+  });
+
+  it('only keeps recent samples, so an old fast round trip ages out', () => {
+    const estimator = new ClockEstimator();
+    estimator.addSample(...roundTrip(0, 100, 0.5, 0.5));
+    for (let i = 1; i <= 50; i++) {
+      estimator.addSample(...roundTrip(i * 1000, 200, 5, 5));
+    }
+    expect(estimator.getEstimate().offset).toBe(200);
+  });
+});
+
+describe('SyncedClock', () => {
+  it('reads the local clock until synced, then the dashboard clock', () => {
+    const clock = new SyncedClock();
+    expect(clock.isSynced()).toBe(false);
+    expect(Math.abs(clock.now() - (performance.timeOrigin + performance.now()))).toBeLessThan(50);
+
+    clock.setOffset(10000); // Local clock 10 s ahead of the dashboard's
+    expect(clock.isSynced()).toBe(true);
+    expect(Math.abs(clock.now() + 10000 - (performance.timeOrigin + performance.now()))).toBeLessThan(50);
+
+    clock.setOffset(NaN);
+    expect(clock.isSynced()).toBe(false);
+  });
+});
+
+describe('normalizeRenderSync', () => {
+  it('fills in defaults and clamps the audio delay', () => {
+    expect(normalizeRenderSync()).toEqual({ enabled: false, audioDelayMs: 150 });
+    expect(normalizeRenderSync({ enabled: true, audioDelayMs: '80.4' })).toEqual({ enabled: true, audioDelayMs: 80 });
+    expect(normalizeRenderSync({ audioDelayMs: -5 }).audioDelayMs).toBe(0);
+    expect(normalizeRenderSync({ audioDelayMs: 1e6 }).audioDelayMs).toBe(MAX_AUDIO_DELAY_MS);
+    expect(normalizeRenderSync({ enabled: 'yes', audioDelayMs: 'soon' })).toEqual({ enabled: false, audioDelayMs: 150 });
+  });
+});
@@ -0,0 +1,38 @@
+/**
+ * Connection recovery shared by the dashboard and the visualization windows
+ *
+ * The dashboard drives recovery: a peer connection that drops to 'disconnected' gets a short
+ * grace period, then ICE restarts (same connection, new network path) and, if those don't take,
+ * a fresh connection with new DataChannels - retried with exponential backoff until the window
+ * closes. Windows tell the two apart by the offer's SDP session ID, which stays the same for
+ * renegotiations of one RTCPeerConnection.
+ *
+ * A browser client whose peer connection isn't up within RELAY_FALLBACK_MS (ICE never completes
+ * on some networks) gets its audio frames and control messages relayed over Socket.IO through the
+ * Express server instead, until WebRTC connects.
+ */
+
+export const CONNECT_TIMEOUT_MS = 10000; // A new connection not up by then is retried
+export const DISCONNECTED_GRACE_MS = 3000; // 'disconnected' often recovers by itself
+export const ICE_RESTART_ATTEMPTS = 2; // Before falling back to a fresh connection
+export const RECONNECT_BASE_DELAY_MS = 1000;
+export const RECONNECT_MAX_DELAY_MS = 30000;
+export const RELAY_FALLBACK_MS = 8000; // A browser client not connected by then is relayed over Socket.IO
+export const CLIENT_RECONNECT_GRACE_MS = 15000; // How long the server keeps a browser client's slot after its socket drops
+
+/**
+ * Delay before recovery attempt N (0-based) - doubles each time, with jitter so many windows
+ * don't retry in lockstep
+ */
+export function getReconnectDelay(attempt) {
+  const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Session ID from an SDP's o= line (null if missing)
+ */
+export function getSdpSessionId(sdp) {
+  const match = /^o=\S+ (\d+) /m.exec(sdp || '');
+  return match ? match[1] : null;
+}
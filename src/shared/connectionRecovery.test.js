@@ -0,0 +1,55 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  getReconnectDelay,
+  getSdpSessionId,
+  RECONNECT_BASE_DELAY_MS,
+  RECONNECT_MAX_DELAY_MS,
+} from './connectionRecovery.js';
+
+describe('getReconnectDelay', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('doubles with each attempt', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.5); // No jitter
+    expect([0, 1, 2, 3, 4].map(getReconnectDelay)).toEqual([1000, 2000, 4000, 8000, 16000]);
+  });
+
+  it('caps the delay at the maximum', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+    expect(getReconnectDelay(5)).toBe(RECONNECT_MAX_DELAY_MS);
+    expect(getReconnectDelay(50)).toBe(RECONNECT_MAX_DELAY_MS);
+  });
+
+  it('jitters by up to 20% either way', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    expect(getReconnectDelay(0)).toBe(RECONNECT_BASE_DELAY_MS * 0.8);
+    expect(getReconnectDelay(50)).toBe(RECONNECT_MAX_DELAY_MS * 0.8);
+
+    Math.random.mockReturnValue(0.999999);
+    expect(getReconnectDelay(0)).toBe(RECONNECT_BASE_DELAY_MS * 1.2);
+    expect(getReconnectDelay(50)).toBe(RECONNECT_MAX_DELAY_MS * 1.2);
+  });
+
+  it('stays within the jitter bounds with real randomness', () => {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const base = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** attempt);
+      const delay = getReconnectDelay(attempt);
+      expect(delay).toBeGreaterThanOrEqual(base * 0.8);
+      expect(delay).toBeLessThanOrEqual(base * 1.2);
+    }
+  });
+});
+
+describe('getSdpSessionId', () => {
+  it('reads the session ID from the o= line', () => {
+    const sdp = 'v=0\r\no=- 4611731400430051336 2 IN IP4 127.0.0.1\r\ns=-\r\n';
+    expect(getSdpSessionId(sdp)).toBe('4611731400430051336');
+  });
+
+  it('returns null without an o= line', () => {
+    expect(getSdpSessionId('v=0\r\ns=-\r\n')).toBeNull();
+    expect(getSdpSessionId(undefined)).toBeNull();
+  });
+});
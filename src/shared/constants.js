@@ -11,17 +11,20 @@ export const PRESET_CATEGORIES = [
   { id: 'flexi', label: 'Flexi' },
   { id: 'shifter', label: 'Shifter' },
   { id: 'other', label: 'Other' },
+  { id: 'imported', label: 'Imported' },
+  { id: 'folder', label: 'Folders' },
 ];
 
 export const AUDIO_CONFIG = {
   sampleRate: 48000,
+  channelCount: 2, // Stereo capture (mono devices are up-mixed to L = R)
   echoCancellation: false,
   noiseSuppression: false,
   autoGainControl: false,
 };
 
 export const WEBRTC_CONFIG = {
-  iceServers: [], // Local connection only
+  iceServers: [], // Local connection only - browser clients get the ICE settings' servers (main/turnServer.js)
 };
 
 export const BUTTERCHURN_CONFIG = {
@@ -25,6 +25,37 @@ export const IPC_CHANNELS = {
   PRESET_CHANGED: 'preset:changed',
   PRESET_LOADED: 'preset:loaded',
 
+  // Imported user presets (.milk / butterchurn JSON)
+  PRESET_GET_IMPORTED: 'preset:get-imported',
+  PRESET_IMPORT: 'preset:import',
+  PRESET_DELETE_IMPORTED: 'preset:delete-imported',
+  PRESET_IMPORTED_UPDATED: 'preset:imported-updated',
+  PRESET_GET_USER: 'preset:get-user',
+  PRESET_SAVE_USER: 'preset:save-user',
+
+  // Watched preset folders (hot reloaded)
+  PRESET_FOLDERS_GET: 'preset:folders-get',
+  PRESET_FOLDERS_ADD: 'preset:folders-add',
+  PRESET_FOLDERS_REMOVE: 'preset:folders-remove',
+  PRESET_FOLDERS_UPDATED: 'preset:folders-updated',
+
+  // Favorites, star ratings and tags
+  PRESET_META_GET: 'preset:metadata-get',
+  PRESET_META_TOGGLE_FAVORITE: 'preset:metadata-toggle-favorite',
+  PRESET_META_SET_RATING: 'preset:metadata-set-rating',
+  PRESET_META_SET_TAGS: 'preset:metadata-set-tags',
+  PRESET_META_EXPORT: 'preset:metadata-export',
+  PRESET_META_UPDATED: 'preset:metadata-updated',
+
+  // Preset blocklist profiles (named disabled-preset lists)
+  PRESET_PROFILE_GET_ALL: 'preset-profile:get-all',
+  PRESET_PROFILE_SAVE: 'preset-profile:save',
+  PRESET_PROFILE_DELETE: 'preset-profile:delete',
+  PRESET_PROFILE_ACTIVATE: 'preset-profile:activate',
+  PRESET_PROFILE_IMPORT: 'preset-profile:import',
+  PRESET_PROFILE_EXPORT: 'preset-profile:export',
+  PRESET_PROFILE_UPDATED: 'preset-profile:updated',
+
   // WebRTC Signaling
   WEBRTC_CREATE: 'webrtc:create-connection',
   WEBRTC_OFFER: 'webrtc:offer',
@@ -42,6 +73,65 @@ export const IPC_CHANNELS = {
   SETTINGS_SET: 'settings:set',
   SETTINGS_GET_ALL: 'settings:get-all',
   SETTINGS_TOGGLE_PRESET: 'settings:toggle-preset',
+  SETTINGS_DISABLE_PRESET: 'settings:disable-preset',
+
+  // Playlists
+  PLAYLIST_GET_ALL: 'playlist:get-all',
+  PLAYLIST_SAVE: 'playlist:save',
+  PLAYLIST_DELETE: 'playlist:delete',
+  PLAYLIST_UPDATED: 'playlist:updated',
+  PLAYLIST_COMMAND: 'playlist:command',
+  PLAYLIST_ROTATION_CHANGED: 'playlist:rotation-changed',
+
+  // Layouts (scenes)
+  LAYOUT_GET_ALL: 'layout:get-all',
+  LAYOUT_SAVE: 'layout:save',
+  LAYOUT_RESTORE: 'layout:restore',
+  LAYOUT_DELETE: 'layout:delete',
+  LAYOUT_UPDATED: 'layout:updated',
+
+  // Video wall (one visualization across several windows)
+  WALL_GET: 'wall:get',
+  WALL_SET_CONFIG: 'wall:set-config',
+  WALL_ASSIGN_TILE: 'wall:assign-tile',
+  WALL_UPDATED: 'wall:updated',
+
+  // Remote access (pairing and tokens)
+  AUTH_GET_STATE: 'auth:get-state',
+  AUTH_CREATE_PIN: 'auth:create-pin',
+  AUTH_CANCEL_PIN: 'auth:cancel-pin',
+  AUTH_REVOKE_TOKEN: 'auth:revoke-token',
+  AUTH_UPDATED: 'auth:updated',
+
+  // Web remote (/remote) - commands relayed to the dashboard, dashboard state published back
+  REMOTE_COMMAND: 'remote:command',
+  REMOTE_STATE: 'remote:state',
+  PRESET_CATALOG: 'preset:catalog',
+
+  // Connection diagnostics - gathered by the dashboard, served at /api/diagnostics
+  DIAGNOSTICS_REPORT: 'diagnostics:report',
+
+  // OSC control input and audio feature output
+  OSC_GET_CONFIG: 'osc:get-config',
+  OSC_SET_CONFIG: 'osc:set-config',
+  OSC_UPDATED: 'osc:updated',
+  OSC_FEATURES: 'osc:features',
+  OSC_BEAT: 'osc:beat',
+
+  // ICE servers and the built-in STUN/TURN server
+  ICE_GET_CONFIG: 'ice:get-config',
+  ICE_SET_CONFIG: 'ice:set-config',
+  ICE_UPDATED: 'ice:updated',
+
+  // Recording (popup canvas → WebM file)
+  RECORDING_START: 'recording:start',
+  RECORDING_STOP: 'recording:stop',
+  RECORDING_GET_STATE: 'recording:get-state',
+  RECORDING_CHOOSE_FOLDER: 'recording:choose-folder',
+  RECORDING_UPDATED: 'recording:updated',
+  RECORDING_COMMAND: 'recording:command',
+  RECORDING_CHUNK: 'recording:chunk',
+  RECORDING_STOPPED: 'recording:stopped',
 
   // Browser Clients (Socket.IO WebRTC signaling)
   BROWSER_CLIENT_READY: 'browser-client:ready',
@@ -49,4 +139,8 @@ export const IPC_CHANNELS = {
   BROWSER_CLIENT_ICE: 'browser-client:ice',
   BROWSER_CLIENT_ANSWER: 'browser-client:answer-from-browser',
   BROWSER_CLIENT_ICE_FROM_BROWSER: 'browser-client:ice-from-browser',
+  BROWSER_CLIENT_RELAY: 'browser-client:relay',
+  BROWSER_CLIENT_RELAY_AUDIO: 'browser-client:relay-audio',
+  BROWSER_CLIENT_RELAY_CONTROL: 'browser-client:relay-control',
+  BROWSER_CLIENT_RELAY_CONTROL_FROM_BROWSER: 'browser-client:relay-control-from-browser',
 };
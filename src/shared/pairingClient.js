@@ -0,0 +1,69 @@
+/**
+ * PairingClient - Exchanges a pairing PIN for an access token and keeps it in localStorage
+ * Each web bundle uses its own storageKey so a viewer screen and a remote on one device don't clash
+ */
+export class PairingClient {
+  constructor(storageKey) {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Get the stored token (null if this browser hasn't paired)
+   */
+  getToken() {
+    try {
+      return localStorage.getItem(this.storageKey);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Forget the stored token (e.g. after it was revoked)
+   */
+  clearToken() {
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch {
+      // Storage unavailable (private mode) - nothing to clear
+    }
+  }
+
+  /**
+   * Pair with a PIN shown on the dashboard - resolves to { token, id, role }
+   */
+  async pair(pin, name) {
+    const response = await fetch('/api/pair', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pin: String(pin).trim(), name }),
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `Pairing failed (${response.status})`);
+    }
+
+    try {
+      localStorage.setItem(this.storageKey, result.token);
+    } catch {
+      console.warn('⚠️ Could not store token - pairing will not survive a reload');
+    }
+
+    console.log(`🔐 Paired as ${result.role}`);
+    return result;
+  }
+
+  /**
+   * Read a ?pin= from the QR code URL and strip it so it doesn't linger in history
+   */
+  takePinFromUrl() {
+    const url = new URL(window.location.href);
+    const pin = url.searchParams.get('pin');
+    if (pin) {
+      url.searchParams.delete('pin');
+      window.history.replaceState(null, '', url);
+    }
+    return pin;
+  }
+}
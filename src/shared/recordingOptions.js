@@ -0,0 +1,34 @@
+/**
+ * Recording options shared by the dashboard, popups and the main process
+ */
+
+// Output sizes - 'window' records the canvas at its current size
+export const RECORDING_RESOLUTIONS = {
+  window: { label: 'Window size', width: null, height: null },
+  '720p': { label: '720p', width: 1280, height: 720 },
+  '1080p': { label: '1080p', width: 1920, height: 1080 },
+  '1440p': { label: '1440p', width: 2560, height: 1440 },
+  '2160p': { label: '4K', width: 3840, height: 2160 },
+};
+
+export const RECORDING_BITRATES = [4, 8, 16, 32]; // Video Mbps
+
+export const RECORDING_FRAME_RATE = 30;
+
+export const DEFAULT_RECORDING_OPTIONS = {
+  resolution: 'window',
+  bitrate: 8,
+  audio: true, // Include the source audio (mic or file) alongside the video
+};
+
+/**
+ * Fill in defaults and drop unknown values (e.g. from the REST API)
+ */
+export function normalizeRecordingOptions(options = {}) {
+  const { resolution, bitrate, audio } = options || {};
+  return {
+    resolution: RECORDING_RESOLUTIONS[resolution] ? resolution : DEFAULT_RECORDING_OPTIONS.resolution,
+    bitrate: RECORDING_BITRATES.includes(Number(bitrate)) ? Number(bitrate) : DEFAULT_RECORDING_OPTIONS.bitrate,
+    audio: typeof audio === 'boolean' ? audio : DEFAULT_RECORDING_OPTIONS.audio,
+  };
+}
@@ -0,0 +1,39 @@
+/**
+ * Preset transition options shared by the dashboard, popups and the main process
+ */
+
+// How one preset replaces another - 'time' is what transitionTime means for the mode
+export const TRANSITION_MODES = {
+  blend: { label: 'Blend', time: 'Crossfade length' },
+  cut: { label: 'Cut', time: null }, // Instant - transitionTime is ignored
+  'fade-black': { label: 'Fade through black', time: 'Fade out + fade in length' },
+  hold: { label: 'Hold, then cut', time: 'How long the last frame is held' },
+};
+
+export const MAX_TRANSITION_TIME = 60; // Seconds
+
+export const DEFAULT_TRANSITION_OPTIONS = {
+  transitionMode: 'blend',
+  transitionTime: 2.0, // Seconds
+};
+
+/**
+ * Keep only valid transition fields (e.g. from the REST API) - missing or invalid fields are
+ * left out so the window's own defaults fill them in. startAt (epoch ms) makes several windows
+ * start the transition together (video wall tiles).
+ */
+export function normalizeTransitionOptions(options = {}) {
+  const { transitionMode, transitionTime, startAt } = options || {};
+  const normalized = {};
+  if (TRANSITION_MODES[transitionMode]) {
+    normalized.transitionMode = transitionMode;
+  }
+  const time = Number(transitionTime);
+  if (transitionTime !== null && transitionTime !== undefined && transitionTime !== '' && Number.isFinite(time)) {
+    normalized.transitionTime = Math.min(MAX_TRANSITION_TIME, Math.max(0, time));
+  }
+  if (Number.isFinite(startAt)) {
+    normalized.startAt = startAt;
+  }
+  return normalized;
+}
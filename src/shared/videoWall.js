@@ -0,0 +1,67 @@
+/**
+ * Video wall layout shared by the dashboard, popups and the main process
+ *
+ * The wall is a grid of equally sized tiles. Sizes are in wall pixels: tileWidth x tileHeight per
+ * tile, plus bezelX/bezelY of hidden picture between neighbours so lines stay straight across
+ * the gaps between screens.
+ */
+
+export const MAX_WALL_TILES = 8; // Per row and per column
+export const MAX_WALL_RENDER_SIZE = 8192; // Longest side of the shared virtual canvas, in render pixels
+export const MAX_WALL_RENDER_PIXELS = 3840 * 2160; // Every tile renders the whole wall, so keep it affordable
+
+export const DEFAULT_WALL_CONFIG = {
+  enabled: false,
+  rows: 1,
+  columns: 2,
+  tileWidth: 1920,
+  tileHeight: 1080,
+  bezelX: 0,
+  bezelY: 0,
+};
+
+const toInteger = (value, fallback, min, max) => {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+};
+
+/**
+ * Fill in defaults and clamp values (e.g. from the REST API)
+ */
+export function normalizeWallConfig(config = {}) {
+  const merged = { ...DEFAULT_WALL_CONFIG, ...(config || {}) };
+  return {
+    enabled: merged.enabled === true,
+    rows: toInteger(merged.rows, DEFAULT_WALL_CONFIG.rows, 1, MAX_WALL_TILES),
+    columns: toInteger(merged.columns, DEFAULT_WALL_CONFIG.columns, 1, MAX_WALL_TILES),
+    tileWidth: toInteger(merged.tileWidth, DEFAULT_WALL_CONFIG.tileWidth, 16, 7680),
+    tileHeight: toInteger(merged.tileHeight, DEFAULT_WALL_CONFIG.tileHeight, 16, 4320),
+    bezelX: toInteger(merged.bezelX, 0, 0, 2000),
+    bezelY: toInteger(merged.bezelY, 0, 0, 2000),
+  };
+}
+
+/**
+ * Work out the shared virtual canvas and one tile's slice of it
+ * Returns { virtualWidth, virtualHeight, renderWidth, renderHeight, x, y } - sizes in wall pixels
+ * except renderWidth/renderHeight, which every tile renders at so they all produce the same image
+ */
+export function getWallViewport(config, { row, column }) {
+  const virtualWidth = config.columns * config.tileWidth + (config.columns - 1) * config.bezelX;
+  const virtualHeight = config.rows * config.tileHeight + (config.rows - 1) * config.bezelY;
+
+  const scale = Math.min(
+    1,
+    MAX_WALL_RENDER_SIZE / Math.max(virtualWidth, virtualHeight),
+    Math.sqrt(MAX_WALL_RENDER_PIXELS / (virtualWidth * virtualHeight))
+  );
+
+  return {
+    virtualWidth,
+    virtualHeight,
+    renderWidth: Math.round(virtualWidth * scale),
+    renderHeight: Math.round(virtualHeight * scale),
+    x: column * (config.tileWidth + config.bezelX),
+    y: row * (config.tileHeight + config.bezelY),
+  };
+}
@@ -3,6 +3,7 @@ export default {
   content: [
     './src/renderer/**/*.{js,jsx,ts,tsx}',
     './src/popup/**/*.{js,jsx,ts,tsx}',
+    './src/remote/**/*.{js,jsx,ts,tsx}',
     './src/shared/**/*.{js,jsx,ts,tsx}',
   ],
   darkMode: 'class', // Enable dark mode with class strategy